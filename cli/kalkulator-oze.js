@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+// Headless calculator: runs the same engine as the UI for one or more project JSON files.
+//
+//   node cli/kalkulator-oze.js projekt.json [kolejny.json ...] [--format table|json] [--summary] [--load-profile licznik.csv] [--sale-prices rcem.csv] [--tariff G12] [--production pvgis.csv] [--rate-url http://localhost:8080/{rate}]
+
+import { readFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { runProject, parseProjectFile, parseLoadProfileCsv, parseSalePrices, parseProductionFile, createTariff, calculateEffectiveBuyPrice, TARIFFS, sumMonthlyStats, productionPattern, annualYieldPerKwp, RATE_PATHS, referenceRateInfo, taxpayerTypeInfo, benchmarkSummary, fetchReferenceRate, endpointSource } from '../src/engine/index.js';
+
+const USAGE = `Użycie: kalkulator-oze <projekt.json> [...] [opcje]
+
+Opcje:
+  -f, --format <table|json>  Format wyniku (domyślnie: table)
+  -s, --summary              Tylko podsumowanie, bez przepływów rocznych
+  -l, --load-profile <csv>   Profil zużycia z licznika (CSV godzinowy/15-min) – metoda godzinowa
+  -p, --sale-prices <plik>   Ceny sprzedaży RCEm/RCE (CSV lub JSON) – rozliczenie net-billing
+  -t, --tariff <id>          Taryfa: ${TARIFFS.map(t => t.id).join(', ')}
+  -P, --production <plik>    Produkcja z PVGIS lub monitoringu falownika (CSV lub JSON) zamiast szacunku
+  -r, --rate-url <url>       Pobierz bieżącą wartość wskaźnika (WIBOR/WIRON) z adresu zwracającego CSV lub JSON;
+                             {rate} w adresie zastępowane id wskaźnika, np. wibor3m
+  -h, --help                 Pomoc`;
+
+// --- Helper Functions ---
+
+const formatNumber = (value, digits = 0) => {
+  return new Intl.NumberFormat('pl-PL', { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value);
+};
+
+const formatPayback = (paybackYear, horizon) => paybackYear ? `${paybackYear} lat` : `> ${horizon} lat`;
+
+const formatOptional = (value, format) => (value === null || value === undefined ? 'n/d' : format(value));
+
+const renderTable = (headers, rows) => {
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => String(r[i]).length)));
+  const line = (cells) => cells.map((c, i) => (i === 0 ? String(c).padEnd(widths[i]) : String(c).padStart(widths[i]))).join('  ');
+  return [line(headers), widths.map(w => '-'.repeat(w)).join('  '), ...rows.map(line)].join('\n');
+};
+
+// --- Output ---
+
+const toJson = (file, project, output, rateQuote) => ({
+  file,
+  name: project.name || basename(file),
+  ...(rateQuote && { rateQuote }),
+  effectiveAutoConsumptionPercent: output.effectiveAutoConsumptionPercent,
+  annualSavings: output.annualSavings,
+  annualRevenue: output.annualRevenue,
+  bestOption: output.bestOption.name,
+  scenarios: output.results.map(r => ({
+    id: r.id,
+    name: r.name,
+    productType: r.productType,
+    effectiveRate: r.effectiveRate,
+    paybackYear: r.paybackYear,
+    summary: r.summary,
+    yearlyCashFlow: r.yearlyCashFlow,
+    ...(r.storageComparison && {
+      withoutStorage: {
+        paybackYear: r.storageComparison.withoutStorage.paybackYear,
+        summary: r.storageComparison.withoutStorage.summary
+      }
+    }),
+    ...(r.settlementComparison && {
+      netBilling: {
+        paybackYear: r.settlementComparison.netBilling.paybackYear,
+        summary: r.settlementComparison.netBilling.summary
+      }
+    }),
+    ...(r.ratePathComparison && {
+      ratePaths: Object.fromEntries(Object.entries(r.ratePathComparison).map(([id, alt]) => [id, {
+        paybackYear: alt.paybackYear,
+        summary: alt.summary
+      }]))
+    })
+  }))
+});
+
+const toTable = (file, project, output, summaryOnly, rateQuote) => {
+  const horizon = output.results[0].summary.simulationYears;
+  const sections = [
+    `=== ${project.name || basename(file)} ===`,
+    `Produkcja: ${formatNumber(sumMonthlyStats(output.monthlyStats, 'production'))} kWh/rok (${formatNumber(annualYieldPerKwp(productionPattern(output.params)))} kWh/kWp)${output.params.productionImport ? `, z pliku ${output.params.productionImport.fileName}` : ''}`,
+    `Efektywna autokonsumpcja: ${formatNumber(output.effectiveAutoConsumptionPercent, 1)}%`,
+    `Stopa dyskonta: ${formatNumber(output.params.discountRate, 1)}%`,
+    `Utracone korzyści liczone dla: ${benchmarkSummary(output.params)}`,
+    ...(rateQuote
+      ? [`${referenceRateInfo(rateQuote.rateId).label}: ${formatNumber(rateQuote.value, 2)}% z ${rateQuote.asOf ?? 'n/d'} (${rateQuote.sourceLabel})`]
+      : []),
+    ...(output.params.tariff
+      ? [`Taryfa: ${output.params.tariff.label}, średnia wartość autokonsumpcji ${formatNumber(calculateEffectiveBuyPrice(output.monthlyStats, output.params.energyPriceBuy), 3)} zł/kWh`]
+      : []),
+    `Najbardziej opłacalna opcja: ${output.bestOption.name}`,
+    '',
+    renderTable(
+      ['Wariant', 'Autokons.', 'Oprocentowanie', 'Zwrot', 'Zwrot zdysk.', `Zysk (${horizon} lat)`, 'NPV', 'IRR', 'LCOE', 'Koszt całkowity', 'Utracone korzyści'],
+      output.results.map(r => [
+        r.name,
+        `${formatNumber(r.summary.autoConsumptionPercent, 1)}%`,
+        `${formatNumber(r.effectiveRate, 2)}%`,
+        formatPayback(r.paybackYear, horizon),
+        formatPayback(r.summary.discountedPaybackYear, horizon),
+        formatNumber(r.summary.netProfit),
+        formatNumber(r.summary.npv),
+        formatOptional(r.summary.irr, v => `${formatNumber(v, 1)}%`),
+        formatOptional(r.summary.lcoe, v => formatNumber(v, 3)),
+        formatNumber(r.summary.totalProjectCost),
+        formatNumber(r.summary.opportunityCost)
+      ])
+    )
+  ];
+
+  const storageResults = output.results.filter(r => r.storageComparison);
+  if (storageResults.length > 0) {
+    sections.push('', '--- Magazyn energii: z / bez ---', renderTable(
+      ['Wariant', 'Autokons.', 'Zwrot', `Zysk (${horizon} lat)`, 'NPV', 'Efekt (NPV)'],
+      storageResults.flatMap(r => {
+        const base = r.storageComparison.withoutStorage;
+        return [
+          [`${r.name} (z magazynem)`, `${formatNumber(r.summary.autoConsumptionPercent, 1)}%`, formatPayback(r.paybackYear, horizon), formatNumber(r.summary.netProfit), formatNumber(r.summary.npv), formatNumber(r.summary.npv - base.summary.npv)],
+          [`${r.name} (bez magazynu)`, `${formatNumber(base.summary.autoConsumptionPercent, 1)}%`, formatPayback(base.paybackYear, horizon), formatNumber(base.summary.netProfit), formatNumber(base.summary.npv), '']
+        ];
+      })
+    ));
+  }
+
+  const depositResults = output.results.filter(r => r.summary.deposit);
+  if (depositResults.length > 0) {
+    sections.push('', `--- Depozyt prosumencki (${horizon} lat) ---`, renderTable(
+      ['Wariant', 'Zaliczono', 'Wykorzystano', 'Zwrócono', 'Przepadło', 'Saldo'],
+      depositResults.map(r => [
+        r.name,
+        formatNumber(r.summary.deposit.credited),
+        formatNumber(r.summary.deposit.used),
+        formatNumber(r.summary.deposit.refunded),
+        formatNumber(r.summary.deposit.lost),
+        formatNumber(r.summary.deposit.balance)
+      ])
+    ));
+  }
+
+  const energyBankResults = output.results.filter(r => r.summary.energyBank);
+  if (energyBankResults.length > 0) {
+    sections.push('', `--- Opusty: energia do odbioru (${horizon} lat, kWh) ---`, renderTable(
+      ['Wariant', 'Do odbioru', 'Odebrano', 'Wartość (zł)', 'Przepadło', 'Saldo'],
+      energyBankResults.map(r => [
+        r.name,
+        formatNumber(r.summary.energyBank.banked),
+        formatNumber(r.summary.energyBank.drawn),
+        formatNumber(r.summary.energyBank.value),
+        formatNumber(r.summary.energyBank.lost),
+        formatNumber(r.summary.energyBank.balance)
+      ])
+    ));
+  }
+
+  const taxResults = output.results.filter(r => r.summary.tax);
+  if (taxResults.length > 0) {
+    sections.push('', `--- Podatki: ${taxpayerTypeInfo(output.params.taxpayerType).label}, ${formatNumber(output.params.incomeTaxRate, 0)}% (${horizon} lat) ---`, renderTable(
+      ['Wariant', 'Podatek od energii', 'Tarcza amortyzacji', 'Tarcza kosztów', 'Ulga termomod.', 'Razem'],
+      taxResults.map(r => [
+        r.name,
+        formatNumber(r.summary.tax.incomeTax),
+        formatNumber(r.summary.tax.depreciationTaxShield),
+        formatNumber(r.summary.tax.costTaxShield),
+        formatNumber(r.summary.tax.thermoRelief),
+        formatNumber(r.summary.tax.total)
+      ])
+    ));
+  }
+
+  const settlementResults = output.results.filter(r => r.settlementComparison);
+  if (settlementResults.length > 0) {
+    sections.push('', '--- Opusty czy net-billing ---', renderTable(
+      ['Wariant', 'Zwrot', `Zysk (${horizon} lat)`, 'NPV', 'Przewaga opustów (NPV)'],
+      settlementResults.flatMap(r => {
+        const alt = r.settlementComparison.netBilling;
+        return [
+          [`${r.name} (opusty)`, formatPayback(r.paybackYear, horizon), formatNumber(r.summary.netProfit), formatNumber(r.summary.npv), formatNumber(r.summary.npv - alt.summary.npv)],
+          [`${r.name} (net-billing)`, formatPayback(alt.paybackYear, horizon), formatNumber(alt.summary.netProfit), formatNumber(alt.summary.npv), '']
+        ];
+      })
+    ));
+  }
+
+  const ratePathResults = output.results.filter(r => r.ratePathComparison);
+  if (ratePathResults.length > 0) {
+    const rateLabel = referenceRateInfo(output.params.referenceRate).label;
+    sections.push('', `--- Ścieżki stóp: ${rateLabel} ${formatNumber(output.params.globalWibor, 2)}%, szok ±${formatNumber(output.params.rateShock, 1)} p.p. ---`, renderTable(
+      ['Wariant', 'Zwrot', 'Odsetki', 'Najwyższa rata', 'NPV', 'Zmiana NPV'],
+      ratePathResults.flatMap(r => Object.entries(r.ratePathComparison).map(([id, alt]) => [
+        `${r.name} (${RATE_PATHS.find(p => p.id === id).label.toLowerCase()})`,
+        formatPayback(alt.paybackYear, horizon),
+        formatNumber(alt.summary.totalInterest),
+        formatNumber(alt.summary.maxInstallment),
+        formatNumber(alt.summary.npv),
+        formatNumber(alt.summary.npv - r.ratePathComparison.constant.summary.npv)
+      ]))
+    ));
+  }
+
+  if (!summaryOnly) {
+    output.results.forEach(r => {
+      sections.push('', `--- Przepływy roczne: ${r.name} ---`, renderTable(
+        ['Rok', 'Korzyść z energii', 'Rata kredytu', 'Wymiany', 'Bilans roczny', 'Skumulowane'],
+        r.yearlyCashFlow.map(row => [
+          row.year === 0 ? 'Start' : row.year,
+          formatNumber(row.energySavings),
+          formatNumber(row.loanPayment),
+          formatNumber(row.replacementCost),
+          formatNumber(row.netCashFlow),
+          formatNumber(row.cumulative)
+        ])
+      ));
+    });
+  }
+
+  return sections.join('\n');
+};
+
+// --- Main ---
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'table' },
+      summary: { type: 'boolean', short: 's', default: false },
+      'load-profile': { type: 'string', short: 'l' },
+      'sale-prices': { type: 'string', short: 'p' },
+      tariff: { type: 'string', short: 't' },
+      production: { type: 'string', short: 'P' },
+      'rate-url': { type: 'string', short: 'r' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (!['table', 'json'].includes(values.format)) {
+    console.error(`Nieznany format: ${values.format}`);
+    return 1;
+  }
+
+  let paramOverrides = null;
+  if (values['load-profile']) {
+    const { hourly, ...meta } = parseLoadProfileCsv(await readFile(values['load-profile'], 'utf8'));
+    paramOverrides = {
+      consMethod: 'hourly',
+      hourlyLoadProfile: hourly,
+      hourlyLoadMeta: { ...meta, fileName: basename(values['load-profile']) }
+    };
+  }
+
+  if (values['sale-prices']) {
+    const table = parseSalePrices(await readFile(values['sale-prices'], 'utf8'));
+    paramOverrides = {
+      ...paramOverrides,
+      settlementMode: 'netBilling',
+      salePrices: { ...table, fileName: basename(values['sale-prices']) }
+    };
+  }
+
+  if (values.tariff) {
+    const tariff = createTariff(values.tariff);
+    if (!tariff) {
+      console.error(`Nieznana taryfa: ${values.tariff}`);
+      return 1;
+    }
+    paramOverrides = { ...paramOverrides, tariff };
+  }
+
+  if (values.production) {
+    const preview = parseProductionFile(await readFile(values.production, 'utf8'));
+    paramOverrides = { ...paramOverrides, productionImport: { ...preview, fileName: basename(values.production) } };
+  }
+
+  // One request per index, shared by the projects using it
+  const rateQuotes = new Map();
+  const rateQuoteFor = (rateId) => {
+    if (!rateQuotes.has(rateId)) rateQuotes.set(rateId, fetchReferenceRate(rateId, [endpointSource(values['rate-url'])]));
+    return rateQuotes.get(rateId);
+  };
+
+  let exitCode = 0;
+  const jsonResults = [];
+  const tables = [];
+
+  for (const file of positionals) {
+    try {
+      const project = parseProjectFile(await readFile(file, 'utf8'));
+      const rateQuote = values['rate-url'] ? await rateQuoteFor(project.params.referenceRate) : null;
+      const overrides = rateQuote ? { ...paramOverrides, globalWibor: rateQuote.value } : paramOverrides;
+      const output = runProject(overrides ? { ...project, params: { ...project.params, ...overrides } } : project);
+      if (values.format === 'json') {
+        jsonResults.push(toJson(file, project, output, rateQuote));
+      } else {
+        tables.push(toTable(file, project, output, values.summary, rateQuote));
+      }
+    } catch (error) {
+      console.error(`${file}: ${error.message}`);
+      exitCode = 1;
+    }
+  }
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify(positionals.length === 1 ? jsonResults[0] ?? null : jsonResults, null, 2));
+  } else {
+    console.log(tables.join('\n\n'));
+  }
+  return exitCode;
+};
+
+main().then((code) => {
+  process.exitCode = code;
+}).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// Refreshes public/rates.json, the quotes shipped with the build (the app's offline fallback).
+// stooq.pl is read directly (no CORS in Node); WIRON needs an own source:
+//
+//   node cli/update-rates.js [--url 'https://example.com/rates/{rate}'] [--stooq <proxy>|off] [--out public/rates.json]
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { REFERENCE_RATES, fetchReferenceRate, endpointSource, stooqSource, parseRateJson } from '../src/engine/index.js';
+
+const DEFAULT_OUT = fileURLToPath(new URL('../public/rates.json', import.meta.url));
+
+const USAGE = `Użycie: update-rates [opcje]
+
+Pobiera bieżące notowania wskaźników (${REFERENCE_RATES.map(r => r.label).join(', ')}) i zapisuje je w pliku
+dołączanym do aplikacji. Wskaźnik, którego nie udało się pobrać, zachowuje poprzednią wartość z pliku.
+
+Opcje:
+  -u, --url <url>        Własne źródło (CSV lub JSON), {rate} zastępowane id wskaźnika; domyślnie $RATES_URL
+  -s, --stooq <prefiks>  Prefiks adresów stooq.pl (np. proxy); off – bez stooq (domyślnie: bezpośrednio)
+  -o, --out <plik>       Plik wynikowy (domyślnie: public/rates.json)
+  -t, --timeout <ms>     Limit czasu odpowiedzi źródła
+  -h, --help             Pomoc`;
+
+// Previous entry of the index, kept when no source answers
+const previousEntry = (text, rateId) => {
+  if (!text) return null;
+  try {
+    const { value, asOf } = parseRateJson(text, rateId);
+    const data = JSON.parse(text);
+    return { value, asOf, source: data.rates[rateId]?.source ?? data.source ?? 'poprzedni plik' };
+  } catch {
+    return null;
+  }
+};
+
+// --- Main ---
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      url: { type: 'string', short: 'u', default: process.env.RATES_URL },
+      stooq: { type: 'string', short: 's', default: '' },
+      out: { type: 'string', short: 'o', default: DEFAULT_OUT },
+      timeout: { type: 'string', short: 't' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  const sources = [
+    ...(values.url ? [endpointSource(values.url)] : []),
+    ...(values.stooq === 'off' ? [] : [stooqSource(values.stooq)])
+  ];
+  const fetchOptions = values.timeout ? { timeoutMs: parseInt(values.timeout) } : {};
+  const previousText = await readFile(values.out, 'utf8').catch(() => null);
+
+  const rates = {};
+  let refreshed = 0;
+  let missing = 0;
+  for (const { id, label } of REFERENCE_RATES) {
+    try {
+      const quote = await fetchReferenceRate(id, sources, fetchOptions);
+      rates[id] = { value: quote.value, asOf: quote.asOf, source: quote.sourceLabel };
+      refreshed += 1;
+      console.log(`${label}: ${quote.value}% z ${quote.asOf ?? 'n/d'} (${quote.sourceLabel})`);
+    } catch (error) {
+      const previous = previousEntry(previousText, id);
+      if (previous) {
+        rates[id] = previous;
+        console.warn(`${label}: bez zmian, ${previous.value}% z ${previous.asOf ?? 'n/d'} – ${error.message}`);
+      } else {
+        missing += 1;
+        console.error(`${label}: ${error.message}`);
+      }
+    }
+  }
+
+  if (refreshed === 0 || missing > 0) {
+    console.error(`Nie zapisano ${values.out}: ${refreshed === 0 ? 'żadne źródło nie odpowiedziało' : 'brak wartości części wskaźników'}.`);
+    return 1;
+  }
+
+  // The oldest quote dates the file as a whole
+  const dates = Object.values(rates).map(r => r.asOf).filter(Boolean).sort();
+  const file = { asOf: dates[0] ?? null, updatedAt: new Date().toISOString(), rates };
+  await writeFile(values.out, `${JSON.stringify(file, null, 2)}\n`);
+  console.log(`Zapisano ${values.out} (${refreshed} z ${REFERENCE_RATES.length} wskaźników odświeżonych).`);
+  return 0;
+};
+
+main().then((code) => {
+  process.exitCode = code;
+}).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -1,189 +1,103 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { Plus, Trash2, Calculator, Sun, Zap, TrendingUp, Calendar, DollarSign, Leaf, Info, ArrowRight, CheckCircle, Lightbulb, BarChart3, Settings, Battery, Printer, FileText } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Plus, Trash2, Calculator, Sun, Zap, TrendingUp, Calendar, DollarSign, Leaf, Info, ArrowRight, CheckCircle, Lightbulb, BarChart3, Settings, Battery, Printer, FileText, FolderOpen, FilePlus, Copy, Download, Upload, Link, User, Sheet, ListOrdered, Activity, RefreshCw } from 'lucide-react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer, LineChart, Line, ComposedChart, Area } from 'recharts';
+import {
+  MONTHS,
+  VOIVODESHIPS,
+  DEFAULT_PARAMS,
+  DEFAULT_SCENARIOS,
+  DEFAULT_OFFER,
+  calculateMonthlyStats,
+  calculateEffectiveAutoConsumption,
+  calculateEffectiveBuyPrice,
+  sumMonthlyStats,
+  calculateScenarioResult,
+  pickBestOption,
+  createScenario,
+  changeProductType,
+  updateScenarioField,
+  isOwnFundsScenario,
+  FINANCING_PRODUCTS,
+  financingProduct,
+  usableCapacity,
+  parseSalePrices,
+  parseProductionFile,
+  parseProjectFile,
+  serializeProject,
+  encodeShareToken,
+  decodeShareToken,
+  shareTokenFromHash,
+  SHARE_HASH_KEY,
+  SHARE_LINK_MAX_LENGTH,
+  SETTLEMENT_MODES,
+  netMeteringRatio,
+  TARIFFS,
+  createTariff,
+  tariffZonePrices,
+  tariffFixedMonthly,
+  BEST_OPTION_METRICS,
+  clampSimulationYears,
+  MIN_SIMULATION_YEARS,
+  MAX_SIMULATION_YEARS,
+  parseLoadProfileCsv,
+  loanScheduleByYear,
+  REFERENCE_RATES,
+  RATE_PATHS,
+  referenceRateInfo,
+  referenceRateInYear,
+  referenceRateForMonth,
+  TAXPAYER_TYPES,
+  taxpayerTypeInfo,
+  BENCHMARK_TYPES,
+  benchmarkTypeInfo,
+  benchmarkSummary,
+  SENSITIVITY_DRIVERS,
+  DEFAULT_SENSITIVITY_RANGES,
+  sensitivityAnalysis,
+  sensitivityGrid,
+  sensitivitySteps,
+  sensitivityDriver,
+  DEFAULT_MONTE_CARLO,
+  MONTE_CARLO_LIMITS,
+  GOAL_SEEK_TARGETS,
+  GOAL_SEEK_INPUTS,
+  goalSeekInput,
+  goalSeek,
+  applyGoalSeek,
+  COMPARISON_COST_ITEMS,
+  comparisonSeriesKey,
+  yearlyComparison,
+  costComparison,
+  isRateStale,
+  rateAgeDays
+} from './engine';
+import { downloadOfferReport, DISCLAIMER } from './offerReport';
+import { downloadBlob, downloadCsv, downloadWorkbook, safeFileName, CSV_EXPORTS } from './spreadsheetExport';
+import { listProjects, loadProject, saveProject, duplicateProject, deleteProject, loadLastProject, newProjectId } from './projectStore';
+import { loadReferenceRate, loadRateOverride, saveRateOverride, clearRateOverride } from './rateStore';
 
 // --- KONFIGURACJA GOOGLE ANALYTICS ---
 // Wklej tutaj swój identyfikator pomiaru (np. G-XXXXXXXXXX)
 const GA_TRACKING_ID = "G-0WTFWGC2JQ"; 
+const AUTOSAVE_DELAY_MS = 1000;
+const CAPTURE_CONTENT = Symbol('capture');
 // --- Helper Functions ---
 
 const formatCurrency = (value) => {
   return new Intl.NumberFormat('pl-PL', { style: 'currency', currency: 'PLN', maximumFractionDigits: 0 }).format(value);
 };
 
-// --- Constants ---
-
-const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
-
-const MONTHLY_PATTERN_PER_KWP = [
-  { id: 1, name: 'Sty', full: 'Styczeń', value: 40 },
-  { id: 2, name: 'Lut', full: 'Luty', value: 50 },
-  { id: 3, name: 'Mar', full: 'Marzec', value: 75 },
-  { id: 4, name: 'Kwi', full: 'Kwiecień', value: 95 },
-  { id: 5, name: 'Maj', full: 'Maj', value: 115 },
-  { id: 6, name: 'Cze', full: 'Czerwiec', value: 125 },
-  { id: 7, name: 'Lip', full: 'Lipiec', value: 125 },
-  { id: 8, name: 'Sie', full: 'Sierpień', value: 115 },
-  { id: 9, name: 'Wrz', full: 'Wrzesień', value: 95 },
-  { id: 10, name: 'Paź', full: 'Październik', value: 70 },
-  { id: 11, name: 'Lis', full: 'Listopad', value: 50 },
-  { id: 12, name: 'Gru', full: 'Grudzień', value: 40 },
-];
-
-// --- Calculation Logic ---
-
-const calculateOzeMetrics = (scenario, globalParams) => {
-  const { globalWibor, energyPriceBuy, energyPriceSell, energyInflation, productionPerKw, installationPower, effectiveAutoConsumptionPercent } = globalParams;
-
-  // Investment Basics
-  const totalInvestmentCost = parseFloat(scenario.totalCost) || 0; 
-  const ownContribution = parseFloat(scenario.ownContribution) || 0; 
-  const loanAmount = Math.max(0, totalInvestmentCost - ownContribution); 
-  
-  // Production Data
-  const annualProduction = parseFloat(scenario.manualProduction) || (installationPower * productionPerKw);
-  const selfConsumedEnergy = annualProduction * (effectiveAutoConsumptionPercent / 100);
-  const soldEnergy = annualProduction - selfConsumedEnergy;
-
-  // Financing Basics
-  const periodMonths = parseInt(scenario.periodMonths) || 1;
-  const graceMonths = parseInt(scenario.graceMonths) || 0;
-  const commissionPercent = parseFloat(scenario.commissionPercent) || 0;
-  const otherCosts = scenario.otherCosts.reduce((sum, item) => sum + (parseFloat(item.value) || 0), 0);
-
-  // Interest Rate
-  let interestRate = 0;
-  if (scenario.rateType === 'fixed') {
-    interestRate = parseFloat(scenario.fixedRate) || 0;
-  } else {
-    interestRate = (parseFloat(scenario.margin) || 0) + globalWibor;
-  }
-
-  // Grant / Umorzenie
-  let grantAmount = 0;
-  if (scenario.grantType === 'percent') {
-    grantAmount = totalInvestmentCost * ((parseFloat(scenario.grantValue) || 0) / 100);
-  } else {
-    grantAmount = parseFloat(scenario.grantValue) || 0;
-  }
-
-  // Monthly Loan Calculation
-  const r = interestRate / 100 / 12;
-  const repaymentMonths = periodMonths - graceMonths;
-  let monthlyInstallments = new Array(periodMonths + 1).fill(0); 
-  let currentBalance = loanAmount;
-  let totalInterest = 0;
-  const initialCommission = loanAmount * (commissionPercent / 100);
-
-  if (loanAmount > 0) {
-      for (let month = 1; month <= periodMonths; month++) {
-        let interestPart = currentBalance * r;
-        let capitalPart = 0;
-        let installment = 0;
-
-        if (month <= graceMonths) {
-          installment = interestPart;
-        } else {
-          if (scenario.installmentType === 'equal') {
-             if (r === 0) {
-                capitalPart = currentBalance / (periodMonths - (month - 1));
-                installment = capitalPart;
-             } else {
-                 const fixedInstallment = loanAmount * (r * Math.pow(1 + r, repaymentMonths)) / (Math.pow(1 + r, repaymentMonths) - 1);
-                 installment = fixedInstallment;
-                 capitalPart = installment - interestPart;
-             }
-          } else {
-            capitalPart = loanAmount / repaymentMonths;
-            installment = capitalPart + interestPart;
-          }
-        }
-        
-        if (month > graceMonths && (currentBalance - capitalPart < 1 || month === periodMonths)) {
-             capitalPart = currentBalance;
-             installment = capitalPart + interestPart;
-        }
-
-        currentBalance -= capitalPart;
-        totalInterest += interestPart;
-        monthlyInstallments[month] = installment;
-      }
-  }
-
-  // Cash Flow Simulation (15 Years)
-  const simulationYears = 15;
-  let yearlyCashFlow = [];
-  
-  // Opportunity Cost Calculation
-  const opportunityRate = energyInflation / 100;
-  const futureValueOfOwnCapital = ownContribution * Math.pow(1 + opportunityRate, simulationYears);
-  const totalOpportunityCost = futureValueOfOwnCapital - ownContribution;
-
-  // Initial Cash Flow
-  let cumulativeCashFlow = -(ownContribution + initialCommission + otherCosts) + grantAmount; 
-  
-  yearlyCashFlow.push({
-    year: 0,
-    energySavings: 0,
-    loanPayment: 0,
-    netCashFlow: cumulativeCashFlow,
-    cumulative: cumulativeCashFlow
-  });
-
-  let paybackYear = null;
-
-  for (let year = 1; year <= simulationYears; year++) {
-    const currentEnergyPriceBuy = energyPriceBuy * Math.pow(1 + energyInflation / 100, year - 1);
-    const currentEnergyPriceSell = energyPriceSell * Math.pow(1 + energyInflation / 100, year - 1);
-
-    const savings = selfConsumedEnergy * currentEnergyPriceBuy;
-    const revenue = soldEnergy * currentEnergyPriceSell;
-    const totalBenefit = savings + revenue;
-
-    let yearlyLoanCost = 0;
-    const startMonth = (year - 1) * 12 + 1;
-    const endMonth = year * 12;
-    
-    for (let m = startMonth; m <= endMonth; m++) {
-      if (m <= periodMonths) {
-        yearlyLoanCost += monthlyInstallments[m];
-      }
-    }
-
-    const netFlow = totalBenefit - yearlyLoanCost;
-    cumulativeCashFlow += netFlow;
+// Exact to the grosz, as in bank repayment schedules
+const formatCurrencyExact = (value) => {
+  return new Intl.NumberFormat('pl-PL', { style: 'currency', currency: 'PLN', minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(value);
+};
 
-    if (paybackYear === null && cumulativeCashFlow >= 0) {
-      paybackYear = year;
-    }
+// Scenario series in multi-scenario charts (same palette as the PDF report)
+const SCENARIO_COLORS = ['#059669', '#2563eb', '#f59e0b', '#db2777', '#7c3aed', '#0891b2', '#65a30d', '#dc2626'];
+const COST_ITEM_COLORS = { totalInterest: '#f43f5e', totalStartCosts: '#f97316', grantAmount: '#10b981', opportunityCost: '#94a3b8' };
 
-    yearlyCashFlow.push({
-      year,
-      energySavings: totalBenefit,
-      loanPayment: yearlyLoanCost,
-      netCashFlow: netFlow,
-      cumulative: cumulativeCashFlow
-    });
-  }
-
-  const totalCostOfLoan = totalInterest + initialCommission + otherCosts;
-  const totalProjectCost = totalInvestmentCost + totalCostOfLoan + totalOpportunityCost - grantAmount;
-
-  return {
-    ...scenario,
-    effectiveRate: interestRate,
-    paybackYear,
-    yearlyCashFlow,
-    summary: {
-      loanAmount,
-      totalInterest,
-      totalStartCosts: initialCommission + otherCosts,
-      grantAmount,
-      opportunityCost: totalOpportunityCost,
-      totalProjectCost, 
-      netProfit15Years: yearlyCashFlow[simulationYears].cumulative - totalOpportunityCost 
-    }
-  };
+const formatPercent = (value) => {
+  return value === null || value === undefined ? 'n/d' : `${value.toFixed(1)}%`;
 };
 
 // --- Components ---
@@ -223,173 +137,270 @@ export default function App() {
       document.head.appendChild(script2);
     }
   }, []);
+  // --- Saved Project ---
+  // The project open before the reload is restored, otherwise a new one starts from the defaults
+  const [initialProject] = useState(() => loadLastProject() || {
+    id: newProjectId(),
+    project: { name: '', offer: DEFAULT_OFFER, params: DEFAULT_PARAMS, scenarios: DEFAULT_SCENARIOS }
+  });
+  const initialParams = initialProject.project.params;
+  const [projectId, setProjectId] = useState(initialProject.id);
+  const [projectName, setProjectName] = useState(initialProject.project.name);
+  const [offer, setOffer] = useState(initialProject.project.offer);
+  const [showOfferDetails, setShowOfferDetails] = useState(false);
+  const [savedProjects, setSavedProjects] = useState(listProjects);
+  const [showProjectList, setShowProjectList] = useState(false);
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [autosaveError, setAutosaveError] = useState(null);
+  const [projectError, setProjectError] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [shareLinkWarning, setShareLinkWarning] = useState(null);
+
   // --- Global State ---
-  const [globalWibor, setGlobalWibor] = useState(4.00);
-  // Auto-fetch WIBOR
+  const [referenceRate, setReferenceRate] = useState(initialParams.referenceRate);
+
+  // Value of the index: the quote (rateStore) until a value is typed in by hand – remembered per index and used
+  // again on the next start – or comes with an opened project. A shared link carries its own value, the recipient
+  // must see the same numbers.
+  const [rateQuotes, setRateQuotes] = useState({});
+  const [rateRefreshing, setRateRefreshing] = useState(false);
+  const [rateOverride, setRateOverride] = useState(() => loadRateOverride(initialParams.referenceRate));
+  const [rateFollowsQuote, setRateFollowsQuote] = useState(() => !shareTokenFromHash(window.location.hash) && !loadRateOverride(initialParams.referenceRate));
+  const [enteredWibor, setEnteredWibor] = useState(() => loadRateOverride(initialParams.referenceRate)?.value ?? initialParams.globalWibor);
+  const rateQuote = rateQuotes[referenceRate] ?? null;
+  const rateStatus = !rateQuote || rateRefreshing ? 'loading' : rateQuote.error ? 'failed' : 'ok';
+  const globalWibor = rateFollowsQuote && rateQuote?.quote ? rateQuote.quote.value : enteredWibor;
+
+  // Quotes are kept per index, so an answer arriving after the index changed is harmless
   useEffect(() => {
-    const fetchWibor = async () => {
-      try {
-        // Using corsproxy.io to bypass CORS for stooq.pl CSV
-        const response = await fetch('https://corsproxy.io/?https://stooq.pl/q/l/?s=plopln3m&f=sd2t2olc&h&e=csv');
-        const text = await response.text();
-        // CSV format: Symbol,Date,Time,Open,Low,Close (Close is the value we want, or Open/Low since it's an index usually same)
-        // Example: PLOPLN3M,2025-12-23,12:00:00,4,4,4
-        const lines = text.trim().split('\n');
-        if (lines.length >= 2) {
-          const values = lines[1].split(',');
-          const wiborValue = parseFloat(values[values.length - 1]); // Last column is Close
-          if (!isNaN(wiborValue)) {
-             setGlobalWibor(wiborValue);
-             console.log("WIBOR updated:", wiborValue);
-          }
-        }
-      } catch (error) {
-        console.warn("Failed to auto-fetch WIBOR:", error);
-      }
-    };
-    fetchWibor();
-  }, []);
-  const [energyInflation, setEnergyInflation] = useState(3.0);
+    loadReferenceRate(referenceRate).then(result => setRateQuotes(prev => ({ ...prev, [referenceRate]: result })));
+  }, [referenceRate]);
+
+  const refreshRate = async () => {
+    const rateId = referenceRate;
+    setRateRefreshing(true);
+    const result = await loadReferenceRate(rateId, { force: true });
+    setRateQuotes(prev => ({ ...prev, [rateId]: result }));
+    setRateRefreshing(false);
+  };
+
+  // A value from a project replaces the quote
+  const setRateValue = (value) => {
+    setEnteredWibor(value);
+    setRateFollowsQuote(false);
+  };
+
+  const selectReferenceRate = (rateId) => {
+    setReferenceRate(rateId);
+    setRateOverride(loadRateOverride(rateId));
+  };
+
+  // A new index brings its remembered manual value, if any
+  const changeReferenceRate = (rateId) => {
+    selectReferenceRate(rateId);
+    const override = loadRateOverride(rateId);
+    if (override) setRateValue(override.value);
+  };
+
+  // A value typed in by hand is remembered for the index and wins over the quote until the quote is used again
+  const changeGlobalWibor = (value) => {
+    setRateValue(value);
+    if (Number.isFinite(value)) {
+      saveRateOverride(referenceRate, value);
+      setRateOverride(loadRateOverride(referenceRate));
+    }
+  };
+
+  const applyRateQuote = () => {
+    clearRateOverride(referenceRate);
+    setRateOverride(null);
+    setRateFollowsQuote(true);
+  };
+
+  const [ratePath, setRatePath] = useState(initialParams.ratePath);
+  const [rateShock, setRateShock] = useState(initialParams.rateShock);
+  const [ratePathValues, setRatePathValues] = useState(initialParams.ratePathValues);
+  const [energyInflation, setEnergyInflation] = useState(initialParams.energyInflation);
   
   // Tech Params
-  const [installationPower, setInstallationPower] = useState(45); 
-  const [productionPerKw, setProductionPerKw] = useState(1000); 
+  const [installationPower, setInstallationPower] = useState(initialParams.installationPower);
+  const [location, setLocation] = useState(initialParams.location);
+  const [latitude, setLatitude] = useState(initialParams.latitude);
+  const [longitude, setLongitude] = useState(initialParams.longitude);
+  const [panelTilt, setPanelTilt] = useState(initialParams.panelTilt);
+  const [panelAzimuth, setPanelAzimuth] = useState(initialParams.panelAzimuth);
+  const [shadingLosses, setShadingLosses] = useState(initialParams.shadingLosses);
+  const [systemLosses, setSystemLosses] = useState(initialParams.systemLosses);
+  const [productionImport, setProductionImport] = useState(initialParams.productionImport);
+  const [productionPreview, setProductionPreview] = useState(null);
+  const [productionImportError, setProductionImportError] = useState(null);
+  const [degradationRate, setDegradationRate] = useState(initialParams.degradationRate);
+  const [replacements, setReplacements] = useState(initialParams.replacements);
+
+  // Analysis Horizon
+  const [simulationYears, setSimulationYears] = useState(initialParams.simulationYears);
+  // Text being typed into the horizon field; only whole years within the limits reach `simulationYears`
+  const [simulationYearsInput, setSimulationYearsInput] = useState(null);
+  const [discountRate, setDiscountRate] = useState(initialParams.discountRate);
+  const [bestOptionMetric, setBestOptionMetric] = useState(initialParams.bestOptionMetric);
+
+  // Income Tax
+  const [taxpayerType, setTaxpayerType] = useState(initialParams.taxpayerType);
+  const [incomeTaxRate, setIncomeTaxRate] = useState(initialParams.incomeTaxRate);
+  const [depreciationRate, setDepreciationRate] = useState(initialParams.depreciationRate);
+  const [thermoReliefLimit, setThermoReliefLimit] = useState(initialParams.thermoReliefLimit);
+  const [annualTaxableIncome, setAnnualTaxableIncome] = useState(initialParams.annualTaxableIncome);
+
+  // Alternative investment of the own capital (opportunity cost)
+  const [benchmarkType, setBenchmarkType] = useState(initialParams.benchmarkType);
+  const [depositRate, setDepositRate] = useState(initialParams.depositRate);
+  const [bondFirstYearRate, setBondFirstYearRate] = useState(initialParams.bondFirstYearRate);
+  const [bondMargin, setBondMargin] = useState(initialParams.bondMargin);
+  const [expectedInflation, setExpectedInflation] = useState(initialParams.expectedInflation);
+  const [customReturnRate, setCustomReturnRate] = useState(initialParams.customReturnRate);
+  const [capitalGainsTaxRate, setCapitalGainsTaxRate] = useState(initialParams.capitalGainsTaxRate);
   
   // Autoconsumption Logic State
-  const [consMethod, setConsMethod] = useState('percent');
-  const [autoConsPercent, setAutoConsPercent] = useState(30); 
+  const [consMethod, setConsMethod] = useState(initialParams.consMethod);
+  const [autoConsPercent, setAutoConsPercent] = useState(initialParams.autoConsPercent);
   
-  const [fixedConsValue, setFixedConsValue] = useState(10);
-  const [fixedConsPeriod, setFixedConsPeriod] = useState('daily');
+  const [fixedConsValue, setFixedConsValue] = useState(initialParams.fixedConsValue);
+  const [fixedConsPeriod, setFixedConsPeriod] = useState(initialParams.fixedConsPeriod);
   
-  const [monthlyConsProfile, setMonthlyConsProfile] = useState(new Array(12).fill(200));
+  const [monthlyConsProfile, setMonthlyConsProfile] = useState(initialParams.monthlyConsProfile);
+
+  const [hourlyLoadProfile, setHourlyLoadProfile] = useState(initialParams.hourlyLoadProfile);
+  const [hourlyLoadMeta, setHourlyLoadMeta] = useState(initialParams.hourlyLoadMeta);
+  const [hourlyImportError, setHourlyImportError] = useState(null);
+  const [nightConsumption, setNightConsumption] = useState(initialParams.nightConsumption);
+
+  // Settlement (net-billing)
+  const [settlementMode, setSettlementMode] = useState(initialParams.settlementMode);
+  const [salePrices, setSalePrices] = useState(initialParams.salePrices);
+  const [salePricesError, setSalePricesError] = useState(null);
+  const [annualGridImport, setAnnualGridImport] = useState(initialParams.annualGridImport);
+  const [depositCoefficient, setDepositCoefficient] = useState(initialParams.depositCoefficient);
+  const [depositExpiryMonths, setDepositExpiryMonths] = useState(initialParams.depositExpiryMonths);
+  const [refundCapPercent, setRefundCapPercent] = useState(initialParams.refundCapPercent);
+  const [existingInstallationPower, setExistingInstallationPower] = useState(initialParams.existingInstallationPower);
+  const [energyBankMonths, setEnergyBankMonths] = useState(initialParams.energyBankMonths);
 
   // Prices
-  const [energyPriceBuy, setEnergyPriceBuy] = useState(0.70); 
-  const [energyPriceSell, setEnergyPriceSell] = useState(0.25); 
+  const [energyPriceBuy, setEnergyPriceBuy] = useState(initialParams.energyPriceBuy);
+  const [tariff, setTariff] = useState(initialParams.tariff);
+  const [energyPriceSell, setEnergyPriceSell] = useState(initialParams.energyPriceSell);
 
   const [activeTab, setActiveTab] = useState('input');
+
+  // Scenario comparison charts: chosen view and scenarios hidden from them (also in the PDF report)
+  const [comparisonView, setComparisonView] = useState('best');
+  const [hiddenComparisonIds, setHiddenComparisonIds] = useState([]);
+
+  // Sensitivity tab (view settings, not saved with the project)
+  const [sensitivityRanges, setSensitivityRanges] = useState(DEFAULT_SENSITIVITY_RANGES);
+  const [sensitivityMetric, setSensitivityMetric] = useState('netProfit');
+  const [gridRowDriver, setGridRowDriver] = useState('energyInflation');
+  const [gridColumnDriver, setGridColumnDriver] = useState('autoConsumption');
+  const [sensitivityMode, setSensitivityMode] = useState('tornado');
+
+  // Monte Carlo risk simulation, run in a Web Worker
+  const [monteCarloSettings, setMonteCarloSettings] = useState(DEFAULT_MONTE_CARLO);
+  const [monteCarloResult, setMonteCarloResult] = useState(null);
+  const [monteCarloProgress, setMonteCarloProgress] = useState(null);
+  const [monteCarloError, setMonteCarloError] = useState(null);
+  const monteCarloWorker = useRef(null);
+
+  // Goal seek for the selected scenario, solved on demand
+  const [goalSeekSettings, setGoalSeekSettings] = useState({ input: 'totalCost', target: 'payback', targetValue: 7, rivalId: null });
+  const [goalSeekResult, setGoalSeekResult] = useState(null);
   const [selectedScenarioId, setSelectedScenarioId] = useState(null); 
+  const [energyScenarioId, setEnergyScenarioId] = useState(null);
 
   // --- Initial Scenarios Setup ---
-  const [scenarios, setScenarios] = useState([
-    {
-      id: 1,
-      name: 'Pożyczka OZE', 
-      totalCost: 120000,
-      storageCost: 20000,
-      ownContribution: 0,
-      periodMonths: 120, 
-      graceMonths: 0,
-      rateType: 'fixed', 
-      fixedRate: 1.0,
-      margin: 0,
-      commissionPercent: 0,
-      otherCosts: [],
-      installmentType: 'equal', 
-      grantType: 'amount',
-      grantValue: 12000, // Pre-calculated: 10% of 120k loan (since storage > 12k)
-      manualProduction: 0 
-    },
-    {
-      id: 2,
-      name: 'Kredyt komercyjny',
-      totalCost: 120000,
-      storageCost: 20000,
-      ownContribution: 0, 
-      periodMonths: 120, 
-      graceMonths: 0,
-      rateType: 'wibor',
-      fixedRate: 0,
-      margin: 2.5,
-      commissionPercent: 2.0,
-      otherCosts: [],
-      installmentType: 'equal',
-      grantType: 'amount',
-      grantValue: 0,
-      manualProduction: 0
-    },
-    {
-      id: 3,
-      name: 'Środki własne',
-      totalCost: 120000,
-      storageCost: 20000,
-      ownContribution: 120000, 
-      periodMonths: 1, 
-      graceMonths: 0,
-      rateType: 'fixed',
-      fixedRate: 0,
-      margin: 0,
-      commissionPercent: 0,
-      otherCosts: [],
-      installmentType: 'equal',
-      grantType: 'amount',
-      grantValue: 0,
-      manualProduction: 0
-    }
-  ]);
+  const [scenarios, setScenarios] = useState(initialProject.project.scenarios);
 
   // --- Handlers ---
 
-  const handlePrint = () => {
-    window.print();
+  const [reportStatus, setReportStatus] = useState(null);
+  const [showExportMenu, setShowExportMenu] = useState(false);
+
+  // Client-side PDF report of the whole project (all scenarios, not only the active tab)
+  const handleDownloadReport = async () => {
+    setReportStatus('generating');
+    try {
+      await downloadOfferReport(currentProject, { hiddenScenarioIds: hiddenComparisonIds });
+      setReportStatus(null);
+    } catch (error) {
+      console.warn("Failed to generate report:", error);
+      setReportStatus(null);
+      setProjectError(`Nie udało się wygenerować raportu: ${error.message}`);
+    }
   };
 
-  const calculatedProduction = useMemo(() => {
-    return installationPower * productionPerKw;
-  }, [installationPower, productionPerKw]);
+  // All global inputs in the engine's project format
+  const params = useMemo(() => ({
+    globalWibor,
+    referenceRate,
+    ratePath,
+    rateShock,
+    ratePathValues,
+    energyInflation,
+    installationPower,
+    location,
+    latitude,
+    longitude,
+    panelTilt,
+    panelAzimuth,
+    shadingLosses,
+    systemLosses,
+    productionImport,
+    energyPriceBuy,
+    energyPriceSell,
+    tariff,
+    consMethod,
+    autoConsPercent,
+    fixedConsValue,
+    fixedConsPeriod,
+    monthlyConsProfile,
+    hourlyLoadProfile,
+    hourlyLoadMeta,
+    nightConsumption,
+    simulationYears,
+    degradationRate,
+    replacements,
+    discountRate,
+    bestOptionMetric,
+    settlementMode,
+    salePrices,
+    annualGridImport,
+    depositCoefficient,
+    depositExpiryMonths,
+    refundCapPercent,
+    existingInstallationPower,
+    energyBankMonths,
+    taxpayerType,
+    incomeTaxRate,
+    depreciationRate,
+    thermoReliefLimit,
+    annualTaxableIncome,
+    benchmarkType,
+    depositRate,
+    bondFirstYearRate,
+    bondMargin,
+    expectedInflation,
+    customReturnRate,
+    capitalGainsTaxRate
+  }), [globalWibor, referenceRate, ratePath, rateShock, ratePathValues, energyInflation, installationPower, location, latitude, longitude, panelTilt, panelAzimuth, shadingLosses, systemLosses, productionImport, energyPriceBuy, energyPriceSell, tariff, consMethod, autoConsPercent, fixedConsValue, fixedConsPeriod, monthlyConsProfile, hourlyLoadProfile, hourlyLoadMeta, nightConsumption, simulationYears, degradationRate, replacements, discountRate, bestOptionMetric, settlementMode, salePrices, annualGridImport, depositCoefficient, depositExpiryMonths, refundCapPercent, existingInstallationPower, energyBankMonths, taxpayerType, incomeTaxRate, depreciationRate, thermoReliefLimit, annualTaxableIncome, benchmarkType, depositRate, bondFirstYearRate, bondMargin, expectedInflation, customReturnRate, capitalGainsTaxRate]);
 
   // Updated Monthly Stats to strictly respect selected method
-  const monthlyStats = useMemo(() => {
-    return MONTHLY_PATTERN_PER_KWP.map((m, index) => {
-        const production = m.value * installationPower; 
-        let consumptionDemand = 0;
-
-        // Exclusive logic depending on method
-        if (consMethod === 'percent') {
-            consumptionDemand = production * (autoConsPercent / 100);
-        } else if (consMethod === 'fixed') {
-            if (fixedConsPeriod === 'daily') {
-                consumptionDemand = fixedConsValue * DAYS_IN_MONTH[index];
-            } else if (fixedConsPeriod === 'monthly') {
-                consumptionDemand = fixedConsValue;
-            } else {
-                consumptionDemand = fixedConsValue / 12;
-            }
-        } else if (consMethod === 'monthly') {
-            consumptionDemand = parseFloat(monthlyConsProfile[index]) || 0;
-        }
-
-        // Logic check: Consumption cannot exceed Production in strict Net-Billing autoconsumption calc
-        const consumed = Math.min(production, consumptionDemand);
-        const sold = Math.max(0, production - consumed);
-        
-        const valueSaved = consumed * energyPriceBuy;
-        const valueSold = sold * energyPriceSell;
-        const totalValue = valueSaved + valueSold;
-
-        return {
-            ...m,
-            production,
-            consumptionDemand,
-            consumed,
-            sold,
-            valueSaved,
-            valueSold,
-            totalValue
-        };
-    });
-  }, [installationPower, consMethod, autoConsPercent, fixedConsValue, fixedConsPeriod, monthlyConsProfile, energyPriceBuy, energyPriceSell]);
+  const monthlyStats = useMemo(() => calculateMonthlyStats(params), [params]);
+  const calculatedProduction = Math.round(sumMonthlyStats(monthlyStats, 'production'));
 
-  const effectiveAutoConsumptionPercent = useMemo(() => {
-      const totalProd = monthlyStats.reduce((sum, item) => sum + item.production, 0);
-      const totalCons = monthlyStats.reduce((sum, item) => sum + item.consumed, 0);
-      return totalProd > 0 ? (totalCons / totalProd) * 100 : 0;
-  }, [monthlyStats]);
+  const effectiveAutoConsumptionPercent = useMemo(() => calculateEffectiveAutoConsumption(monthlyStats), [monthlyStats]);
 
   // Calculate annual totals for breakdown display
-  const annualSavings = useMemo(() => monthlyStats.reduce((sum, item) => sum + item.valueSaved, 0), [monthlyStats]);
-  const annualRevenue = useMemo(() => monthlyStats.reduce((sum, item) => sum + item.valueSold, 0), [monthlyStats]);
+  const annualSavings = useMemo(() => sumMonthlyStats(monthlyStats, 'valueSaved'), [monthlyStats]);
+  const annualRevenue = useMemo(() => sumMonthlyStats(monthlyStats, 'valueSold'), [monthlyStats]);
 
   const updateMonthlyProfile = (index, value) => {
       const newProfile = [...monthlyConsProfile];
@@ -397,26 +408,265 @@ export default function App() {
       setMonthlyConsProfile(newProfile);
   };
 
+  const importHourlyProfile = async (file) => {
+      if (!file) return;
+      try {
+          const { hourly, ...meta } = parseLoadProfileCsv(await file.text());
+          setHourlyLoadProfile(hourly);
+          setHourlyLoadMeta({ ...meta, fileName: file.name });
+          setHourlyImportError(null);
+      } catch (error) {
+          console.warn("Failed to import load profile:", error);
+          setHourlyImportError(error.message);
+      }
+  };
+
+  const importSalePrices = async (file) => {
+      if (!file) return;
+      try {
+          const table = parseSalePrices(await file.text());
+          setSalePrices({ ...table, fileName: file.name });
+          setSalePricesError(null);
+      } catch (error) {
+          console.warn("Failed to import sale prices:", error);
+          setSalePricesError(error.message);
+      }
+  };
+
+  // Production file is parsed into a preview first and replaces the estimate only after confirmation
+  const previewProductionFile = async (file) => {
+      if (!file) return;
+      try {
+          const preview = parseProductionFile(await file.text());
+          setProductionPreview({ ...preview, fileName: file.name, peakPower: preview.peakPower || installationPower });
+          setProductionImportError(null);
+      } catch (error) {
+          console.warn("Failed to import production:", error);
+          setProductionPreview(null);
+          setProductionImportError(error.message);
+      }
+  };
+
+  const applyProductionImport = () => {
+      setProductionImport(productionPreview);
+      setProductionPreview(null);
+  };
+
+  // --- Projects ---
+
+  const currentProject = { name: projectName, offer, params, scenarios };
+  const updateOffer = (field, value) => setOffer({ ...offer, [field]: value });
+
+  const paramSetters = {
+    globalWibor: setRateValue,
+    referenceRate: selectReferenceRate,
+    ratePath: setRatePath,
+    rateShock: setRateShock,
+    ratePathValues: setRatePathValues,
+    energyInflation: setEnergyInflation,
+    installationPower: setInstallationPower,
+    location: setLocation,
+    latitude: setLatitude,
+    longitude: setLongitude,
+    panelTilt: setPanelTilt,
+    panelAzimuth: setPanelAzimuth,
+    shadingLosses: setShadingLosses,
+    systemLosses: setSystemLosses,
+    productionImport: setProductionImport,
+    energyPriceBuy: setEnergyPriceBuy,
+    energyPriceSell: setEnergyPriceSell,
+    tariff: setTariff,
+    consMethod: setConsMethod,
+    autoConsPercent: setAutoConsPercent,
+    fixedConsValue: setFixedConsValue,
+    fixedConsPeriod: setFixedConsPeriod,
+    monthlyConsProfile: setMonthlyConsProfile,
+    hourlyLoadProfile: setHourlyLoadProfile,
+    hourlyLoadMeta: setHourlyLoadMeta,
+    nightConsumption: setNightConsumption,
+    simulationYears: setSimulationYears,
+    degradationRate: setDegradationRate,
+    replacements: setReplacements,
+    discountRate: setDiscountRate,
+    bestOptionMetric: setBestOptionMetric,
+    settlementMode: setSettlementMode,
+    salePrices: setSalePrices,
+    annualGridImport: setAnnualGridImport,
+    depositCoefficient: setDepositCoefficient,
+    depositExpiryMonths: setDepositExpiryMonths,
+    refundCapPercent: setRefundCapPercent,
+    existingInstallationPower: setExistingInstallationPower,
+    energyBankMonths: setEnergyBankMonths,
+    taxpayerType: setTaxpayerType,
+    incomeTaxRate: setIncomeTaxRate,
+    depreciationRate: setDepreciationRate,
+    thermoReliefLimit: setThermoReliefLimit,
+    annualTaxableIncome: setAnnualTaxableIncome,
+    benchmarkType: setBenchmarkType,
+    depositRate: setDepositRate,
+    bondFirstYearRate: setBondFirstYearRate,
+    bondMargin: setBondMargin,
+    expectedInflation: setExpectedInflation,
+    customReturnRate: setCustomReturnRate,
+    capitalGainsTaxRate: setCapitalGainsTaxRate
+  };
+
+  // The tax rate follows the taxpayer type (PIT 12% / CIT 19%), it can be edited afterwards
+  const changeTaxpayerType = (type) => {
+    setTaxpayerType(type);
+    const { defaultRate } = taxpayerTypeInfo(type);
+    if (defaultRate !== undefined) setIncomeTaxRate(defaultRate);
+  };
+
+  // Content of the open project when it was opened; autosave starts with the first change to it, so an untouched
+  // new project leaves no entry in the list. CAPTURE_CONTENT: taken from the next render.
+  const openedContentRef = useRef(CAPTURE_CONTENT);
+
+  // Replaces the whole calculator state with a (migrated) project.
+  // `unsaved`: the project is not stored in the browser yet (import, shared link) and is saved right away.
+  const openProjectState = (id, project, { unsaved = false } = {}) => {
+    openedContentRef.current = unsaved ? null : CAPTURE_CONTENT;
+    Object.entries(paramSetters).forEach(([key, setter]) => setter(project.params[key]));
+    setScenarios(project.scenarios);
+    setProjectId(id);
+    setProjectName(project.name);
+    setOffer(project.offer);
+    setSelectedScenarioId(null);
+    setEnergyScenarioId(null);
+    setHiddenComparisonIds([]);
+    setProductionPreview(null);
+    setHourlyImportError(null);
+    setSalePricesError(null);
+    setProductionImportError(null);
+    setProjectError(null);
+    setShareLinkWarning(null);
+    setLastSavedAt(null);
+    setAutosaveError(null);
+  };
+
+  // The hash listener is registered once and opens links with the latest state setters
+  const openProjectRef = useRef(openProjectState);
+  useEffect(() => {
+    openProjectRef.current = openProjectState;
+  });
+
+  const refreshProjectList = () => setSavedProjects(listProjects());
+
+  const newProject = () => {
+    openProjectState(newProjectId(), { name: '', offer: DEFAULT_OFFER, params: DEFAULT_PARAMS, scenarios: DEFAULT_SCENARIOS });
+  };
+
+  const openProject = (id) => {
+    try {
+      const project = loadProject(id);
+      if (!project) throw new Error('Projekt nie istnieje.');
+      openProjectState(id, project);
+      setShowProjectList(false);
+    } catch (error) {
+      console.warn("Failed to open project:", error);
+      setProjectError(error.message);
+    }
+  };
+
+  const copyProject = (id) => {
+    try {
+      if (id === projectId) saveProject(projectId, currentProject);
+      duplicateProject(id);
+    } catch (error) {
+      setProjectError(error.message);
+    }
+    refreshProjectList();
+  };
+
+  const removeProject = (id) => {
+    const entry = savedProjects.find(p => p.id === id);
+    if (!window.confirm(`Usunąć projekt „${entry?.name || 'Bez nazwy'}”?`)) return;
+    deleteProject(id);
+    if (id === projectId) newProject();
+    refreshProjectList();
+  };
+
+  const exportProject = () => {
+    const file = serializeProject(currentProject);
+    downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), `${safeFileName(projectName, 'projekt')}.json`);
+  };
+
+  const importProject = async (file) => {
+    if (!file) return;
+    try {
+      openProjectState(newProjectId(), parseProjectFile(await file.text()), { unsaved: true });
+    } catch (error) {
+      console.warn("Failed to import project:", error);
+      setProjectError(error.message);
+    }
+  };
+
+  // Share link: the whole project in the URL hash, opened as a new local project
+  const copyShareLink = async () => {
+    try {
+      const token = await encodeShareToken(currentProject);
+      const url = `${window.location.origin}${window.location.pathname}#${SHARE_HASH_KEY}=${token}`;
+      setShareLinkWarning(url.length > SHARE_LINK_MAX_LENGTH
+        ? `Link ma ${url.length.toLocaleString('pl-PL')} znaków (profil godzinowy) – część programów pocztowych i komunikatorów go utnie. Bezpieczniej wyślij plik projektu (Eksport JSON).`
+        : null);
+      try {
+        await navigator.clipboard.writeText(url);
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 2000);
+      } catch {
+        window.prompt('Skopiuj link do projektu:', url);
+      }
+    } catch (error) {
+      console.warn("Failed to create share link:", error);
+      setProjectError(error.message);
+    }
+  };
+
+  useEffect(() => {
+    const openSharedProject = async () => {
+      const token = shareTokenFromHash(window.location.hash);
+      if (!token) return;
+      try {
+        openProjectRef.current(newProjectId(), await decodeShareToken(token), { unsaved: true });
+      } catch (error) {
+        console.warn("Failed to open shared project:", error);
+        setProjectError(error.message);
+      }
+      // The link is consumed; reloading keeps the autosaved copy
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+    };
+    openSharedProject();
+    window.addEventListener('hashchange', openSharedProject);
+    return () => window.removeEventListener('hashchange', openSharedProject);
+  }, []);
+
+  // Autosave: the open project is written to the browser shortly after the last change. Failures are reported
+  // apart from the import / open errors, which a later successful save must not hide.
+  useEffect(() => {
+    // A value that follows the quote is not an edit of the project
+    const content = JSON.stringify({ projectName, offer, params: { ...params, globalWibor: rateFollowsQuote ? null : params.globalWibor }, scenarios });
+    if (openedContentRef.current === CAPTURE_CONTENT) openedContentRef.current = content;
+    if (content === openedContentRef.current) return;
+    openedContentRef.current = null;
+
+    const timer = setTimeout(() => {
+      try {
+        const entry = saveProject(projectId, { name: projectName, offer, params, scenarios });
+        setLastSavedAt(entry.updatedAt);
+        setAutosaveError(null);
+        refreshProjectList();
+      } catch (error) {
+        setAutosaveError(error.message);
+      }
+    }, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [projectId, projectName, offer, params, scenarios, rateFollowsQuote]);
+
   const addScenario = () => {
     const newId = Math.max(...scenarios.map(s => s.id), 0) + 1;
-    setScenarios([...scenarios, {
-      id: newId,
-      name: `Opcja #${newId}`,
-      totalCost: scenarios[0]?.totalCost || 120000,
-      storageCost: 0,
-      ownContribution: 0,
-      periodMonths: 60,
-      graceMonths: 0,
-      rateType: 'wibor',
-      fixedRate: 8.0,
-      margin: 2.0,
-      commissionPercent: 1.0,
-      otherCosts: [],
-      installmentType: 'equal',
-      grantType: 'amount',
-      grantValue: 0,
-      manualProduction: 0
-    }]);
+    setScenarios([...scenarios, createScenario(newId, {
+      totalCost: scenarios[0]?.totalCost || 120000
+    })]);
   };
 
   const removeScenario = (id) => {
@@ -426,106 +676,181 @@ export default function App() {
   };
 
   const updateScenario = (id, field, value) => {
-    setScenarios(prevScenarios => {
-        const currentScenario = prevScenarios.find(s => s.id === id);
-        const isMaster = currentScenario.name.includes('OZE');
-        
-        let newScenarios = prevScenarios.map(s => {
-            if (s.id === id) {
-                return { ...s, [field]: value };
-            }
-            if (isMaster && (field === 'totalCost' || field === 'storageCost')) {
-                return { ...s, [field]: value };
-            }
-            return s;
-        });
-
-        return newScenarios.map(s => {
-            let updatedS = { ...s };
-
-            if (updatedS.name.toLowerCase().includes('własne') || updatedS.name.toLowerCase().includes('gotówka')) {
-                updatedS.ownContribution = updatedS.totalCost;
-            }
-
-            // Logic for "Pożyczka OZE" (Grant calculation)
-            if (updatedS.name.includes('OZE')) {
-                const storageVal = parseFloat(updatedS.storageCost) || 0;
-                if (storageVal > 0) {
-                    const loanVal = Math.max(0, updatedS.totalCost - updatedS.ownContribution);
-                    // 10% of Loan
-                    let calculatedGrant = loanVal * 0.10;
-                    
-                    // Cap grant at storage cost
-                    if (calculatedGrant > storageVal) {
-                        calculatedGrant = storageVal;
-                    }
-
-                    updatedS.grantType = 'amount';
-                    updatedS.grantValue = calculatedGrant;
-                }
-            }
-
-            return updatedS;
-        });
-    });
+    setScenarios(prevScenarios => updateScenarioField(prevScenarios, id, field, value));
   };
 
-  const addOtherCost = (scenarioId) => {
-    setScenarios(scenarios.map(s => {
-      if (s.id === scenarioId) {
-        return {
-          ...s,
-          otherCosts: [...s.otherCosts, { id: Date.now(), name: 'Dodatek', value: 0 }]
-        };
-      }
-      return s;
-    }));
+  const updateProductType = (id, productType) => {
+    setScenarios(prevScenarios => prevScenarios.map(s => (s.id === id ? changeProductType(s, productType) : s)));
   };
 
-  const updateOtherCost = (scenarioId, costId, field, value) => {
-    setScenarios(scenarios.map(s => {
+  const updateStorage = (scenarioId, field, value) => {
+    setScenarios(prevScenarios => prevScenarios.map(s => {
       if (s.id === scenarioId) {
-        const newCosts = s.otherCosts.map(c => c.id === costId ? { ...c, [field]: value } : c);
-        return { ...s, otherCosts: newCosts };
+        return { ...s, storage: { ...s.storage, [field]: value } };
       }
       return s;
     }));
   };
 
-  const removeOtherCost = (scenarioId, costId) => {
-    setScenarios(scenarios.map(s => {
-      if (s.id === scenarioId) {
-        return { ...s, otherCosts: s.otherCosts.filter(c => c.id !== costId) };
-      }
-      return s;
-    }));
+  const addReplacement = () => {
+    setReplacements([...replacements, { id: Date.now(), name: 'Wymiana magazynu energii', year: 10, cost: 0 }]);
   };
 
-  const fetchWibor = () => {
-    alert("Pobrano aktualną stawkę WIBOR 3M z NBP (symulacja).");
-    setGlobalWibor(4.27);
+  const updateReplacement = (replacementId, field, value) => {
+    setReplacements(replacements.map(r => r.id === replacementId ? { ...r, [field]: value } : r));
   };
 
-  const globalParams = {
-    globalWibor,
-    energyPriceBuy,
-    energyPriceSell,
-    energyInflation,
-    productionPerKw,
-    installationPower,
-    effectiveAutoConsumptionPercent,
-    autoConsumption: effectiveAutoConsumptionPercent
+  const removeReplacement = (replacementId) => {
+    setReplacements(replacements.filter(r => r.id !== replacementId));
+  };
+
+  const updateTariffZone = (zoneId, field, value) => {
+    setTariff({ ...tariff, zones: tariff.zones.map(z => z.id === zoneId ? { ...z, [field]: value } : z) });
+  };
+
+  const updateTariffFixedCharge = (chargeId, value) => {
+    setTariff({ ...tariff, fixedCharges: tariff.fixedCharges.map(c => c.id === chargeId ? { ...c, value } : c) });
   };
 
+  const rateStale = rateQuote?.quote ? isRateStale(rateQuote.quote) : false;
+  const formatRateDate = (date) => (date ? new Date(date).toLocaleDateString('pl-PL') : 'brak daty');
+  // Age of the quote; the file shipped with the app may be months old
+  const rateAge = rateQuote?.quote ? rateAgeDays(rateQuote.quote) : null;
+  const rateAgeLabel = rateAge === null ? '' : rateAge === 0 ? 'dzisiaj' : rateAge === 1 ? 'wczoraj' : `${rateAge} dni temu`;
+  const rateShortLabel = rateOverride
+    ? 'wpisany ręcznie'
+    : !rateFollowsQuote ? 'z projektu'
+    : rateQuote?.quote ? `${formatRateDate(rateQuote.quote.asOf)}${rateQuote.quote.source === 'static' && rateAgeLabel ? ` (${rateAgeLabel})` : ''} · ${rateQuote.quote.sourceLabel}` : rateStatus === 'loading' ? 'pobieranie…' : 'brak notowania';
+
   const results = useMemo(() => {
-    return scenarios.map(s => calculateOzeMetrics(s, globalParams));
-  }, [scenarios, globalParams]);
+    return scenarios.map(s => calculateScenarioResult(s, params, monthlyStats));
+  }, [scenarios, params, monthlyStats]);
 
   const bestOption = useMemo(() => {
-    return results.reduce((prev, curr) => 
-      (prev.summary.totalProjectCost < curr.summary.totalProjectCost) ? prev : curr
-    );
-  }, [results]);
+    return pickBestOption(results, bestOptionMetric);
+  }, [results, bestOptionMetric]);
+
+  const horizonYears = bestOption.summary.simulationYears;
+  const selectedResult = results.find(r => r.id === selectedScenarioId);
+  const selectedLoanYears = useMemo(() => loanScheduleByYear(selectedResult?.loanSchedule), [selectedResult]);
+
+  const scenarioColor = (id) => SCENARIO_COLORS[Math.max(0, results.findIndex(r => r.id === id)) % SCENARIO_COLORS.length];
+  const comparedResults = useMemo(() => results.filter(r => !hiddenComparisonIds.includes(r.id)), [results, hiddenComparisonIds]);
+  const toggleComparisonScenario = (id) => setHiddenComparisonIds(hiddenComparisonIds.includes(id)
+    ? hiddenComparisonIds.filter(hidden => hidden !== id)
+    : [...hiddenComparisonIds, id]);
+  const comparisonChartData = useMemo(() => ({
+    cumulative: yearlyComparison(comparedResults, 'cumulative'),
+    loanPayment: yearlyComparison(comparedResults, 'loanPayment'),
+    costs: costComparison(comparedResults)
+  }), [comparedResults]);
+
+  // Sensitivity reruns the engine many times, so only while its tab is open
+  const sensitivityScenario = activeTab === 'sensitivity' && sensitivityMode === 'tornado' ? scenarios.find(s => s.id === selectedScenarioId) : null;
+  const sensitivity = useMemo(() => {
+    if (!sensitivityScenario) return null;
+    return sensitivityAnalysis(params, sensitivityScenario, sensitivityRanges);
+  }, [params, sensitivityScenario, sensitivityRanges]);
+  const sensitivityTable = useMemo(() => {
+    if (!sensitivityScenario) return null;
+    return sensitivityGrid(params, sensitivityScenario, {
+      rowDriver: gridRowDriver,
+      rowDeltas: sensitivitySteps(sensitivityRanges[gridRowDriver]),
+      columnDriver: gridColumnDriver,
+      columnDeltas: sensitivitySteps(sensitivityRanges[gridColumnDriver])
+    });
+  }, [params, sensitivityScenario, sensitivityRanges, gridRowDriver, gridColumnDriver]);
+  // Payback beyond the horizon is plotted one year past it
+  const sensitivityValue = (point) => (sensitivityMetric === 'netProfit' ? point.netProfit : point.paybackYear ?? point.simulationYears + 1);
+  const formatSensitivityValue = (point) => (sensitivityMetric === 'netProfit'
+    ? formatCurrency(point.netProfit)
+    : point.paybackYear ? `${point.paybackYear} lat` : `> ${point.simulationYears} lat`);
+  const formatDelta = (value, unit) => `${value > 0 ? '+' : ''}${Number(value.toFixed(1)).toLocaleString('pl-PL')}${unit === '%' ? '%' : ' p.p.'}`;
+  const tornadoData = sensitivity ? sensitivity.drivers.map(d => ({
+    label: `${d.label} ±${d.range}${d.unit === '%' ? '%' : ' p.p.'}`,
+    low: sensitivityValue(d.low) - sensitivityValue(sensitivity.base),
+    high: sensitivityValue(d.high) - sensitivityValue(sensitivity.base)
+  })) : [];
+
+  const runMonteCarloSimulation = () => {
+    monteCarloWorker.current?.terminate();
+    const worker = new Worker(new URL('./monteCarloWorker.js', import.meta.url), { type: 'module' });
+    monteCarloWorker.current = worker;
+    const inputs = { params, scenarios };
+    setMonteCarloError(null);
+    setMonteCarloProgress({ done: 0, total: monteCarloSettings.iterations });
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        setMonteCarloProgress({ done: data.done, total: data.total });
+        return;
+      }
+      if (data.type === 'result') setMonteCarloResult({ ...data.result, inputs });
+      if (data.type === 'error') setMonteCarloError(data.message);
+      setMonteCarloProgress(null);
+      worker.terminate();
+      monteCarloWorker.current = null;
+    };
+    worker.onerror = (event) => {
+      setMonteCarloError(event.message || 'Symulacja przerwana.');
+      setMonteCarloProgress(null);
+      worker.terminate();
+      monteCarloWorker.current = null;
+    };
+    worker.postMessage({ ...inputs, settings: monteCarloSettings });
+  };
+
+  useEffect(() => () => monteCarloWorker.current?.terminate(), []);
+
+  const monteCarloStale = monteCarloResult && (monteCarloResult.inputs.params !== params || monteCarloResult.inputs.scenarios !== scenarios);
+  const formatPaybackPercentile = (value) => (value === null ? `> ${monteCarloResult.simulationYears} lat` : `${value} lat`);
+  const monteCarloHistogram = monteCarloResult ? monteCarloResult.histogram.map(bin => ({
+    label: `${Math.round((bin.from + bin.to) / 2000)}k`,
+    ...Object.fromEntries(monteCarloResult.scenarios.map((sc, i) => [`s${sc.id}`, bin.counts[i]]))
+  })) : [];
+
+  const goalSeekRivalId = scenarios.some(s => s.id === goalSeekSettings.rivalId && s.id !== selectedScenarioId)
+    ? goalSeekSettings.rivalId
+    : scenarios.find(s => s.id !== selectedScenarioId)?.id;
+  const changeGoalSeekTarget = (target) => {
+    const { defaultValue } = GOAL_SEEK_TARGETS.find(t => t.id === target);
+    setGoalSeekSettings({ ...goalSeekSettings, target, targetValue: defaultValue ?? goalSeekSettings.targetValue });
+  };
+  const runGoalSeek = () => {
+    const goal = { ...goalSeekSettings, scenarioId: selectedScenarioId, rivalId: goalSeekRivalId };
+    setGoalSeekResult({ ...goalSeek(params, scenarios, goal), goal, inputs: { params, scenarios } });
+  };
+  // Writes the solved value back: changed parameters through their setters, scenarios as a whole
+  const applyGoalSeekResult = () => {
+    const next = applyGoalSeek(params, scenarios, goalSeekResult.goal, goalSeekResult.value);
+    Object.entries(next.params).forEach(([key, value]) => {
+      if (value !== params[key]) paramSetters[key]?.(value);
+    });
+    setScenarios(next.scenarios);
+    setGoalSeekResult(null);
+  };
+  const goalSeekStale = goalSeekResult && (goalSeekResult.inputs.params !== params || goalSeekResult.inputs.scenarios !== scenarios);
+  const formatGoalSeekValue = (inputId, value) => {
+    const input = goalSeekInput(inputId);
+    return `${value.toLocaleString('pl-PL', { maximumFractionDigits: input.digits })} ${input.unit}`;
+  };
+  const formatGoalSeekPayback = (outcome) => (outcome.paybackYear ? `${outcome.paybackYear} lat` : `> ${horizonYears} lat`);
+
+  // Monthly balance shown in "Produkcja Miesięczna": without storage or with the selected scenario's battery
+  const storageResults = results.filter(r => r.storageComparison);
+  const displayedMonthlyStats = storageResults.find(r => r.id === energyScenarioId)?.monthlyStats || monthlyStats;
+  const showsStorage = displayedMonthlyStats !== monthlyStats;
+  const settlementResults = results.filter(r => r.settlementComparison);
+  const ratePathResults = results.filter(r => r.ratePathComparison);
+  const scenarioLease = (id) => results.find(r => r.id === id)?.summary.lease;
+
+  // Floating rates: index in the first loan month, and the loan years the custom path can cover
+  const startReferenceRate = referenceRateForMonth(params, 1);
+  const ratePathYears = Math.max(1, ...scenarios.filter(s => s.rateType !== 'fixed').map(s => Math.ceil((parseInt(s.periodMonths) || 0) / 12)));
+  const updateRatePathValue = (index, value) => {
+    const values = Array.from({ length: Math.max(ratePathValues.length, index + 1) }, (_, i) => ratePathValues[i] ?? null);
+    values[index] = value === '' ? null : parseFloat(value);
+    setRatePathValues(values);
+  };
 
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900 font-sans pb-12 print:bg-white print:pb-0">
@@ -554,12 +879,18 @@ export default function App() {
           
           <div className="flex gap-4 items-center print:hidden">
             <div className="flex items-center gap-2 bg-emerald-800 px-3 py-1.5 rounded-lg border border-emerald-700">
-                <span className="text-xs font-medium text-emerald-200">WIBOR 3M:</span>
+                <span className="text-xs font-medium text-emerald-200">{referenceRateInfo(referenceRate).label}:</span>
                 <input 
-                  type="number" value={globalWibor} onChange={(e) => setGlobalWibor(parseFloat(e.target.value))}
+                  type="number" value={globalWibor} onChange={(e) => changeGlobalWibor(parseFloat(e.target.value))}
                   className="w-14 bg-white text-slate-900 px-1 py-0.5 rounded text-center font-bold text-sm"
                 />
                 <span className="text-xs">%</span>
+                <span
+                  title={rateQuote?.error || undefined}
+                  className={`text-[10px] ${!rateFollowsQuote ? 'text-emerald-200' : rateStale || rateStatus === 'failed' ? 'text-amber-300' : 'text-emerald-300'}`}
+                >
+                  {rateShortLabel}
+                </span>
             </div>
 
              <div className="flex items-center gap-2 bg-emerald-800 px-3 py-1.5 rounded-lg border border-emerald-700">
@@ -572,12 +903,135 @@ export default function App() {
                 />
                 <span className="text-xs">% r/r</span>
             </div>
+
+             <div className="flex items-center gap-2 bg-emerald-800 px-3 py-1.5 rounded-lg border border-emerald-700">
+                <span className="text-xs font-medium text-emerald-200 flex items-center gap-1">
+                   Horyzont <Calendar className="w-3 h-3" />
+                </span>
+                <input 
+                  type="number" min={MIN_SIMULATION_YEARS} max={MAX_SIMULATION_YEARS} value={simulationYearsInput ?? simulationYears}
+                  onChange={(e) => {
+                    setSimulationYearsInput(e.target.value);
+                    const years = Number(e.target.value);
+                    if (Number.isInteger(years) && years === clampSimulationYears(years)) setSimulationYears(years);
+                  }}
+                  onBlur={() => setSimulationYearsInput(null)}
+                  className="w-14 bg-white text-slate-900 px-1 py-0.5 rounded text-center font-bold text-sm"
+                />
+                <span className="text-xs">lat</span>
+            </div>
+
+             <div className="flex items-center gap-2 bg-emerald-800 px-3 py-1.5 rounded-lg border border-emerald-700">
+                <span className="text-xs font-medium text-emerald-200">Stopa dyskonta:</span>
+                <input 
+                  type="number" step="0.1" value={discountRate} onChange={(e) => setDiscountRate(parseFloat(e.target.value))}
+                  className="w-14 bg-white text-slate-900 px-1 py-0.5 rounded text-center font-bold text-sm"
+                />
+                <span className="text-xs">%</span>
+            </div>
           </div>
         </div>
       </header>
 
       <main className="max-w-7xl mx-auto p-4 md:p-6 grid grid-cols-1 lg:grid-cols-12 gap-6 mt-6">
         
+        {/* Project Bar */}
+        <div className="lg:col-span-12 print:hidden">
+            <Card>
+                <div className="p-3 flex flex-col md:flex-row md:items-center gap-3">
+                    <div className="flex items-center gap-2 flex-1">
+                        <FolderOpen className="w-5 h-5 text-emerald-600 shrink-0" />
+                        <input 
+                            type="text" value={projectName} onChange={(e) => setProjectName(e.target.value)}
+                            placeholder="Nazwa projektu (np. klient, adres)"
+                            className="flex-1 p-1.5 border border-slate-300 rounded text-sm font-bold"
+                        />
+                        <span className="text-[10px] text-slate-400 whitespace-nowrap">
+                            {lastSavedAt ? `Zapisano ${new Date(lastSavedAt).toLocaleTimeString('pl-PL')}` : 'Autozapis w przeglądarce'}
+                        </span>
+                    </div>
+                    <div className="flex flex-wrap gap-2 text-xs font-bold">
+                        <button onClick={() => setShowOfferDetails(!showOfferDetails)} className={`flex items-center gap-1 px-2 py-1.5 rounded ${showOfferDetails ? 'bg-emerald-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}>
+                            <User className="w-4 h-4" /> Dane klienta
+                        </button>
+                        <button onClick={newProject} className="flex items-center gap-1 px-2 py-1.5 rounded bg-slate-100 text-slate-600 hover:bg-slate-200">
+                            <FilePlus className="w-4 h-4" /> Nowy
+                        </button>
+                        <button onClick={() => copyProject(projectId)} className="flex items-center gap-1 px-2 py-1.5 rounded bg-slate-100 text-slate-600 hover:bg-slate-200">
+                            <Copy className="w-4 h-4" /> Duplikuj
+                        </button>
+                        <button onClick={() => setShowProjectList(!showProjectList)} className={`flex items-center gap-1 px-2 py-1.5 rounded ${showProjectList ? 'bg-emerald-600 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'}`}>
+                            <FolderOpen className="w-4 h-4" /> Moje projekty ({savedProjects.length})
+                        </button>
+                        <button onClick={copyShareLink} className="flex items-center gap-1 px-2 py-1.5 rounded bg-slate-100 text-slate-600 hover:bg-slate-200">
+                            <Link className="w-4 h-4" /> {linkCopied ? 'Skopiowano!' : 'Kopiuj link'}
+                        </button>
+                        <button onClick={exportProject} className="flex items-center gap-1 px-2 py-1.5 rounded bg-slate-100 text-slate-600 hover:bg-slate-200">
+                            <Download className="w-4 h-4" /> Eksport JSON
+                        </button>
+                        <label className="flex items-center gap-1 px-2 py-1.5 rounded bg-slate-100 text-slate-600 hover:bg-slate-200 cursor-pointer">
+                            <Upload className="w-4 h-4" /> Import JSON
+                            <input 
+                                type="file" accept=".json,application/json" className="hidden"
+                                onChange={(e) => { importProject(e.target.files[0]); e.target.value = ''; }}
+                            />
+                        </label>
+                    </div>
+                </div>
+                {shareLinkWarning && (
+                    <div className="px-3 pb-2 text-xs text-amber-600">{shareLinkWarning}</div>
+                )}
+                {projectError && (
+                    <div className="px-3 pb-2 text-xs text-red-500">{projectError}</div>
+                )}
+                {autosaveError && (
+                    <div className="px-3 pb-2 text-xs text-red-500">{autosaveError}</div>
+                )}
+                {showOfferDetails && (
+                    <div className="border-t border-slate-100 p-3 grid grid-cols-1 md:grid-cols-4 gap-3">
+                        {[
+                            ['clientName', 'Klient', 'Imię i nazwisko / firma'],
+                            ['clientAddress', 'Adres instalacji', 'Ulica, miejscowość'],
+                            ['clientContact', 'Kontakt', 'Telefon lub e-mail'],
+                            ['preparedBy', 'Przygotował(a)', 'Doradca']
+                        ].map(([field, label, placeholder]) => (
+                            <div key={field}>
+                                <label className="text-[10px] uppercase text-slate-400 font-bold">{label}</label>
+                                <input 
+                                    type="text" value={offer[field]} placeholder={placeholder}
+                                    onChange={(e) => updateOffer(field, e.target.value)}
+                                    className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                                />
+                            </div>
+                        ))}
+                        <div className="md:col-span-4 text-[10px] text-slate-400 italic">Dane klienta trafiają do raportu PDF i pliku projektu; nie wpływają na obliczenia.</div>
+                    </div>
+                )}
+                {showProjectList && (
+                    <div className="border-t border-slate-100 max-h-64 overflow-y-auto">
+                        {savedProjects.length === 0 && (
+                            <div className="p-3 text-xs text-slate-400 italic">Brak zapisanych projektów.</div>
+                        )}
+                        <table className="w-full text-xs">
+                            <tbody>
+                                {savedProjects.map(p => (
+                                    <tr key={p.id} className={`border-b border-slate-50 ${p.id === projectId ? 'bg-emerald-50' : 'hover:bg-slate-50'}`}>
+                                        <td className="p-2 font-bold text-slate-700">{p.name || 'Bez nazwy'}{p.id === projectId && <span className="ml-2 text-emerald-600 font-normal">(otwarty)</span>}</td>
+                                        <td className="p-2 text-slate-400">{new Date(p.updatedAt).toLocaleString('pl-PL')}</td>
+                                        <td className="p-2 text-right whitespace-nowrap">
+                                            <button onClick={() => openProject(p.id)} disabled={p.id === projectId} className="px-2 py-1 text-emerald-700 hover:underline disabled:text-slate-300 disabled:no-underline">Otwórz</button>
+                                            <button onClick={() => copyProject(p.id)} className="px-2 py-1 text-slate-600 hover:underline">Duplikuj</button>
+                                            <button onClick={() => removeProject(p.id)} className="px-2 py-1 text-red-500 hover:underline">Usuń</button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </Card>
+        </div>
+
         {/* TOP SECTION: Installation Params */}
         <div className="lg:col-span-12">
             <Card className="bg-gradient-to-r from-emerald-50 to-teal-50 border-emerald-200">
@@ -596,11 +1050,24 @@ export default function App() {
                                 />
                             </div>
                             <div className="text-sm text-slate-600 bg-white p-2 rounded border border-emerald-100 shadow-sm print:border-none print:shadow-none print:pl-0">
-                                <div className="text-xs text-slate-400 uppercase">Szacowana produkcja</div>
+                                <div className="text-xs text-slate-400 uppercase">{productionImport ? 'Produkcja z pliku' : 'Szacowana produkcja'}</div>
                                 <div className="font-bold flex items-center gap-2">
                                     <Zap className="w-4 h-4 text-yellow-500" />
                                     {calculatedProduction.toLocaleString()} kWh/rok
                                 </div>
+                                <div className="text-[10px] text-slate-400">
+                                    {installationPower > 0 ? Math.round(calculatedProduction / installationPower).toLocaleString() : 0} kWh/kWp
+                                </div>
+                            </div>
+                            <div>
+                                <label className="text-xs text-slate-500 font-bold uppercase flex items-center mb-1">
+                                    Degradacja paneli (%/rok)
+                                    <Tooltip text="Roczny spadek produkcji paneli. Typowo 0,4–0,7% rocznie według gwarancji producentów." />
+                                </label>
+                                <input 
+                                    type="number" step="0.1" min="0" value={degradationRate} onChange={(e) => setDegradationRate(parseFloat(e.target.value))}
+                                    className="w-full p-2 border border-slate-300 rounded print:border-none print:bg-transparent print:p-0"
+                                />
                             </div>
                         </div>
 
@@ -608,12 +1075,28 @@ export default function App() {
                         <div className="space-y-3">
                              <div>
                                 <label className="text-xs text-slate-500 font-bold uppercase block mb-1">
-                                    Cena zakupu energii
+                                    Taryfa
+                                </label>
+                                <select 
+                                    value={tariff ? tariff.id : ''} onChange={(e) => setTariff(createTariff(e.target.value))}
+                                    className="w-full p-2 border border-slate-300 rounded text-sm bg-white print:border-none print:p-0"
+                                >
+                                    <option value="">Stała cena zakupu</option>
+                                    {TARIFFS.map(t => (
+                                        <option key={t.id} value={t.id}>{t.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                             <div>
+                                <label className="text-xs text-slate-500 font-bold uppercase block mb-1">
+                                    {tariff ? 'Cena zakupu (wg taryfy, średnio)' : 'Cena zakupu energii'}
                                 </label>
                                 <div className="flex items-center">
                                     <input 
-                                        type="number" step="0.01" value={energyPriceBuy} onChange={(e) => setEnergyPriceBuy(parseFloat(e.target.value))}
-                                        className="w-full p-2 border border-slate-300 rounded-l print:border-none print:bg-transparent print:p-0"
+                                        type="number" step="0.01" disabled={!!tariff}
+                                        value={tariff ? calculateEffectiveBuyPrice(monthlyStats, energyPriceBuy).toFixed(2) : energyPriceBuy}
+                                        onChange={(e) => setEnergyPriceBuy(parseFloat(e.target.value))}
+                                        className="w-full p-2 border border-slate-300 rounded-l disabled:bg-slate-100 disabled:text-slate-500 print:border-none print:bg-transparent print:p-0"
                                     />
                                     <span className="bg-slate-200 px-3 py-2 rounded-r border border-l-0 border-slate-300 text-sm print:hidden">zł</span>
                                     <span className="hidden print:inline ml-1">zł/kWh</span>
@@ -621,7 +1104,7 @@ export default function App() {
                             </div>
                             <div>
                                 <label className="text-xs text-slate-500 font-bold uppercase block mb-1">
-                                    Cena sprzedaży (Net-billing)
+                                    {settlementMode === 'netBilling' ? 'Cena sprzedaży (gdy brak tabeli RCEm)' : settlementMode === 'netMetering' ? 'Cena sprzedaży (nie dotyczy opustów)' : 'Cena sprzedaży (Net-billing)'}
                                 </label>
                                 <div className="flex items-center">
                                     <input 
@@ -632,6 +1115,19 @@ export default function App() {
                                     <span className="hidden print:inline ml-1">zł/kWh</span>
                                 </div>
                             </div>
+                            <div>
+                                <label className="text-xs text-slate-500 font-bold uppercase block mb-1">
+                                    Rozliczenie energii oddanej
+                                </label>
+                                <select 
+                                    value={settlementMode} onChange={(e) => setSettlementMode(e.target.value)}
+                                    className="w-full p-2 border border-slate-300 rounded text-sm bg-white print:border-none print:p-0"
+                                >
+                                    {SETTLEMENT_MODES.map(m => (
+                                        <option key={m.id} value={m.id}>{m.label}</option>
+                                    ))}
+                                </select>
+                            </div>
                         </div>
 
                         {/* Autoconsumption Advanced */}
@@ -660,6 +1156,12 @@ export default function App() {
                                 >
                                     Profil miesięczny
                                 </button>
+                                <button 
+                                    onClick={() => setConsMethod('hourly')}
+                                    className={`flex-1 text-xs py-1.5 rounded transition-colors ${consMethod === 'hourly' ? 'bg-white shadow text-emerald-700 font-bold' : 'text-slate-500 hover:text-slate-700'}`}
+                                >
+                                    Profil godzinowy
+                                </button>
                             </div>
 
                             {/* Method Inputs */}
@@ -705,7 +1207,7 @@ export default function App() {
                                     Wpisz szacowane zużycie energii w godzinach produkcji (kWh) dla każdego miesiąca:
                                 </div>
                                 <div className="grid grid-cols-6 gap-1 max-h-24 overflow-y-auto print:max-h-none print:overflow-visible">
-                                    {MONTHLY_PATTERN_PER_KWP.map((m, idx) => (
+                                    {MONTHS.map((m, idx) => (
                                         <div key={m.id}>
                                             <label className="text-[9px] uppercase text-slate-400 text-center block">{m.name}</label>
                                             <input 
@@ -720,6 +1222,52 @@ export default function App() {
                                 </>
                             )}
 
+                            {consMethod === 'hourly' && (
+                                <div>
+                                    <div className="text-[10px] text-slate-500 mb-1 italic">
+                                        Wczytaj plik CSV z licznika (eLicznik / portal OSD) – dane godzinowe lub 15-minutowe. Produkcja jest symulowana godzina po godzinie.
+                                    </div>
+                                    <input 
+                                        type="file" accept=".csv,.txt"
+                                        onChange={(e) => importHourlyProfile(e.target.files[0])}
+                                        className="w-full text-xs text-slate-600 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:bg-emerald-100 file:text-emerald-700 print:hidden"
+                                    />
+                                    {hourlyImportError && (
+                                        <div className="text-xs text-red-500 mt-1">Błąd importu: {hourlyImportError}</div>
+                                    )}
+                                    {hourlyLoadMeta && (
+                                        <div className="text-[10px] text-slate-500 mt-1 grid grid-cols-2 gap-x-2">
+                                            <span className="col-span-2 font-bold text-slate-600 truncate">{hourlyLoadMeta.fileName}</span>
+                                            <span>Okres: {hourlyLoadMeta.from} – {hourlyLoadMeta.to}</span>
+                                            <span>Odczyty: {hourlyLoadMeta.records.toLocaleString()} (co {hourlyLoadMeta.intervalMinutes} min)</span>
+                                            <span>Zużycie roczne: {Math.round(hourlyLoadMeta.totalConsumption).toLocaleString()} kWh</span>
+                                            <span className={hourlyLoadMeta.coverage < 0.9 ? 'text-orange-500 font-bold' : ''}>
+                                                Pokrycie roku: {(hourlyLoadMeta.coverage * 100).toFixed(0)}%
+                                            </span>
+                                        </div>
+                                    )}
+                                    {!hourlyLoadProfile && !hourlyImportError && (
+                                        <div className="text-xs text-orange-500 mt-1">Brak profilu – autokonsumpcja wynosi 0%.</div>
+                                    )}
+                                </div>
+                            )}
+
+                            {consMethod !== 'hourly' && scenarios.some(s => s.storage.enabled) && (
+                                <div className="mt-2 flex items-center justify-between gap-2">
+                                    <label className="text-[10px] uppercase text-slate-400 font-bold flex items-center">
+                                        Zużycie poza godz. produkcji (magazyn)
+                                        <Tooltip text="Energia zużywana wieczorem i w nocy, którą może pokryć magazyn. Przy profilu godzinowym wynika z danych z licznika." />
+                                    </label>
+                                    <div className="flex items-center gap-1">
+                                        <input 
+                                            type="number" value={nightConsumption} onChange={(e) => setNightConsumption(parseFloat(e.target.value))}
+                                            className="w-20 p-1 border border-slate-300 rounded text-sm text-right print:border-none"
+                                        />
+                                        <span className="text-xs text-slate-400">kWh/dzień</span>
+                                    </div>
+                                </div>
+                            )}
+
                             {/* Summary Calculation */}
                             <div className="mt-3 pt-2 border-t border-dashed border-emerald-200">
                                 <div className="flex justify-between items-end mb-2">
@@ -741,48 +1289,656 @@ export default function App() {
                             </div>
                         </div>
                     </div>
-                </div>
-            </Card>
-        </div>
-
-        {/* Left Column: Financing Inputs - HIDDEN ON PRINT */}
-        <div className="lg:col-span-5 space-y-6 print:hidden">
-          <div className="flex justify-between items-center mb-2">
-            <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
-              <DollarSign className="w-5 h-5 text-emerald-600" />
-              Opcje Finansowania
-            </h2>
-            <button 
-              onClick={addScenario}
-              className="flex items-center gap-2 text-sm bg-emerald-600 text-white px-3 py-2 rounded-lg hover:bg-emerald-700 transition-all shadow-sm font-medium"
-            >
-              <Plus className="w-4 h-4" />
-              Dodaj opcję
-            </button>
-          </div>
 
-          <div className="space-y-4">
-            {scenarios.map((scenario, index) => (
-              <Card key={scenario.id} className="border-l-4 border-l-blue-500 relative">
-                <div className="p-4">
-                  <div className="flex justify-between items-start mb-4">
-                    <input 
-                      type="text" 
-                      value={scenario.name}
-                      onChange={(e) => updateScenario(scenario.id, 'name', e.target.value)}
-                      className="font-bold text-lg text-blue-900 bg-transparent border-b border-transparent hover:border-blue-200 focus:border-blue-500 focus:outline-none w-full mr-2"
-                      placeholder="Nazwa wariantu"
-                    />
-                    {scenarios.length > 1 && (
-                      <button 
-                        onClick={() => removeScenario(scenario.id)}
-                        className="text-slate-400 hover:text-red-500 transition-colors p-1"
-                      >
-                        <Trash2 className="w-4 h-4" />
+                    {/* Location & Orientation */}
+                    <div className="mt-4 pt-4 border-t border-emerald-200 grid grid-cols-2 md:grid-cols-6 gap-4">
+                        <div className="col-span-2">
+                            <label className="text-xs text-slate-500 font-bold uppercase flex items-center mb-1">
+                                Lokalizacja
+                                <Tooltip text="Nasłonecznienie z wbudowanych danych dla województw. Dla własnych współrzędnych wartości są interpolowane z najbliższych stacji." />
+                            </label>
+                            <select 
+                                value={location} onChange={(e) => setLocation(e.target.value)}
+                                className="w-full p-2 border border-slate-300 rounded text-sm bg-white print:border-none print:p-0"
+                            >
+                                {VOIVODESHIPS.map(v => (
+                                    <option key={v.id} value={v.id}>{v.label}</option>
+                                ))}
+                                <option value="custom">Własne współrzędne</option>
+                            </select>
+                            {location === 'custom' && (
+                                <div className="grid grid-cols-2 gap-2 mt-2">
+                                    <div>
+                                        <label className="text-[10px] uppercase text-slate-400 font-bold">Szerokość (°N)</label>
+                                        <input 
+                                            type="number" step="0.01" value={latitude} onChange={(e) => setLatitude(parseFloat(e.target.value))}
+                                            className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                        />
+                                    </div>
+                                    <div>
+                                        <label className="text-[10px] uppercase text-slate-400 font-bold">Długość (°E)</label>
+                                        <input 
+                                            type="number" step="0.01" value={longitude} onChange={(e) => setLongitude(parseFloat(e.target.value))}
+                                            className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                        />
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                        <div>
+                            <label className="text-xs text-slate-500 font-bold uppercase block mb-1">Nachylenie (°)</label>
+                            <input 
+                                type="number" min="0" max="90" value={panelTilt} onChange={(e) => setPanelTilt(parseFloat(e.target.value))}
+                                className="w-full p-2 border border-slate-300 rounded print:border-none print:bg-transparent print:p-0"
+                            />
+                        </div>
+                        <div>
+                            <label className="text-xs text-slate-500 font-bold uppercase flex items-center mb-1">
+                                Azymut (°)
+                                <Tooltip text="Odchylenie od kierunku południowego: 0° = południe, -90° = wschód, 90° = zachód." />
+                            </label>
+                            <input 
+                                type="number" min="-180" max="180" value={panelAzimuth} onChange={(e) => setPanelAzimuth(parseFloat(e.target.value))}
+                                className="w-full p-2 border border-slate-300 rounded print:border-none print:bg-transparent print:p-0"
+                            />
+                        </div>
+                        <div>
+                            <label className="text-xs text-slate-500 font-bold uppercase block mb-1">Zacienienie (%)</label>
+                            <input 
+                                type="number" min="0" max="100" value={shadingLosses} onChange={(e) => setShadingLosses(parseFloat(e.target.value))}
+                                className="w-full p-2 border border-slate-300 rounded print:border-none print:bg-transparent print:p-0"
+                            />
+                        </div>
+                        <div>
+                            <label className="text-xs text-slate-500 font-bold uppercase flex items-center mb-1">
+                                Straty systemu (%)
+                                <Tooltip text="Falownik, okablowanie, temperatura i zabrudzenie paneli. Typowo 12–16%." />
+                            </label>
+                            <input 
+                                type="number" min="0" max="100" value={systemLosses} onChange={(e) => setSystemLosses(parseFloat(e.target.value))}
+                                className="w-full p-2 border border-slate-300 rounded print:border-none print:bg-transparent print:p-0"
+                            />
+                        </div>
+                    </div>
+
+                    {/* Production Import */}
+                    <div className="mt-4 pt-4 border-t border-emerald-200">
+                        <label className="text-xs text-slate-500 font-bold uppercase flex items-center mb-1">
+                            Import produkcji (PVGIS / monitoring falownika)
+                            <Tooltip text="Wynik PVGIS (CSV lub JSON, miesięczny lub godzinowy) albo eksport z monitoringu falownika (dzienny, miesięczny lub godzinowy). Produkcja jest przeskalowana do mocy instalacji i zastępuje szacunek z lokalizacji; brakujące miesiące uzupełnia szacunek." />
+                        </label>
+                        <input 
+                            type="file" accept=".csv,.txt,.json"
+                            onChange={(e) => { previewProductionFile(e.target.files[0]); e.target.value = ''; }}
+                            className="w-full md:w-1/2 text-xs text-slate-600 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:bg-emerald-100 file:text-emerald-700 print:hidden"
+                        />
+                        {productionImportError && (
+                            <div className="text-xs text-red-500 mt-1">Błąd importu: {productionImportError}</div>
+                        )}
+
+                        {productionPreview && (
+                            <div className="mt-2 p-3 bg-white rounded border border-emerald-200 text-xs text-slate-600 print:hidden">
+                                <div className="font-bold text-slate-700 mb-1">Podgląd: {productionPreview.fileName}</div>
+                                <div className="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-1 mb-2">
+                                    <span>Format: {productionPreview.sourceLabel}</span>
+                                    <span>Kolumny: {productionPreview.columns.date} / {productionPreview.columns.value}</span>
+                                    <span>Jednostka: {productionPreview.unit}</span>
+                                    <span>Rekordy: {productionPreview.records.toLocaleString()}</span>
+                                    {productionPreview.from && <span>Okres: {productionPreview.from} – {productionPreview.to}</span>}
+                                    <span className={productionPreview.coverage < 0.9 ? 'text-orange-500 font-bold' : ''}>
+                                        Pokrycie roku: {(productionPreview.coverage * 100).toFixed(0)}%
+                                    </span>
+                                    <span className="font-bold">Suma: {Math.round(productionPreview.total).toLocaleString()} kWh</span>
+                                    <span className="flex items-center gap-1">
+                                        Moc w pliku:
+                                        <input 
+                                            type="number" step="0.1" min="0" value={productionPreview.peakPower}
+                                            onChange={(e) => setProductionPreview({ ...productionPreview, peakPower: parseFloat(e.target.value) })}
+                                            className="w-16 p-0.5 border border-slate-300 rounded text-right"
+                                        />
+                                        kWp
+                                    </span>
+                                </div>
+                                <div className="grid grid-cols-6 md:grid-cols-12 gap-1 mb-2">
+                                    {MONTHS.map((m, idx) => (
+                                        <div key={m.id} className="text-center">
+                                            <div className="text-[9px] uppercase text-slate-400">{m.name}</div>
+                                            <div className={productionPreview.monthly[idx] === null ? 'text-orange-500' : 'font-bold'}>
+                                                {productionPreview.monthly[idx] === null ? '–' : Math.round(productionPreview.monthly[idx]).toLocaleString()}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                                <div className="flex gap-2">
+                                    <button onClick={applyProductionImport} className="px-3 py-1 rounded bg-emerald-600 text-white font-bold hover:bg-emerald-700">Zastosuj</button>
+                                    <button onClick={() => setProductionPreview(null)} className="px-3 py-1 rounded bg-slate-100 text-slate-600 hover:bg-slate-200">Anuluj</button>
+                                </div>
+                            </div>
+                        )}
+
+                        {productionImport && (
+                            <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-[10px] text-slate-500">
+                                <span className="font-bold text-slate-600">{productionImport.fileName}</span>
+                                <span>{productionImport.sourceLabel}</span>
+                                <span>{Math.round(productionImport.total).toLocaleString()} kWh dla {productionImport.peakPower} kWp</span>
+                                <span className="italic">Lokalizacja i orientacja paneli są używane tylko dla miesięcy bez danych.</span>
+                                <button onClick={() => setProductionImport(null)} className="text-red-500 hover:underline print:hidden">Usuń</button>
+                            </div>
+                        )}
+                    </div>
+
+                    {/* Tariff Components */}
+                    {tariff && (
+                        <div className="mt-4 pt-4 border-t border-emerald-200">
+                            <label className="text-xs text-slate-500 font-bold uppercase flex items-center mb-2">
+                                Składniki taryfy {tariff.id} (ceny netto)
+                                <Tooltip text="Autokonsumpcja jest wyceniana ceną strefy, w której zastępuje energię z sieci. Opłaty stałe nie zależą od instalacji PV i nie wpływają na oszczędności." />
+                            </label>
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <div className="space-y-2">
+                                    {tariff.zones.map(z => (
+                                        <div key={z.id} className="grid grid-cols-12 gap-2 items-end">
+                                            <div className="col-span-4 text-xs font-bold text-slate-600 pb-2">{z.label}</div>
+                                            <div className="col-span-3">
+                                                <label className="text-[10px] uppercase text-slate-400 font-bold">Energia</label>
+                                                <input 
+                                                    type="number" step="0.01" value={z.energyPrice} onChange={(e) => updateTariffZone(z.id, 'energyPrice', parseFloat(e.target.value))}
+                                                    className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                                />
+                                            </div>
+                                            <div className="col-span-3">
+                                                <label className="text-[10px] uppercase text-slate-400 font-bold">Dystrybucja</label>
+                                                <input 
+                                                    type="number" step="0.01" value={z.distributionPrice} onChange={(e) => updateTariffZone(z.id, 'distributionPrice', parseFloat(e.target.value))}
+                                                    className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                                />
+                                            </div>
+                                            <div className="col-span-2 text-xs text-right text-emerald-700 font-bold pb-2">
+                                                {tariffZonePrices(tariff)[z.id].toFixed(2)} zł
+                                            </div>
+                                        </div>
+                                    ))}
+                                    <div className="grid grid-cols-3 gap-2">
+                                        <div>
+                                            <label className="text-[10px] uppercase text-slate-400 font-bold">Akcyza (zł/kWh)</label>
+                                            <input 
+                                                type="number" step="0.001" value={tariff.excise} onChange={(e) => setTariff({ ...tariff, excise: parseFloat(e.target.value) })}
+                                                className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="text-[10px] uppercase text-slate-400 font-bold flex items-center">
+                                                Opł. mocowa ({tariff.capacityFee.mode === 'kWh' ? 'zł/kWh' : 'zł/mc'})
+                                                <Tooltip text="Gospodarstwa domowe: stała kwota miesięczna. Firmy: stawka za kWh pobrane w dni robocze w godzinach 7–22." />
+                                            </label>
+                                            <input 
+                                                type="number" step="0.01" value={tariff.capacityFee.value} onChange={(e) => setTariff({ ...tariff, capacityFee: { ...tariff.capacityFee, value: parseFloat(e.target.value) } })}
+                                                className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                            />
+                                        </div>
+                                        <div>
+                                            <label className="text-[10px] uppercase text-slate-400 font-bold">VAT (%)</label>
+                                            <input 
+                                                type="number" value={tariff.vatPercent} onChange={(e) => setTariff({ ...tariff, vatPercent: parseFloat(e.target.value) })}
+                                                className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                            />
+                                        </div>
+                                    </div>
+                                </div>
+                                <div className="space-y-2">
+                                    {tariff.fixedCharges.map(c => (
+                                        <div key={c.id} className="grid grid-cols-12 gap-2 items-center">
+                                            <div className="col-span-8 text-xs text-slate-600">{c.label} (zł/mc)</div>
+                                            <input 
+                                                type="number" step="0.01" value={c.value} onChange={(e) => updateTariffFixedCharge(c.id, parseFloat(e.target.value))}
+                                                className="col-span-4 p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                            />
+                                        </div>
+                                    ))}
+                                    <div className="text-xs text-slate-500 pt-1 border-t border-slate-100">
+                                        Opłaty stałe brutto: <span className="font-bold text-slate-700">{formatCurrency(tariffFixedMonthly(tariff) * 12)}/rok</span> (bez wpływu na oszczędności)
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Net-billing Settlement */}
+                    {settlementMode === 'netBilling' && (
+                        <div className="mt-4 pt-4 border-t border-emerald-200 grid grid-cols-1 md:grid-cols-4 gap-4">
+                            <div className="md:col-span-2">
+                                <label className="text-xs text-slate-500 font-bold uppercase flex items-center mb-1">
+                                    Ceny sprzedaży RCEm / RCE
+                                    <Tooltip text="Plik CSV lub JSON z miesięcznymi (RCEm) lub godzinowymi (RCE) cenami energii, w zł/MWh lub zł/kWh. Ceny rosną co roku o wskaźnik wzrostu cen prądu." />
+                                </label>
+                                <input 
+                                    type="file" accept=".csv,.txt,.json"
+                                    onChange={(e) => importSalePrices(e.target.files[0])}
+                                    className="w-full text-xs text-slate-600 file:mr-2 file:py-1 file:px-2 file:rounded file:border-0 file:bg-emerald-100 file:text-emerald-700 print:hidden"
+                                />
+                                {salePricesError && (
+                                    <div className="text-xs text-red-500 mt-1">Błąd importu: {salePricesError}</div>
+                                )}
+                                {salePrices ? (
+                                    <div className="text-[10px] text-slate-500 mt-1 flex flex-wrap gap-x-3">
+                                        <span className="font-bold text-slate-600">{salePrices.fileName}</span>
+                                        <span>{salePrices.type === 'hourly' ? 'Ceny godzinowe (RCE)' : 'Ceny miesięczne (RCEm)'}</span>
+                                        <span>Średnio: {salePrices.average.toFixed(3)} zł/kWh</span>
+                                        <span className={salePrices.coverage < 0.9 ? 'text-orange-500 font-bold' : ''}>Pokrycie: {(salePrices.coverage * 100).toFixed(0)}%</span>
+                                        <button onClick={() => setSalePrices(null)} className="text-red-500 hover:underline print:hidden">Usuń</button>
+                                    </div>
+                                ) : (
+                                    <div className="text-[10px] text-slate-400 mt-1 italic">Brak tabeli – używana jest stała cena sprzedaży.</div>
+                                )}
+                            </div>
+                            <div className="space-y-2">
+                                {consMethod !== 'hourly' && (
+                                    <div>
+                                        <label className="text-[10px] uppercase text-slate-400 font-bold flex items-center">
+                                            Pobór z sieci (kWh/rok)
+                                            <Tooltip text="Energia kupowana z sieci, za którą płaci depozyt prosumencki. Przy profilu godzinowym wynika z danych z licznika." />
+                                        </label>
+                                        <input 
+                                            type="number" value={annualGridImport} onChange={(e) => setAnnualGridImport(parseFloat(e.target.value))}
+                                            className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                        />
+                                    </div>
+                                )}
+                                <div>
+                                    <label className="text-[10px] uppercase text-slate-400 font-bold">Współczynnik depozytu</label>
+                                    <input 
+                                        type="number" step="0.01" value={depositCoefficient} onChange={(e) => setDepositCoefficient(parseFloat(e.target.value))}
+                                        className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                    />
+                                </div>
+                            </div>
+                            <div className="space-y-2">
+                                <div>
+                                    <label className="text-[10px] uppercase text-slate-400 font-bold">Ważność depozytu (m-ce)</label>
+                                    <input 
+                                        type="number" value={depositExpiryMonths} onChange={(e) => setDepositExpiryMonths(parseInt(e.target.value))}
+                                        className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="text-[10px] uppercase text-slate-400 font-bold flex items-center">
+                                        Limit zwrotu (%)
+                                        <Tooltip text="Niewykorzystany depozyt po upływie ważności jest zwracany do tego limitu (% wartości energii oddanej w danym miesiącu). Reszta przepada." />
+                                    </label>
+                                    <input 
+                                        type="number" value={refundCapPercent} onChange={(e) => setRefundCapPercent(parseFloat(e.target.value))}
+                                        className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                    />
+                                </div>
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Net-metering Settlement */}
+                    {settlementMode === 'netMetering' && (
+                        <div className="mt-4 pt-4 border-t border-emerald-200 grid grid-cols-1 md:grid-cols-4 gap-4">
+                            <div className="md:col-span-2 text-xs text-slate-600 bg-white/60 p-3 rounded border border-emerald-100">
+                                <div className="font-bold text-slate-700 mb-1">System opustów (prosumenci sprzed kwietnia 2022)</div>
+                                Z energii oddanej do sieci można odebrać <span className="font-bold">{(netMeteringRatio((parseFloat(existingInstallationPower) || 0) + installationPower) * 100).toFixed(0)}%</span> w ciągu {energyBankMonths} miesięcy,
+                                bez opłat – wartość odebranej energii liczona jest po cenie zakupu. Moc łączna: {((parseFloat(existingInstallationPower) || 0) + installationPower).toFixed(1)} kWp.
+                            </div>
+                            <div className="space-y-2">
+                                <div>
+                                    <label className="text-[10px] uppercase text-slate-400 font-bold flex items-center">
+                                        Istniejąca instalacja (kWp)
+                                        <Tooltip text="Moc instalacji rozliczanej już w opustach. Przy rozbudowie o moc z tej kalkulacji próg 10 kWp (80% / 70%) liczony jest od mocy łącznej." />
+                                    </label>
+                                    <input 
+                                        type="number" step="0.1" value={existingInstallationPower} onChange={(e) => setExistingInstallationPower(parseFloat(e.target.value))}
+                                        className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                    />
+                                </div>
+                                {consMethod !== 'hourly' && (
+                                    <div>
+                                        <label className="text-[10px] uppercase text-slate-400 font-bold flex items-center">
+                                            Pobór z sieci (kWh/rok)
+                                            <Tooltip text="Energia pobierana z sieci, którą można odebrać z magazynu energii w sieci. Przy profilu godzinowym wynika z danych z licznika." />
+                                        </label>
+                                        <input 
+                                            type="number" value={annualGridImport} onChange={(e) => setAnnualGridImport(parseFloat(e.target.value))}
+                                            className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                        />
+                                    </div>
+                                )}
+                            </div>
+                            <div>
+                                <label className="text-[10px] uppercase text-slate-400 font-bold">Okres odbioru energii (m-ce)</label>
+                                <input 
+                                    type="number" value={energyBankMonths} onChange={(e) => setEnergyBankMonths(parseInt(e.target.value))}
+                                    className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                />
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Scheduled Replacements */}
+                    <div className="mt-4 pt-4 border-t border-emerald-200">
+                        <div className="flex justify-between items-center mb-2">
+                            <label className="text-xs text-slate-500 font-bold uppercase flex items-center">
+                                Wymiany urządzeń w okresie analizy
+                                <Tooltip text="Koszty wymiany falownika lub magazynu energii obciążają przepływ pieniężny w wybranym roku." />
+                            </label>
+                            <button 
+                                onClick={addReplacement}
+                                className="flex items-center gap-1 text-xs text-emerald-700 hover:text-emerald-900 font-medium print:hidden"
+                            >
+                                <Plus className="w-3 h-3" /> Dodaj wymianę
+                            </button>
+                        </div>
+                        {replacements.length === 0 && (
+                            <div className="text-xs text-slate-400 italic">Brak zaplanowanych wymian.</div>
+                        )}
+                        <div className="space-y-2">
+                            {replacements.map(item => (
+                                <div key={item.id} className="grid grid-cols-12 gap-2 items-center">
+                                    <input 
+                                        type="text" value={item.name} onChange={(e) => updateReplacement(item.id, 'name', e.target.value)}
+                                        className="col-span-6 p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                    />
+                                    <div className="col-span-2 flex items-center gap-1">
+                                        <span className="text-xs text-slate-400">Rok</span>
+                                        <input 
+                                            type="number" min="1" max={simulationYears} value={item.year} onChange={(e) => updateReplacement(item.id, 'year', parseInt(e.target.value))}
+                                            className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                        />
+                                    </div>
+                                    <div className="col-span-3 flex items-center gap-1">
+                                        <input 
+                                            type="number" value={item.cost} onChange={(e) => updateReplacement(item.id, 'cost', parseFloat(e.target.value))}
+                                            className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white print:border-none"
+                                        />
+                                        <span className="text-xs text-slate-400">zł</span>
+                                    </div>
+                                    <button 
+                                        onClick={() => removeReplacement(item.id)}
+                                        className="col-span-1 text-slate-400 hover:text-red-500 transition-colors p-1 print:hidden"
+                                    >
+                                        <Trash2 className="w-4 h-4" />
+                                    </button>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            </Card>
+        </div>
+
+        {/* Left Column: Financing Inputs - HIDDEN ON PRINT */}
+        <div className="lg:col-span-5 space-y-6 print:hidden">
+          <div className="flex justify-between items-center mb-2">
+            <h2 className="text-xl font-bold text-slate-800 flex items-center gap-2">
+              <DollarSign className="w-5 h-5 text-emerald-600" />
+              Opcje Finansowania
+            </h2>
+            <button 
+              onClick={addScenario}
+              className="flex items-center gap-2 text-sm bg-emerald-600 text-white px-3 py-2 rounded-lg hover:bg-emerald-700 transition-all shadow-sm font-medium"
+            >
+              <Plus className="w-4 h-4" />
+              Dodaj opcję
+            </button>
+          </div>
+
+          {/* Floating Rate Path */}
+          <Card className="border-l-4 border-l-blue-300">
+            <div className="p-4 space-y-3">
+              <label className="text-xs text-slate-500 font-bold uppercase flex items-center">
+                Oprocentowanie zmienne
+                <Tooltip text="Wskaźnik i jego ścieżka dla opcji ze stopą zmienną. Oprocentowanie zmienia się w dniach aktualizacji (co 1, 3 lub 6 miesięcy), a rata jest wtedy przeliczana. WIRON 1M/3M to stopy składane z minionego okresu, więc reagują z opóźnieniem." />
+              </label>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                <div>
+                  <label className="text-[10px] uppercase text-slate-400 font-bold">Wskaźnik</label>
+                  <select 
+                    value={referenceRate} onChange={(e) => changeReferenceRate(e.target.value)}
+                    className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white"
+                  >
+                    {REFERENCE_RATES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-[10px] uppercase text-slate-400 font-bold">Wartość dziś (%)</label>
+                  <input 
+                    type="number" step="0.01" value={globalWibor} onChange={(e) => changeGlobalWibor(parseFloat(e.target.value))}
+                    className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="text-[10px] uppercase text-slate-400 font-bold">Ścieżka</label>
+                  <select 
+                    value={ratePath} onChange={(e) => setRatePath(e.target.value)}
+                    className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white"
+                  >
+                    {RATE_PATHS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className="text-[10px] uppercase text-slate-400 font-bold">Szok od 2. roku (p.p.)</label>
+                  <input 
+                    type="number" step="0.25" min="0" value={rateShock} onChange={(e) => setRateShock(parseFloat(e.target.value))}
+                    className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                  />
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-x-3 gap-y-1 text-[10px] text-slate-500">
+                {rateStatus === 'loading' && <span>Pobieranie notowania {referenceRateInfo(referenceRate).label}…</span>}
+                {rateStatus !== 'loading' && rateQuote.quote && (
+                  <span className={rateStale ? 'text-amber-600' : ''}>
+                    Notowanie: <strong>{rateQuote.quote.value.toFixed(2)}%</strong> z {formatRateDate(rateQuote.quote.asOf)}{rateAgeLabel && `, ${rateAgeLabel}`} ({rateQuote.quote.sourceLabel}{rateQuote.fromCache ? ', zapamiętane' : ''}){rateStale ? ' – nieaktualne' : ''}
+                  </span>
+                )}
+                {rateStatus === 'failed' && (
+                  <span className="text-red-600">Nie udało się pobrać notowania: {rateQuote.error}</span>
+                )}
+                {rateOverride && <span>Wartość wpisana ręcznie – zostaje przy kolejnych uruchomieniach.</span>}
+                {!rateOverride && !rateFollowsQuote && <span>Wartość z projektu.</span>}
+                {!rateFollowsQuote && rateQuote?.quote && (
+                  <button onClick={applyRateQuote} className="text-blue-600 font-bold hover:underline">Użyj notowania</button>
+                )}
+                <button
+                  onClick={refreshRate}
+                  disabled={rateStatus === 'loading'}
+                  className="flex items-center gap-1 text-blue-600 font-bold hover:underline disabled:text-slate-400 disabled:no-underline"
+                >
+                  <RefreshCw size={10} /> Odśwież
+                </button>
+              </div>
+              {ratePath === 'custom' && (
+                <div>
+                  <label className="text-[10px] uppercase text-slate-400 font-bold">Wskaźnik w kolejnych latach kredytu (%) – puste pole powtarza poprzedni rok</label>
+                  <div className="grid grid-cols-5 gap-1 mt-1">
+                    {Array.from({ length: ratePathYears }, (_, i) => (
+                      <div key={i}>
+                        <span className="text-[10px] text-slate-400">Rok {i + 1}</span>
+                        <input 
+                          type="number" step="0.01" value={ratePathValues[i] ?? ''}
+                          placeholder={referenceRateInYear(params, i + 1).toFixed(2)}
+                          onChange={(e) => updateRatePathValue(i, e.target.value)}
+                          className="w-full p-1 border border-slate-300 rounded text-xs"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              {ratePath !== 'constant' && (
+                <div className="text-[10px] text-slate-500">
+                  Ścieżka: {Array.from({ length: Math.min(ratePathYears, 10) }, (_, i) => `${i + 1}. rok ${referenceRateInYear(params, i + 1).toFixed(2)}%`).join(' · ')}{ratePathYears > 10 ? ' …' : ''}
+                </div>
+              )}
+            </div>
+          </Card>
+
+          {/* Income Tax */}
+          <Card className="border-l-4 border-l-amber-300">
+            <div className="p-4 space-y-3">
+              <label className="text-xs text-slate-500 font-bold uppercase flex items-center">
+                Podatki
+                <Tooltip text="Przepływy po podatku dochodowym. Firma: wartość energii zwiększa dochód, a amortyzacja (poza leasingiem operacyjnym), odsetki, raty leasingu operacyjnego, prowizje i wymiany są kosztem. Gospodarstwo domowe: ulga termomodernizacyjna od kosztu pomniejszonego o dotację, w roku wydatku i do 6 kolejnych lat. Podatek rozliczany jest w zeznaniu za dany rok." />
+              </label>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                <div className="col-span-2">
+                  <label className="text-[10px] uppercase text-slate-400 font-bold">Podatnik</label>
+                  <select 
+                    value={taxpayerType} onChange={(e) => changeTaxpayerType(e.target.value)}
+                    className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white"
+                  >
+                    {TAXPAYER_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                  </select>
+                </div>
+                {taxpayerType !== 'none' && (
+                  <div>
+                    <label className="text-[10px] uppercase text-slate-400 font-bold">Stawka podatku (%)</label>
+                    <input 
+                      type="number" step="1" min="0" value={incomeTaxRate} onChange={(e) => setIncomeTaxRate(parseFloat(e.target.value))}
+                      className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                    />
+                  </div>
+                )}
+                {taxpayerType === 'business' && (
+                  <div>
+                    <label className="text-[10px] uppercase text-slate-400 font-bold">Amortyzacja (% rocznie)</label>
+                    <input 
+                      type="number" step="0.5" min="0" value={depreciationRate} onChange={(e) => setDepreciationRate(parseFloat(e.target.value))}
+                      className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                    />
+                  </div>
+                )}
+              </div>
+              {taxpayerType === 'household' && (
+                <div className="grid grid-cols-2 gap-2">
+                  <div>
+                    <label className="text-[10px] uppercase text-slate-400 font-bold">Limit ulgi termomodernizacyjnej (zł)</label>
+                    <input 
+                      type="number" step="1000" min="0" value={thermoReliefLimit} onChange={(e) => setThermoReliefLimit(parseFloat(e.target.value))}
+                      className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-[10px] uppercase text-slate-400 font-bold">Dochód roczny (zł, 0 = bez limitu)</label>
+                    <input 
+                      type="number" step="1000" min="0" value={annualTaxableIncome} onChange={(e) => setAnnualTaxableIncome(parseFloat(e.target.value))}
+                      className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                    />
+                  </div>
+                </div>
+              )}
+              <div className="text-[10px] text-slate-500">{taxpayerTypeInfo(taxpayerType).description}</div>
+            </div>
+          </Card>
+
+          {/* Alternative Investment */}
+          <Card className="border-l-4 border-l-slate-300">
+            <div className="p-4 space-y-3">
+              <label className="text-xs text-slate-500 font-bold uppercase flex items-center">
+                Alternatywa dla wkładu własnego
+                <Tooltip text="Utracone korzyści: ile zarobiłby wkład własny (przy leasingu – opłata wstępna), gdyby zamiast w instalację trafił do wybranej inwestycji – po podatku od zysków kapitałowych, narastająco przez cały horyzont analizy." />
+              </label>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                <div className="col-span-2">
+                  <label className="text-[10px] uppercase text-slate-400 font-bold">Inwestycja</label>
+                  <select 
+                    value={benchmarkType} onChange={(e) => setBenchmarkType(e.target.value)}
+                    className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white"
+                  >
+                    {BENCHMARK_TYPES.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+                  </select>
+                </div>
+                {benchmarkType === 'deposit' && (
+                  <div>
+                    <label className="text-[10px] uppercase text-slate-400 font-bold">Oprocentowanie (%)</label>
+                    <input 
+                      type="number" step="0.1" min="0" value={depositRate} onChange={(e) => setDepositRate(parseFloat(e.target.value))}
+                      className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                    />
+                  </div>
+                )}
+                {benchmarkType === 'custom' && (
+                  <div>
+                    <label className="text-[10px] uppercase text-slate-400 font-bold">Stopa zwrotu (% rocznie)</label>
+                    <input 
+                      type="number" step="0.5" value={customReturnRate} onChange={(e) => setCustomReturnRate(parseFloat(e.target.value))}
+                      className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                    />
+                  </div>
+                )}
+                <div>
+                  <label className="text-[10px] uppercase text-slate-400 font-bold">Podatek od zysku (%)</label>
+                  <input 
+                    type="number" step="1" min="0" value={capitalGainsTaxRate} onChange={(e) => setCapitalGainsTaxRate(parseFloat(e.target.value))}
+                    className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                  />
+                </div>
+              </div>
+              {benchmarkType === 'bonds' && (
+                <div className="grid grid-cols-3 gap-2">
+                  <div>
+                    <label className="text-[10px] uppercase text-slate-400 font-bold">1. rok (%)</label>
+                    <input 
+                      type="number" step="0.1" min="0" value={bondFirstYearRate} onChange={(e) => setBondFirstYearRate(parseFloat(e.target.value))}
+                      className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-[10px] uppercase text-slate-400 font-bold">Inflacja (% r/r)</label>
+                    <input 
+                      type="number" step="0.1" value={expectedInflation} onChange={(e) => setExpectedInflation(parseFloat(e.target.value))}
+                      className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="text-[10px] uppercase text-slate-400 font-bold">Marża (p.p.)</label>
+                    <input 
+                      type="number" step="0.1" min="0" value={bondMargin} onChange={(e) => setBondMargin(parseFloat(e.target.value))}
+                      className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                    />
+                  </div>
+                </div>
+              )}
+              <div className="text-[10px] text-slate-500">{benchmarkTypeInfo(benchmarkType).description}</div>
+            </div>
+          </Card>
+
+          <div className="space-y-4">
+            {scenarios.map((scenario) => (
+              <Card key={scenario.id} className="border-l-4 border-l-blue-500 relative">
+                <div className="p-4">
+                  <div className="flex justify-between items-start mb-4">
+                    <input 
+                      type="text" 
+                      value={scenario.name}
+                      onChange={(e) => updateScenario(scenario.id, 'name', e.target.value)}
+                      className="font-bold text-lg text-blue-900 bg-transparent border-b border-transparent hover:border-blue-200 focus:border-blue-500 focus:outline-none w-full mr-2"
+                      placeholder="Nazwa wariantu"
+                    />
+                    {scenarios.length > 1 && (
+                      <button 
+                        onClick={() => removeScenario(scenario.id)}
+                        className="text-slate-400 hover:text-red-500 transition-colors p-1"
+                      >
+                        <Trash2 className="w-4 h-4" />
                       </button>
                     )}
                   </div>
 
+                  {/* Financing Product */}
+                  <div className="mb-4">
+                    <label className="text-xs text-slate-500 font-semibold uppercase">Produkt finansowania</label>
+                    <select 
+                      value={scenario.productType}
+                      onChange={(e) => updateProductType(scenario.id, e.target.value)}
+                      className="w-full p-2 border border-slate-300 rounded mt-1 text-sm bg-white"
+                    >
+                      {FINANCING_PRODUCTS.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+                    </select>
+                    <p className="text-[10px] text-slate-400 mt-1">{financingProduct(scenario.productType).description}</p>
+                  </div>
+
                   <div className="grid grid-cols-2 gap-3">
                     <div className="col-span-2">
                         <label className="text-xs text-slate-500 font-semibold uppercase">Koszt instalacji (Brutto)</label>
@@ -797,7 +1953,7 @@ export default function App() {
                     <div className="col-span-2">
                         <label className="text-xs text-slate-500 font-semibold uppercase flex items-center gap-1">
                             w tym koszt magazynu energii
-                            <Tooltip text="Jeśli koszt > 0, zwiększa to szansę na autokonsumpcję. W Pożyczce OZE może uruchomić umorzenie." />
+                            <Tooltip text="Koszt magazynu jest częścią kosztu instalacji. W Pożyczce OZE i Mój Prąd uruchamia dofinansowanie. Wpływ na autokonsumpcję daje symulacja magazynu poniżej." />
                         </label>
                         <div className="relative">
                             <Battery className="w-4 h-4 text-emerald-500 absolute left-2 top-2.5" />
@@ -812,27 +1968,139 @@ export default function App() {
                         <div className="text-[10px] text-slate-400 mt-0.5 ml-1">
                             Możliwość umorzenia i zwiększenia autokonsumpcji
                         </div>
+                        <label className="flex items-center gap-2 text-xs text-slate-600 mt-2 cursor-pointer">
+                            <input 
+                                type="checkbox" checked={scenario.storage.enabled}
+                                onChange={(e) => updateStorage(scenario.id, 'enabled', e.target.checked)}
+                                className="accent-emerald-600"
+                            />
+                            Symuluj pracę magazynu energii
+                            <Tooltip text="Nadwyżka produkcji ładuje magazyn, który oddaje energię wieczorem i w nocy. Wynik porównywany jest z tym samym wariantem bez magazynu." />
+                        </label>
+                        {scenario.storage.enabled && (
+                            <div className="grid grid-cols-4 gap-2 mt-2 bg-emerald-50/50 p-2 rounded border border-emerald-100">
+                                <div>
+                                    <label className="text-[10px] uppercase text-slate-400 font-bold">Pojemność (kWh)</label>
+                                    <input 
+                                        type="number" step="0.5" value={scenario.storage.capacity} onChange={(e) => updateStorage(scenario.id, 'capacity', parseFloat(e.target.value))}
+                                        className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="text-[10px] uppercase text-slate-400 font-bold">Moc (kW)</label>
+                                    <input 
+                                        type="number" step="0.5" value={scenario.storage.power} onChange={(e) => updateStorage(scenario.id, 'power', parseFloat(e.target.value))}
+                                        className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="text-[10px] uppercase text-slate-400 font-bold">Sprawność (%)</label>
+                                    <input 
+                                        type="number" min="0" max="100" value={scenario.storage.efficiency} onChange={(e) => updateStorage(scenario.id, 'efficiency', parseFloat(e.target.value))}
+                                        className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                                    />
+                                </div>
+                                <div>
+                                    <label className="text-[10px] uppercase text-slate-400 font-bold">DoD (%)</label>
+                                    <input 
+                                        type="number" min="0" max="100" value={scenario.storage.depthOfDischarge} onChange={(e) => updateStorage(scenario.id, 'depthOfDischarge', parseFloat(e.target.value))}
+                                        className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                                    />
+                                </div>
+                                <div className="col-span-4 text-[10px] text-slate-500">
+                                    Pojemność użyteczna: {usableCapacity(scenario.storage).toFixed(1)} kWh
+                                </div>
+                            </div>
+                        )}
                     </div>
 
-                     <div className="col-span-1">
-                        <label className="text-xs text-slate-500 font-semibold uppercase">Wkład własny</label>
-                        <input 
-                            type="number" 
-                            value={scenario.ownContribution}
-                            onChange={(e) => updateScenario(scenario.id, 'ownContribution', parseFloat(e.target.value))}
-                            className="w-full p-2 border border-slate-300 rounded mt-1 text-sm"
-                            disabled={scenario.name.toLowerCase().includes('własne') || scenario.name.toLowerCase().includes('gotówka')}
-                        />
-                    </div>
-                    <div className="col-span-1">
-                        <label className="text-xs text-slate-500 font-semibold uppercase">Okres kredytu (m-ce)</label>
-                        <input 
-                            type="number" 
-                            value={scenario.periodMonths}
-                            onChange={(e) => updateScenario(scenario.id, 'periodMonths', parseInt(e.target.value))}
-                            className="w-full p-2 border border-slate-300 rounded mt-1 text-sm"
-                        />
-                    </div>
+                    {financingProduct(scenario.productType).lease ? (
+                      <>
+                        <div className="col-span-1">
+                            <label className="text-xs text-slate-500 font-semibold uppercase">Opłata wstępna (% netto)</label>
+                            <input 
+                                type="number" min="0" max="100" step="0.5"
+                                value={scenario.leaseDownPaymentPercent}
+                                onChange={(e) => updateScenario(scenario.id, 'leaseDownPaymentPercent', parseFloat(e.target.value))}
+                                className="w-full p-2 border border-slate-300 rounded mt-1 text-sm"
+                            />
+                        </div>
+                        <div className="col-span-1">
+                            <label className="text-xs text-slate-500 font-semibold uppercase">Okres leasingu (m-ce)</label>
+                            <input 
+                                type="number" 
+                                value={scenario.periodMonths}
+                                onChange={(e) => updateScenario(scenario.id, 'periodMonths', parseInt(e.target.value))}
+                                className="w-full p-2 border border-slate-300 rounded mt-1 text-sm"
+                            />
+                        </div>
+                        <div className="col-span-1">
+                            <label className="text-xs text-slate-500 font-semibold uppercase">Wykup (% netto)</label>
+                            <input 
+                                type="number" min="0" max="100" step="0.5"
+                                value={scenario.leaseBuyoutPercent}
+                                onChange={(e) => updateScenario(scenario.id, 'leaseBuyoutPercent', parseFloat(e.target.value))}
+                                className="w-full p-2 border border-slate-300 rounded mt-1 text-sm"
+                            />
+                        </div>
+                        <div className="col-span-1">
+                            <label className="text-xs text-slate-500 font-semibold uppercase flex items-center gap-1">
+                                Rata netto (zł)
+                                <Tooltip text="Rata z oferty leasingodawcy. Przy 0 rata jest wyliczana z oprocentowania poniżej (z wykupem na końcu umowy)." />
+                            </label>
+                            <input 
+                                type="number" min="0"
+                                value={scenario.leaseMonthlyFee}
+                                onChange={(e) => updateScenario(scenario.id, 'leaseMonthlyFee', parseFloat(e.target.value))}
+                                className="w-full p-2 border border-slate-300 rounded mt-1 text-sm"
+                                placeholder="0 = wyliczona"
+                            />
+                        </div>
+                      </>
+                    ) : (
+                      <>
+                       <div className="col-span-1">
+                          <label className="text-xs text-slate-500 font-semibold uppercase">Wkład własny</label>
+                          <input 
+                              type="number" 
+                              value={scenario.ownContribution}
+                              onChange={(e) => updateScenario(scenario.id, 'ownContribution', parseFloat(e.target.value))}
+                              className="w-full p-2 border border-slate-300 rounded mt-1 text-sm"
+                              disabled={isOwnFundsScenario(scenario)}
+                          />
+                      </div>
+                      <div className="col-span-1">
+                          <label className="text-xs text-slate-500 font-semibold uppercase">Okres kredytu (m-ce)</label>
+                          <input 
+                              type="number" 
+                              value={scenario.periodMonths}
+                              onChange={(e) => updateScenario(scenario.id, 'periodMonths', parseInt(e.target.value))}
+                              className="w-full p-2 border border-slate-300 rounded mt-1 text-sm"
+                          />
+                      </div>
+                      <div className="col-span-1">
+                          <label className="text-xs text-slate-500 font-semibold uppercase">Karencja (m-ce)</label>
+                          <input
+                              type="number"
+                              min="0"
+                              value={scenario.graceMonths}
+                              onChange={(e) => updateScenario(scenario.id, 'graceMonths', parseInt(e.target.value))}
+                              className="w-full p-2 border border-slate-300 rounded mt-1 text-sm"
+                          />
+                      </div>
+                      <div className="col-span-1">
+                          <label className="text-xs text-slate-500 font-semibold uppercase">Rodzaj rat</label>
+                          <select
+                              value={scenario.installmentType}
+                              onChange={(e) => updateScenario(scenario.id, 'installmentType', e.target.value)}
+                              className="w-full p-2 border border-slate-300 rounded mt-1 text-sm bg-white"
+                          >
+                              <option value="equal">Równe</option>
+                              <option value="decreasing">Malejące</option>
+                          </select>
+                      </div>
+                      </>
+                    )}
 
                     {/* Interest Rate Section */}
                     <div className="col-span-2 bg-slate-50 p-3 rounded-lg border border-slate-200">
@@ -845,7 +2113,7 @@ export default function App() {
                             onChange={() => updateScenario(scenario.id, 'rateType', 'wibor')}
                             className="text-blue-600"
                           />
-                          WIBOR + Marża
+                          Zmienne (wskaźnik + marża)
                         </label>
                         <label className="flex items-center gap-2 text-sm cursor-pointer">
                           <input 
@@ -868,10 +2136,10 @@ export default function App() {
                               className="w-full p-1.5 border rounded text-sm" 
                             />
                           </div>
-                          <div className="text-xs text-slate-400 pt-4 self-center">+ {globalWibor}%</div>
+                          <div className="text-xs text-slate-400 pt-4 self-center">+ {referenceRateInfo(referenceRate).label} {startReferenceRate.toFixed(2)}%</div>
                           <div className="flex-1 bg-blue-100 p-1.5 rounded text-center">
-                            <label className="text-xs text-blue-600 font-bold block">Razem</label>
-                            <span className="text-sm font-bold text-blue-800">{(globalWibor + (scenario.margin || 0)).toFixed(2)}%</span>
+                            <label className="text-xs text-blue-600 font-bold block">Razem na start</label>
+                            <span className="text-sm font-bold text-blue-800">{(startReferenceRate + (scenario.margin || 0)).toFixed(2)}%</span>
                           </div>
                         </div>
                       ) : (
@@ -891,6 +2159,7 @@ export default function App() {
                          <select 
                             value={scenario.grantType} onChange={(e) => updateScenario(scenario.id, 'grantType', e.target.value)}
                             className="text-xs border rounded p-1"
+                            disabled={Boolean(financingProduct(scenario.productType).grant)}
                          >
                             <option value="amount">Kwota (PLN)</option>
                             <option value="percent">% Kosztów</option>
@@ -900,12 +2169,45 @@ export default function App() {
                         type="number" value={scenario.grantValue} onChange={(e) => updateScenario(scenario.id, 'grantValue', parseFloat(e.target.value))}
                         className="w-full p-2 border border-emerald-200 bg-emerald-50 rounded text-sm focus:ring-emerald-500 focus:border-emerald-500"
                         placeholder="np. 6000"
+                        disabled={Boolean(financingProduct(scenario.productType).grant)}
                       />
+                      {financingProduct(scenario.productType).grantRule && (
+                        <p className="text-[10px] text-emerald-700 mt-1">Wyliczane z zasad programu: {financingProduct(scenario.productType).grantRule}</p>
+                      )}
+                    </div>
+
+                    {/* VAT */}
+                    <div className="col-span-2 flex items-center gap-3 text-xs text-slate-600">
+                      <label className="flex items-center gap-1">
+                        VAT
+                        <input 
+                          type="number" min="0" value={scenario.vatRate} onChange={(e) => updateScenario(scenario.id, 'vatRate', parseFloat(e.target.value))}
+                          className="w-14 p-1 border border-slate-300 rounded text-xs"
+                        />
+                        %
+                      </label>
+                      <label className="flex items-center gap-1 cursor-pointer">
+                        <input 
+                          type="checkbox" checked={Boolean(scenario.vatDeductible)} onChange={(e) => updateScenario(scenario.id, 'vatDeductible', e.target.checked)}
+                        />
+                        Odliczam VAT (czynny podatnik VAT)
+                      </label>
                     </div>
                   </div>
                   {/* Calculation Preview in Card */}
                   <div className="mt-3 text-xs text-slate-400 text-right">
-                     Kwota kredytu: {formatCurrency(Math.max(0, scenario.totalCost - scenario.ownContribution))}
+                     {scenarioLease(scenario.id) ? (
+                       <>
+                         Finansowanie netto: {formatCurrency(scenarioLease(scenario.id).netValue - scenarioLease(scenario.id).downPayment)} · rata {formatCurrency(scenarioLease(scenario.id).monthlyFee)} · wykup {formatCurrency(scenarioLease(scenario.id).buyout)}
+                         {scenarioLease(scenario.id).shortfall > 0 && (
+                           <div className="text-red-500 mt-1">
+                             Rata nie spłaca finansowania do wykupu nawet przy 0% – brakujące {formatCurrency(scenarioLease(scenario.id).shortfall)} doliczono do ostatniej raty. Sprawdź ratę z oferty.
+                           </div>
+                         )}
+                       </>
+                     ) : (
+                       <>Kwota kredytu: {formatCurrency(Math.max(0, scenario.totalCost - scenario.ownContribution))}</>
+                     )}
                   </div>
                 </div>
               </Card>
@@ -917,7 +2219,7 @@ export default function App() {
         <div className="lg:col-span-7 flex flex-col gap-6 print:col-span-12">
           
           <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-1 print:hidden">
-             <div className="grid grid-cols-4 gap-1">
+             <div className="grid grid-cols-3 md:grid-cols-7 gap-1">
                 <button 
                   onClick={() => setActiveTab('input')}
                   className={`py-3 text-sm font-bold rounded-lg transition-all flex items-center justify-center gap-2 ${activeTab === 'input' ? 'bg-emerald-600 text-white shadow-md' : 'text-slate-600 hover:bg-slate-50'}`}
@@ -943,13 +2245,62 @@ export default function App() {
                   Przepływy Roczne
                 </button>
                 <button 
-                  onClick={handlePrint}
+                  onClick={() => {
+                    setActiveTab('loanSchedule');
+                    if (!selectedScenarioId) setSelectedScenarioId(scenarios[0].id);
+                  }}
+                  className={`py-3 text-sm font-bold rounded-lg transition-all flex items-center justify-center gap-2 ${activeTab === 'loanSchedule' ? 'bg-emerald-600 text-white shadow-md' : 'text-slate-600 hover:bg-slate-50'}`}
+                >
+                  <ListOrdered className="w-4 h-4" />
+                  Harmonogram Spłat
+                </button>
+                <button 
+                  onClick={() => {
+                    setActiveTab('sensitivity');
+                    if (!selectedScenarioId) setSelectedScenarioId(bestOption.id);
+                  }}
+                  className={`py-3 text-sm font-bold rounded-lg transition-all flex items-center justify-center gap-2 ${activeTab === 'sensitivity' ? 'bg-emerald-600 text-white shadow-md' : 'text-slate-600 hover:bg-slate-50'}`}
+                >
+                  <Activity className="w-4 h-4" />
+                  Wrażliwość
+                </button>
+                <button 
+                  onClick={handleDownloadReport}
+                  disabled={reportStatus === 'generating'}
                   className="py-3 text-sm font-bold rounded-lg transition-all flex items-center justify-center gap-2 text-slate-600 hover:bg-slate-100 border-l border-slate-200"
                 >
                   <Printer className="w-4 h-4" />
-                  Pobierz PDF
+                  {reportStatus === 'generating' ? 'Generowanie…' : 'Pobierz PDF'}
+                </button>
+                <button 
+                  onClick={() => setShowExportMenu(!showExportMenu)}
+                  className={`py-3 text-sm font-bold rounded-lg transition-all flex items-center justify-center gap-2 ${showExportMenu ? 'bg-slate-100 text-slate-800' : 'text-slate-600 hover:bg-slate-100'}`}
+                >
+                  <Sheet className="w-4 h-4" />
+                  Eksport
                 </button>
              </div>
+             {showExportMenu && (
+                <div className="flex flex-wrap items-center gap-2 p-2 border-t border-slate-100 text-xs">
+                    <span className="text-slate-400 font-bold uppercase">CSV (Excel PL):</span>
+                    {CSV_EXPORTS.map(item => (
+                        <button 
+                          key={item.id}
+                          onClick={() => downloadCsv(item.table(results, displayedMonthlyStats), `${safeFileName(projectName, 'kalkulator-oze')}_${item.fileName}.csv`)}
+                          className="px-2 py-1 rounded bg-slate-100 text-slate-700 hover:bg-slate-200 font-bold"
+                        >
+                          {item.label}
+                        </button>
+                    ))}
+                    <span className="text-slate-400 font-bold uppercase ml-2">XLSX:</span>
+                    <button 
+                      onClick={() => downloadWorkbook(currentProject).catch(error => setProjectError(`Nie udało się utworzyć pliku XLSX: ${error.message}`))}
+                      className="px-2 py-1 rounded bg-emerald-100 text-emerald-700 hover:bg-emerald-200 font-bold"
+                    >
+                      Skoroszyt (założenia, bilans, arkusz na wariant)
+                    </button>
+                </div>
+             )}
           </div>
 
           {activeTab === 'input' && (
@@ -962,22 +2313,33 @@ export default function App() {
                     <div className="flex justify-between items-start relative z-10">
                         <div>
                             <div className="flex items-center gap-2 text-emerald-200 text-xs font-bold uppercase tracking-widest mb-2">
-                                <CheckCircle className="w-4 h-4" /> Najbardziej opłacalna opcja (Cash Flow)
+                                <CheckCircle className="w-4 h-4" /> Najbardziej opłacalna opcja
+                                <select 
+                                    value={bestOptionMetric} onChange={(e) => setBestOptionMetric(e.target.value)}
+                                    className="ml-1 bg-emerald-700 border border-emerald-500 text-white text-[10px] rounded px-1 py-0.5 normal-case tracking-normal print:hidden"
+                                >
+                                    {BEST_OPTION_METRICS.map(m => (
+                                        <option key={m.id} value={m.id}>wg: {m.label}</option>
+                                    ))}
+                                </select>
+                                <span className="hidden print:inline normal-case">
+                                    (wg: {BEST_OPTION_METRICS.find(m => m.id === bestOptionMetric)?.label})
+                                </span>
                             </div>
                             <h3 className="text-4xl font-bold text-white">{bestOption.name}</h3>
                         </div>
                         <div className="bg-emerald-500/30 backdrop-blur-md border border-emerald-400/30 rounded-xl p-4 text-right min-w-[120px] print:border-white print:text-emerald-900 print:bg-white/90">
                             <div className="text-xs text-emerald-100 mb-1 print:text-emerald-800">Okres zwrotu</div>
                             <div className="text-3xl font-bold text-white print:text-emerald-900">
-                                {bestOption.paybackYear ? `${bestOption.paybackYear} lat` : '> 15 lat'}
+                                {bestOption.paybackYear ? `${bestOption.paybackYear} lat` : `> ${horizonYears} lat`}
                             </div>
                         </div>
                     </div>
 
                     <div className="grid grid-cols-2 gap-4 pt-4 border-t border-emerald-500/30">
                         <div>
-                            <div className="text-xs text-emerald-200 uppercase mb-1 opacity-80 print:text-emerald-100">Zysk "na czysto" po 15 latach</div>
-                            <div className="text-2xl font-bold">{formatCurrency(bestOption.summary.netProfit15Years)}</div>
+                            <div className="text-xs text-emerald-200 uppercase mb-1 opacity-80 print:text-emerald-100">Zysk "na czysto" po {horizonYears} latach</div>
+                            <div className="text-2xl font-bold">{formatCurrency(bestOption.summary.netProfit)}</div>
                         </div>
                         <div>
                             <div className="text-xs text-emerald-200 uppercase mb-1 opacity-80 print:text-emerald-100">
@@ -991,8 +2353,45 @@ export default function App() {
               </Card>
 
               {/* Comparison Chart */}
-              <Card className="p-6 h-96 print:h-80">
-                 <h3 className="text-lg font-bold text-slate-800 mb-4">Symulacja skumulowanego zysku (15 lat)</h3>
+              <Card className="p-6">
+                 <div className="flex flex-wrap justify-between items-start gap-2 mb-4">
+                    <h3 className="text-lg font-bold text-slate-800">
+                      {comparisonView === 'best' && `Symulacja skumulowanego zysku (${horizonYears} lat)`}
+                      {comparisonView === 'cumulative' && `Skumulowany zysk – porównanie wariantów (${horizonYears} lat)`}
+                      {comparisonView === 'loanPayment' && 'Raty w kolejnych latach – porównanie wariantów'}
+                      {comparisonView === 'costs' && 'Koszty finansowania – porównanie wariantów'}
+                    </h3>
+                    <div className="flex gap-1 bg-slate-100 p-1 rounded print:hidden">
+                      {[['best', 'Najlepsza opcja'], ['cumulative', 'Skumulowany zysk'], ['loanPayment', 'Raty'], ['costs', 'Koszty']].map(([view, label]) => (
+                        <button 
+                          key={view}
+                          onClick={() => setComparisonView(view)}
+                          className={`px-2 py-1 text-xs font-medium rounded transition-all ${comparisonView === view ? 'bg-white text-emerald-700 shadow-sm' : 'text-slate-500 hover:text-slate-700'}`}
+                        >
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                 </div>
+                 {comparisonView !== 'best' && (
+                   <div className="flex flex-wrap gap-2 mb-3">
+                     {results.map(r => {
+                       const hidden = hiddenComparisonIds.includes(r.id);
+                       return (
+                         <button 
+                           key={r.id}
+                           onClick={() => toggleComparisonScenario(r.id)}
+                           className={`flex items-center gap-1.5 px-2 py-1 text-xs rounded-full border transition-all ${hidden ? 'border-slate-200 text-slate-400 print:hidden' : 'border-slate-300 text-slate-700'}`}
+                         >
+                           <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: hidden ? '#cbd5e1' : scenarioColor(r.id) }}></span>
+                           {r.name}
+                         </button>
+                       );
+                     })}
+                   </div>
+                 )}
+                 <div className="h-80 print:h-72">
+                 {comparisonView === 'best' && (
                  <ResponsiveContainer width="100%" height="100%">
                     <ComposedChart data={bestOption.yearlyCashFlow} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
                       <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
@@ -1005,9 +2404,57 @@ export default function App() {
                       <Legend />
                       <Area type="monotone" dataKey="cumulative" name="Skumulowany zysk (Cash Flow)" stroke="#059669" fill="#10b981" fillOpacity={0.2} strokeWidth={3} />
                       <Bar dataKey="loanPayment" name="Rata kredytu" fill="#f43f5e" barSize={20} />
+                      <Bar dataKey="replacementCost" name="Wymiany urządzeń" fill="#f97316" barSize={20} />
                       <Line type="monotone" dataKey="energySavings" name="Wartość energii (Zysk)" stroke="#fbbf24" strokeWidth={2} dot={false} />
                     </ComposedChart>
                  </ResponsiveContainer>
+                 )}
+                 {comparisonView === 'cumulative' && (
+                 <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={comparisonChartData.cumulative} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                      <XAxis dataKey="year" label={{ value: 'Rok', position: 'insideBottomRight', offset: -5 }} />
+                      <YAxis tickFormatter={(val) => `${val/1000}k`} />
+                      <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `Rok ${label}`} />
+                      <Legend />
+                      {comparedResults.map(r => (
+                        <Line key={r.id} type="monotone" dataKey={comparisonSeriesKey(r)} name={r.name} stroke={scenarioColor(r.id)} strokeWidth={r.id === bestOption.id ? 3 : 2} dot={false} />
+                      ))}
+                    </LineChart>
+                 </ResponsiveContainer>
+                 )}
+                 {comparisonView === 'loanPayment' && (
+                 <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={comparisonChartData.loanPayment} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                      <XAxis dataKey="year" label={{ value: 'Rok', position: 'insideBottomRight', offset: -5 }} />
+                      <YAxis tickFormatter={(val) => `${val/1000}k`} />
+                      <RechartsTooltip formatter={(value) => formatCurrency(value)} labelFormatter={(label) => `Rok ${label}`} />
+                      <Legend />
+                      {comparedResults.map(r => (
+                        <Bar key={r.id} dataKey={comparisonSeriesKey(r)} name={r.name} stackId="loanPayment" fill={scenarioColor(r.id)} />
+                      ))}
+                    </BarChart>
+                 </ResponsiveContainer>
+                 )}
+                 {comparisonView === 'costs' && (
+                 <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={comparisonChartData.costs} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                      <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                      <XAxis dataKey="name" tick={{ fontSize: 11 }} />
+                      <YAxis tickFormatter={(val) => `${val/1000}k`} />
+                      <RechartsTooltip formatter={(value) => formatCurrency(value)} />
+                      <Legend />
+                      {COMPARISON_COST_ITEMS.map(item => (
+                        <Bar key={item.key} dataKey={item.key} name={item.label} fill={COST_ITEM_COLORS[item.key]} />
+                      ))}
+                    </BarChart>
+                 </ResponsiveContainer>
+                 )}
+                 </div>
+                 {comparisonView === 'costs' && (
+                   <p className="text-[10px] text-slate-500 mt-2">Dotacja pomniejsza koszt wariantu; utracone korzyści – zysk, jaki dałby wkład własny w alternatywnej inwestycji ({benchmarkSummary(params)}).</p>
+                 )}
               </Card>
               
               {/* Summary Table */}
@@ -1018,11 +2465,27 @@ export default function App() {
                       <tr>
                         <th className="p-4">Wariant</th>
                         <th className="p-4">Zwrot (lata)</th>
-                        <th className="p-4 text-emerald-600">Zysk (15 lat)</th>
+                        <th className="p-4">
+                            Zwrot zdysk.
+                            <Tooltip text="Okres zwrotu liczony z przepływów zdyskontowanych wybraną stopą dyskonta." />
+                        </th>
+                        <th className="p-4 text-emerald-600">Zysk ({horizonYears} lat)</th>
+                        <th className="p-4 text-right">
+                            NPV
+                            <Tooltip text="Wartość bieżąca netto przepływów rocznych, zdyskontowana wybraną stopą dyskonta." />
+                        </th>
+                        <th className="p-4 text-right">
+                            IRR
+                            <Tooltip text="Wewnętrzna stopa zwrotu. n/d – przepływy nie zmieniają znaku (np. dotacja pokrywa koszty startowe)." />
+                        </th>
+                        <th className="p-4 text-right">
+                            LCOE
+                            <Tooltip text="Uśredniony koszt wytworzenia energii (zł/kWh): zdyskontowane wydatki podzielone przez zdyskontowaną produkcję." />
+                        </th>
                         <th className="p-4 text-right">Koszt Całkowity</th>
                         <th className="p-4 text-slate-400 text-xs">
                             w tym utracone korzyści
-                            <Tooltip text="To pieniądze, które Twoja gotówka zarobiłaby na lokacie, gdybyś nie wydał jej na instalację." />
+                            <Tooltip text={`To pieniądze, które Twoja gotówka zarobiłaby, gdybyś nie wydał jej na instalację: ${benchmarkSummary(params)}.`} />
                         </th>
                       </tr>
                     </thead>
@@ -1031,9 +2494,15 @@ export default function App() {
                         <tr key={r.id} className={r.id === bestOption.id ? "bg-emerald-50/50" : "hover:bg-slate-50"}>
                           <td className="p-4 font-bold text-slate-900">{r.name}</td>
                           <td className="p-4 font-medium">
-                             {r.paybackYear ? <span className="bg-emerald-100 text-emerald-800 px-2 py-1 rounded">{r.paybackYear} lat</span> : <span className="text-red-500">&gt;15 lat</span>}
+                             {r.paybackYear ? <span className="bg-emerald-100 text-emerald-800 px-2 py-1 rounded">{r.paybackYear} lat</span> : <span className="text-red-500">&gt;{horizonYears} lat</span>}
+                          </td>
+                          <td className="p-4 font-medium">
+                             {r.summary.discountedPaybackYear ? `${r.summary.discountedPaybackYear} lat` : <span className="text-red-500">&gt;{horizonYears} lat</span>}
                           </td>
-                          <td className="p-4 text-emerald-600 font-bold">{formatCurrency(r.summary.netProfit15Years)}</td>
+                          <td className="p-4 text-emerald-600 font-bold">{formatCurrency(r.summary.netProfit)}</td>
+                          <td className={`p-4 text-right font-medium ${r.summary.npv >= 0 ? 'text-slate-700' : 'text-red-500'}`}>{formatCurrency(r.summary.npv)}</td>
+                          <td className="p-4 text-right text-slate-600">{formatPercent(r.summary.irr)}</td>
+                          <td className="p-4 text-right text-slate-600">{r.summary.lcoe === null ? 'n/d' : `${r.summary.lcoe.toFixed(2)} zł`}</td>
                           <td className="p-4 text-right font-medium text-slate-600">{formatCurrency(r.summary.totalProjectCost)}</td>
                           <td className="p-4 text-slate-400 text-xs">{formatCurrency(r.summary.opportunityCost)}</td>
                         </tr>
@@ -1042,18 +2511,185 @@ export default function App() {
                   </table>
                 </div>
               </Card>
+
+              {/* Settlement Comparison */}
+              {settlementResults.length > 0 && (
+                <Card>
+                  <div className="p-4 border-b border-slate-100 bg-slate-50 flex items-center gap-2">
+                    <Zap className="w-5 h-5 text-emerald-600" />
+                    <h3 className="font-bold text-slate-700">Opusty czy przejście na net-billing?</h3>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-right">
+                      <thead className="bg-white text-slate-500 uppercase text-xs border-b">
+                        <tr>
+                          <th className="p-3 text-left">Wariant</th>
+                          <th className="p-3">Zwrot</th>
+                          <th className="p-3">Zysk ({horizonYears} lat)</th>
+                          <th className="p-3">NPV</th>
+                          <th className="p-3 font-bold">Przewaga opustów (NPV)</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-50">
+                        {settlementResults.map(r => {
+                          const alt = r.settlementComparison.netBilling;
+                          const npvGain = r.summary.npv - alt.summary.npv;
+                          return (
+                            <React.Fragment key={r.id}>
+                              <tr>
+                                <td className="p-3 text-left font-bold text-slate-900">{r.name} <span className="font-normal text-emerald-600">opusty</span></td>
+                                <td className="p-3">{r.paybackYear ? `${r.paybackYear} lat` : `>${horizonYears} lat`}</td>
+                                <td className="p-3">{formatCurrency(r.summary.netProfit)}</td>
+                                <td className="p-3">{formatCurrency(r.summary.npv)}</td>
+                                <td rowSpan={2} className={`p-3 font-bold align-middle ${npvGain >= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+                                  {npvGain >= 0 ? '+' : ''}{formatCurrency(npvGain)}
+                                </td>
+                              </tr>
+                              <tr className="text-slate-500">
+                                <td className="p-3 text-left pl-6">net-billing</td>
+                                <td className="p-3">{alt.paybackYear ? `${alt.paybackYear} lat` : `>${horizonYears} lat`}</td>
+                                <td className="p-3">{formatCurrency(alt.summary.netProfit)}</td>
+                                <td className="p-3">{formatCurrency(alt.summary.npv)}</td>
+                              </tr>
+                            </React.Fragment>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+              )}
+
+              {/* Storage Comparison */}
+              {storageResults.length > 0 && (
+                <Card>
+                  <div className="p-4 border-b border-slate-100 bg-slate-50 flex items-center gap-2">
+                    <Battery className="w-5 h-5 text-emerald-600" />
+                    <h3 className="font-bold text-slate-700">Czy magazyn energii się opłaca?</h3>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-right">
+                      <thead className="bg-white text-slate-500 uppercase text-xs border-b">
+                        <tr>
+                          <th className="p-3 text-left">Wariant</th>
+                          <th className="p-3">Autokonsumpcja</th>
+                          <th className="p-3">Zwrot</th>
+                          <th className="p-3">Zysk ({horizonYears} lat)</th>
+                          <th className="p-3">NPV</th>
+                          <th className="p-3 font-bold">Efekt magazynu (NPV)</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-50">
+                        {storageResults.map(r => {
+                          const base = r.storageComparison.withoutStorage;
+                          const npvGain = r.summary.npv - base.summary.npv;
+                          return (
+                            <React.Fragment key={r.id}>
+                              <tr>
+                                <td className="p-3 text-left font-bold text-slate-900">{r.name} <span className="font-normal text-emerald-600">z magazynem</span></td>
+                                <td className="p-3">{r.summary.autoConsumptionPercent.toFixed(1)}%</td>
+                                <td className="p-3">{r.paybackYear ? `${r.paybackYear} lat` : `>${horizonYears} lat`}</td>
+                                <td className="p-3">{formatCurrency(r.summary.netProfit)}</td>
+                                <td className="p-3">{formatCurrency(r.summary.npv)}</td>
+                                <td rowSpan={2} className={`p-3 font-bold align-middle ${npvGain >= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+                                  {npvGain >= 0 ? '+' : ''}{formatCurrency(npvGain)}
+                                </td>
+                              </tr>
+                              <tr className="text-slate-500">
+                                <td className="p-3 text-left pl-6">bez magazynu</td>
+                                <td className="p-3">{base.summary.autoConsumptionPercent.toFixed(1)}%</td>
+                                <td className="p-3">{base.paybackYear ? `${base.paybackYear} lat` : `>${horizonYears} lat`}</td>
+                                <td className="p-3">{formatCurrency(base.summary.netProfit)}</td>
+                                <td className="p-3">{formatCurrency(base.summary.npv)}</td>
+                              </tr>
+                            </React.Fragment>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+              )}
+
+              {/* Rate Path Comparison */}
+              {ratePathResults.length > 0 && (
+                <Card>
+                  <div className="p-4 border-b border-slate-100 bg-slate-50 flex items-center gap-2">
+                    <TrendingUp className="w-5 h-5 text-blue-600" />
+                    <h3 className="font-bold text-slate-700">Co jeśli zmienią się stopy? ({referenceRateInfo(referenceRate).label})</h3>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm text-right">
+                      <thead className="bg-white text-slate-500 uppercase text-xs border-b">
+                        <tr>
+                          <th className="p-3 text-left">Wariant</th>
+                          <th className="p-3 text-left">Ścieżka</th>
+                          <th className="p-3">Zwrot</th>
+                          <th className="p-3">Odsetki</th>
+                          <th className="p-3">Najwyższa rata</th>
+                          <th className="p-3">NPV</th>
+                          <th className="p-3 font-bold">Zmiana NPV</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-50">
+                        {ratePathResults.map(r => {
+                          const paths = Object.entries(r.ratePathComparison);
+                          const base = r.ratePathComparison.constant;
+                          return (
+                            <React.Fragment key={r.id}>
+                              {paths.map(([pathId, alt], index) => {
+                                const npvChange = alt.summary.npv - base.summary.npv;
+                                return (
+                                  <tr key={pathId} className={pathId === ratePath ? 'bg-blue-50/50' : 'text-slate-600'}>
+                                    {index === 0 && <td rowSpan={paths.length} className="p-3 text-left font-bold text-slate-900 align-top">{r.name}</td>}
+                                    <td className="p-3 text-left">
+                                      {RATE_PATHS.find(p => p.id === pathId).label}
+                                      {pathId === ratePath && <span className="ml-2 text-[10px] uppercase text-blue-600 font-bold">wybrana</span>}
+                                    </td>
+                                    <td className="p-3">{alt.paybackYear ? `${alt.paybackYear} lat` : `>${horizonYears} lat`}</td>
+                                    <td className="p-3">{formatCurrency(alt.summary.totalInterest)}</td>
+                                    <td className="p-3">{formatCurrency(alt.summary.maxInstallment)}</td>
+                                    <td className="p-3">{formatCurrency(alt.summary.npv)}</td>
+                                    <td className={`p-3 font-bold ${npvChange >= 0 ? 'text-emerald-600' : 'text-red-500'}`}>
+                                      {pathId === 'constant' ? '–' : `${npvChange >= 0 ? '+' : ''}${formatCurrency(npvChange)}`}
+                                    </td>
+                                  </tr>
+                                );
+                              })}
+                            </React.Fragment>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+              )}
             </>
           )}
 
           {activeTab === 'production' && (
               <div className="flex flex-col gap-6">
                    <Card className="p-6 h-96">
-                        <h3 className="text-lg font-bold text-slate-800 mb-4 flex items-center gap-2">
-                             <Zap className="w-5 h-5 text-yellow-500"/>
-                             Produkcja vs Autokonsumpcja ({installationPower} kWp)
-                        </h3>
+                        <div className="flex justify-between items-start mb-4 gap-2">
+                            <h3 className="text-lg font-bold text-slate-800 flex items-center gap-2">
+                                 <Zap className="w-5 h-5 text-yellow-500"/>
+                                 Produkcja vs Autokonsumpcja ({installationPower} kWp)
+                            </h3>
+                            {storageResults.length > 0 && (
+                                <select 
+                                    value={energyScenarioId || ''}
+                                    onChange={(e) => setEnergyScenarioId(e.target.value ? parseInt(e.target.value) : null)}
+                                    className="p-1.5 border rounded text-xs bg-white shadow-sm print:hidden"
+                                >
+                                    <option value="">Bez magazynu</option>
+                                    {storageResults.map(r => (
+                                        <option key={r.id} value={r.id}>Z magazynem: {r.name}</option>
+                                    ))}
+                                </select>
+                            )}
+                        </div>
                         <ResponsiveContainer width="100%" height="100%">
-                            <BarChart data={monthlyStats} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
+                            <BarChart data={displayedMonthlyStats} margin={{ top: 20, right: 30, left: 20, bottom: 5 }}>
                                 <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
                                 <XAxis dataKey="name" />
                                 <YAxis />
@@ -1063,6 +2699,7 @@ export default function App() {
                                 <Legend />
                                 <Bar dataKey="production" name="Produkcja (kWh)" fill="#f59e0b" radius={[4, 4, 0, 0]} />
                                 <Bar dataKey="consumed" name="Zużycie (Auto)" fill="#10b981" radius={[4, 4, 0, 0]} />
+                                {showsStorage && <Bar dataKey="storageDischarged" name="w tym z magazynu" fill="#0d9488" radius={[4, 4, 0, 0]} />}
                             </BarChart>
                         </ResponsiveContainer>
                    </Card>
@@ -1079,25 +2716,28 @@ export default function App() {
                                        <th className="p-3">Produkcja</th>
                                        <th className="p-3">Zapotrzebowanie</th>
                                        <th className="p-3 text-emerald-600 font-bold">Autokonsumpcja</th>
+                                       {showsStorage && <th className="p-3 text-teal-600">w tym z magazynu</th>}
                                        <th className="p-3 text-blue-600">Sprzedaż</th>
                                    </tr>
                                </thead>
                                <tbody className="divide-y divide-slate-50 bg-white">
-                                   {monthlyStats.map((row) => (
+                                   {displayedMonthlyStats.map((row) => (
                                        <tr key={row.id} className="hover:bg-slate-50">
                                            <td className="p-3 text-left font-medium text-slate-700">{row.full}</td>
                                            <td className="p-3 text-slate-900 bg-yellow-50/30">{row.production.toFixed(0)} kWh</td>
                                            <td className="p-3 text-slate-500">{row.consumptionDemand.toFixed(0)} kWh</td>
                                            <td className="p-3 text-emerald-600 font-bold bg-emerald-50/30">{row.consumed.toFixed(0)} kWh</td>
+                                           {showsStorage && <td className="p-3 text-teal-600">{row.storageDischarged.toFixed(0)} kWh</td>}
                                            <td className="p-3 text-blue-600">{row.sold.toFixed(0)} kWh</td>
                                        </tr>
                                    ))}
                                    <tr className="bg-slate-100 font-bold border-t-2 border-slate-200">
                                         <td className="p-3 text-left text-slate-800">SUMA ROCZNA</td>
-                                        <td className="p-3 text-slate-900">{(995 * installationPower).toLocaleString()} kWh</td>
+                                        <td className="p-3 text-slate-900">{Math.round(sumMonthlyStats(displayedMonthlyStats, 'production')).toLocaleString()} kWh</td>
                                         <td className="p-3 text-slate-500">-</td>
-                                        <td className="p-3 text-emerald-700">{monthlyStats.reduce((sum, item) => sum + item.consumed, 0).toLocaleString()} kWh</td>
-                                        <td className="p-3 text-blue-700">{monthlyStats.reduce((sum, item) => sum + item.sold, 0).toLocaleString()} kWh</td>
+                                        <td className="p-3 text-emerald-700">{displayedMonthlyStats.reduce((sum, item) => sum + item.consumed, 0).toLocaleString()} kWh</td>
+                                        {showsStorage && <td className="p-3 text-teal-700">{Math.round(sumMonthlyStats(displayedMonthlyStats, 'storageDischarged')).toLocaleString()} kWh</td>}
+                                        <td className="p-3 text-blue-700">{displayedMonthlyStats.reduce((sum, item) => sum + item.sold, 0).toLocaleString()} kWh</td>
                                    </tr>
                                </tbody>
                            </table>
@@ -1120,6 +2760,86 @@ export default function App() {
                     ))}
                  </select>
               </div>
+              {selectedResult?.summary.deposit && (
+                <div className="p-4 border-b border-slate-100 grid grid-cols-2 md:grid-cols-5 gap-2 text-xs">
+                  <div className="col-span-2 md:col-span-5 font-bold text-slate-600 uppercase">Depozyt prosumencki ({horizonYears} lat)</div>
+                  <div className="bg-slate-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Zaliczono</div>
+                    <div className="font-bold text-slate-700">{formatCurrency(selectedResult.summary.deposit.credited)}</div>
+                  </div>
+                  <div className="bg-emerald-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Wykorzystano</div>
+                    <div className="font-bold text-emerald-700">{formatCurrency(selectedResult.summary.deposit.used)}</div>
+                  </div>
+                  <div className="bg-blue-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Zwrócono</div>
+                    <div className="font-bold text-blue-700">{formatCurrency(selectedResult.summary.deposit.refunded)}</div>
+                  </div>
+                  <div className="bg-red-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Przepadło</div>
+                    <div className="font-bold text-red-600">{formatCurrency(selectedResult.summary.deposit.lost)}</div>
+                  </div>
+                  <div className="bg-slate-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Saldo na koniec</div>
+                    <div className="font-bold text-slate-700">{formatCurrency(selectedResult.summary.deposit.balance)}</div>
+                  </div>
+                </div>
+              )}
+              {selectedResult?.summary.energyBank && (
+                <div className="p-4 border-b border-slate-100 grid grid-cols-2 md:grid-cols-5 gap-2 text-xs">
+                  <div className="col-span-2 md:col-span-5 font-bold text-slate-600 uppercase">Energia w systemie opustów ({horizonYears} lat)</div>
+                  <div className="bg-slate-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Do odbioru</div>
+                    <div className="font-bold text-slate-700">{Math.round(selectedResult.summary.energyBank.banked).toLocaleString()} kWh</div>
+                  </div>
+                  <div className="bg-emerald-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Odebrano</div>
+                    <div className="font-bold text-emerald-700">{Math.round(selectedResult.summary.energyBank.drawn).toLocaleString()} kWh</div>
+                  </div>
+                  <div className="bg-blue-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Wartość odebranej</div>
+                    <div className="font-bold text-blue-700">{formatCurrency(selectedResult.summary.energyBank.value)}</div>
+                  </div>
+                  <div className="bg-red-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Przepadło</div>
+                    <div className="font-bold text-red-600">{Math.round(selectedResult.summary.energyBank.lost).toLocaleString()} kWh</div>
+                  </div>
+                  <div className="bg-slate-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Saldo na koniec</div>
+                    <div className="font-bold text-slate-700">{Math.round(selectedResult.summary.energyBank.balance).toLocaleString()} kWh</div>
+                  </div>
+                </div>
+              )}
+              {selectedResult?.summary.tax && (
+                <div className="p-4 border-b border-slate-100 grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+                  <div className="col-span-2 md:col-span-4 font-bold text-slate-600 uppercase">Podatki ({horizonYears} lat, stawka {selectedResult.summary.tax.rate}%)</div>
+                  {selectedResult.summary.tax.type === 'business' ? (
+                    <>
+                      <div className="bg-red-50 p-2 rounded">
+                        <div className="text-slate-400 uppercase text-[10px]">Podatek od energii</div>
+                        <div className="font-bold text-red-600">{formatCurrency(selectedResult.summary.tax.incomeTax)}</div>
+                      </div>
+                      <div className="bg-amber-50 p-2 rounded">
+                        <div className="text-slate-400 uppercase text-[10px]">Tarcza amortyzacji</div>
+                        <div className="font-bold text-amber-700">{formatCurrency(selectedResult.summary.tax.depreciationTaxShield)}</div>
+                      </div>
+                      <div className="bg-amber-50 p-2 rounded">
+                        <div className="text-slate-400 uppercase text-[10px]">Tarcza kosztów</div>
+                        <div className="font-bold text-amber-700">{formatCurrency(selectedResult.summary.tax.costTaxShield)}</div>
+                      </div>
+                    </>
+                  ) : (
+                    <div className="bg-amber-50 p-2 rounded col-span-1 md:col-span-3">
+                      <div className="text-slate-400 uppercase text-[10px]">Ulga termomodernizacyjna</div>
+                      <div className="font-bold text-amber-700">{formatCurrency(selectedResult.summary.tax.thermoRelief)}</div>
+                    </div>
+                  )}
+                  <div className="bg-slate-50 p-2 rounded">
+                    <div className="text-slate-400 uppercase text-[10px]">Efekt podatkowy razem</div>
+                    <div className={`font-bold ${selectedResult.summary.tax.total >= 0 ? 'text-emerald-700' : 'text-red-600'}`}>{formatCurrency(selectedResult.summary.tax.total)}</div>
+                  </div>
+                </div>
+              )}
               <div className="overflow-auto flex-1 p-0">
                  {selectedScenarioId && (
                    <table className="w-full text-sm text-right">
@@ -1127,21 +2847,78 @@ export default function App() {
                         <tr>
                            <th className="p-3 text-left">Rok</th>
                            <th className="p-3 text-emerald-600">Korzyść z Energii</th>
+                           {selectedResult?.summary.deposit && (
+                             <>
+                               <th className="p-3 text-slate-500">Depozyt wykorz.</th>
+                               <th className="p-3 text-slate-500">Zwrot</th>
+                               <th className="p-3 text-slate-500">Przepadło</th>
+                             </>
+                           )}
+                           {selectedResult?.summary.energyBank && (
+                             <>
+                               <th className="p-3 text-slate-500">Odebrano</th>
+                               <th className="p-3 text-slate-500">Przepadło</th>
+                             </>
+                           )}
                            <th className="p-3 text-red-500">Rata Kredytu</th>
+                           <th className="p-3 text-orange-500">Wymiany</th>
+                           {selectedResult?.summary.tax?.type === 'business' && (
+                             <>
+                               <th className="p-3 text-red-400">Podatek od energii</th>
+                               <th className="p-3 text-amber-600">Tarcza amortyzacji</th>
+                               <th className="p-3 text-amber-600">Tarcza kosztów</th>
+                             </>
+                           )}
+                           {selectedResult?.summary.tax?.type === 'household' && (
+                             <th className="p-3 text-amber-600">Ulga termomod.</th>
+                           )}
                            <th className="p-3 font-bold text-slate-900">Bilans Roczny</th>
                            <th className="p-3 text-blue-600">Skumulowane</th>
+                           {selectedResult?.summary.opportunityCost > 0 && (
+                             <th className="p-3 text-slate-400">
+                               Utracone korzyści
+                               <Tooltip text={`Zysk wkładu własnego w roku w alternatywnej inwestycji (${benchmarkSummary(params)}). Nie wchodzi do bilansu rocznego – pomniejsza zysk na czysto.`} />
+                             </th>
+                           )}
                         </tr>
                       </thead>
                       <tbody className="divide-y divide-slate-50">
-                        {results.find(r => r.id === selectedScenarioId)?.yearlyCashFlow.map((row) => (
+                        {selectedResult?.yearlyCashFlow.map((row) => (
                            <tr key={row.year} className={row.year === 0 ? "bg-slate-50 italic text-slate-500" : "hover:bg-slate-50"}>
                               <td className="p-3 text-left font-medium text-slate-700">{row.year === 0 ? "Start" : row.year}</td>
                               <td className="p-3 text-emerald-600">{formatCurrency(row.energySavings)}</td>
+                              {selectedResult.summary.deposit && (
+                                <>
+                                  <td className="p-3 text-slate-500">{row.year === 0 ? '-' : formatCurrency(row.depositUsed)}</td>
+                                  <td className="p-3 text-slate-500">{row.year === 0 ? '-' : formatCurrency(row.depositRefunded)}</td>
+                                  <td className="p-3 text-red-400">{row.year === 0 || !row.depositLost ? '-' : `-${formatCurrency(row.depositLost)}`}</td>
+                                </>
+                              )}
+                              {selectedResult.summary.energyBank && (
+                                <>
+                                  <td className="p-3 text-slate-500">{row.year === 0 ? '-' : `${Math.round(row.energyDrawn).toLocaleString()} kWh`}</td>
+                                  <td className="p-3 text-red-400">{row.year === 0 || !row.energyBankLost ? '-' : `${Math.round(row.energyBankLost).toLocaleString()} kWh`}</td>
+                                </>
+                              )}
                               <td className="p-3 text-red-500">{row.loanPayment > 0 ? `-${formatCurrency(row.loanPayment)}` : '-'}</td>
+                              <td className="p-3 text-orange-500">{row.replacementCost > 0 ? `-${formatCurrency(row.replacementCost)}` : '-'}</td>
+                              {selectedResult.summary.tax?.type === 'business' && (
+                                <>
+                                  <td className="p-3 text-red-400">{row.incomeTax ? formatCurrency(row.incomeTax) : '-'}</td>
+                                  <td className="p-3 text-amber-600">{row.depreciationTaxShield ? formatCurrency(row.depreciationTaxShield) : '-'}</td>
+                                  <td className="p-3 text-amber-600">{row.costTaxShield ? formatCurrency(row.costTaxShield) : '-'}</td>
+                                </>
+                              )}
+                              {selectedResult.summary.tax?.type === 'household' && (
+                                <td className="p-3 text-amber-600">{row.thermoRelief ? formatCurrency(row.thermoRelief) : '-'}</td>
+                              )}
                               <td className="p-3 font-bold text-slate-900">{formatCurrency(row.netCashFlow)}</td>
                               <td className={`p-3 font-bold ${row.cumulative >= 0 ? 'text-blue-600' : 'text-red-400'}`}>
                                 {formatCurrency(row.cumulative)}
                               </td>
+                              {selectedResult.summary.opportunityCost > 0 && (
+                                <td className="p-3 text-slate-400">{row.opportunityCost ? formatCurrency(row.opportunityCost) : '-'}</td>
+                              )}
                            </tr>
                         ))}
                       </tbody>
@@ -1151,10 +2928,506 @@ export default function App() {
             </Card>
           )}
 
+          {activeTab === 'loanSchedule' && (
+            <Card className="flex-1 flex flex-col h-[800px] print:h-auto">
+              <div className="p-4 border-b border-slate-100 flex justify-between items-center bg-slate-50 print:hidden">
+                 <h3 className="font-bold text-slate-700">Harmonogram spłat kredytu</h3>
+                 <select 
+                   value={selectedScenarioId || ''}
+                   onChange={(e) => setSelectedScenarioId(parseInt(e.target.value))}
+                   className="p-2 border rounded text-sm bg-white shadow-sm focus:ring-2 focus:ring-emerald-500 focus:outline-none"
+                 >
+                    {scenarios.map(s => (
+                       <option key={s.id} value={s.id}>{s.name}</option>
+                    ))}
+                 </select>
+              </div>
+              {selectedResult && selectedLoanYears.length > 0 ? (
+                <>
+                  <div className="p-4 border-b border-slate-100 grid grid-cols-2 md:grid-cols-4 gap-2 text-xs">
+                    <div className="bg-slate-50 p-2 rounded">
+                      <div className="text-slate-400 uppercase text-[10px]">{selectedResult.summary.lease ? 'Finansowanie netto' : 'Kwota kredytu'}</div>
+                      <div className="font-bold text-slate-700">{formatCurrency(selectedResult.summary.loanAmount)}</div>
+                    </div>
+                    <div className="bg-red-50 p-2 rounded">
+                      <div className="text-slate-400 uppercase text-[10px]">Suma odsetek</div>
+                      <div className="font-bold text-red-600">{formatCurrency(selectedResult.summary.totalInterest)}</div>
+                    </div>
+                    <div className="bg-slate-50 p-2 rounded">
+                      <div className="text-slate-400 uppercase text-[10px]">Raty</div>
+                      <div className="font-bold text-slate-700">{selectedResult.summary.lease ? financingProduct(selectedResult.productType).label : selectedResult.installmentType === 'decreasing' ? 'Malejące' : 'Równe'}, {selectedResult.loanSchedule.length} m-cy</div>
+                    </div>
+                    <div className="bg-slate-50 p-2 rounded">
+                      <div className="text-slate-400 uppercase text-[10px]">Karencja</div>
+                      <div className="font-bold text-slate-700">{selectedResult.loanSchedule.filter(row => row.grace).length} m-cy</div>
+                    </div>
+                  </div>
+                  <div className="overflow-auto flex-1 p-0">
+                    <table className="w-full text-sm text-right">
+                      <thead className="bg-slate-100 text-slate-600 text-xs uppercase sticky top-0 z-10 shadow-sm">
+                        <tr>
+                          <th className="p-3 text-left">Nr raty</th>
+                          <th className="p-3 text-left">Rok</th>
+                          <th className="p-3 text-slate-500">Oprocentowanie</th>
+                          <th className="p-3 font-bold text-slate-900">Rata</th>
+                          <th className="p-3 text-blue-600">Część kapitałowa</th>
+                          <th className="p-3 text-red-500">Część odsetkowa</th>
+                          <th className="p-3 text-slate-500">Saldo po racie</th>
+                        </tr>
+                      </thead>
+                      <tbody className="divide-y divide-slate-50">
+                        {selectedLoanYears.map(group => (
+                          <React.Fragment key={group.year}>
+                            {group.rows.map(row => (
+                              <tr key={row.month} className={row.grace ? 'bg-amber-50/50 text-slate-500' : 'hover:bg-slate-50'}>
+                                <td className="p-2 text-left font-medium text-slate-700">
+                                  {row.month}
+                                  {row.grace && <span className="ml-2 text-[10px] uppercase text-amber-600">karencja</span>}
+                                </td>
+                                <td className="p-2 text-left text-slate-400">{row.year}</td>
+                                <td className="p-2 text-slate-500">{row.rate.toFixed(2)}%</td>
+                                <td className="p-2 font-bold text-slate-900">
+                                  {formatCurrencyExact(row.installment)}
+                                  {row.buyout > 0 && <div className="text-[10px] font-normal text-slate-500">+ wykup {formatCurrencyExact(row.buyout)}</div>}
+                                </td>
+                                <td className="p-2 text-blue-600">{formatCurrencyExact(row.principal)}</td>
+                                <td className="p-2 text-red-500">{formatCurrencyExact(row.interest)}</td>
+                                <td className="p-2 text-slate-500">{formatCurrencyExact(row.balance)}</td>
+                              </tr>
+                            ))}
+                            <tr className="bg-slate-100 font-bold text-slate-700">
+                              <td className="p-2 text-left" colSpan={3}>Razem rok {group.year}</td>
+                              <td className="p-2 text-slate-900">{formatCurrencyExact(group.installment)}</td>
+                              <td className="p-2 text-blue-700">{formatCurrencyExact(group.principal)}</td>
+                              <td className="p-2 text-red-600">{formatCurrencyExact(group.interest)}</td>
+                              <td className="p-2 text-slate-600">{formatCurrencyExact(group.balance)}</td>
+                            </tr>
+                          </React.Fragment>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              ) : (
+                <div className="p-8 text-center text-sm text-slate-400">Brak kredytu w tym wariancie – inwestycja finansowana w całości ze środków własnych.</div>
+              )}
+            </Card>
+          )}
+
+          {activeTab === 'sensitivity' && (
+            <div className="flex flex-col gap-6">
+              <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-1 grid grid-cols-3 gap-1 print:hidden">
+                {[['tornado', 'Wrażliwość (tornado)'], ['monteCarlo', 'Ryzyko (Monte Carlo)'], ['goalSeek', 'Szukanie wyniku']].map(([mode, label]) => (
+                  <button 
+                    key={mode}
+                    onClick={() => setSensitivityMode(mode)}
+                    className={`py-2 text-sm font-bold rounded-lg transition-all ${sensitivityMode === mode ? 'bg-emerald-600 text-white shadow-md' : 'text-slate-600 hover:bg-slate-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              {sensitivityMode === 'tornado' && (
+                <>
+                  <Card>
+                    <div className="p-4 border-b border-slate-100 flex flex-wrap gap-2 justify-between items-center bg-slate-50 print:hidden">
+                      <h3 className="font-bold text-slate-700 flex items-center">
+                        Analiza wrażliwości
+                        <Tooltip text="Każdy czynnik zmieniany osobno w dół i w górę o wybrany zakres, pozostałe dane bez zmian. Ceny, koszt i produkcja zmieniają się o %, wzrost cen, wskaźnik i autokonsumpcja o punkty procentowe." />
+                      </h3>
+                      <div className="flex gap-2">
+                        <select 
+                          value={sensitivityMetric} onChange={(e) => setSensitivityMetric(e.target.value)}
+                          className="p-2 border rounded text-sm bg-white shadow-sm focus:ring-2 focus:ring-emerald-500 focus:outline-none"
+                        >
+                          <option value="netProfit">Zysk na czysto</option>
+                          <option value="paybackYear">Okres zwrotu</option>
+                        </select>
+                        <select 
+                          value={selectedScenarioId || ''}
+                          onChange={(e) => setSelectedScenarioId(parseInt(e.target.value))}
+                          className="p-2 border rounded text-sm bg-white shadow-sm focus:ring-2 focus:ring-emerald-500 focus:outline-none"
+                        >
+                          {scenarios.map(s => (
+                            <option key={s.id} value={s.id}>{s.name}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </div>
+                    <div className="p-4 grid grid-cols-2 md:grid-cols-4 gap-2 border-b border-slate-100">
+                      {SENSITIVITY_DRIVERS.map(d => (
+                        <div key={d.id}>
+                          <label className="text-[10px] uppercase text-slate-400 font-bold">{d.label} (± {d.unit})</label>
+                          <input 
+                            type="number" min="0" step={d.unit === '%' ? 5 : 0.5} value={sensitivityRanges[d.id]}
+                            onChange={(e) => setSensitivityRanges({ ...sensitivityRanges, [d.id]: Math.abs(parseFloat(e.target.value) || 0) })}
+                            className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                    {sensitivity && (
+                      <>
+                        <div className="p-4 text-sm text-slate-600">
+                          Wariant bazowy: <span className="font-bold text-slate-900">{formatSensitivityValue(sensitivity.base)}</span>
+                          {sensitivityMetric === 'netProfit' ? ` zysku na czysto w ${sensitivity.base.simulationYears} lat` : ' okresu zwrotu'}
+                        </div>
+                        <div className="h-80 px-4">
+                          <ResponsiveContainer width="100%" height="100%">
+                            <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ top: 5, right: 30, left: 20, bottom: 5 }}>
+                              <CartesianGrid strokeDasharray="3 3" horizontal={false} stroke="#e2e8f0" />
+                              <XAxis type="number" tickFormatter={(val) => (sensitivityMetric === 'netProfit' ? `${val / 1000}k` : `${val} lat`)} />
+                              <YAxis type="category" dataKey="label" width={190} tick={{ fontSize: 11 }} />
+                              <RechartsTooltip formatter={(value) => (sensitivityMetric === 'netProfit' ? formatCurrency(value) : `${value > 0 ? '+' : ''}${value} lat`)} />
+                              <Legend />
+                              <Bar dataKey="low" name="Czynnik w dół" stackId="tornado" fill="#f43f5e" />
+                              <Bar dataKey="high" name="Czynnik w górę" stackId="tornado" fill="#10b981" />
+                            </BarChart>
+                          </ResponsiveContainer>
+                        </div>
+                        <table className="w-full text-sm text-right mt-2">
+                          <thead className="bg-slate-100 text-slate-600 text-xs uppercase">
+                            <tr>
+                              <th className="p-2 text-left">Czynnik</th>
+                              <th className="p-2">W dół</th>
+                              <th className="p-2">W górę</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-slate-50">
+                            {sensitivity.drivers.map(d => (
+                              <tr key={d.id} className="hover:bg-slate-50">
+                                <td className="p-2 text-left font-medium text-slate-700">{d.label}</td>
+                                <td className="p-2 text-red-500">{formatDelta(-d.range, d.unit)}: {formatSensitivityValue(d.low)}</td>
+                                <td className="p-2 text-emerald-600">{formatDelta(d.range, d.unit)}: {formatSensitivityValue(d.high)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </>
+                    )}
+                  </Card>
+
+                  {sensitivityTable && (
+                    <Card>
+                      <div className="p-4 border-b border-slate-100 flex flex-wrap gap-2 justify-between items-center bg-slate-50">
+                        <h3 className="font-bold text-slate-700">Tabela dwóch zmiennych</h3>
+                        <div className="flex gap-2 items-center text-xs text-slate-500">
+                          <select 
+                            value={gridRowDriver} onChange={(e) => setGridRowDriver(e.target.value)}
+                            className="p-2 border rounded text-sm bg-white shadow-sm"
+                          >
+                            {SENSITIVITY_DRIVERS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+                          </select>
+                          ×
+                          <select 
+                            value={gridColumnDriver} onChange={(e) => setGridColumnDriver(e.target.value)}
+                            className="p-2 border rounded text-sm bg-white shadow-sm"
+                          >
+                            {SENSITIVITY_DRIVERS.map(d => <option key={d.id} value={d.id}>{d.label}</option>)}
+                          </select>
+                        </div>
+                      </div>
+                      <div className="overflow-auto">
+                        <table className="w-full text-sm text-right">
+                          <thead className="bg-slate-100 text-slate-600 text-xs">
+                            <tr>
+                              <th className="p-2 text-left">{sensitivityDriver(gridRowDriver).label} \ {sensitivityDriver(gridColumnDriver).label}</th>
+                              {sensitivityTable.rows[0].cells.map((cell, i) => (
+                                <th key={i} className="p-2">{formatDelta(cell.delta, sensitivityDriver(gridColumnDriver).unit)}</th>
+                              ))}
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-slate-50">
+                            {sensitivityTable.rows.map((row, i) => (
+                              <tr key={i}>
+                                <td className="p-2 text-left font-medium text-slate-700 bg-slate-50">{formatDelta(row.delta, sensitivityDriver(gridRowDriver).unit)}</td>
+                                {row.cells.map((cell, j) => {
+                                  const better = sensitivityMetric === 'netProfit'
+                                    ? sensitivityValue(cell) - sensitivityValue(sensitivity.base)
+                                    : sensitivityValue(sensitivity.base) - sensitivityValue(cell);
+                                  return (
+                                    <td
+                                      key={j}
+                                      className={`p-2 ${row.delta === 0 && cell.delta === 0 ? 'font-bold text-slate-900 bg-slate-100' : better > 0 ? 'text-emerald-600' : better < 0 ? 'text-red-500' : 'text-slate-600'}`}
+                                    >
+                                      {formatSensitivityValue(cell)}
+                                    </td>
+                                  );
+                                })}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </Card>
+                  )}
+                </>
+              )}
+
+              {sensitivityMode === 'monteCarlo' && (
+                <Card>
+                  <div className="p-4 border-b border-slate-100 flex flex-wrap gap-2 justify-between items-center bg-slate-50">
+                    <h3 className="font-bold text-slate-700 flex items-center">
+                      Symulacja ryzyka
+                      <Tooltip text="Każda iteracja losuje jedną przyszłość: stały wzrost cen energii z rozkładu normalnego, ścieżkę wskaźnika (błądzenie losowe od dzisiejszej wartości, rok po roku) i produkcję w każdym roku (± zakres). Wszystkie opcje liczone są na tych samych losowaniach." />
+                    </h3>
+                    <button 
+                      onClick={runMonteCarloSimulation}
+                      disabled={monteCarloProgress !== null}
+                      className="flex items-center gap-2 text-sm bg-emerald-600 text-white px-3 py-2 rounded-lg hover:bg-emerald-700 transition-all shadow-sm font-medium disabled:opacity-60"
+                    >
+                      <Activity className="w-4 h-4" />
+                      {monteCarloProgress ? `Liczenie… ${Math.round(monteCarloProgress.done / monteCarloProgress.total * 100)}%` : 'Uruchom symulację'}
+                    </button>
+                  </div>
+                  <div className="p-4 grid grid-cols-2 md:grid-cols-4 gap-2 border-b border-slate-100">
+                    <div>
+                      <label className="text-[10px] uppercase text-slate-400 font-bold">Liczba iteracji</label>
+                      <input 
+                        type="number" step="500" min={MONTE_CARLO_LIMITS.minIterations} max={MONTE_CARLO_LIMITS.maxIterations} value={monteCarloSettings.iterations}
+                        onChange={(e) => setMonteCarloSettings({ ...monteCarloSettings, iterations: parseInt(e.target.value) || 0 })}
+                        className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="text-[10px] uppercase text-slate-400 font-bold">Wzrost cen: {energyInflation}% ± odch. (p.p.)</label>
+                      <input 
+                        type="number" step="0.5" min="0" value={monteCarloSettings.inflationStdev}
+                        onChange={(e) => setMonteCarloSettings({ ...monteCarloSettings, inflationStdev: parseFloat(e.target.value) || 0 })}
+                        className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="text-[10px] uppercase text-slate-400 font-bold">{referenceRateInfo(referenceRate).label}: zmiana roczna (odch., p.p.)</label>
+                      <input 
+                        type="number" step="0.25" min="0" value={monteCarloSettings.rateStdev}
+                        onChange={(e) => setMonteCarloSettings({ ...monteCarloSettings, rateStdev: parseFloat(e.target.value) || 0 })}
+                        className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                      />
+                    </div>
+                    <div>
+                      <label className="text-[10px] uppercase text-slate-400 font-bold">Produkcja roczna (± %)</label>
+                      <input 
+                        type="number" step="1" min="0" value={monteCarloSettings.yieldVariation}
+                        onChange={(e) => setMonteCarloSettings({ ...monteCarloSettings, yieldVariation: parseFloat(e.target.value) || 0 })}
+                        className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                      />
+                    </div>
+                  </div>
+                  {monteCarloError && (
+                    <div className="p-4 text-sm text-red-600">{monteCarloError}</div>
+                  )}
+                  {monteCarloResult && (
+                    <>
+                      {monteCarloStale && (
+                        <div className="px-4 pt-3 text-xs text-amber-700">Dane zmieniły się od ostatniej symulacji – uruchom ją ponownie.</div>
+                      )}
+                      <div className="overflow-auto">
+                        <table className="w-full text-sm text-right mt-2">
+                          <thead className="bg-slate-100 text-slate-600 text-xs uppercase">
+                            <tr>
+                              <th className="p-2 text-left">Wariant</th>
+                              <th className="p-2">Zwrot P10 / P50 / P90</th>
+                              <th className="p-2">Zysk P10</th>
+                              <th className="p-2">Zysk P50</th>
+                              <th className="p-2">Zysk P90</th>
+                              <th className="p-2">Zwrot w horyzoncie</th>
+                              <th className="p-2">Najlepsza opcja</th>
+                            </tr>
+                          </thead>
+                          <tbody className="divide-y divide-slate-50">
+                            {monteCarloResult.scenarios.map((sc, i) => (
+                              <tr key={sc.id} className="hover:bg-slate-50">
+                                <td className="p-2 text-left font-medium" style={{ color: SCENARIO_COLORS[i % SCENARIO_COLORS.length] }}>{sc.name}</td>
+                                <td className="p-2 text-slate-700">{formatPaybackPercentile(sc.payback.p10)} / {formatPaybackPercentile(sc.payback.p50)} / {formatPaybackPercentile(sc.payback.p90)}</td>
+                                <td className="p-2 text-red-500">{formatCurrency(sc.netProfit.p10)}</td>
+                                <td className="p-2 font-bold text-slate-900">{formatCurrency(sc.netProfit.p50)}</td>
+                                <td className="p-2 text-emerald-600">{formatCurrency(sc.netProfit.p90)}</td>
+                                <td className="p-2 text-slate-600">{formatPercent(sc.paybackWithinHorizon * 100)}</td>
+                                <td className="p-2 font-bold text-blue-600">{formatPercent(sc.probabilityBest * 100)}</td>
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                      <div className="px-4 pt-2 text-[10px] text-slate-500">
+                        {monteCarloResult.iterations.toLocaleString('pl-PL')} iteracji, horyzont {monteCarloResult.simulationYears} lat. P10 – 10% przyszłości wypada gorzej (zysk) lub lepiej (zwrot), P50 – mediana. „Najlepsza opcja” – udział iteracji, w których wariant wygrywa według kryterium „{BEST_OPTION_METRICS.find(m => m.id === bestOptionMetric)?.label}”.
+                      </div>
+                      <div className="h-72 p-4">
+                        <ResponsiveContainer width="100%" height="100%">
+                          <BarChart data={monteCarloHistogram} margin={{ top: 5, right: 20, left: 0, bottom: 5 }}>
+                            <CartesianGrid strokeDasharray="3 3" vertical={false} stroke="#e2e8f0" />
+                            <XAxis dataKey="label" tick={{ fontSize: 10 }} label={{ value: 'Zysk na czysto (zł)', position: 'insideBottomRight', offset: -5, fontSize: 10 }} />
+                            <YAxis tick={{ fontSize: 10 }} />
+                            <RechartsTooltip formatter={(value) => `${value} iteracji`} />
+                            <Legend />
+                            {monteCarloResult.scenarios.map((sc, i) => (
+                              <Bar key={sc.id} dataKey={`s${sc.id}`} name={sc.name} fill={SCENARIO_COLORS[i % SCENARIO_COLORS.length]} />
+                            ))}
+                          </BarChart>
+                        </ResponsiveContainer>
+                      </div>
+                    </>
+                  )}
+                </Card>
+              )}
+              {sensitivityMode === 'goalSeek' && (
+                <Card>
+                  <div className="p-4 border-b border-slate-100 flex flex-wrap gap-2 justify-between items-center bg-slate-50">
+                    <h3 className="font-bold text-slate-700 flex items-center">
+                      Szukanie wyniku
+                      <Tooltip text="Wybierz cel i jeden parametr – kalkulator znajdzie wartość graniczną parametru (metodą bisekcji), przy której wariant osiąga cel. Pozostałe dane bez zmian. Wynik można przenieść do projektu." />
+                    </h3>
+                    <button 
+                      onClick={runGoalSeek}
+                      className="flex items-center gap-2 text-sm bg-emerald-600 text-white px-3 py-2 rounded-lg hover:bg-emerald-700 transition-all shadow-sm font-medium"
+                    >
+                      <Calculator className="w-4 h-4" />
+                      Szukaj
+                    </button>
+                  </div>
+                  <div className="p-4 grid grid-cols-2 md:grid-cols-4 gap-2 border-b border-slate-100">
+                    <div>
+                      <label className="text-[10px] uppercase text-slate-400 font-bold">Wariant</label>
+                      <select 
+                        value={selectedScenarioId || ''}
+                        onChange={(e) => setSelectedScenarioId(parseInt(e.target.value))}
+                        className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white"
+                      >
+                        {scenarios.map(s => (
+                          <option key={s.id} value={s.id}>{s.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      <label className="text-[10px] uppercase text-slate-400 font-bold">Cel</label>
+                      <select 
+                        value={goalSeekSettings.target}
+                        onChange={(e) => changeGoalSeekTarget(e.target.value)}
+                        className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white"
+                      >
+                        {GOAL_SEEK_TARGETS.map(t => (
+                          <option key={t.id} value={t.id}>{t.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div>
+                      {goalSeekSettings.target === 'beat' ? (
+                        <>
+                          <label className="text-[10px] uppercase text-slate-400 font-bold">Wariant do pokonania</label>
+                          <select 
+                            value={goalSeekRivalId || ''}
+                            onChange={(e) => setGoalSeekSettings({ ...goalSeekSettings, rivalId: parseInt(e.target.value) })}
+                            className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white"
+                          >
+                            {scenarios.filter(s => s.id !== selectedScenarioId).map(s => (
+                              <option key={s.id} value={s.id}>{s.name}</option>
+                            ))}
+                          </select>
+                        </>
+                      ) : (
+                        <>
+                          <label className="text-[10px] uppercase text-slate-400 font-bold">Wartość celu ({GOAL_SEEK_TARGETS.find(t => t.id === goalSeekSettings.target).unit})</label>
+                          <input 
+                            type="number" step={goalSeekSettings.target === 'payback' ? 1 : 1000} value={goalSeekSettings.targetValue}
+                            onChange={(e) => setGoalSeekSettings({ ...goalSeekSettings, targetValue: parseFloat(e.target.value) || 0 })}
+                            className="w-full p-1.5 border border-slate-300 rounded text-sm"
+                          />
+                        </>
+                      )}
+                    </div>
+                    <div>
+                      <label className="text-[10px] uppercase text-slate-400 font-bold">Szukany parametr</label>
+                      <select 
+                        value={goalSeekSettings.input}
+                        onChange={(e) => setGoalSeekSettings({ ...goalSeekSettings, input: e.target.value })}
+                        className="w-full p-1.5 border border-slate-300 rounded text-sm bg-white"
+                      >
+                        {GOAL_SEEK_INPUTS.map(i => (
+                          <option key={i.id} value={i.id}>{i.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                  {goalSeekResult && (
+                    <div className="p-4 flex flex-col gap-3">
+                      {goalSeekStale && (
+                        <div className="text-xs text-amber-700">Dane zmieniły się od ostatniego wyszukiwania – uruchom je ponownie.</div>
+                      )}
+                      {goalSeekResult.status === 'unavailable' && (
+                        <div className="text-sm text-red-600">{goalSeekResult.message}</div>
+                      )}
+                      {goalSeekResult.status === 'ambiguous' && (
+                        <div className="text-sm text-amber-700">
+                          {goalSeekResult.message} Zakres {formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.range[0])} – {formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.range[1])}, obecna wartość: {formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.current)}.
+                        </div>
+                      )}
+                      {goalSeekResult.status === 'always' && (
+                        <div className="text-sm text-emerald-700">
+                          Cel jest osiągnięty w całym zakresie ({formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.range[0])} – {formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.range[1])}), obecna wartość: {formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.current)}.
+                        </div>
+                      )}
+                      {goalSeekResult.status === 'never' && (
+                        <div className="text-sm text-red-600">
+                          Cel nie jest osiągalny w zakresie {formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.range[0])} – {formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.range[1])} – wybierz inny parametr.
+                        </div>
+                      )}
+                      {goalSeekResult.status === 'solved' && (
+                        <>
+                          <div className="flex flex-wrap items-end justify-between gap-4">
+                            <div>
+                              <div className="text-[10px] uppercase text-slate-400 font-bold">
+                                {goalSeekInput(goalSeekResult.goal.input).label} – {goalSeekResult.bound === 'max' ? 'najwyżej' : 'co najmniej'}
+                              </div>
+                              <div className="text-2xl font-bold text-slate-900">{formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.value)}</div>
+                              <div className="text-xs text-slate-500">Obecnie: {formatGoalSeekValue(goalSeekResult.goal.input, goalSeekResult.current)}</div>
+                            </div>
+                            <button 
+                              onClick={applyGoalSeekResult}
+                              disabled={goalSeekStale}
+                              className="flex items-center gap-2 text-sm bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 transition-all shadow-sm font-medium disabled:opacity-60"
+                            >
+                              <CheckCircle className="w-4 h-4" />
+                              Zastosuj w projekcie
+                            </button>
+                          </div>
+                          <table className="w-full text-sm text-right">
+                            <thead className="bg-slate-100 text-slate-600 text-xs uppercase">
+                              <tr>
+                                <th className="p-2 text-left">Przy znalezionej wartości</th>
+                                <th className="p-2">Zwrot</th>
+                                <th className="p-2">Zysk na czysto</th>
+                                <th className="p-2">NPV</th>
+                              </tr>
+                            </thead>
+                            <tbody className="divide-y divide-slate-50">
+                              {[[goalSeekResult.goal.scenarioId, goalSeekResult.outcome], [goalSeekResult.goal.rivalId, goalSeekResult.rivalOutcome]].filter(([, outcome]) => outcome).map(([id, outcome]) => (
+                                <tr key={id} className="hover:bg-slate-50">
+                                  <td className="p-2 text-left font-medium">{goalSeekResult.inputs.scenarios.find(s => s.id === id)?.name}</td>
+                                  <td className="p-2 text-slate-700">{formatGoalSeekPayback(outcome)}</td>
+                                  <td className="p-2 font-bold text-slate-900">{formatCurrency(outcome.netProfit)}</td>
+                                  <td className="p-2 text-slate-700">{formatCurrency(outcome.npv)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                          {goalSeekResult.goal.target === 'beat' && (
+                            <div className="text-[10px] text-slate-500">Porównanie według kryterium „{BEST_OPTION_METRICS.find(m => m.id === bestOptionMetric)?.label}”.</div>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  )}
+                </Card>
+              )}
+            </div>
+          )}
+
           {/* Footer Disclaimer */}
           <div className="text-[10px] text-slate-400 mt-4 border-t pt-2">
             <p>
-              <strong>Zastrzeżenie:</strong> Przedstawione wartości produkcji energii i korzyści finansowych mają charakter wyłącznie szacunkowy. Rzeczywiste wyniki mogą się różnić w zależności od wielu czynników, w tym: parametrów technicznych urządzeń, kąta nachylenia i azymutu paneli, lokalnych warunków pogodowych, zacienienia, zmian taryf energetycznych oraz indywidualnego profilu zużycia energii. Analiza nie stanowi oferty handlowej ani doradztwa inwestycyjnego.
+              <strong>Zastrzeżenie:</strong> {DISCLAIMER}
             </p>
           </div>
         </div>
@@ -0,0 +1,77 @@
+// --- Alternative Investment Benchmark ---
+// What the own capital paid up front would have earned elsewhere. Its gain after the capital gains tax
+// ("podatek Belki") is the opportunity cost of a scenario.
+
+export const BENCHMARK_TYPES = [
+  { id: 'deposit', label: 'Lokata bankowa', description: 'Odsetki kapitalizowane co rok, podatek od każdej kapitalizacji.' },
+  { id: 'bonds', label: 'Obligacje skarbowe 10-letnie (EDO)', description: 'Oprocentowanie stałe w 1. roku, potem inflacja + marża; odsetki kapitalizowane, podatek przy wykupie po 10 latach, kwota reinwestowana w kolejną serię.' },
+  { id: 'custom', label: 'Własna stopa zwrotu', description: 'Stała roczna stopa (np. fundusz), podatek od zysku przy wypłacie.' }
+];
+
+export const DEFAULT_BENCHMARK = {
+  benchmarkType: 'deposit',
+  depositRate: 4.0,          // Deposit interest (% per year)
+  bondFirstYearRate: 5.6,    // EDO: fixed rate of the first year (%)
+  bondMargin: 2.0,           // EDO: margin over CPI from the second year (p.p.)
+  expectedInflation: 3.5,    // CPI assumed for the bonds (% r/r)
+  customReturnRate: 6.0,     // Custom return (% per year)
+  capitalGainsTaxRate: 19    // Podatek od zysków kapitałowych (%), 0 = e.g. IKE
+};
+
+export const BOND_TERM_YEARS = 10;
+
+export const benchmarkTypeInfo = (id) => BENCHMARK_TYPES.find(t => t.id === id) || BENCHMARK_TYPES[0];
+
+// Return of a year of the term (0 = first) and how many years the gain accrues before it is taxed
+const benchmarkTerms = (settings) => {
+  const percent = (value) => (parseFloat(value) || 0) / 100;
+  if (settings.benchmarkType === 'bonds') {
+    // The EDO rate never falls below the margin (CPI below zero counts as zero)
+    const indexed = Math.max(0, percent(settings.expectedInflation)) + percent(settings.bondMargin);
+    return { taxPeriod: BOND_TERM_YEARS, rate: (yearInTerm) => (yearInTerm === 0 ? percent(settings.bondFirstYearRate) : indexed) };
+  }
+  if (settings.benchmarkType === 'custom') return { taxPeriod: Infinity, rate: () => percent(settings.customReturnRate) };
+  return { taxPeriod: 1, rate: () => percent(settings.depositRate) };
+};
+
+/**
+ * Value of the capital in the benchmark at the end of each year (index 0 = year 1), after the tax that
+ * would be due if it were cashed out then. A loss is not taxed.
+ *
+ * @param {number} capital  Own capital at the start (zł)
+ * @param {typeof DEFAULT_BENCHMARK} settings
+ * @param {number} years
+ * @returns {number[]}
+ */
+export const benchmarkValues = (capital, settings, years) => {
+  const { taxPeriod, rate } = benchmarkTerms(settings);
+  const tax = (parseFloat(settings.capitalGainsTaxRate) || 0) / 100;
+  const afterTax = (base, gross) => base + (gross - base) * (gross > base ? 1 - tax : 1);
+  const values = [];
+  let base = Math.max(0, capital); // Taxed value at the start of the term
+  let gross = base;
+  for (let year = 1; year <= years; year++) {
+    const yearInTerm = (year - 1) % taxPeriod;
+    gross *= 1 + rate(yearInTerm);
+    const value = afterTax(base, gross);
+    values.push(value);
+    // End of the term: tax paid, the rest reinvested
+    if (yearInTerm === taxPeriod - 1) {
+      base = value;
+      gross = value;
+    }
+  }
+  return values;
+};
+
+// One-line description of the benchmark for reports, e.g. "Lokata bankowa 4%, podatek 19%"
+export const benchmarkSummary = (settings) => {
+  const number = (value) => String(parseFloat(value) || 0).replace('.', ',');
+  const { id, label } = benchmarkTypeInfo(settings.benchmarkType);
+  const returnLabel = {
+    deposit: `${number(settings.depositRate)}%`,
+    bonds: `${number(settings.bondFirstYearRate)}% w 1. roku, potem inflacja ${number(settings.expectedInflation)}% + ${number(settings.bondMargin)} p.p.`,
+    custom: `${number(settings.customReturnRate)}%`
+  }[id];
+  return `${label} ${returnLabel}, podatek ${number(settings.capitalGainsTaxRate)}%`;
+};
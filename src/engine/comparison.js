@@ -0,0 +1,36 @@
+// --- Scenario Comparison ---
+// Results of all scenarios side by side, shaped for the comparison charts of the app and the offer report.
+// Series of a scenario are keyed `s<id>`, so hidden scenarios can be dropped without reshaping the data.
+
+export const COMPARISON_COST_ITEMS = [
+  { key: 'totalInterest', label: 'Odsetki' },
+  { key: 'totalStartCosts', label: 'Koszty startowe' },
+  { key: 'grantAmount', label: 'Dotacja' },
+  { key: 'opportunityCost', label: 'Utracone korzyści' }
+];
+
+export const comparisonSeriesKey = (result) => `s${result.id}`;
+
+/**
+ * One row per year with a field of the yearly cash flow of every scenario.
+ *
+ * @param {ScenarioResult[]} results
+ * @param {string} field  Yearly row field, e.g. `cumulative` or `loanPayment`
+ * @returns {Object[]}  `{year, s<id>: number, ...}`
+ */
+export const yearlyComparison = (results, field) => (results[0]?.yearlyCashFlow ?? []).map((row, index) => ({
+  year: row.year,
+  ...Object.fromEntries(results.map(r => [comparisonSeriesKey(r), r.yearlyCashFlow[index]?.[field] ?? 0]))
+}));
+
+/**
+ * Cost items (`COMPARISON_COST_ITEMS`) of every scenario over the analysis.
+ *
+ * @param {ScenarioResult[]} results
+ * @returns {{id: number, name: string, totalInterest: number, totalStartCosts: number, grantAmount: number, opportunityCost: number}[]}
+ */
+export const costComparison = (results) => results.map(r => ({
+  id: r.id,
+  name: r.name,
+  ...Object.fromEntries(COMPARISON_COST_ITEMS.map(item => [item.key, r.summary[item.key] || 0]))
+}));
@@ -0,0 +1,22 @@
+// --- Constants ---
+
+export const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+export const MONTHS = [
+  { id: 1, name: 'Sty', full: 'Styczeń' },
+  { id: 2, name: 'Lut', full: 'Luty' },
+  { id: 3, name: 'Mar', full: 'Marzec' },
+  { id: 4, name: 'Kwi', full: 'Kwiecień' },
+  { id: 5, name: 'Maj', full: 'Maj' },
+  { id: 6, name: 'Cze', full: 'Czerwiec' },
+  { id: 7, name: 'Lip', full: 'Lipiec' },
+  { id: 8, name: 'Sie', full: 'Sierpień' },
+  { id: 9, name: 'Wrz', full: 'Wrzesień' },
+  { id: 10, name: 'Paź', full: 'Październik' },
+  { id: 11, name: 'Lis', full: 'Listopad' },
+  { id: 12, name: 'Gru', full: 'Grudzień' },
+];
+
+export const SIMULATION_YEARS = 15;
+export const MIN_SIMULATION_YEARS = 10;
+export const MAX_SIMULATION_YEARS = 30;
@@ -0,0 +1,162 @@
+import { DAYS_IN_MONTH } from './constants.js';
+import { HOURS_IN_YEAR, hourlyMonthlyBalance, monthlyWeightedAverage } from './hourly.js';
+import { monthlySalePrices } from './prices.js';
+import { DEFAULT_NET_BILLING, netMeteringRatio } from './settlement.js';
+import { tariffHourlyPrices } from './tariffs.js';
+import { productionPattern, hourlyProduction } from './production.js';
+
+// Purchase prices per month (zł/kWh): of self-consumed energy (`buy`) and of energy bought from the grid (`import`).
+// With a tariff, self-consumption is valued in the zones of the hours it displaces grid energy; grid import falls
+// in the hours with a deficit (hourly method) or without PV production (other methods).
+const monthlyPurchasePrices = (tariff, energyPriceBuy, productionProfile, loadProfile) => {
+  if (!tariff) {
+    return { buy: new Array(12).fill(energyPriceBuy), import: new Array(12).fill(energyPriceBuy) };
+  }
+
+  const hourlyPrices = tariffHourlyPrices(tariff);
+  const averagePrice = hourlyPrices.reduce((sum, p) => sum + p, 0) / HOURS_IN_YEAR;
+  const selfConsumption = loadProfile ? productionProfile.map((p, h) => Math.min(p, loadProfile[h] || 0)) : productionProfile;
+  const deficit = loadProfile
+    ? productionProfile.map((p, h) => Math.max(0, (loadProfile[h] || 0) - p))
+    : productionProfile.map(p => (p > 0 ? 0 : 1));
+
+  return {
+    buy: monthlyWeightedAverage(hourlyPrices, selfConsumption, averagePrice),
+    import: monthlyWeightedAverage(hourlyPrices, deficit, averagePrice)
+  };
+};
+
+// --- Energy Balance ---
+
+// Monthly production vs autoconsumption, strictly respecting the selected method
+export const calculateMonthlyStats = (params) => {
+  const {
+    installationPower,
+    consMethod,
+    autoConsPercent,
+    fixedConsValue,
+    fixedConsPeriod,
+    monthlyConsProfile,
+    hourlyLoadProfile,
+    annualGridImport,
+    energyPriceBuy,
+    energyPriceSell,
+    settlementMode,
+    salePrices,
+    depositCoefficient = DEFAULT_NET_BILLING.depositCoefficient,
+    existingInstallationPower = 0,
+    tariff
+  } = params;
+
+  // Yield per kWp: imported production or the estimate for the site and panel orientation
+  const pattern = productionPattern(params);
+  const monthlyProduction = pattern.map(m => m.value * installationPower);
+
+  // Hourly production (imported series or monthly totals over daylight hours), only where an hourly view is needed
+  const isNetBilling = settlementMode === 'netBilling';
+  const needsHourly = consMethod === 'hourly' || tariff || (isNetBilling && salePrices?.type === 'hourly');
+  const pvProfile = needsHourly ? hourlyProduction(params, monthlyProduction) : null;
+
+  // Hourly method: production matched against the imported load profile
+  const productionProfile = consMethod === 'hourly' ? pvProfile : null;
+  const hourlyBalance = productionProfile ? hourlyMonthlyBalance(productionProfile, hourlyLoadProfile) : null;
+
+  // Net-billing: exports valued at monthly (RCEm) or export-weighted hourly (RCE) prices, credited to the deposit
+  const exportWeights = productionProfile
+    ? Array.from({ length: HOURS_IN_YEAR }, (_, h) => Math.max(0, productionProfile[h] - ((hourlyLoadProfile && hourlyLoadProfile[h]) || 0)))
+    : pvProfile;
+  let salePricePerMonth = isNetBilling
+    ? monthlySalePrices(salePrices, energyPriceSell, monthlyProduction, exportWeights)
+    : new Array(12).fill(energyPriceSell);
+  let saleValueFactor = isNetBilling ? depositCoefficient : 1;
+
+  const purchasePrices = monthlyPurchasePrices(
+    tariff,
+    energyPriceBuy,
+    pvProfile,
+    consMethod === 'hourly' ? hourlyLoadProfile : null
+  );
+
+  // Net-metering: the recoverable share of exports is worth the purchase price
+  if (settlementMode === 'netMetering') {
+    salePricePerMonth = purchasePrices.import;
+    saleValueFactor = netMeteringRatio((parseFloat(existingInstallationPower) || 0) + installationPower);
+  }
+
+  return pattern.map((m, index) => {
+      const production = monthlyProduction[index];
+      let consumptionDemand = 0;
+
+      // Exclusive logic depending on method
+      if (consMethod === 'percent') {
+          consumptionDemand = production * (autoConsPercent / 100);
+      } else if (consMethod === 'fixed') {
+          if (fixedConsPeriod === 'daily') {
+              consumptionDemand = fixedConsValue * DAYS_IN_MONTH[index];
+          } else if (fixedConsPeriod === 'monthly') {
+              consumptionDemand = fixedConsValue;
+          } else {
+              consumptionDemand = fixedConsValue / 12;
+          }
+      } else if (consMethod === 'monthly') {
+          consumptionDemand = parseFloat(monthlyConsProfile[index]) || 0;
+      } else if (consMethod === 'hourly') {
+          consumptionDemand = hourlyBalance[index].consumptionDemand;
+      }
+
+      // Logic check: Consumption cannot exceed Production in strict Net-Billing autoconsumption calc
+      const consumed = hourlyBalance ? hourlyBalance[index].consumed : Math.min(production, consumptionDemand);
+      const sold = Math.max(0, production - consumed);
+
+      // Energy still bought from the grid (hourly: real deficit, otherwise the declared annual import)
+      const gridImport = hourlyBalance
+          ? hourlyBalance[index].consumptionDemand - consumed
+          : (parseFloat(annualGridImport) || 0) * DAYS_IN_MONTH[index] / 365;
+
+      const salePrice = salePricePerMonth[index];
+      const saleValuePerKWh = salePrice * saleValueFactor;
+      const buyPrice = purchasePrices.buy[index];
+      const importPrice = purchasePrices.import[index];
+      const valueSaved = consumed * buyPrice;
+      const valueSold = sold * saleValuePerKWh;
+      const totalValue = valueSaved + valueSold;
+
+      return {
+          ...m,
+          production,
+          consumptionDemand,
+          consumed,
+          sold,
+          gridImport,
+          buyPrice,
+          importPrice,
+          salePrice,
+          saleValuePerKWh,
+          valueSaved,
+          valueSold,
+          totalValue
+      };
+  });
+};
+
+export const sumMonthlyStats = (monthlyStats, field) => {
+  return monthlyStats.reduce((sum, item) => sum + item[field], 0);
+};
+
+export const calculateEffectiveAutoConsumption = (monthlyStats) => {
+  const totalProd = sumMonthlyStats(monthlyStats, 'production');
+  const totalCons = sumMonthlyStats(monthlyStats, 'consumed');
+  return totalProd > 0 ? (totalCons / totalProd) * 100 : 0;
+};
+
+export const calculateEffectiveSoldShare = (monthlyStats) => {
+  const totalProd = sumMonthlyStats(monthlyStats, 'production');
+  const totalSold = sumMonthlyStats(monthlyStats, 'sold');
+  return totalProd > 0 ? (totalSold / totalProd) * 100 : 0;
+};
+
+// Average value of one self-consumed kWh in year 1 (zł/kWh), the base of savings in the yearly cash flow
+export const calculateEffectiveBuyPrice = (monthlyStats, fallbackPrice) => {
+  const consumed = sumMonthlyStats(monthlyStats, 'consumed');
+  return consumed > 0 ? sumMonthlyStats(monthlyStats, 'valueSaved') / consumed : fallbackPrice;
+};
@@ -0,0 +1,225 @@
+import { MONTHS } from './constants.js';
+import { SETTLEMENT_MODES } from './settlement.js';
+import { BEST_OPTION_METRICS, clampSimulationYears } from './metrics.js';
+import { REFERENCE_RATES, RATE_PATHS } from './rates.js';
+import { FINANCING_PRODUCTS } from './products.js';
+import { TAXPAYER_TYPES } from './tax.js';
+import { BENCHMARK_TYPES } from './benchmark.js';
+
+// --- Export Tables (CSV / XLSX) ---
+// Tables are {columns: [{key, label, digits?}], rows: [{[key]: value}]}; numbers stay numbers until formatted.
+
+const column = (key, label, digits) => ({ key, label, ...(digits !== undefined && { digits }) });
+
+const CASH_FLOW_COLUMNS = [
+  column('year', 'Rok'),
+  column('production', 'Produkcja (kWh)', 0),
+  column('energySavings', 'Wartość energii (zł)', 2),
+  column('loanPayment', 'Rata kredytu (zł)', 2),
+  column('replacementCost', 'Wymiany (zł)', 2),
+  column('depositCredited', 'Depozyt – zasilenie (zł)', 2),
+  column('depositUsed', 'Depozyt – wykorzystanie (zł)', 2),
+  column('depositRefunded', 'Depozyt – zwrot (zł)', 2),
+  column('depositLost', 'Depozyt – przepadek (zł)', 2),
+  column('energyBanked', 'Magazyn energii OSD – zapis (kWh)', 0),
+  column('energyDrawn', 'Magazyn energii OSD – odbiór (kWh)', 0),
+  column('energyBankLost', 'Magazyn energii OSD – przepadek (kWh)', 0),
+  column('incomeTax', 'Podatek od wartości energii (zł)', 2),
+  column('depreciationTaxShield', 'Tarcza podatkowa – amortyzacja (zł)', 2),
+  column('costTaxShield', 'Tarcza podatkowa – odsetki, leasing, wymiany (zł)', 2),
+  column('thermoRelief', 'Ulga termomodernizacyjna (zł)', 2),
+  column('netCashFlow', 'Przepływ netto (zł)', 2),
+  column('cumulative', 'Skumulowany (zł)', 2),
+  column('opportunityCost', 'Utracone korzyści (zł)', 2)
+];
+
+const MONTHLY_COLUMNS = [
+  column('month', 'Miesiąc'),
+  column('production', 'Produkcja (kWh)', 1),
+  column('consumptionDemand', 'Zapotrzebowanie w godz. produkcji (kWh)', 1),
+  column('consumed', 'Autokonsumpcja (kWh)', 1),
+  column('storageCharged', 'Ładowanie magazynu (kWh)', 1),
+  column('storageDischarged', 'Rozładowanie magazynu (kWh)', 1),
+  column('sold', 'Oddane do sieci (kWh)', 1),
+  column('gridImport', 'Pobór z sieci (kWh)', 1),
+  column('buyPrice', 'Wartość autokonsumpcji (zł/kWh)', 4),
+  column('salePrice', 'Cena sprzedaży (zł/kWh)', 4),
+  column('valueSaved', 'Oszczędność (zł)', 2),
+  column('valueSold', 'Sprzedaż (zł)', 2),
+  column('totalValue', 'Razem (zł)', 2)
+];
+
+// Columns without any value in the rows (e.g. deposit in flat settlement) are dropped
+const usedColumns = (columns, rows) => columns.filter(c => rows.some(row => row[c.key] !== undefined && row[c.key] !== null));
+
+export const cashFlowTable = (result) => {
+  const rows = result.yearlyCashFlow;
+  return { name: result.name, columns: usedColumns(CASH_FLOW_COLUMNS, rows), rows };
+};
+
+// Yearly cash flows of all scenarios in one table, scenario in the first column
+export const allCashFlowsTable = (results) => {
+  const rows = results.flatMap(r => r.yearlyCashFlow.map(row => ({ scenario: r.name, ...row })));
+  return { name: 'Przepływy roczne', columns: [column('scenario', 'Wariant'), ...usedColumns(CASH_FLOW_COLUMNS, rows)], rows };
+};
+
+const LOAN_SCHEDULE_COLUMNS = [
+  column('month', 'Miesiąc'),
+  column('year', 'Rok'),
+  column('rate', 'Oprocentowanie (%)', 2),
+  column('installment', 'Rata (zł)', 2),
+  column('principal', 'Część kapitałowa (zł)', 2),
+  column('interest', 'Część odsetkowa (zł)', 2),
+  column('buyout', 'Wykup (zł)', 2),
+  column('balance', 'Saldo po racie (zł)', 2),
+  column('period', 'Okres')
+];
+
+// Amortization schedules of all scenarios, scenario in the first column
+export const loanScheduleTable = (results) => {
+  const rows = results.flatMap(r => r.loanSchedule.map(row => ({ scenario: r.name, ...row, period: row.grace ? 'karencja' : 'spłata' })));
+  return { name: 'Harmonogram spłat', columns: [column('scenario', 'Wariant'), ...usedColumns(LOAN_SCHEDULE_COLUMNS, rows)], rows };
+};
+
+export const monthlyBalanceTable = (monthlyStats) => {
+  const rows = monthlyStats.map((m, index) => ({ ...m, month: MONTHS[index].full }));
+  return { name: 'Bilans miesięczny', columns: usedColumns(MONTHLY_COLUMNS, rows), rows };
+};
+
+// --- Assumptions ---
+
+const CONS_METHOD_LABELS = { percent: 'Procentowo', fixed: 'Stała wartość', monthly: 'Profil miesięczny', hourly: 'Profil godzinowy' };
+const PERIOD_LABELS = { daily: 'dziennie', monthly: 'miesięcznie', yearly: 'rocznie' };
+const labelOf = (list, id) => list.find(item => item.id === id)?.label ?? id;
+
+// [key, label, unit, value(params) => string|number]
+const PARAM_ROWS = [
+  ['installationPower', 'Moc instalacji', 'kWp'],
+  ['location', 'Lokalizacja', ''],
+  ['latitude', 'Szerokość geograficzna', '°N'],
+  ['longitude', 'Długość geograficzna', '°E'],
+  ['panelTilt', 'Nachylenie paneli', '°'],
+  ['panelAzimuth', 'Azymut paneli (0 = południe)', '°'],
+  ['shadingLosses', 'Zacienienie', '%'],
+  ['systemLosses', 'Straty systemu', '%'],
+  ['productionImport', 'Produkcja z pliku', '', p => (p.productionImport ? `${p.productionImport.fileName || p.productionImport.sourceLabel} (${Math.round(p.productionImport.total)} kWh dla ${p.productionImport.peakPower} kWp)` : 'nie')],
+  ['degradationRate', 'Degradacja paneli', '%/rok'],
+  ['replacements', 'Wymiany urządzeń', '', p => p.replacements.map(r => `${r.name}: rok ${r.year}, ${r.cost} zł`).join('; ') || 'brak'],
+  ['energyPriceBuy', 'Cena zakupu energii', 'zł/kWh'],
+  ['tariff', 'Taryfa', '', p => (p.tariff ? p.tariff.label : 'brak (cena stała)')],
+  ['energyPriceSell', 'Cena sprzedaży energii', 'zł/kWh'],
+  ['energyInflation', 'Wzrost cen energii', '% r/r'],
+  ['consMethod', 'Metoda autokonsumpcji', '', p => CONS_METHOD_LABELS[p.consMethod] ?? p.consMethod],
+  ['autoConsPercent', 'Autokonsumpcja (metoda procentowa)', '%'],
+  ['fixedConsValue', 'Zużycie stałe', 'kWh', p => `${p.fixedConsValue} (${PERIOD_LABELS[p.fixedConsPeriod] ?? p.fixedConsPeriod})`],
+  ['monthlyConsProfile', 'Profil miesięczny', 'kWh', p => p.monthlyConsProfile.join('; ')],
+  ['hourlyLoadMeta', 'Profil godzinowy', '', p => (p.hourlyLoadMeta ? `${p.hourlyLoadMeta.fileName || ''} ${p.hourlyLoadMeta.from} – ${p.hourlyLoadMeta.to}, ${Math.round(p.hourlyLoadMeta.totalConsumption)} kWh`.trim() : 'brak')],
+  ['nightConsumption', 'Zużycie poza godz. produkcji', 'kWh/dzień'],
+  ['settlementMode', 'Rozliczenie energii oddanej', '', p => labelOf(SETTLEMENT_MODES, p.settlementMode)],
+  ['salePrices', 'Ceny RCEm/RCE z pliku', '', p => (p.salePrices ? p.salePrices.fileName || p.salePrices.type : 'brak')],
+  ['annualGridImport', 'Roczny pobór z sieci', 'kWh'],
+  ['depositCoefficient', 'Współczynnik depozytu', ''],
+  ['depositExpiryMonths', 'Ważność depozytu', 'mies.'],
+  ['refundCapPercent', 'Limit zwrotu depozytu', '%'],
+  ['existingInstallationPower', 'Moc istniejącej instalacji (opusty)', 'kWp'],
+  ['energyBankMonths', 'Ważność energii w magazynie OSD', 'mies.'],
+  ['referenceRate', 'Wskaźnik referencyjny', '', p => labelOf(REFERENCE_RATES, p.referenceRate)],
+  ['globalWibor', 'Bieżąca wartość wskaźnika', '%'],
+  ['ratePath', 'Ścieżka wskaźnika', '', p => labelOf(RATE_PATHS, p.ratePath)],
+  ['rateShock', 'Wielkość szoku stóp', 'p.p.'],
+  ['ratePathValues', 'Własna ścieżka (rok po roku)', '%', p => (p.ratePathValues || []).join('; ') || 'brak'],
+  ['taxpayerType', 'Podatnik', '', p => labelOf(TAXPAYER_TYPES, p.taxpayerType)],
+  ['incomeTaxRate', 'Stawka podatku dochodowego', '%'],
+  ['depreciationRate', 'Stawka amortyzacji', '%/rok'],
+  ['thermoReliefLimit', 'Limit ulgi termomodernizacyjnej', 'zł'],
+  ['annualTaxableIncome', 'Dochód roczny do ulgi (0 = bez limitu)', 'zł'],
+  ['benchmarkType', 'Alternatywna inwestycja wkładu', '', p => labelOf(BENCHMARK_TYPES, p.benchmarkType)],
+  ['depositRate', 'Oprocentowanie lokaty', '%'],
+  ['bondFirstYearRate', 'Obligacje EDO – oprocentowanie 1. roku', '%'],
+  ['bondMargin', 'Obligacje EDO – marża ponad inflację', 'p.p.'],
+  ['expectedInflation', 'Inflacja (obligacje)', '% r/r'],
+  ['customReturnRate', 'Własna stopa zwrotu', '%'],
+  ['capitalGainsTaxRate', 'Podatek od zysków kapitałowych', '%'],
+  ['simulationYears', 'Horyzont analizy', 'lat', p => clampSimulationYears(p.simulationYears)],
+  ['discountRate', 'Stopa dyskonta', '%'],
+  ['bestOptionMetric', 'Kryterium wyboru opcji', '', p => labelOf(BEST_OPTION_METRICS, p.bestOptionMetric)]
+];
+
+const SCENARIO_ROWS = [
+  ['productType', 'Produkt finansowania', '', s => labelOf(FINANCING_PRODUCTS, s.productType)],
+  ['totalCost', 'Koszt instalacji', 'zł'],
+  ['storageCost', 'Koszt magazynu energii', 'zł'],
+  ['ownContribution', 'Wkład własny', 'zł'],
+  ['leaseDownPaymentPercent', 'Leasing – opłata wstępna', '% netto'],
+  ['leaseBuyoutPercent', 'Leasing – wykup', '% netto'],
+  ['leaseMonthlyFee', 'Leasing – rata netto (0 = wyliczona)', 'zł'],
+  ['vatRate', 'VAT', '%'],
+  ['vatDeductible', 'Odliczenie VAT', '', s => (s.vatDeductible ? 'tak' : 'nie')],
+  ['periodMonths', 'Okres kredytowania', 'mies.'],
+  ['graceMonths', 'Karencja', 'mies.'],
+  ['rateType', 'Oprocentowanie', '', s => (s.rateType === 'wibor' ? 'zmienne (wskaźnik + marża)' : 'stałe')],
+  ['fixedRate', 'Oprocentowanie stałe', '%'],
+  ['margin', 'Marża', '%'],
+  ['commissionPercent', 'Prowizja', '%'],
+  ['installmentType', 'Raty', '', s => (s.installmentType === 'equal' ? 'równe' : 'malejące')],
+  ['grantValue', 'Dotacja / umorzenie', '', s => `${s.grantValue} ${s.grantType === 'percent' ? '%' : 'zł'}`],
+  ['otherCosts', 'Koszty dodatkowe', 'zł', s => s.otherCosts.map(c => `${c.name}: ${c.value}`).join('; ') || 'brak'],
+  ['manualProduction', 'Produkcja ręczna (0 = z modelu)', 'kWh'],
+  ['storage', 'Magazyn energii', '', s => (s.storage?.enabled ? `${s.storage.capacity} kWh, ${s.storage.power} kW, sprawność ${s.storage.efficiency}%, DoD ${s.storage.depthOfDischarge}%` : 'nie')]
+];
+
+const inputRows = (section, definitions, source) => definitions.map(([key, label, unit, format]) => ({
+  section,
+  parameter: label,
+  value: format ? format(source) : source[key],
+  unit
+}));
+
+const tariffRows = (tariff) => [
+  ...tariff.zones.flatMap(z => [
+    { parameter: `${z.label} – energia`, value: z.energyPrice, unit: 'zł/kWh netto' },
+    { parameter: `${z.label} – dystrybucja`, value: z.distributionPrice, unit: 'zł/kWh netto' }
+  ]),
+  { parameter: 'Akcyza', value: tariff.excise, unit: 'zł/kWh' },
+  { parameter: 'Opłata mocowa', value: tariff.capacityFee.value, unit: tariff.capacityFee.mode === 'kWh' ? 'zł/kWh' : 'zł/mies.' },
+  ...tariff.fixedCharges.map(c => ({ parameter: c.label, value: c.value, unit: 'zł/mies.' })),
+  { parameter: 'VAT', value: tariff.vatPercent, unit: '%' }
+].map(row => ({ section: `Taryfa ${tariff.id}`, ...row }));
+
+/**
+ * Every input of the calculation: global params, then each scenario.
+ *
+ * @param {ProjectParams} params
+ * @param {Scenario[]} scenarios
+ */
+export const assumptionsTable = (params, scenarios) => ({
+  name: 'Założenia',
+  columns: [column('section', 'Sekcja'), column('parameter', 'Parametr'), column('value', 'Wartość'), column('unit', 'Jednostka')],
+  rows: [
+    ...inputRows('Parametry globalne', PARAM_ROWS, params),
+    ...(params.tariff ? tariffRows(params.tariff) : []),
+    ...scenarios.flatMap(s => inputRows(s.name, SCENARIO_ROWS, s))
+  ]
+});
+
+// --- CSV ---
+
+const CSV_NUMBER = (digits) => new Intl.NumberFormat('pl-PL', { minimumFractionDigits: 0, maximumFractionDigits: digits, useGrouping: false });
+
+const csvCell = (value, digits) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return CSV_NUMBER(digits ?? 6).format(value);
+  const text = String(value);
+  return /[";\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Table as CSV for the Polish Excel locale: semicolon separators, decimal comma, CRLF line ends.
+ *
+ * @param {{columns: Object[], rows: Object[]}} table
+ * @returns {string}
+ */
+export const tableToCsv = ({ columns, rows }) => [
+  columns.map(c => csvCell(c.label)).join(';'),
+  ...rows.map(row => columns.map(c => csvCell(row[c.key], c.digits)).join(';'))
+].join('\r\n');
@@ -0,0 +1,62 @@
+// --- Discounted Cash Flow Metrics ---
+
+const discountFactor = (rate, year) => Math.pow(1 + rate, -year);
+
+// Net present value of yearly flows, flows[0] = year 0 (undiscounted)
+export const npv = (ratePercent, flows) => {
+  const rate = ratePercent / 100;
+  return flows.reduce((sum, flow, year) => sum + flow * discountFactor(rate, year), 0);
+};
+
+// Internal rate of return (%) by bisection; null when flows never change sign
+export const irr = (flows) => {
+  const hasNegative = flows.some(f => f < 0);
+  const hasPositive = flows.some(f => f > 0);
+  if (!hasNegative || !hasPositive) return null;
+
+  let low = -99.99;
+  let high = 1000;
+  let npvLow = npv(low, flows);
+  const npvHigh = npv(high, flows);
+  if (Math.sign(npvLow) === Math.sign(npvHigh)) return null;
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid, flows);
+    if (Math.abs(npvMid) < 1e-7 || high - low < 1e-9) return mid;
+    if (Math.sign(npvMid) === Math.sign(npvLow)) {
+      low = mid;
+      npvLow = npvMid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+// First year (1-based) in which the cumulative discounted flow turns non-negative
+export const discountedPaybackYear = (ratePercent, flows) => {
+  const rate = ratePercent / 100;
+  let cumulative = flows[0] || 0;
+  for (let year = 1; year < flows.length; year++) {
+    cumulative += flows[year] * discountFactor(rate, year);
+    if (cumulative >= 0) return year;
+  }
+  return null;
+};
+
+// Levelized cost of energy (zł/kWh): discounted outlays / discounted production
+export const levelizedCostOfEnergy = (ratePercent, yearlyCashFlow) => {
+  const rate = ratePercent / 100;
+  let discountedCost = 0;
+  let discountedProduction = 0;
+
+  yearlyCashFlow.forEach(row => {
+    const factor = discountFactor(rate, row.year);
+    const cost = row.year === 0 ? -row.netCashFlow : row.loanPayment + row.replacementCost;
+    discountedCost += cost * factor;
+    discountedProduction += (row.production || 0) * factor;
+  });
+
+  return discountedProduction > 0 ? discountedCost / discountedProduction : null;
+};
@@ -0,0 +1,180 @@
+import { calculateMonthlyStats } from './energy.js';
+import { pickBestOption } from './metrics.js';
+import { updateScenarioField } from './scenarios.js';
+import { financingProduct } from './products.js';
+import { calculateScenarioMetrics } from './project.js';
+
+// --- Goal Seek ---
+// Solves one input for a target of a scenario over the input's range. Inputs are set the way the UI sets them
+// (shared-cost scenarios pass the cost on, rules reapplied), so a solution can be applied to the project.
+// The range is scanned first: payback and "beat the rival" need not be monotonic in the input, and a boundary
+// is reported only when the target switches once; the switch is then narrowed down by bisection.
+
+export const GOAL_SEEK_TARGETS = [
+  { id: 'payback', label: 'Zwrot najpóźniej w roku', unit: 'lat', defaultValue: 7 },
+  { id: 'netProfit', label: 'Zysk na czysto co najmniej', unit: 'zł', defaultValue: 0 },
+  { id: 'npv', label: 'NPV co najmniej', unit: 'zł', defaultValue: 0 },
+  { id: 'beat', label: 'Lepszy od wariantu' }
+];
+
+const SCAN_STEPS = 20;
+const BISECTION_STEPS = 40;
+
+const numberOf = (value) => parseFloat(value) || 0;
+
+const setScenarioField = (field) => ({ params, scenarios }, id, value) => ({ params, scenarios: updateScenarioField(scenarios, id, field, value) });
+
+/**
+ * Free inputs. `value` is the current value, `range` the searched interval, `unavailable` a reason the input
+ * cannot move for the scenario (or null), `apply` sets it and returns the changed `{params, scenarios}`.
+ * `digits` is the precision of the reported solution.
+ */
+export const GOAL_SEEK_INPUTS = [
+  {
+    id: 'totalCost',
+    label: 'Koszt instalacji',
+    unit: 'zł',
+    digits: 0,
+    value: ({ scenario }) => numberOf(scenario.totalCost),
+    range: ({ scenario }) => [numberOf(scenario.storageCost), Math.max(10000, numberOf(scenario.totalCost) * 5)],
+    unavailable: () => null,
+    apply: setScenarioField('totalCost')
+  },
+  {
+    id: 'autoConsumption',
+    label: 'Autokonsumpcja (metoda procentowa)',
+    unit: '%',
+    digits: 1,
+    value: ({ params }) => numberOf(params.autoConsPercent),
+    range: () => [0, 100],
+    // Solving would replace the consumption profile or the given consumption with a flat percentage
+    unavailable: ({ params }) => (params.consMethod !== 'percent' ? 'Autokonsumpcja wynika z podanego zużycia lub profilu – przełącz metodę na procentową, by jej szukać.' : null),
+    apply: ({ params, scenarios }, id, value) => ({ params: { ...params, consMethod: 'percent', autoConsPercent: value }, scenarios })
+  },
+  {
+    id: 'energyPriceBuy',
+    label: 'Cena zakupu energii',
+    unit: 'zł/kWh',
+    digits: 3,
+    value: ({ params }) => numberOf(params.energyPriceBuy),
+    range: ({ params }) => [0, Math.max(2, numberOf(params.energyPriceBuy) * 5)],
+    unavailable: ({ params }) => (params.tariff ? 'Przy taryfie cena zakupu wynika ze stref taryfy.' : null),
+    apply: ({ params, scenarios }, id, value) => ({ params: { ...params, energyPriceBuy: value }, scenarios })
+  },
+  {
+    id: 'margin',
+    label: 'Marża (oprocentowanie stałe)',
+    unit: '%',
+    digits: 2,
+    value: ({ scenario }) => numberOf(scenario.rateType === 'fixed' ? scenario.fixedRate : scenario.margin),
+    range: () => [0, 30],
+    unavailable: ({ scenario }) => (financingProduct(scenario.productType).ownFunds ? 'Wariant bez finansowania.' : null),
+    apply: (context, id, value) => setScenarioField(context.scenario.rateType === 'fixed' ? 'fixedRate' : 'margin')(context, id, value)
+  },
+  {
+    id: 'ownContribution',
+    label: 'Wkład własny',
+    unit: 'zł',
+    digits: 0,
+    value: ({ scenario }) => numberOf(scenario.ownContribution),
+    range: ({ scenario }) => [0, numberOf(scenario.totalCost)],
+    unavailable: ({ scenario }) => {
+      const product = financingProduct(scenario.productType);
+      if (product.ownFunds) return 'Wkład własny równa się kosztowi instalacji.';
+      if (product.lease) return 'Leasing nie ma wkładu własnego – zmień opłatę wstępną.';
+      return null;
+    },
+    apply: setScenarioField('ownContribution')
+  }
+];
+
+export const goalSeekInput = (id) => GOAL_SEEK_INPUTS.find(i => i.id === id);
+
+const targetMet = ({ target, targetValue }, result, rival, bestOptionMetric) => {
+  if (target === 'payback') return result.paybackYear !== null && result.paybackYear <= numberOf(targetValue);
+  if (target === 'netProfit') return result.summary.netProfit >= numberOf(targetValue);
+  if (target === 'npv') return result.summary.npv >= numberOf(targetValue);
+  return pickBestOption([result, rival], bestOptionMetric) === result;
+};
+
+const outcome = (result) => ({ paybackYear: result.paybackYear, netProfit: result.summary.netProfit, npv: result.summary.npv });
+
+/**
+ * Value of the input at which the scenario just meets the target.
+ *
+ * @param {ProjectParams} params
+ * @param {Scenario[]} scenarios
+ * @param {{scenarioId: number, input: string, target: 'payback'|'netProfit'|'npv'|'beat', targetValue?: number, rivalId?: number}} goal
+ *   `beat` compares with the rival by `params.bestOptionMetric`
+ * @returns {{status: 'solved'|'always'|'never'|'ambiguous'|'unavailable', message?: string, current?: number, value?: number,
+ *   bound?: 'max'|'min', range?: number[], outcome?: Object, rivalOutcome?: Object|null}}
+ *   `solved`: the target holds up to (`max`) or from (`min`) `value`; `always` / `never`: it holds in the whole range or nowhere;
+ *   `ambiguous`: it holds in several separate parts of the range, there is no single boundary
+ */
+export const goalSeek = (params, scenarios, goal) => {
+  const input = goalSeekInput(goal.input);
+  const scenario = scenarios.find(s => s.id === goal.scenarioId);
+  if (!input || !scenario) return { status: 'unavailable', message: 'Nieznany wariant lub parametr.' };
+  if (goal.target === 'beat' && (goal.rivalId === goal.scenarioId || !scenarios.some(s => s.id === goal.rivalId))) {
+    return { status: 'unavailable', message: 'Wybierz inny wariant do porównania.' };
+  }
+
+  const monthlyStats = calculateMonthlyStats(params);
+  const context = { params, scenarios, scenario, monthlyStats };
+  const unavailable = input.unavailable(context);
+  if (unavailable) return { status: 'unavailable', message: unavailable };
+
+  const evaluate = (value) => {
+    const next = input.apply(context, goal.scenarioId, value);
+    const stats = next.params === params ? monthlyStats : calculateMonthlyStats(next.params);
+    const result = calculateScenarioMetrics(next.scenarios.find(s => s.id === goal.scenarioId), next.params, stats);
+    const rival = goal.target === 'beat' ? calculateScenarioMetrics(next.scenarios.find(s => s.id === goal.rivalId), next.params, stats) : null;
+    return { result, rival, met: targetMet(goal, result, rival, params.bestOptionMetric) };
+  };
+
+  const current = input.value(context);
+  const range = input.range(context);
+  const samples = Array.from({ length: SCAN_STEPS + 1 }, (_, i) => {
+    const value = range[0] + (range[1] - range[0]) * i / SCAN_STEPS;
+    return { value, met: evaluate(value).met };
+  });
+  const switches = samples.slice(1).map((s, i) => [samples[i], s]).filter(([a, b]) => a.met !== b.met);
+  if (switches.length === 0) return { status: samples[0].met ? 'always' : 'never', current, range };
+  if (switches.length > 1) {
+    return { status: 'ambiguous', current, range, message: 'Cel jest spełniony w kilku oddzielnych przedziałach – nie ma jednej wartości granicznej.' };
+  }
+
+  // Keep one end of the switching step meeting the target and the other not, then round towards the meeting end
+  const [before, after] = switches[0];
+  let met = before.met ? before.value : after.value;
+  let missed = before.met ? after.value : before.value;
+  for (let i = 0; i < BISECTION_STEPS; i++) {
+    const mid = (met + missed) / 2;
+    if (evaluate(mid).met) met = mid;
+    else missed = mid;
+  }
+  if (!evaluate(met).met || evaluate(missed).met) {
+    return { status: 'ambiguous', current, range, message: 'Nie udało się wyznaczyć wartości granicznej w zakresie.' };
+  }
+  const bound = before.met ? 'max' : 'min';
+  const scale = Math.pow(10, input.digits);
+  const rounded = bound === 'max' ? Math.floor(met * scale) / scale : Math.ceil(met * scale) / scale;
+  const solution = evaluate(rounded).met ? rounded : met;
+  const final = evaluate(solution);
+
+  return {
+    status: 'solved',
+    current,
+    value: solution,
+    bound,
+    range,
+    outcome: outcome(final.result),
+    rivalOutcome: final.rival ? outcome(final.rival) : null
+  };
+};
+
+// Project inputs with the solved value set, `{params, scenarios}`
+export const applyGoalSeek = (params, scenarios, goal, value) => {
+  const scenario = scenarios.find(s => s.id === goal.scenarioId);
+  return goalSeekInput(goal.input).apply({ params, scenarios, scenario }, goal.scenarioId, value);
+};
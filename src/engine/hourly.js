@@ -0,0 +1,79 @@
+import { DAYS_IN_MONTH } from './constants.js';
+
+// --- Hourly (8760) Energy Balance ---
+
+export const HOURS_IN_YEAR = 8760;
+const LATITUDE_PL = 52; // Geographic centre of Poland
+
+// Month index (0-11) for each day of a non-leap year
+export const MONTH_OF_DAY = DAYS_IN_MONTH.flatMap((days, month) => new Array(days).fill(month));
+
+export const monthOfHour = (hourIndex) => MONTH_OF_DAY[Math.floor(hourIndex / 24)];
+
+// Day of year (1-365) for a calendar date; Feb 29 returns null
+export const dayOfYear = (month, day) => {
+  if (month === 2 && day === 29) return null;
+  return DAYS_IN_MONTH.slice(0, month - 1).reduce((sum, d) => sum + d, 0) + day;
+};
+
+// Relative PV output of each hour of a day (1-365): sine between sunrise and sunset (local time, CET/CEST)
+export const dailyShape = (day) => {
+  const declination = 23.44 * Math.sin((2 * Math.PI * (284 + day)) / 365) * Math.PI / 180;
+  const latitude = LATITUDE_PL * Math.PI / 180;
+  const sunsetAngle = Math.acos(Math.max(-1, Math.min(1, -Math.tan(latitude) * Math.tan(declination))));
+  const dayLength = (2 * sunsetAngle * 180 / Math.PI) / 15;
+  const isSummerTime = day >= 87 && day <= 300;
+  const solarNoon = isSummerTime ? 13 : 12;
+  const sunrise = solarNoon - dayLength / 2;
+
+  const weights = Array.from({ length: 24 }, (_, hour) => {
+    const t = (hour + 0.5 - sunrise) / dayLength;
+    return t > 0 && t < 1 ? Math.sin(Math.PI * t) : 0;
+  });
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return weights.map(w => (total > 0 ? w / total : 0));
+};
+
+// Spreads monthly production (kWh, 12 values) into 8760 hourly values
+export const hourlyProductionProfile = (monthlyProduction) => {
+  const profile = new Array(HOURS_IN_YEAR).fill(0);
+  for (let day = 1; day <= 365; day++) {
+    const month = MONTH_OF_DAY[day - 1];
+    const dailyProduction = monthlyProduction[month] / DAYS_IN_MONTH[month];
+    dailyShape(day).forEach((share, hour) => {
+      profile[(day - 1) * 24 + hour] = dailyProduction * share;
+    });
+  }
+  return profile;
+};
+
+// Average of an hourly series (8760) per month, weighted by another hourly series (e.g. energy)
+export const monthlyWeightedAverage = (values, weights, fallback = 0) => {
+  const weighted = new Array(12).fill(0);
+  const totals = new Array(12).fill(0);
+  for (let h = 0; h < HOURS_IN_YEAR; h++) {
+    const month = monthOfHour(h);
+    weighted[month] += weights[h] * values[h];
+    totals[month] += weights[h];
+  }
+  return weighted.map((sum, m) => (totals[m] > 0 ? sum / totals[m] : fallback));
+};
+
+// Hour by hour match of production and load, summed per month
+export const hourlyMonthlyBalance = (productionProfile, loadProfile) => {
+  const months = Array.from({ length: 12 }, () => ({ production: 0, consumptionDemand: 0, consumed: 0, sold: 0 }));
+
+  for (let h = 0; h < HOURS_IN_YEAR; h++) {
+    const production = productionProfile[h] || 0;
+    const load = (loadProfile && loadProfile[h]) || 0;
+    const consumed = Math.min(production, load);
+    const month = months[monthOfHour(h)];
+
+    month.production += production;
+    month.consumptionDemand += load;
+    month.consumed += consumed;
+    month.sold += production - consumed;
+  }
+
+  return months;
+};
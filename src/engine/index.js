@@ -0,0 +1,30 @@
+// Calculation engine shared by the UI and the CLI (no React, no DOM)
+
+export * from './constants.js';
+export * from './energy.js';
+export * from './irradiance.js';
+export * from './production.js';
+export * from './productionImport.js';
+export * from './hourly.js';
+export * from './loadProfile.js';
+export * from './prices.js';
+export * from './settlement.js';
+export * from './tariffs.js';
+export * from './finance.js';
+export * from './rates.js';
+export * from './rateProvider.js';
+export * from './tax.js';
+export * from './benchmark.js';
+export * from './metrics.js';
+export * from './storage.js';
+export * from './products.js';
+export * from './leasing.js';
+export * from './scenarios.js';
+export * from './project.js';
+export * from './sensitivity.js';
+export * from './monteCarlo.js';
+export * from './goalSeek.js';
+export * from './comparison.js';
+export * from './projectFile.js';
+export * from './shareLink.js';
+export * from './exportTables.js';
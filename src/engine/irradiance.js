@@ -0,0 +1,48 @@
+// --- Solar Irradiance Dataset (Poland) ---
+// Long-term monthly global horizontal irradiation (kWh/m²) for the voivodeship capitals,
+// approximate typical-year values, rounded. Bundled so the estimate works offline.
+
+export const VOIVODESHIPS = [
+  { id: 'dolnoslaskie', label: 'Dolnośląskie (Wrocław)', latitude: 51.11, longitude: 17.03, ghi: [22.2, 39.9, 79.6, 118.8, 151.8, 154.9, 159.1, 136.1, 93.4, 59.8, 26.6, 17.7] },
+  { id: 'kujawsko-pomorskie', label: 'Kujawsko-pomorskie (Bydgoszcz)', latitude: 53.12, longitude: 18.01, ghi: [19.2, 34.6, 76.4, 114.1, 150.2, 153.3, 157.4, 134.7, 89.6, 51.9, 23.1, 15.4] },
+  { id: 'lubelskie', label: 'Lubelskie (Lublin)', latitude: 51.25, longitude: 22.57, ghi: [22.4, 40.4, 81.1, 121.1, 155.0, 158.2, 162.5, 138.9, 95.1, 60.6, 26.9, 17.9] },
+  { id: 'lubuskie', label: 'Lubuskie (Zielona Góra)', latitude: 51.94, longitude: 15.51, ghi: [21.2, 38.1, 79.1, 118.2, 152.8, 156.0, 160.2, 137.0, 92.8, 57.1, 25.4, 16.9] },
+  { id: 'lodzkie', label: 'Łódzkie (Łódź)', latitude: 51.76, longitude: 19.46, ghi: [21.2, 38.1, 78.4, 117.1, 151.0, 154.1, 158.3, 135.4, 92.0, 57.1, 25.4, 16.9] },
+  { id: 'malopolskie', label: 'Małopolskie (Kraków)', latitude: 50.06, longitude: 19.94, ghi: [22.9, 41.2, 78.2, 116.7, 146.7, 149.8, 153.8, 131.6, 91.7, 61.7, 27.4, 18.3] },
+  { id: 'mazowieckie', label: 'Mazowieckie (Warszawa)', latitude: 52.23, longitude: 21.01, ghi: [20.6, 37.0, 78.0, 116.4, 151.3, 154.4, 158.6, 135.6, 91.5, 55.5, 24.7, 16.4] },
+  { id: 'opolskie', label: 'Opolskie (Opole)', latitude: 50.68, longitude: 17.93, ghi: [22.7, 40.9, 80.0, 119.5, 151.6, 154.7, 158.9, 135.9, 93.9, 61.4, 27.3, 18.2] },
+  { id: 'podkarpackie', label: 'Podkarpackie (Rzeszów)', latitude: 50.04, longitude: 22.0, ghi: [23.5, 42.4, 80.4, 120.1, 150.9, 154.0, 158.2, 135.3, 94.4, 63.6, 28.3, 18.8] },
+  { id: 'podlaskie', label: 'Podlaskie (Białystok)', latitude: 53.13, longitude: 23.16, ghi: [19.0, 34.3, 75.7, 113.0, 148.7, 151.8, 155.9, 133.4, 88.8, 51.4, 22.8, 15.2] },
+  { id: 'pomorskie', label: 'Pomorskie (Gdańsk)', latitude: 54.35, longitude: 18.65, ghi: [18.1, 32.6, 77.0, 115.1, 154.2, 157.4, 161.7, 138.3, 90.4, 49.0, 21.8, 14.5] },
+  { id: 'slaskie', label: 'Śląskie (Katowice)', latitude: 50.26, longitude: 19.02, ghi: [22.4, 40.4, 77.4, 115.6, 145.7, 148.8, 152.8, 130.7, 90.8, 60.6, 26.9, 17.9] },
+  { id: 'swietokrzyskie', label: 'Świętokrzyskie (Kielce)', latitude: 50.87, longitude: 20.63, ghi: [22.3, 40.2, 79.2, 118.3, 150.6, 153.7, 157.8, 135.0, 93.0, 60.3, 26.8, 17.9] },
+  { id: 'warminsko-mazurskie', label: 'Warmińsko-mazurskie (Olsztyn)', latitude: 53.78, longitude: 20.48, ghi: [18.2, 32.7, 74.9, 111.8, 148.6, 151.6, 155.7, 133.2, 87.8, 49.1, 21.8, 14.5] },
+  { id: 'wielkopolskie', label: 'Wielkopolskie (Poznań)', latitude: 52.41, longitude: 16.93, ghi: [20.6, 37.0, 78.7, 117.5, 153.1, 156.3, 160.5, 137.3, 92.4, 55.5, 24.7, 16.4] },
+  { id: 'zachodniopomorskie', label: 'Zachodniopomorskie (Szczecin)', latitude: 53.43, longitude: 14.55, ghi: [19.2, 34.5, 77.5, 115.7, 153.0, 156.2, 160.4, 137.2, 90.9, 51.8, 23.0, 15.4] }
+];
+
+// Approximate distance (km) on an equirectangular projection, accurate enough within Poland
+const distanceKm = (lat1, lon1, lat2, lon2) => {
+  const x = (lon2 - lon1) * Math.cos(((lat1 + lat2) / 2) * Math.PI / 180);
+  const y = lat2 - lat1;
+  return Math.sqrt(x * x + y * y) * 111.2;
+};
+
+/**
+ * Monthly global horizontal irradiation (kWh/m², 12 values) at any point, by inverse distance
+ * weighting of the voivodeship stations.
+ */
+export const irradianceAt = (latitude, longitude) => {
+  const weighted = new Array(12).fill(0);
+  let totalWeight = 0;
+
+  for (const station of VOIVODESHIPS) {
+    const distance = distanceKm(latitude, longitude, station.latitude, station.longitude);
+    if (distance < 1) return station.ghi.slice();
+    const weight = 1 / (distance * distance);
+    station.ghi.forEach((value, m) => { weighted[m] += value * weight; });
+    totalWeight += weight;
+  }
+
+  return weighted.map(sum => sum / totalWeight);
+};
@@ -0,0 +1,87 @@
+// --- Leasing ---
+// Lease of the installation: down payment, monthly fees and buyout, all net of VAT and as % of the net value.
+
+export const DEFAULT_LEASE = {
+  leaseDownPaymentPercent: 10,  // Opłata wstępna
+  leaseBuyoutPercent: 1,        // Wykup at the end of the term
+  leaseMonthlyFee: 0            // Net fee from the lessor's offer; 0 = calculated from the interest rate
+};
+
+// Fee that pays the balance down to the buyout value in `months` at monthly rate `r`
+const annuityWithBuyout = (balance, buyout, r, months) => {
+  if (r === 0) return (balance - buyout) / months;
+  const discount = Math.pow(1 + r, -months);
+  return (balance - buyout * discount) * r / (1 - discount);
+};
+
+// Monthly rate at which the given fee pays the financed amount down to the buyout (bisection), 0 when the fee is too low
+// (the shortfall is then collected with the last fee, see `leaseSchedule`)
+const impliedMonthlyRate = (financed, buyout, fee, months) => {
+  if (fee * months + buyout <= financed) return 0;
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (annuityWithBuyout(financed, buyout, mid, months) < fee) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Monthly lease schedule. Without a fixed fee the fee is an annuity down to the buyout value,
+ * recalculated whenever the rate changes (floating leases follow the rate path like loans).
+ * With a fixed fee the schedule uses the rate implied by that fee. A fixed fee too low to pay the financed amount
+ * down to the buyout even at 0% leaves a shortfall, added to the last fee (`shortfall`).
+ *
+ * @param {Object} input
+ * @param {number} input.netValue            Net value of the installation (zł)
+ * @param {number} input.downPaymentPercent  % of the net value
+ * @param {number} input.buyoutPercent       % of the net value
+ * @param {number} input.months              Lease term
+ * @param {number} input.monthlyFee          Fixed net fee (zł), 0 = calculated
+ * @param {function(number): number} input.rateForMonth  Annual rate (%) of a 1-based month
+ * @returns {{downPayment: number, buyout: number, financed: number, shortfall: number, schedule: LoanScheduleRow[]}}
+ */
+export const leaseSchedule = ({ netValue, downPaymentPercent, buyoutPercent, months, monthlyFee, rateForMonth }) => {
+  const downPayment = netValue * (parseFloat(downPaymentPercent) || 0) / 100;
+  const buyout = netValue * (parseFloat(buyoutPercent) || 0) / 100;
+  const financed = Math.max(0, netValue - downPayment);
+  const fixedFee = parseFloat(monthlyFee) || 0;
+  const fixedRate = fixedFee > 0 ? impliedMonthlyRate(financed, buyout, fixedFee, months) * 12 * 100 : null;
+
+  const schedule = [];
+  let balance = financed;
+  let fee = fixedFee;
+  let previousRate = null;
+  let shortfall = 0;
+  for (let month = 1; month <= months; month++) {
+    const rate = fixedRate ?? rateForMonth(month);
+    const r = rate / 100 / 12;
+    if (fixedFee === 0 && rate !== previousRate) {
+      fee = annuityWithBuyout(balance, buyout, r, months - month + 1);
+    }
+    const interest = balance * r;
+    let principal = fee - interest;
+    balance -= principal;
+    // Whatever the fees left above the buyout value is due with the last fee (rounding residue ignored)
+    if (month === months && balance - buyout >= 0.01) {
+      shortfall = balance - buyout;
+      principal += shortfall;
+      balance = buyout;
+    }
+    previousRate = rate;
+    schedule.push({
+      month,
+      year: Math.ceil(month / 12),
+      rate,
+      installment: month === months ? fee + shortfall : fee,
+      principal,
+      interest,
+      ...(month === months && { buyout }),
+      balance: month === months ? 0 : Math.max(0, balance),
+      grace: false
+    });
+  }
+  return { downPayment, buyout, financed, shortfall, schedule };
+};
@@ -0,0 +1,262 @@
+import { DAYS_IN_MONTH } from './constants.js';
+import { HOURS_IN_YEAR, dayOfYear, monthOfHour } from './hourly.js';
+
+// --- Smart-meter Load Profile Import ---
+// Hourly or 15-minute CSV exports of the distribution operators' e-licznik portals
+// (Tauron eLicznik, PGE, Enea, Energa, Stoen). Columns are detected from the data:
+//   Data;Wartość kWh;Rodzaj          2024-01-01 01:00;0,231;pobór
+//   Data;Godzina;Zużycie [kWh]       01.01.2024;1;0,231
+// The same series parsers read production (inverter monitoring) and price files.
+
+const DATE_RE = /(\d{4})-(\d{1,2})-(\d{1,2})|(\d{1,2})[.\-/](\d{1,2})[.\-/](\d{4})/;
+const TIME_RE = /(\d{1,2}):(\d{2})/;
+const EXPORT_RE = /oddan|produkc|export|wprowadz/i;
+const IMPORT_RE = /pob[oó]r|import|zu[żz]ycie/i;
+const VALUE_HEADER_RE = /kwh|wh|warto|zu[żz]ycie|pob[oó]r|energia|energy|yield|produkc|uzysk/i;
+const MONTH_NAMES = ['sty', 'lut', 'mar', 'kwi', 'maj', 'cze', 'lip', 'sie', 'wrz', 'pa', 'lis', 'gru'];
+const YEAR_MONTH_RE = /(\d{4})[-./](\d{1,2})(?![-./]\d)|(?<![\d./-])(\d{1,2})[-./](\d{4})/;
+
+const detectDelimiter = (lines) => {
+  const sample = lines.slice(0, 20).join('\n');
+  const counts = [';', '\t', ','].map(d => ({ d, n: sample.split(d).length - 1 }));
+  return counts.sort((a, b) => b.n - a.n)[0].d;
+};
+
+const parseNumber = (cell) => {
+  const normalized = String(cell).trim().replace(/\s/g, '').replace(',', '.');
+  return normalized !== '' && !isNaN(normalized) ? parseFloat(normalized) : null;
+};
+
+const parseDate = (cell) => {
+  const match = String(cell).match(DATE_RE);
+  if (!match) return null;
+  return match[1]
+    ? { year: +match[1], month: +match[2], day: +match[3] }
+    : { year: +match[6], month: +match[5], day: +match[4] };
+};
+
+// Year and month of a "2024-01", "01.2024" or "styczeń 2024" cell
+const parseYearMonth = (cell) => {
+  const text = String(cell).trim().toLowerCase();
+  const match = text.match(YEAR_MONTH_RE);
+  if (match) return match[1] ? { year: +match[1], month: +match[2] } : { year: +match[4], month: +match[3] };
+  const byName = MONTH_NAMES.findIndex(name => text.startsWith(name));
+  if (byName === -1) return null;
+  const year = text.match(/\d{4}/);
+  return { year: year ? +year[0] : null, month: byName + 1 };
+};
+
+// Wh values in a column labelled "Wh" (not kWh / MWh)
+const unitScale = (label) => (/(^|[^km])wh\b/i.test(label || '') ? 0.001 : 1);
+
+const columnLabel = (header, column) => (header && header[column]) || `kolumna ${column + 1}`;
+
+// Minutes from midnight; "00:00 - 01:00" ranges take the start, a bare hour column (0-24) counts as full hours
+const parseTime = (cell) => {
+  const match = String(cell).match(TIME_RE);
+  if (match) return +match[1] * 60 + +match[2];
+  const hour = parseNumber(cell);
+  if (hour !== null && Number.isInteger(hour) && hour >= 0 && hour <= 24) return hour * 60;
+  return null;
+};
+
+const detectColumns = (header, rows) => {
+  const sample = rows.slice(0, 50);
+  const columnCount = Math.max(...sample.map(r => r.length));
+  const dateCol = [...Array(columnCount).keys()].find(c => sample.every(r => parseDate(r[c])));
+  if (dateCol === undefined) throw new Error('Nie znaleziono kolumny z datą.');
+
+  const hasTimeInDate = sample.every(r => TIME_RE.test(r[dateCol]));
+  let timeCol = null;
+  if (!hasTimeInDate) {
+    timeCol = [...Array(columnCount).keys()].find(c => c !== dateCol && sample.every(r => parseTime(r[c]) !== null));
+    if (timeCol === undefined) throw new Error('Nie znaleziono godziny pomiaru.');
+  }
+
+  const numericCols = [...Array(columnCount).keys()].filter(c =>
+    c !== dateCol && c !== timeCol && sample.every(r => parseNumber(r[c]) !== null)
+  );
+  if (numericCols.length === 0) throw new Error('Nie znaleziono kolumny z wartościami.');
+  const namedCol = numericCols.find(c => header && VALUE_HEADER_RE.test(header[c] || ''));
+  const valueCol = namedCol ?? numericCols[0];
+
+  // Prosumer exports mix consumption and export rows in one file
+  const kindCol = [...Array(columnCount).keys()].find(c => sample.some(r => EXPORT_RE.test(r[c] || '') || IMPORT_RE.test(r[c] || '')) && c !== valueCol && c !== dateCol);
+
+  const valueScale = unitScale(header ? header[valueCol] : '');
+
+  return { dateCol, timeCol, valueCol, kindCol, valueScale };
+};
+
+/**
+ * Parses a timestamped CSV into an 8760-hour series. Readings within a clock hour are summed
+ * (energy) or averaged (prices); several years are averaged per hour of year and gaps are filled
+ * with the mean of the same month and hour.
+ *
+ * @param {string} text CSV content
+ * @param {{aggregate?: 'sum'|'mean'}} [options]
+ * @returns {{hourly: number[], records: number, intervalMinutes: number, total: number, coverage: number, from: string, to: string, columns: Object, unit: string}}
+ */
+export const parseHourlySeriesCsv = (text, { aggregate = 'sum' } = {}) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim() !== '');
+  if (lines.length < 2) throw new Error('Plik jest pusty.');
+
+  const delimiter = detectDelimiter(lines);
+  const table = lines.map(l => l.split(delimiter).map(c => c.trim().replace(/^"|"$/g, '')));
+  const firstDataRow = table.findIndex(r => r.some(c => parseDate(c)));
+  if (firstDataRow === -1) throw new Error('Nie znaleziono danych pomiarowych.');
+
+  const header = firstDataRow > 0 ? table[firstDataRow - 1] : null;
+  const rows = table.slice(firstDataRow).filter(r => r.some(c => parseDate(c)));
+  const { dateCol, timeCol, valueCol, kindCol, valueScale } = detectColumns(header, rows);
+
+  const readings = [];
+  rows.forEach(r => {
+    if (kindCol !== undefined && EXPORT_RE.test(r[kindCol] || '')) return;
+    const date = parseDate(r[dateCol]);
+    const minutes = parseTime(timeCol === null ? r[dateCol] : r[timeCol]);
+    const value = parseNumber(r[valueCol]);
+    if (!date || minutes === null || value === null) return;
+    readings.push({ date, minutes, value: value * valueScale });
+  });
+  if (readings.length === 0) throw new Error('Brak poprawnych odczytów w pliku.');
+
+  // Interval length and timestamp convention: data starting at 00:00 is stamped with the interval start,
+  // data starting at 00:15 / 01:00 (or containing 24:00) with the interval end
+  const minutesOfDay = [...new Set(readings.map(r => r.minutes))].sort((a, b) => a - b);
+  const intervalMinutes = minutesOfDay.length > 1 ? Math.min(...minutesOfDay.slice(1).map((m, i) => m - minutesOfDay[i])) : 60;
+  const isIntervalEnd = readings[0].minutes !== 0 || minutesOfDay.includes(24 * 60);
+
+  // Sum readings into clock hours per year, then average the years per hour of year
+  const hourSums = new Map();
+  readings.forEach(({ date, minutes, value }) => {
+    let start = isIntervalEnd ? minutes - intervalMinutes : minutes;
+    let { year, month, day } = date;
+    if (start < 0) {
+      start += 24 * 60;
+      day -= 1;
+      if (day === 0) {
+        month -= 1;
+        if (month === 0) {
+          month = 12;
+          year -= 1;
+        }
+        day = month === 2 && year % 4 === 0 ? 29 : DAYS_IN_MONTH[month - 1];
+      }
+    }
+    const doy = dayOfYear(month, day);
+    if (doy === null) return;
+    const index = (doy - 1) * 24 + Math.min(23, Math.floor(start / 60));
+    const key = year * HOURS_IN_YEAR + index;
+    const slot = hourSums.get(key) || { sum: 0, n: 0 };
+    hourSums.set(key, { sum: slot.sum + value, n: slot.n + 1 });
+  });
+
+  const totals = new Array(HOURS_IN_YEAR).fill(0);
+  const counts = new Array(HOURS_IN_YEAR).fill(0);
+  hourSums.forEach(({ sum, n }, key) => {
+    const index = key % HOURS_IN_YEAR;
+    totals[index] += aggregate === 'mean' ? sum / n : sum;
+    counts[index] += 1;
+  });
+
+  const monthHourSums = Array.from({ length: 12 }, () => new Array(24).fill(0));
+  const monthHourCounts = Array.from({ length: 12 }, () => new Array(24).fill(0));
+  totals.forEach((total, h) => {
+    if (counts[h] === 0) return;
+    monthHourSums[monthOfHour(h)][h % 24] += total / counts[h];
+    monthHourCounts[monthOfHour(h)][h % 24] += 1;
+  });
+
+  const hourly = totals.map((total, h) => {
+    if (counts[h] > 0) return total / counts[h];
+    const n = monthHourCounts[monthOfHour(h)][h % 24];
+    return n > 0 ? monthHourSums[monthOfHour(h)][h % 24] / n : 0;
+  });
+
+  const formatDate = ({ year, month, day }) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+  return {
+    hourly,
+    records: readings.length,
+    intervalMinutes,
+    total: hourly.reduce((sum, v) => sum + v, 0),
+    coverage: counts.filter(c => c > 0).length / HOURS_IN_YEAR,
+    from: formatDate(readings[0].date),
+    to: formatDate(readings[readings.length - 1].date),
+    columns: {
+      date: columnLabel(header, dateCol),
+      time: timeCol === null ? null : columnLabel(header, timeCol),
+      value: columnLabel(header, valueCol)
+    },
+    unit: valueScale === 1 ? 'kWh' : 'Wh'
+  };
+};
+
+/**
+ * Parses a CSV with one value per month ("2024-01", "01.2024", "Styczeń") or per day into 12 monthly values.
+ * `sum`: days are summed into months and several years averaged; `mean`: all readings of a month are averaged.
+ * Months without data are null.
+ *
+ * @param {string} text CSV content
+ * @param {{aggregate?: 'sum'|'mean'}} [options]
+ * @returns {{monthly: (number|null)[], records: number, coverage: number, columns: Object, unit: string, headerText: string}}
+ */
+export const parseMonthlySeriesCsv = (text, { aggregate = 'sum' } = {}) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(l => l.trim() !== '');
+  if (lines.length === 0) throw new Error('Plik jest pusty.');
+
+  const delimiter = detectDelimiter(lines);
+  const buckets = new Map();
+  let headerText = '';
+  let header = null;
+  let columns = null;
+  let records = 0;
+
+  lines.forEach(line => {
+    const cells = line.split(delimiter).map(c => c.trim().replace(/^"|"$/g, ''));
+    let dateCol = cells.findIndex(c => parseDate(c));
+    let period = dateCol >= 0 ? parseDate(cells[dateCol]) : null;
+    if (!period) {
+      dateCol = cells.findIndex(c => parseYearMonth(c) !== null);
+      period = dateCol >= 0 ? parseYearMonth(cells[dateCol]) : null;
+    }
+    const valueCol = period ? cells.findIndex((c, i) => i > dateCol && parseNumber(c) !== null) : -1;
+    if (!period || valueCol === -1 || period.month < 1 || period.month > 12) {
+      headerText += ` ${line}`;
+      if (records === 0) header = cells;
+      return;
+    }
+
+    if (!columns) columns = { date: columnLabel(header, dateCol), value: columnLabel(header, valueCol) };
+    const key = aggregate === 'mean' ? `${period.month}` : `${period.year}-${period.month}`;
+    const bucket = buckets.get(key) || { month: period.month - 1, sum: 0, n: 0 };
+    buckets.set(key, { ...bucket, sum: bucket.sum + parseNumber(cells[valueCol]), n: bucket.n + 1 });
+    records += 1;
+  });
+
+  if (records === 0) throw new Error('Nie znaleziono wartości miesięcznych.');
+  const valueScale = unitScale(columns.value);
+
+  const sums = new Array(12).fill(0);
+  const counts = new Array(12).fill(0);
+  buckets.forEach(({ month, sum, n }) => {
+    sums[month] += aggregate === 'mean' ? sum / n : sum;
+    counts[month] += 1;
+  });
+
+  return {
+    monthly: sums.map((sum, m) => (counts[m] > 0 ? (sum / counts[m]) * valueScale : null)),
+    records,
+    coverage: counts.filter(c => c > 0).length / 12,
+    columns,
+    unit: valueScale === 1 ? 'kWh' : 'Wh',
+    headerText
+  };
+};
+
+// e-licznik consumption export -> 8760 kWh profile
+export const parseLoadProfileCsv = (text) => {
+  const { total, ...series } = parseHourlySeriesCsv(text, { aggregate: 'sum' });
+  return { ...series, totalConsumption: total };
+};
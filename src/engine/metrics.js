@@ -0,0 +1,417 @@
+import { SIMULATION_YEARS, MIN_SIMULATION_YEARS, MAX_SIMULATION_YEARS } from './constants.js';
+import { npv, irr, discountedPaybackYear, levelizedCostOfEnergy } from './finance.js';
+import { runNetBillingLedger, runNetMeteringLedger, netMeteringRatio } from './settlement.js';
+import { referenceRateForMonth } from './rates.js';
+import { financingProduct } from './products.js';
+import { leaseSchedule } from './leasing.js';
+import { depreciationSchedule, thermoReliefDeductions } from './tax.js';
+import { benchmarkValues } from './benchmark.js';
+
+// --- Calculation Logic ---
+
+export const clampSimulationYears = (value) => {
+  const years = parseInt(value) || SIMULATION_YEARS;
+  return Math.min(MAX_SIMULATION_YEARS, Math.max(MIN_SIMULATION_YEARS, years));
+};
+
+// Production in a given year (1-based) after panel degradation
+export const degradedProduction = (annualProduction, degradationRate, year) => {
+  return annualProduction * Math.pow(1 - (parseFloat(degradationRate) || 0) / 100, year - 1);
+};
+
+// Sum of scheduled replacement events (inverter, battery...) falling into a given year
+export const replacementCostInYear = (replacements, year) => {
+  return (replacements || []).reduce((sum, item) => {
+    return parseInt(item.year) === year ? sum + (parseFloat(item.cost) || 0) : sum;
+  }, 0);
+};
+
+// Loan schedule grouped into loan years with subtotals (a lease buyout counts as installment and capital):
+// [{year, rows, installment, principal, interest, balance}]
+export const loanScheduleByYear = (loanSchedule) => {
+  const years = [];
+  (loanSchedule || []).forEach(row => {
+    let group = years[years.length - 1];
+    if (!group || group.year !== row.year) {
+      group = { year: row.year, rows: [], installment: 0, principal: 0, interest: 0, balance: 0 };
+      years.push(group);
+    }
+    group.rows.push(row);
+    group.installment += row.installment + (row.buyout || 0);
+    group.principal += row.principal + (row.buyout || 0);
+    group.interest += row.interest;
+    group.balance = row.balance;
+  });
+  return years;
+};
+
+export const calculateOzeMetrics = (scenario, globalParams) => {
+  const { energyPriceBuy, energyPriceSell, energyInflation, productionPerKw, installationPower, effectiveAutoConsumptionPercent, degradationRate, replacements } = globalParams;
+
+  // Investment Basics
+  const totalInvestmentCost = parseFloat(scenario.totalCost) || 0; 
+  const leaseType = financingProduct(scenario.productType).lease || null;
+  const ownContribution = leaseType ? 0 : parseFloat(scenario.ownContribution) || 0; 
+
+  // VAT: the cost is gross; a VAT payer gets the VAT back
+  const vatShare = (parseFloat(scenario.vatRate) || 0) / 100;
+  const vatDeductible = Boolean(scenario.vatDeductible);
+  const netInvestmentCost = totalInvestmentCost / (1 + vatShare);
+  
+  // Production Data
+  const annualProduction = parseFloat(scenario.manualProduction) || (installationPower * productionPerKw);
+  const autoConsumptionShare = effectiveAutoConsumptionPercent / 100;
+  // Battery losses mean sold + self-consumed can be less than production
+  const soldShare = globalParams.effectiveSoldPercent !== undefined ? globalParams.effectiveSoldPercent / 100 : 1 - autoConsumptionShare;
+
+  // Financing Basics
+  const periodMonths = parseInt(scenario.periodMonths) || 1;
+  const graceMonths = parseInt(scenario.graceMonths) || 0;
+  const commissionPercent = parseFloat(scenario.commissionPercent) || 0;
+  const otherCosts = scenario.otherCosts.reduce((sum, item) => sum + (parseFloat(item.value) || 0), 0);
+
+  // Interest Rate: fixed, or margin + reference index following the rate path
+  const floatingRate = scenario.rateType !== 'fixed';
+  const rateForMonth = (month) => (floatingRate
+    ? (parseFloat(scenario.margin) || 0) + referenceRateForMonth(globalParams, month)
+    : parseFloat(scenario.fixedRate) || 0);
+  const interestRate = rateForMonth(1);
+
+  // Grant / Umorzenie
+  let grantAmount = 0;
+  if (scenario.grantType === 'percent') {
+    grantAmount = totalInvestmentCost * ((parseFloat(scenario.grantValue) || 0) / 100);
+  } else {
+    grantAmount = parseFloat(scenario.grantValue) || 0;
+  }
+
+  // Leasing: down payment at the start, then fees and the buyout. Operating lease adds VAT to every
+  // payment, financial lease charges VAT on the whole net value up front and the fees carry none.
+  let lease = null;
+  let loanAmount = Math.max(0, totalInvestmentCost - ownContribution);
+  let startPayment = ownContribution;
+  let vatPaid = 0;
+  if (leaseType) {
+    lease = leaseSchedule({
+      netValue: netInvestmentCost,
+      downPaymentPercent: scenario.leaseDownPaymentPercent,
+      buyoutPercent: scenario.leaseBuyoutPercent,
+      months: periodMonths,
+      monthlyFee: scenario.leaseMonthlyFee,
+      rateForMonth
+    });
+    loanAmount = lease.financed;
+    const totalNetPayments = lease.downPayment + lease.schedule.reduce((sum, row) => sum + row.installment + (row.buyout || 0), 0);
+    vatPaid = (leaseType === 'operating' ? totalNetPayments : netInvestmentCost) * vatShare;
+    startPayment = lease.downPayment + (vatDeductible ? 0 : (leaseType === 'operating' ? lease.downPayment : netInvestmentCost) * vatShare);
+  } else if (vatDeductible) {
+    vatPaid = totalInvestmentCost - netInvestmentCost;
+  }
+  const vatRefund = vatDeductible ? vatPaid : 0;
+  // Lease payments are counted net for a VAT payer; the VAT on a purchase comes back at the start
+  const leasePaymentFactor = leaseType === 'operating' && !vatDeductible ? 1 + vatShare : 1;
+
+  // Monthly Loan Calculation
+  // Equal installments are recalculated from the remaining balance whenever the rate changes (reset date)
+  const repaymentMonths = periodMonths - graceMonths;
+  let monthlyInstallments = new Array(periodMonths + 1).fill(0); 
+  const loanSchedule = lease ? lease.schedule : [];
+  let currentBalance = loanAmount;
+  let totalInterest = 0;
+  const initialCommission = loanAmount * (commissionPercent / 100);
+
+  if (lease) {
+      lease.schedule.forEach(row => {
+        monthlyInstallments[row.month] = (row.installment + (row.buyout || 0)) * leasePaymentFactor;
+        totalInterest += row.interest;
+      });
+  } else if (loanAmount > 0) {
+      let equalInstallment = 0;
+      let previousRate = null;
+      for (let month = 1; month <= periodMonths; month++) {
+        const rate = rateForMonth(month);
+        const r = rate / 100 / 12;
+        let interestPart = currentBalance * r;
+        let capitalPart = 0;
+        let installment = 0;
+
+        if (month <= graceMonths) {
+          installment = interestPart;
+        } else {
+          if (scenario.installmentType === 'equal') {
+             const remainingMonths = periodMonths - (month - 1);
+             if (r === 0) {
+                capitalPart = currentBalance / remainingMonths;
+                installment = capitalPart;
+             } else {
+                 if (month === graceMonths + 1 || rate !== previousRate) {
+                   equalInstallment = currentBalance * (r * Math.pow(1 + r, remainingMonths)) / (Math.pow(1 + r, remainingMonths) - 1);
+                 }
+                 installment = equalInstallment;
+                 capitalPart = installment - interestPart;
+             }
+          } else {
+            capitalPart = loanAmount / repaymentMonths;
+            installment = capitalPart + interestPart;
+          }
+        }
+        
+        if (month > graceMonths && (currentBalance - capitalPart < 1 || month === periodMonths)) {
+             capitalPart = currentBalance;
+             installment = capitalPart + interestPart;
+        }
+
+        currentBalance -= capitalPart;
+        totalInterest += interestPart;
+        monthlyInstallments[month] = installment;
+        previousRate = rate;
+        loanSchedule.push({
+          month,
+          year: Math.ceil(month / 12),
+          rate,
+          installment,
+          principal: capitalPart,
+          interest: interestPart,
+          balance: Math.max(0, currentBalance),
+          grace: month <= graceMonths
+        });
+      }
+  }
+
+  // Cash Flow Simulation
+  const simulationYears = clampSimulationYears(globalParams.simulationYears);
+  let yearlyCashFlow = [];
+  
+  // Opportunity cost: after-tax gain the own capital would make in the alternative investment
+  const ownCapital = lease ? lease.downPayment : ownContribution;
+  const benchmark = benchmarkValues(ownCapital, globalParams, simulationYears);
+  const totalOpportunityCost = ownCapital > 0 ? benchmark[simulationYears - 1] - ownCapital : 0;
+
+  // Income tax, settled with the yearly return (costs of year 0 count in year 1). A business pays tax on the
+  // energy value and deducts depreciation (not of an operating lease), financing costs and replacements;
+  // a household deducts the cost not covered by the grant under the ulga termomodernizacyjna.
+  const taxpayerType = globalParams.taxpayerType || 'none';
+  const taxRate = taxpayerType === 'none' ? 0 : (parseFloat(globalParams.incomeTaxRate) || 0) / 100;
+  const depreciation = taxpayerType === 'business' && leaseType !== 'operating'
+    ? depreciationSchedule((vatDeductible ? netInvestmentCost : totalInvestmentCost) - grantAmount, globalParams.depreciationRate, simulationYears)
+    : [];
+  const thermoRelief = taxpayerType === 'household' && !leaseType
+    ? thermoReliefDeductions(totalInvestmentCost - grantAmount, globalParams.thermoReliefLimit, globalParams.annualTaxableIncome)
+    : [];
+  const startDeductibleCosts = initialCommission + otherCosts + (leaseType === 'operating' ? lease.downPayment * leasePaymentFactor : 0);
+  // Operating lease fees are costs as a whole, otherwise only the interest part
+  const deductibleFinancingInYear = (year) => loanSchedule.reduce((sum, row) => row.year !== year ? sum
+    : sum + (leaseType === 'operating' ? (row.installment + (row.buyout || 0)) * leasePaymentFactor : row.interest), 0);
+  const taxTotals = { incomeTax: 0, depreciationTaxShield: 0, costTaxShield: 0, thermoRelief: 0 };
+
+  // Initial Cash Flow
+  const startVatRefund = lease ? 0 : vatRefund;
+  let cumulativeCashFlow = -(startPayment + initialCommission + otherCosts) + grantAmount + startVatRefund; 
+  
+  yearlyCashFlow.push({
+    year: 0,
+    energySavings: 0,
+    loanPayment: 0,
+    replacementCost: 0,
+    netCashFlow: cumulativeCashFlow,
+    cumulative: cumulativeCashFlow
+  });
+
+  let paybackYear = null;
+  let totalReplacementCost = 0;
+
+  // Net-billing / net-metering: exports go through the deposit or energy bank ledger instead of a flat sale price
+  const { monthlyStats } = globalParams;
+  const monthlyTotal = monthlyStats ? monthlyStats.reduce((sum, m) => sum + m.production, 0) : 0;
+  const productionScale = monthlyTotal > 0 ? annualProduction / monthlyTotal : 0;
+  let depositLedger = null;
+  let energyBankLedger = null;
+  if (globalParams.settlementMode === 'netBilling' && monthlyStats) {
+    depositLedger = runNetBillingLedger({
+      monthlySold: monthlyStats.map(m => m.sold * productionScale),
+      monthlyImport: monthlyStats.map(m => m.gridImport || 0),
+      salePrices: monthlyStats.map(m => m.salePrice),
+      energyPriceBuy,
+      importPrices: monthlyStats.map(m => m.importPrice ?? energyPriceBuy),
+      energyInflation,
+      degradationRate,
+      years: simulationYears,
+      depositCoefficient: globalParams.depositCoefficient,
+      depositExpiryMonths: globalParams.depositExpiryMonths,
+      refundCapPercent: globalParams.refundCapPercent
+    });
+  } else if (globalParams.settlementMode === 'netMetering' && monthlyStats) {
+    energyBankLedger = runNetMeteringLedger({
+      monthlySold: monthlyStats.map(m => m.sold * productionScale),
+      monthlyImport: monthlyStats.map(m => m.gridImport || 0),
+      ratio: netMeteringRatio((parseFloat(globalParams.existingInstallationPower) || 0) + (parseFloat(globalParams.installationPower) || 0)),
+      energyPriceBuy,
+      importPrices: monthlyStats.map(m => m.importPrice ?? energyPriceBuy),
+      energyInflation,
+      degradationRate,
+      years: simulationYears,
+      energyBankMonths: globalParams.energyBankMonths
+    });
+  }
+
+  for (let year = 1; year <= simulationYears; year++) {
+    const currentEnergyPriceBuy = energyPriceBuy * Math.pow(1 + energyInflation / 100, year - 1);
+    const currentEnergyPriceSell = energyPriceSell * Math.pow(1 + energyInflation / 100, year - 1);
+
+    // Weather: optional yearly yield factors (Monte Carlo), also applied to the settled export value
+    const yieldFactor = globalParams.yieldFactors?.[year - 1] ?? 1;
+    const yearProduction = degradedProduction(annualProduction, degradationRate, year) * yieldFactor;
+    const selfConsumedEnergy = yearProduction * autoConsumptionShare;
+    const soldEnergy = yearProduction * soldShare;
+
+    const savings = selfConsumedEnergy * currentEnergyPriceBuy;
+    const deposit = depositLedger ? depositLedger.yearly[year - 1] : null;
+    const energyBank = energyBankLedger ? energyBankLedger.yearly[year - 1] : null;
+    let revenue = soldEnergy * currentEnergyPriceSell;
+    if (deposit) revenue = (deposit.used + deposit.refunded) * yieldFactor;
+    if (energyBank) revenue = energyBank.value * yieldFactor;
+    const totalBenefit = savings + revenue;
+
+    let yearlyLoanCost = 0;
+    const startMonth = (year - 1) * 12 + 1;
+    const endMonth = year * 12;
+    
+    for (let m = startMonth; m <= endMonth; m++) {
+      if (m <= periodMonths) {
+        yearlyLoanCost += monthlyInstallments[m];
+      }
+    }
+
+    const replacementCost = replacementCostInYear(replacements, year);
+    totalReplacementCost += replacementCost;
+
+    let taxLines = null;
+    if (taxpayerType === 'business') {
+      const deductibleCosts = deductibleFinancingInYear(year) + (year === 1 ? startDeductibleCosts : 0) + replacementCost;
+      taxLines = {
+        incomeTax: -totalBenefit * taxRate,
+        depreciationTaxShield: (depreciation[year - 1] || 0) * taxRate,
+        costTaxShield: deductibleCosts * taxRate
+      };
+    } else if (taxpayerType === 'household') {
+      taxLines = { thermoRelief: (thermoRelief[year - 1] || 0) * taxRate };
+    }
+    const taxEffect = taxLines ? Object.values(taxLines).reduce((sum, value) => sum + value, 0) : 0;
+    if (taxLines) Object.keys(taxLines).forEach(key => { taxTotals[key] += taxLines[key]; });
+
+    const netFlow = totalBenefit - yearlyLoanCost - replacementCost + taxEffect;
+    cumulativeCashFlow += netFlow;
+
+    if (paybackYear === null && cumulativeCashFlow >= 0) {
+      paybackYear = year;
+    }
+
+    yearlyCashFlow.push({
+      year,
+      production: yearProduction,
+      energySavings: totalBenefit,
+      loanPayment: yearlyLoanCost,
+      replacementCost,
+      ...(deposit && {
+        depositCredited: deposit.credited,
+        depositUsed: deposit.used,
+        depositRefunded: deposit.refunded,
+        depositLost: deposit.lost
+      }),
+      ...(energyBank && {
+        energyBanked: energyBank.banked,
+        energyDrawn: energyBank.drawn,
+        energyBankLost: energyBank.lost
+      }),
+      ...taxLines,
+      ...(ownCapital > 0 && { opportunityCost: benchmark[year - 1] - (year === 1 ? ownCapital : benchmark[year - 2]) }),
+      netCashFlow: netFlow,
+      cumulative: cumulativeCashFlow
+    });
+  }
+
+  // Leasing: everything paid to the lessor above the installation cost is the cost of financing
+  const leasePaid = lease ? lease.downPayment + lease.schedule.reduce((sum, row) => sum + row.installment + (row.buyout || 0), 0) + vatPaid : 0;
+  const financingCost = lease ? leasePaid - totalInvestmentCost : totalInterest;
+  const totalCostOfLoan = financingCost + initialCommission + otherCosts;
+  const taxRelief = taxTotals.depreciationTaxShield + taxTotals.costTaxShield + taxTotals.thermoRelief;
+  const totalProjectCost = totalInvestmentCost + totalCostOfLoan + totalOpportunityCost + totalReplacementCost - grantAmount - vatRefund - taxRelief;
+
+  // Discounted Metrics
+  const discountRate = parseFloat(globalParams.discountRate) || 0;
+  const netFlows = yearlyCashFlow.map(row => row.netCashFlow);
+
+  return {
+    ...scenario,
+    effectiveRate: lease ? lease.schedule[0]?.rate ?? interestRate : interestRate,
+    paybackYear,
+    yearlyCashFlow,
+    loanSchedule,
+    summary: {
+      loanAmount,
+      totalInterest,
+      maxInstallment: loanSchedule.reduce((max, row) => Math.max(max, row.installment), 0),
+      vatRefund,
+      lease: lease ? {
+        type: leaseType,
+        netValue: netInvestmentCost,
+        downPayment: lease.downPayment,
+        monthlyFee: lease.schedule[0]?.installment ?? 0,
+        buyout: lease.buyout,
+        shortfall: lease.shortfall,
+        vatPaid,
+        totalPaid: leasePaid
+      } : null,
+      tax: taxpayerType === 'none' ? null : {
+        type: taxpayerType,
+        rate: taxRate * 100,
+        ...taxTotals,
+        total: taxTotals.incomeTax + taxRelief
+      },
+      totalStartCosts: initialCommission + otherCosts,
+      grantAmount,
+      opportunityCost: totalOpportunityCost,
+      totalProjectCost,
+      totalReplacementCost,
+      simulationYears,
+      netProfit: yearlyCashFlow[simulationYears].cumulative - totalOpportunityCost,
+      autoConsumptionPercent: effectiveAutoConsumptionPercent,
+      discountRate,
+      npv: npv(discountRate, netFlows),
+      irr: irr(netFlows),
+      discountedPaybackYear: discountedPaybackYear(discountRate, netFlows),
+      lcoe: levelizedCostOfEnergy(discountRate, yearlyCashFlow),
+      deposit: depositLedger ? depositLedger.totals : null,
+      energyBank: energyBankLedger ? energyBankLedger.totals : null
+    }
+  };
+};
+
+// Metrics that can decide the "Najbardziej opłacalna opcja" card
+export const BEST_OPTION_METRICS = [
+  { id: 'totalProjectCost', label: 'Koszt całkowity (ekonomiczny)', better: 'min' },
+  { id: 'netProfit', label: 'Zysk na czysto', better: 'max' },
+  { id: 'npv', label: 'NPV', better: 'max' },
+  { id: 'irr', label: 'IRR', better: 'max' },
+  { id: 'discountedPaybackYear', label: 'Zdyskontowany okres zwrotu', better: 'min' },
+  { id: 'lcoe', label: 'LCOE (zł/kWh)', better: 'min' }
+];
+
+const metricValue = (result, metric) => {
+  const value = result.summary[metric.id];
+  if (value !== null && value !== undefined) return value;
+  // IRR is undefined when the flows never go negative (e.g. grant covers the start) - that is the best case
+  if (metric.id === 'irr') return result.summary.npv > 0 ? Infinity : -Infinity;
+  return metric.better === 'min' ? Infinity : -Infinity;
+};
+
+// Default: lowest economic cost (installation + loan costs + opportunity cost - grant) wins
+export const pickBestOption = (results, metricId = 'totalProjectCost') => {
+  const metric = BEST_OPTION_METRICS.find(m => m.id === metricId) || BEST_OPTION_METRICS[0];
+  return results.reduce((prev, curr) => {
+    const prevValue = metricValue(prev, metric);
+    const currValue = metricValue(curr, metric);
+    if (metric.better === 'min') return prevValue <= currValue ? prev : curr;
+    return prevValue >= currValue ? prev : curr;
+  });
+};
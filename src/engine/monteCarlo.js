@@ -0,0 +1,139 @@
+import { calculateMonthlyStats } from './energy.js';
+import { calculateOzeMetrics, pickBestOption, clampSimulationYears } from './metrics.js';
+import { applyStorage } from './storage.js';
+import { buildGlobalParams } from './project.js';
+
+// --- Monte Carlo Risk Simulation ---
+// Every iteration draws one future (energy price growth, reference index path, yearly yield) and runs all
+// scenarios against it, so the scenarios are compared on the same draws.
+
+export const DEFAULT_MONTE_CARLO = {
+  iterations: 2000,
+  inflationStdev: 2.0,  // Energy price growth: normal around `energyInflation`, p.p.
+  rateStdev: 0.5,       // Reference index: random walk from today's value, p.p. per year
+  yieldVariation: 10,   // Yearly production: uniform ±% around the degraded estimate
+  seed: 1
+};
+
+export const MONTE_CARLO_LIMITS = { minIterations: 100, maxIterations: 20000 };
+
+// Index path long enough for any loan term
+const RATE_PATH_YEARS = 40;
+const HISTOGRAM_BINS = 20;
+
+// Seeded generator (mulberry32), the same seed gives the same simulation
+const createRandom = (seed) => {
+  let state = (parseInt(seed) || 0) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw (Box-Muller)
+const normal = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+const drawFuture = (random, params, settings, years) => {
+  const energyInflation = (parseFloat(params.energyInflation) || 0) + normal(random) * (parseFloat(settings.inflationStdev) || 0);
+
+  const rateStdev = parseFloat(settings.rateStdev) || 0;
+  const ratePathValues = [];
+  let rate = parseFloat(params.globalWibor) || 0;
+  for (let year = 1; year <= RATE_PATH_YEARS; year++) {
+    if (year > 1) rate = Math.max(0, rate + normal(random) * rateStdev);
+    ratePathValues.push(rate);
+  }
+
+  const variation = (parseFloat(settings.yieldVariation) || 0) / 100;
+  const yieldFactors = Array.from({ length: years }, () => 1 + (2 * random() - 1) * variation);
+
+  return { energyInflation, ratePath: 'custom', ratePathValues, yieldFactors };
+};
+
+// Value at a share of the sorted values (nearest rank)
+const percentile = (sorted, share) => sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+
+const distribution = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    p10: percentile(sorted, 0.1),
+    p50: percentile(sorted, 0.5),
+    p90: percentile(sorted, 0.9),
+    mean: values.reduce((sum, v) => sum + v, 0) / values.length
+  };
+};
+
+const histogram = (series) => {
+  // No spreading into Math.min/max: iterations × scenarios values exceed the argument limit
+  const all = series.flat();
+  const min = all.reduce((low, v) => Math.min(low, v), Infinity);
+  const max = all.reduce((high, v) => Math.max(high, v), -Infinity);
+  const width = (max - min) / HISTOGRAM_BINS || 1;
+  const bins = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, counts: series.map(() => 0) }));
+  series.forEach((values, index) => values.forEach(value => {
+    bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((value - min) / width))].counts[index]++;
+  }));
+  return bins;
+};
+
+/**
+ * Monte Carlo simulation of all scenarios. Payback beyond the horizon is `null` in the percentiles.
+ *
+ * @param {ProjectParams} params
+ * @param {Scenario[]} scenarios
+ * @param {Partial<typeof DEFAULT_MONTE_CARLO>} [settings]
+ * @param {function(number, number): void} [onProgress]  (done, total) every 100 iterations
+ * @returns {{iterations: number, simulationYears: number, scenarios: {id: number, name: string, payback: {p10: number|null, p50: number|null, p90: number|null}, paybackWithinHorizon: number, netProfit: {p10: number, p50: number, p90: number, mean: number}, npv: {p10: number, p50: number, p90: number, mean: number}, probabilityBest: number}[], histogram: {from: number, to: number, counts: number[]}[]}}
+ */
+export const runMonteCarlo = (params, scenarios, settings = {}, onProgress) => {
+  const config = { ...DEFAULT_MONTE_CARLO, ...settings };
+  const iterations = Math.min(MONTE_CARLO_LIMITS.maxIterations, Math.max(MONTE_CARLO_LIMITS.minIterations, parseInt(config.iterations) || DEFAULT_MONTE_CARLO.iterations));
+  const simulationYears = clampSimulationYears(params.simulationYears);
+  const random = createRandom(config.seed);
+
+  // The energy balance does not depend on the drawn drivers: once per scenario
+  const monthlyStats = calculateMonthlyStats(params);
+  const baseParams = scenarios.map(s => buildGlobalParams(params, s.storage?.enabled ? applyStorage(monthlyStats, params, s.storage) : monthlyStats));
+
+  const paybacks = scenarios.map(() => []);
+  const profits = scenarios.map(() => []);
+  const npvs = scenarios.map(() => []);
+  const wins = scenarios.map(() => 0);
+
+  for (let i = 0; i < iterations; i++) {
+    const future = drawFuture(random, params, config, simulationYears);
+    const results = scenarios.map((s, index) => calculateOzeMetrics(s, { ...baseParams[index], ...future }));
+    results.forEach((r, index) => {
+      paybacks[index].push(r.paybackYear ?? Infinity);
+      profits[index].push(r.summary.netProfit);
+      npvs[index].push(r.summary.npv);
+    });
+    wins[results.indexOf(pickBestOption(results, params.bestOptionMetric))]++;
+    if (onProgress && (i + 1) % 100 === 0) onProgress(i + 1, iterations);
+  }
+
+  const finite = (value) => (Number.isFinite(value) ? value : null);
+  return {
+    iterations,
+    simulationYears,
+    scenarios: scenarios.map((s, index) => {
+      const payback = distribution(paybacks[index]);
+      return {
+        id: s.id,
+        name: s.name,
+        payback: { p10: finite(payback.p10), p50: finite(payback.p50), p90: finite(payback.p90) },
+        paybackWithinHorizon: paybacks[index].filter(Number.isFinite).length / iterations,
+        netProfit: distribution(profits[index]),
+        npv: distribution(npvs[index]),
+        probabilityBest: wins[index] / iterations
+      };
+    }),
+    histogram: histogram(profits)
+  };
+};
@@ -0,0 +1,67 @@
+import { HOURS_IN_YEAR, hourlyProductionProfile, monthlyWeightedAverage } from './hourly.js';
+import { parseHourlySeriesCsv, parseMonthlySeriesCsv } from './loadProfile.js';
+
+// --- Energy Sale Prices (RCEm / RCE) ---
+// Monthly market prices (RCEm) or hourly prices (RCE) from a local CSV or JSON file:
+//   Miesiąc;RCEm [zł/MWh]        2024-01;411,70
+//   Data;Godzina;RCE [zł/MWh]    2024-01-01;1;395,12
+//   [0.41, 0.38, ...]  or  { "monthly": [...] }  or  { "hourly": [...] }
+
+const TIME_RE = /\d{1,2}:\d{2}/;
+
+// Prices above 10 can only be zł/MWh
+const toPerKWh = (values, unitHint = '') => {
+  const inMWh = /mwh/i.test(unitHint) || values.some(v => Math.abs(v) > 10);
+  return inMWh ? values.map(v => v / 1000) : values;
+};
+
+const average = (values) => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+
+const parseMonthlyCsv = (content) => {
+  const { monthly, records, coverage, headerText } = parseMonthlySeriesCsv(content, { aggregate: 'mean' });
+  const fallback = average(monthly.filter(v => v !== null));
+  const values = toPerKWh(monthly.map(v => (v === null ? fallback : v)), headerText);
+  return { type: 'monthly', values, records, coverage };
+};
+
+/**
+ * Parses a sale price table (CSV or JSON) into 12 monthly or 8760 hourly prices in zł/kWh.
+ *
+ * @param {string} text
+ * @returns {{type: 'monthly'|'hourly', values: number[], records: number, coverage: number, average: number}}
+ */
+export const parseSalePrices = (text) => {
+  const content = text.replace(/^\uFEFF/, '').trim();
+  let table;
+
+  if (content.startsWith('[') || content.startsWith('{')) {
+    const json = JSON.parse(content);
+    const values = Array.isArray(json) ? json : json.hourly || json.monthly;
+    if (!Array.isArray(values) || ![12, HOURS_IN_YEAR].includes(values.length)) {
+      throw new Error('JSON musi zawierać 12 cen miesięcznych lub 8760 godzinowych.');
+    }
+    table = { type: values.length === 12 ? 'monthly' : 'hourly', values: toPerKWh(values.map(Number), json.unit), records: values.length, coverage: 1 };
+  } else {
+    const lines = content.split(/\r?\n/).filter(l => l.trim() !== '');
+    const isHourly = lines.length > 400 || lines.some(l => TIME_RE.test(l));
+    if (isHourly) {
+      const { hourly, records, coverage } = parseHourlySeriesCsv(content, { aggregate: 'mean' });
+      table = { type: 'hourly', values: toPerKWh(hourly, lines.slice(0, 3).join(' ')), records, coverage };
+    } else {
+      table = parseMonthlyCsv(content);
+    }
+  }
+
+  return { ...table, average: average(table.values) };
+};
+
+/**
+ * Monthly sale prices (zł/kWh) for year 1. Hourly prices are weighted by the hourly export profile
+ * (`weights`, 8760 kWh) or, without it, by the PV production shape.
+ */
+export const monthlySalePrices = (salePrices, fallbackPrice, monthlyProduction, weights = null) => {
+  if (!salePrices || !Array.isArray(salePrices.values)) return new Array(12).fill(fallbackPrice);
+  if (salePrices.type === 'monthly') return salePrices.values.slice(0, 12);
+
+  return monthlyWeightedAverage(salePrices.values, weights || hourlyProductionProfile(monthlyProduction), fallbackPrice);
+};
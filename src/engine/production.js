@@ -0,0 +1,142 @@
+import { DAYS_IN_MONTH, MONTHS } from './constants.js';
+import { VOIVODESHIPS, irradianceAt } from './irradiance.js';
+import { hourlyProductionProfile } from './hourly.js';
+
+// --- PV Production Estimate ---
+// Monthly yield per kWp from the irradiance dataset, transposed to the panel plane
+// (representative day per month, isotropic sky) and reduced by system and shading losses.
+
+export const DEFAULT_PV_SITE = {
+  location: 'mazowieckie', // Voivodeship id or 'custom' (latitude / longitude)
+  latitude: 52.23,
+  longitude: 21.01,
+  panelTilt: 35,           // ° from horizontal
+  panelAzimuth: 0,         // ° from south, east negative, west positive
+  shadingLosses: 0,        // %
+  systemLosses: 14         // %, inverter, cables, temperature, soiling
+};
+
+const SOLAR_CONSTANT = 1367; // W/m²
+const GROUND_ALBEDO = 0.2;
+const REPRESENTATIVE_DAYS = [17, 47, 75, 105, 135, 162, 198, 228, 258, 288, 318, 344];
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Coordinates and horizontal irradiation of the selected site
+export const siteIrradiance = (site) => {
+  const voivodeship = VOIVODESHIPS.find(v => v.id === site.location);
+  if (voivodeship) {
+    return { latitude: voivodeship.latitude, longitude: voivodeship.longitude, ghi: voivodeship.ghi };
+  }
+  const latitude = parseFloat(site.latitude) || DEFAULT_PV_SITE.latitude;
+  const longitude = parseFloat(site.longitude) || DEFAULT_PV_SITE.longitude;
+  return { latitude, longitude, ghi: irradianceAt(latitude, longitude) };
+};
+
+/**
+ * Monthly irradiation on a tilted plane (kWh/m², 12 values).
+ * Daily totals are split into diffuse (Erbs) and hourly values (Collares-Pereira & Rabl, Liu & Jordan).
+ *
+ * @param {number[]} monthlyGhi  Global horizontal irradiation per month (kWh/m²)
+ * @param {{latitude: number, tilt: number, azimuth: number}} plane
+ */
+export const planeOfArrayIrradiation = (monthlyGhi, { latitude, tilt, azimuth }) => {
+  const phi = toRadians(latitude);
+  const beta = toRadians(Math.min(90, Math.max(0, tilt)));
+  const gamma = toRadians(azimuth);
+
+  return monthlyGhi.map((ghi, m) => {
+    const day = REPRESENTATIVE_DAYS[m];
+    const delta = toRadians(23.45 * Math.sin((2 * Math.PI * (284 + day)) / 365));
+    const sunsetAngle = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta))));
+    if (ghi <= 0 || sunsetAngle <= 0) return 0;
+
+    // Daily clearness and diffuse share
+    const extraterrestrial = (24 / Math.PI) * SOLAR_CONSTANT * (1 + 0.033 * Math.cos((2 * Math.PI * day) / 365))
+      * (Math.cos(phi) * Math.cos(delta) * Math.sin(sunsetAngle) + sunsetAngle * Math.sin(phi) * Math.sin(delta));
+    const daily = (ghi * 1000) / DAYS_IN_MONTH[m];
+    const kt = Math.min(0.8, daily / extraterrestrial);
+    const diffuseShare = sunsetAngle <= toRadians(81.4)
+      ? 1.391 - 3.560 * kt + 4.189 * kt ** 2 - 2.137 * kt ** 3
+      : 1.311 - 3.022 * kt + 3.427 * kt ** 2 - 1.821 * kt ** 3;
+    const dailyDiffuse = daily * Math.min(1, Math.max(0, diffuseShare));
+
+    // Hourly split of the daily totals
+    const a = 0.409 + 0.5016 * Math.sin(sunsetAngle - Math.PI / 3);
+    const b = 0.6609 - 0.4767 * Math.sin(sunsetAngle - Math.PI / 3);
+    const hours = Array.from({ length: 24 }, (_, hour) => {
+      const omega = toRadians(15 * (hour + 0.5 - 12));
+      if (Math.abs(omega) >= sunsetAngle) return null;
+      const rd = (Math.cos(omega) - Math.cos(sunsetAngle)) / (Math.sin(sunsetAngle) - sunsetAngle * Math.cos(sunsetAngle));
+      return { omega, rd, rt: rd * (a + b * Math.cos(omega)) };
+    }).filter(Boolean);
+    const rtTotal = hours.reduce((sum, h) => sum + h.rt, 0);
+    const rdTotal = hours.reduce((sum, h) => sum + h.rd, 0);
+
+    const dailyPlane = hours.reduce((sum, { omega, rd, rt }) => {
+      const global = (daily * rt) / rtTotal;
+      const diffuse = Math.min(global, (dailyDiffuse * rd) / rdTotal);
+      const cosZenith = Math.cos(phi) * Math.cos(delta) * Math.cos(omega) + Math.sin(phi) * Math.sin(delta);
+      if (cosZenith <= 0) return sum;
+      const cosIncidence = Math.sin(delta) * Math.sin(phi) * Math.cos(beta)
+        - Math.sin(delta) * Math.cos(phi) * Math.sin(beta) * Math.cos(gamma)
+        + Math.cos(delta) * Math.cos(phi) * Math.cos(beta) * Math.cos(omega)
+        + Math.cos(delta) * Math.sin(phi) * Math.sin(beta) * Math.cos(gamma) * Math.cos(omega)
+        + Math.cos(delta) * Math.sin(beta) * Math.sin(gamma) * Math.sin(omega);
+      const beamRatio = Math.max(0, cosIncidence) / Math.max(cosZenith, 0.087); // zenith capped at 85°
+      return sum
+        + (global - diffuse) * beamRatio
+        + diffuse * (1 + Math.cos(beta)) / 2
+        + global * GROUND_ALBEDO * (1 - Math.cos(beta)) / 2;
+    }, 0);
+
+    return (dailyPlane * DAYS_IN_MONTH[m]) / 1000;
+  });
+};
+
+// Power (kWp) the imported production refers to; without it the file is the installation itself
+const importPeakPower = (params) => parseFloat(params.productionImport.peakPower) || parseFloat(params.installationPower) || 1;
+
+/**
+ * Monthly yield per kWp, in the shape of `MONTHS` with `value` (kWh/kWp). Imported production
+ * (`params.productionImport`) takes precedence; months missing in the file fall back to the estimate
+ * for the site and panel orientation.
+ *
+ * @param {Object} params  `location`, `latitude`, `longitude`, `panelTilt`, `panelAzimuth`, `shadingLosses`,
+ *                         `systemLosses`, `productionImport`
+ */
+export const productionPattern = (params) => {
+  const estimate = estimatedPattern(params);
+  if (!params.productionImport) return estimate;
+
+  const peakPower = importPeakPower(params);
+  return estimate.map((m, index) => {
+    const imported = params.productionImport.monthly[index];
+    return imported === null || imported === undefined ? m : { ...m, value: imported / peakPower };
+  });
+};
+
+/**
+ * Production of the installation for every hour of the year (kWh, 8760): the imported hourly series
+ * scaled to the installation power, otherwise the monthly totals spread over daylight hours.
+ */
+export const hourlyProduction = (params, monthlyProduction) => {
+  const imported = params.productionImport;
+  if (!imported || !Array.isArray(imported.hourly)) return hourlyProductionProfile(monthlyProduction);
+  const scale = (parseFloat(params.installationPower) || 0) / importPeakPower(params);
+  return imported.hourly.map(value => value * scale);
+};
+
+const estimatedPattern = (site) => {
+  const settings = { ...DEFAULT_PV_SITE, ...site };
+  const { latitude, ghi } = siteIrradiance(settings);
+  const planeIrradiation = planeOfArrayIrradiation(ghi, {
+    latitude,
+    tilt: parseFloat(settings.panelTilt) || 0,
+    azimuth: parseFloat(settings.panelAzimuth) || 0
+  });
+  const performance = (1 - (parseFloat(settings.systemLosses) || 0) / 100) * (1 - (parseFloat(settings.shadingLosses) || 0) / 100);
+
+  return MONTHS.map((m, index) => ({ ...m, value: planeIrradiation[index] * performance }));
+};
+
+export const annualYieldPerKwp = (pattern) => pattern.reduce((sum, m) => sum + m.value, 0);
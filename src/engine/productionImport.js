@@ -0,0 +1,184 @@
+import { HOURS_IN_YEAR, dayOfYear, monthOfHour } from './hourly.js';
+import { parseHourlySeriesCsv, parseMonthlySeriesCsv } from './loadProfile.js';
+
+// --- Production Import (PVGIS, inverter monitoring) ---
+// PVGIS PVcalc (monthly E_m) and seriescalc (hourly P) in CSV or JSON, and generic monitoring exports
+// (SolarEdge, Huawei FusionSolar, Fronius Solar.web) with monthly, daily or hourly kWh / Wh:
+//   Month  E_d  E_m  ...              1  0.91  28.12
+//   time,P,G(i),H_sun,T2m,WS10m,Int   20200101:0010,0.0,0.0,0.0,-1.66,2.21,0.0
+//   Data;Uzysk PV (kWh)               2024-01-01 10:00;1,25
+
+const PVGIS_TIME_RE = /^(\d{4})(\d{2})(\d{2}):(\d{2})(\d{2})$/;
+const TIME_RE = /\d{1,2}:\d{2}/;
+
+const sum = (values) => values.reduce((total, v) => total + (v || 0), 0);
+
+// Monthly totals of an 8760 series
+const monthlyTotals = (hourly) => {
+  const months = new Array(12).fill(0);
+  hourly.forEach((value, h) => { months[monthOfHour(h)] += value; });
+  return months;
+};
+
+// Local (CET / CEST) hour of year for a PVGIS UTC timestamp; Feb 29 returns null
+const pvgisHourOfYear = (time) => {
+  const match = String(time).match(PVGIS_TIME_RE);
+  if (!match) return null;
+  const doy = dayOfYear(+match[2], +match[3]);
+  if (doy === null) return null;
+  const offset = doy >= 87 && doy <= 300 ? 2 : 1;
+  return ((doy - 1) * 24 + +match[4] + offset) % HOURS_IN_YEAR;
+};
+
+// PVGIS hourly power (W) per timestamp, averaged over the years, to kWh per hour of year
+const pvgisHourly = (rows) => {
+  const totals = new Array(HOURS_IN_YEAR).fill(0);
+  const counts = new Array(HOURS_IN_YEAR).fill(0);
+  const years = new Set();
+  rows.forEach(({ time, power }) => {
+    const h = pvgisHourOfYear(time);
+    if (h === null || !Number.isFinite(power)) return;
+    totals[h] += power / 1000;
+    counts[h] += 1;
+    years.add(String(time).slice(0, 4));
+  });
+  if (counts.every(c => c === 0)) throw new Error('Brak poprawnych danych godzinowych PVGIS.');
+  return {
+    hourly: totals.map((total, h) => (counts[h] > 0 ? total / counts[h] : 0)),
+    coverage: counts.filter(c => c > 0).length / HOURS_IN_YEAR,
+    years: years.size
+  };
+};
+
+const pvgisMonthlyPreview = (rows, peakPower) => {
+  const monthly = new Array(12).fill(null);
+  rows.forEach(({ month, energy }) => {
+    if (month >= 1 && month <= 12 && Number.isFinite(energy)) monthly[month - 1] = energy;
+  });
+  return {
+    source: 'pvgis',
+    sourceLabel: 'PVGIS – miesięczny (E_m)',
+    type: 'monthly',
+    columns: { date: 'Month', value: 'E_m' },
+    unit: 'kWh',
+    monthly,
+    hourly: null,
+    records: rows.length,
+    coverage: monthly.filter(v => v !== null).length / 12,
+    peakPower
+  };
+};
+
+const pvgisHourlyPreview = (rows, peakPower) => {
+  const { hourly, coverage, years } = pvgisHourly(rows);
+  return {
+    source: 'pvgis',
+    sourceLabel: `PVGIS – godzinowy (P, średnia z ${years} lat)`,
+    type: 'hourly',
+    columns: { date: 'time (UTC)', value: 'P' },
+    unit: 'W',
+    monthly: monthlyTotals(hourly),
+    hourly,
+    records: rows.length,
+    coverage,
+    peakPower
+  };
+};
+
+const parsePvgisJson = (json) => {
+  const peakPower = parseFloat(json.inputs?.pv_module?.peak_power) || null;
+  const outputs = json.outputs || {};
+  if (Array.isArray(outputs.hourly)) {
+    return pvgisHourlyPreview(outputs.hourly.map(r => ({ time: r.time, power: parseFloat(r.P) })), peakPower);
+  }
+  const monthly = outputs.monthly?.fixed || outputs.monthly;
+  if (Array.isArray(monthly)) {
+    return pvgisMonthlyPreview(monthly.map(r => ({ month: parseInt(r.month), energy: parseFloat(r.E_m) })), peakPower);
+  }
+  throw new Error('Nierozpoznany format JSON – oczekiwano wyniku PVGIS (outputs.monthly lub outputs.hourly).');
+};
+
+const parsePvgisCsv = (lines) => {
+  const peakMatch = lines.join('\n').match(/(?:PV installed \[kWp\]|Nominal power[^:]*|Peak power[^:]*):\s*([\d.]+)/i);
+  const peakPower = peakMatch ? parseFloat(peakMatch[1]) : null;
+  const split = (line) => line.split(/[\t,;]+/).map(c => c.trim()).filter(c => c !== '');
+
+  const hourlyHeader = lines.findIndex(l => /^time[\t,;]/i.test(l.trim()));
+  if (hourlyHeader >= 0) {
+    const powerCol = split(lines[hourlyHeader]).indexOf('P');
+    if (powerCol === -1) throw new Error('Brak kolumny P (moc instalacji) w pliku PVGIS.');
+    const rows = lines.slice(hourlyHeader + 1)
+      .map(split)
+      .filter(cells => PVGIS_TIME_RE.test(cells[0]))
+      .map(cells => ({ time: cells[0], power: parseFloat(cells[powerCol]) }));
+    return pvgisHourlyPreview(rows, peakPower);
+  }
+
+  const monthlyHeader = lines.findIndex(l => /\bE_m\b/.test(l));
+  const energyCol = split(lines[monthlyHeader]).indexOf('E_m');
+  const rows = lines.slice(monthlyHeader + 1)
+    .map(split)
+    .filter(cells => /^\d{1,2}$/.test(cells[0]))
+    .map(cells => ({ month: parseInt(cells[0]), energy: parseFloat(cells[energyCol]) }));
+  return pvgisMonthlyPreview(rows, peakPower);
+};
+
+const parseMonitoringCsv = (content, lines) => {
+  const isHourly = lines.some(l => TIME_RE.test(l));
+  if (isHourly) {
+    const series = parseHourlySeriesCsv(content, { aggregate: 'sum' });
+    return {
+      source: 'monitoring',
+      sourceLabel: `Monitoring – godzinowy (co ${series.intervalMinutes} min)`,
+      type: 'hourly',
+      columns: series.columns,
+      unit: series.unit,
+      monthly: monthlyTotals(series.hourly),
+      hourly: series.hourly,
+      records: series.records,
+      coverage: series.coverage,
+      from: series.from,
+      to: series.to,
+      peakPower: null
+    };
+  }
+
+  const series = parseMonthlySeriesCsv(content, { aggregate: 'sum' });
+  return {
+    source: 'monitoring',
+    sourceLabel: 'Monitoring – miesięczny / dzienny',
+    type: 'monthly',
+    columns: series.columns,
+    unit: series.unit,
+    monthly: series.monthly,
+    hourly: null,
+    records: series.records,
+    coverage: series.coverage,
+    peakPower: null
+  };
+};
+
+/**
+ * Parses a PVGIS result or an inverter-monitoring export into a production preview.
+ * `monthly` is kWh per month (null for months without data), `hourly` 8760 kWh for hourly files;
+ * both refer to `peakPower` (kWp, null when the file does not state it).
+ *
+ * @param {string} text
+ * @returns {ProductionImport}
+ */
+export const parseProductionFile = (text) => {
+  const content = text.replace(/^\uFEFF/, '').trim();
+  if (content === '') throw new Error('Plik jest pusty.');
+
+  let preview;
+  if (content.startsWith('{')) {
+    preview = parsePvgisJson(JSON.parse(content));
+  } else {
+    const lines = content.split(/\r?\n/).filter(l => l.trim() !== '');
+    const isPvgis = lines.some(l => /^time[\t,;]P\b/i.test(l.trim()) || /\bE_m\b/.test(l));
+    preview = isPvgis ? parsePvgisCsv(lines) : parseMonitoringCsv(content, lines);
+  }
+
+  if (preview.monthly.every(v => v === null)) throw new Error('Nie znaleziono wartości produkcji.');
+  return { ...preview, total: sum(preview.monthly) };
+};
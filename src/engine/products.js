@@ -0,0 +1,134 @@
+import { DEFAULT_LEASE } from './leasing.js';
+
+// --- Financing Products ---
+// The scenario's `productType` decides which rules apply; the scenario name is free text.
+
+/**
+ * @typedef {Object} FinancingProduct
+ * @property {string} id
+ * @property {string} label
+ * @property {string} description
+ * @property {Object|function(Scenario): Object} defaults  Fields set when the product is chosen
+ * @property {boolean} [ownFunds]     Own contribution always equals the cost (field locked)
+ * @property {'operating'|'financial'} [lease]  Leasing instead of a loan, see `leaseSchedule`
+ * @property {boolean} [sharedCost]   Installation and storage cost edits are copied to the other scenarios
+ * @property {function(Scenario): number} [grant]  Grant / loan forgiveness (zł); the grant fields are locked
+ * @property {string} [grantRule]     Grant formula shown next to the locked fields
+ */
+
+const OWN_FUNDS_TERMS = { periodMonths: 1, graceMonths: 0, rateType: 'fixed', fixedRate: 0, margin: 0, commissionPercent: 0 };
+
+const storageCostOf = (scenario) => parseFloat(scenario.storageCost) || 0;
+const pvCostOf = (scenario) => Math.max(0, (parseFloat(scenario.totalCost) || 0) - storageCostOf(scenario));
+const loanOf = (scenario) => Math.max(0, (parseFloat(scenario.totalCost) || 0) - (parseFloat(scenario.ownContribution) || 0));
+
+// Pożyczka OZE: 10% of the loan forgiven, up to the cost of the energy storage
+const pozyczkaOzeGrant = (scenario) => {
+  const storageCost = storageCostOf(scenario);
+  return storageCost > 0 ? Math.min(loanOf(scenario) * 0.10, storageCost) : 0;
+};
+
+// Mój Prąd 6.0: PV only together with storage, 50% of costs, up to 7 000 zł PV + 16 000 zł storage
+const mojPradGrant = (scenario) => {
+  const storageCost = storageCostOf(scenario);
+  if (storageCost <= 0) return 0;
+  return Math.min(pvCostOf(scenario) * 0.5, 7000) + Math.min(storageCost * 0.5, 16000);
+};
+
+// Czyste Powietrze: PV micro-installation funded at the level's intensity, up to the level's cap
+const czystePowietrzeGrant = (share, cap) => (scenario) => Math.min(pvCostOf(scenario) * share, cap);
+
+// Business client, VAT payer
+const LEASE_TERMS = { ...DEFAULT_LEASE, ownContribution: 0, periodMonths: 60, graceMonths: 0, commissionPercent: 1.0, grantValue: 0, vatRate: 23, vatDeductible: true };
+
+const grantFundedDefaults = (scenario) => ({ ...OWN_FUNDS_TERMS, ownContribution: parseFloat(scenario.totalCost) || 0 });
+
+/** @type {FinancingProduct[]} */
+export const FINANCING_PRODUCTS = [
+  {
+    id: 'ownFunds',
+    label: 'Środki własne',
+    description: 'Gotówka, bez kredytu.',
+    defaults: OWN_FUNDS_TERMS,
+    ownFunds: true
+  },
+  {
+    id: 'commercialLoan',
+    label: 'Kredyt komercyjny',
+    description: 'Kredyt bankowy na warunkach rynkowych.',
+    defaults: { ownContribution: 0, rateType: 'wibor', margin: 2.5, commissionPercent: 2.0, periodMonths: 120 }
+  },
+  {
+    id: 'pozyczkaOze',
+    label: 'Pożyczka OZE',
+    description: 'Preferencyjna pożyczka z umorzeniem przy magazynie energii; koszt instalacji przenosi się na pozostałe opcje.',
+    defaults: { ownContribution: 0, rateType: 'fixed', fixedRate: 1.0, margin: 0, commissionPercent: 0, periodMonths: 120 },
+    sharedCost: true,
+    grant: pozyczkaOzeGrant,
+    grantRule: 'Umorzenie 10% pożyczki, maks. koszt magazynu energii'
+  },
+  {
+    id: 'czystePowietrzeBasic',
+    label: 'Czyste Powietrze – poziom podstawowy',
+    description: 'Dotacja do mikroinstalacji PV w ramach wymiany źródła ciepła.',
+    defaults: grantFundedDefaults,
+    grant: czystePowietrzeGrant(0.4, 6000),
+    grantRule: '40% kosztu PV, maks. 6 000 zł'
+  },
+  {
+    id: 'czystePowietrzeIncreased',
+    label: 'Czyste Powietrze – poziom podwyższony',
+    description: 'Dotacja do mikroinstalacji PV w ramach wymiany źródła ciepła.',
+    defaults: grantFundedDefaults,
+    grant: czystePowietrzeGrant(0.7, 9000),
+    grantRule: '70% kosztu PV, maks. 9 000 zł'
+  },
+  {
+    id: 'czystePowietrzeHighest',
+    label: 'Czyste Powietrze – poziom najwyższy',
+    description: 'Dotacja do mikroinstalacji PV w ramach wymiany źródła ciepła.',
+    defaults: grantFundedDefaults,
+    grant: czystePowietrzeGrant(1.0, 15000),
+    grantRule: '100% kosztu PV, maks. 15 000 zł'
+  },
+  {
+    id: 'mojPrad',
+    label: 'Mój Prąd',
+    description: 'Zwrot części kosztów po montażu; PV dofinansowane tylko razem z magazynem energii.',
+    defaults: grantFundedDefaults,
+    grant: mojPradGrant,
+    grantRule: '50% kosztów, maks. 7 000 zł PV + 16 000 zł magazyn'
+  },
+  {
+    id: 'operatingLease',
+    label: 'Leasing operacyjny',
+    description: 'Opłata wstępna, raty i wykup; VAT doliczany do każdej płatności.',
+    defaults: { ...LEASE_TERMS, rateType: 'wibor', margin: 3.0 },
+    lease: 'operating'
+  },
+  {
+    id: 'financialLease',
+    label: 'Leasing finansowy',
+    description: 'Opłata wstępna, raty i wykup; VAT od całej wartości płatny z góry, raty bez VAT.',
+    defaults: { ...LEASE_TERMS, rateType: 'wibor', margin: 3.0 },
+    lease: 'financial'
+  },
+  {
+    id: 'custom',
+    label: 'Inne',
+    description: 'Bez reguł programu – wszystkie pola ustawiane ręcznie.',
+    defaults: {}
+  }
+];
+
+export const DEFAULT_PRODUCT_TYPE = 'commercialLoan';
+
+export const financingProduct = (id) => FINANCING_PRODUCTS.find(p => p.id === id) || FINANCING_PRODUCTS.find(p => p.id === 'custom');
+
+// Product type of a scenario saved before the catalog existed, from the old name rules
+export const productTypeFromName = (scenario) => {
+  const name = String(scenario.name || '');
+  if (name.toLowerCase().includes('własne') || name.toLowerCase().includes('gotówka')) return 'ownFunds';
+  if (name.includes('OZE')) return 'pozyczkaOze';
+  return scenario.rateType === 'fixed' ? 'custom' : 'commercialLoan';
+};
@@ -0,0 +1,389 @@
+import { SIMULATION_YEARS } from './constants.js';
+import { calculateMonthlyStats, calculateEffectiveAutoConsumption, calculateEffectiveSoldShare, calculateEffectiveBuyPrice, sumMonthlyStats } from './energy.js';
+import { calculateOzeMetrics, pickBestOption } from './metrics.js';
+import { createScenario, applyScenarioRules, withoutStorage, DEFAULT_SCENARIOS } from './scenarios.js';
+import { applyStorage } from './storage.js';
+import { DEFAULT_NET_BILLING, DEFAULT_NET_METERING } from './settlement.js';
+import { createTariff } from './tariffs.js';
+import { DEFAULT_PV_SITE, productionPattern, annualYieldPerKwp } from './production.js';
+import { DEFAULT_RATE_PATH, comparedRatePaths } from './rates.js';
+import { DEFAULT_TAX } from './tax.js';
+import { DEFAULT_BENCHMARK } from './benchmark.js';
+
+/**
+ * Project file (input of `runProject` and the CLI).
+ *
+ * @typedef {Object} ProjectParams
+ * @property {number} globalWibor        Current value of the reference index (%)
+ * @property {string} referenceRate      Reference index of floating loans, see `REFERENCE_RATES`
+ * @property {'constant'|'shockUp'|'shockDown'|'custom'} ratePath  Path of the index over the loan term
+ * @property {number} rateShock          Index change of the shock paths from year 2 (p.p.)
+ * @property {(number|null)[]} ratePathValues  Index per loan year (%), path 'custom'
+ * @property {number} energyInflation    Energy price growth (% r/r)
+ * @property {number} installationPower  Installation power (kWp)
+ * @property {string} location         Voivodeship id (`VOIVODESHIPS`) or 'custom'
+ * @property {number} latitude           Site latitude, location 'custom'
+ * @property {number} longitude          Site longitude, location 'custom'
+ * @property {number} panelTilt          Panel tilt (° from horizontal)
+ * @property {number} panelAzimuth       Panel azimuth (° from south, east negative, west positive)
+ * @property {number} shadingLosses      Shading losses (%)
+ * @property {number} systemLosses       System losses: inverter, cables, temperature, soiling (%)
+ * @property {ProductionImport|null} productionImport  Imported production replacing the estimate (`parseProductionFile`)
+ * @property {number} energyPriceBuy     Energy purchase price (zł/kWh), used when `tariff` is null
+ * @property {Tariff|string|null} tariff  Time-of-use tariff (`createTariff`) or a built-in tariff id, values self-consumption by zone
+ * @property {number} energyPriceSell    Energy sale price, net-billing (zł/kWh)
+ * @property {'percent'|'fixed'|'monthly'|'hourly'} consMethod  Autoconsumption method
+ * @property {number} autoConsPercent    Autoconsumption (%), method 'percent'
+ * @property {number} fixedConsValue     Consumption during production hours (kWh), method 'fixed'
+ * @property {'daily'|'monthly'|'yearly'} fixedConsPeriod  Period of `fixedConsValue`
+ * @property {number[]} monthlyConsProfile  12 monthly consumption values (kWh), method 'monthly'
+ * @property {number[]|null} hourlyLoadProfile  8760 hourly consumption values (kWh), method 'hourly'
+ * @property {Object|null} hourlyLoadMeta  Import details of `hourlyLoadProfile` (file name, period, coverage)
+ * @property {number} nightConsumption   Consumption outside production hours (kWh/day), battery with non-hourly methods
+ * @property {number} simulationYears    Analysis horizon (10–30 years)
+ * @property {number} degradationRate    Annual panel degradation (%/year)
+ * @property {ReplacementEvent[]} replacements  Scheduled replacements charged to the yearly cash flow
+ * @property {number} discountRate       Discount rate for NPV, discounted payback and LCOE (%)
+ * @property {string} bestOptionMetric   Metric deciding the best option, see `BEST_OPTION_METRICS`
+ * @property {'flat'|'netBilling'|'netMetering'} settlementMode  Exports at a flat price, through the net-billing deposit or the net-metering energy bank
+ * @property {{type: 'monthly'|'hourly', values: number[]}|null} salePrices  RCEm/RCE table (zł/kWh), see `parseSalePrices`
+ * @property {number} annualGridImport   Energy bought from the grid per year (kWh), non-hourly methods (deposit / energy bank)
+ * @property {number} depositCoefficient Deposit value multiplier (1.23)
+ * @property {number} depositExpiryMonths  Deposit lifetime (months)
+ * @property {number} refundCapPercent   Refund cap of expired deposit (% of the monthly credit)
+ * @property {number} existingInstallationPower  Net-metering: power already installed (kWp), the extension is `installationPower`
+ * @property {number} energyBankMonths   Net-metering: lifetime of banked energy (months)
+ * @property {'none'|'household'|'business'} taxpayerType  Income tax of the client, see `TAXPAYER_TYPES`
+ * @property {number} incomeTaxRate      PIT / CIT rate (%)
+ * @property {number} depreciationRate   Business: linear depreciation of the installation (% per year)
+ * @property {number} thermoReliefLimit  Household: ulga termomodernizacyjna limit (zł)
+ * @property {number} annualTaxableIncome  Household: income the relief is deducted from per year (zł), 0 = no limit
+ * @property {'deposit'|'bonds'|'custom'} benchmarkType  Alternative investment of the own capital (opportunity cost), see `BENCHMARK_TYPES`
+ * @property {number} depositRate        Deposit interest (% per year)
+ * @property {number} bondFirstYearRate  EDO bonds: first-year rate (%)
+ * @property {number} bondMargin         EDO bonds: margin over CPI (p.p.)
+ * @property {number} expectedInflation  CPI assumed for the bonds (% r/r)
+ * @property {number} customReturnRate   Custom return (% per year)
+ * @property {number} capitalGainsTaxRate  Tax on the benchmark gain (%)
+ *
+ * @typedef {Object} ProductionImport
+ * @property {'pvgis'|'monitoring'} source
+ * @property {'monthly'|'hourly'} type
+ * @property {(number|null)[]} monthly   Production per month (kWh), null = month missing, estimate used
+ * @property {number[]|null} hourly      Production per hour of year (kWh, 8760), hourly files only
+ * @property {number|null} peakPower     Power the file refers to (kWp); production is scaled to `installationPower`
+ * @property {string} [fileName]
+ *
+ * @typedef {Object} Tariff
+ * @property {string} id
+ * @property {string} label
+ * @property {'single'|'g12'|'g12w'|'c12a'} schedule  Time zone schedule
+ * @property {{id: string, label: string, energyPrice: number, distributionPrice: number}[]} zones  Net zł/kWh per zone
+ * @property {number} excise             Excise tax, net zł/kWh
+ * @property {{mode: 'monthly'|'kWh', value: number}} capacityFee  Capacity fee, net zł/month or zł/kWh (working days 7-22)
+ * @property {{id: string, label: string, value: number}[]} fixedCharges  Net zł/month
+ * @property {number} vatPercent
+ *
+ * @typedef {Object} ReplacementEvent
+ * @property {number} id
+ * @property {string} name
+ * @property {number} year   Year of the analysis in which the cost is paid (1-based)
+ * @property {number} cost   Cost (zł)
+ *
+ * @typedef {Object} Scenario
+ * @property {number} id
+ * @property {string} name             Free text, no effect on the calculation
+ * @property {string} productType      Financing product (`FINANCING_PRODUCTS` id), decides own funds and grant rules
+ * @property {number} totalCost          Installation cost, gross (zł)
+ * @property {number} storageCost        Part of `totalCost` spent on energy storage (zł)
+ * @property {number} ownContribution    Own contribution (zł)
+ * @property {number} periodMonths       Loan period (months)
+ * @property {number} graceMonths        Grace period, interest only (months)
+ * @property {'fixed'|'wibor'} rateType
+ * @property {number} fixedRate          Fixed interest rate (%)
+ * @property {number} margin             Margin over the reference index (%)
+ * @property {number} commissionPercent  Commission (% of loan)
+ * @property {{id: number, name: string, value: number}[]} otherCosts
+ * @property {'equal'|'decreasing'} installmentType
+ * @property {'amount'|'percent'} grantType
+ * @property {number} grantValue         Grant (zł or % of `totalCost`)
+ * @property {number} manualProduction   Annual production override (kWh), 0 = calculated
+ * @property {number} vatRate            VAT included in `totalCost` (%)
+ * @property {boolean} vatDeductible     VAT payer: the VAT is recovered (lease payments counted net)
+ * @property {number} leaseDownPaymentPercent  Leasing: down payment (% of the net value)
+ * @property {number} leaseBuyoutPercent  Leasing: buyout at the end of the term (% of the net value)
+ * @property {number} leaseMonthlyFee    Leasing: net monthly fee from the offer (zł), 0 = calculated from the rate
+ * @property {StorageConfig} storage     Battery simulated for this scenario
+ *
+ * @typedef {Object} StorageConfig
+ * @property {boolean} enabled
+ * @property {number} capacity           Nominal capacity (kWh)
+ * @property {number} power              Charge/discharge power (kW)
+ * @property {number} efficiency         Round-trip efficiency (%)
+ * @property {number} depthOfDischarge   Usable share of the capacity (%)
+ *
+ * @typedef {Object} OfferDetails
+ * @property {string} clientName
+ * @property {string} clientAddress
+ * @property {string} clientContact    Phone or e-mail
+ * @property {string} preparedBy       Advisor preparing the offer
+ *
+ * @typedef {Object} Project
+ * @property {string} [name]
+ * @property {OfferDetails} [offer]     Client details for the report (`DEFAULT_OFFER`), not used by the calculation
+ * @property {Partial<ProjectParams>} [params]  Missing fields fall back to `DEFAULT_PARAMS`
+ * @property {Partial<Scenario>[]} [scenarios]  Missing fields fall back to `createScenario` defaults
+ */
+
+/**
+ * Result of `runProject`.
+ *
+ * @typedef {Object} YearlyCashFlowRow
+ * @property {number} year           0 = start (own contribution, start costs, grant)
+ * @property {number} [production]   Production after degradation (kWh), years 1+
+ * @property {number} energySavings  Value of self-consumed and sold energy (zł)
+ * @property {number} loanPayment    Loan installments paid in the year (zł)
+ * @property {number} replacementCost  Scheduled replacements paid in the year (zł)
+ * @property {number} [depositCredited]  Net-billing: value of exports credited to the deposit (zł)
+ * @property {number} [depositUsed]      Net-billing: deposit used to pay for grid energy (zł)
+ * @property {number} [depositRefunded]  Net-billing: expired deposit refunded (zł)
+ * @property {number} [depositLost]      Net-billing: expired deposit above the refund cap (zł)
+ * @property {number} [energyBanked]     Net-metering: recoverable energy banked (kWh)
+ * @property {number} [energyDrawn]      Net-metering: energy drawn back from the bank (kWh)
+ * @property {number} [energyBankLost]   Net-metering: banked energy expired unused (kWh)
+ * @property {number} [incomeTax]        Business: tax on the energy value (zł, negative)
+ * @property {number} [depreciationTaxShield]  Business: tax saved on depreciation (zł)
+ * @property {number} [costTaxShield]    Business: tax saved on interest, lease fees, start costs and replacements (zł)
+ * @property {number} [thermoRelief]     Household: tax saved by the ulga termomodernizacyjna (zł)
+ * @property {number} [opportunityCost]  After-tax gain of the own capital in the benchmark in the year (zł), not part of the cash flow
+ * @property {number} netCashFlow
+ * @property {number} cumulative
+ *
+ * @typedef {Object} LoanScheduleRow
+ * @property {number} month        1-based month of the loan term
+ * @property {number} year         Loan year (months 1-12 = year 1)
+ * @property {number} rate         Annual interest rate applied in the month (%)
+ * @property {number} installment  Installment paid (zł)
+ * @property {number} principal    Capital part (zł)
+ * @property {number} interest     Interest part (zł)
+ * @property {number} balance      Capital remaining after the installment (zł)
+ * @property {boolean} grace       Grace period: interest only
+ * @property {number} [buyout]     Lease buyout paid with the last fee (zł)
+ *
+ * @typedef {Object} ScenarioSummary
+ * @property {number} loanAmount
+ * @property {number} totalInterest
+ * @property {number} maxInstallment   Highest monthly installment of the schedule (zł)
+ * @property {number} totalStartCosts
+ * @property {number} grantAmount
+ * @property {number} opportunityCost  After-tax gain of the own capital in the benchmark over the analysis (zł)
+ * @property {number} totalProjectCost
+ * @property {number} totalReplacementCost
+ * @property {number} simulationYears
+ * @property {number} netProfit        Cumulative cash flow at the horizon minus opportunity cost
+ * @property {number} discountRate
+ * @property {number} npv              Net present value of `yearlyCashFlow` (zł)
+ * @property {number|null} irr         Internal rate of return (%), null when flows never change sign
+ * @property {number|null} discountedPaybackYear
+ * @property {number|null} lcoe        Levelized cost of energy (zł/kWh)
+ * @property {number} autoConsumptionPercent  Effective autoconsumption of this scenario (with battery)
+ * @property {{credited: number, used: number, refunded: number, lost: number, balance: number}|null} deposit  Net-billing totals
+ * @property {{banked: number, drawn: number, lost: number, value: number, balance: number}|null} energyBank  Net-metering totals (kWh, value in zł)
+ * @property {number} vatRefund        VAT recovered by a VAT payer (zł)
+ * @property {{type: 'household'|'business', rate: number, incomeTax: number, depreciationTaxShield: number, costTaxShield: number, thermoRelief: number, total: number}|null} tax  Tax lines summed over the analysis, null without taxes
+ * @property {{type: 'operating'|'financial', netValue: number, downPayment: number, monthlyFee: number, buyout: number, vatPaid: number, totalPaid: number}|null} lease  Leasing totals, net except `vatPaid` and `totalPaid`
+ *
+ * @typedef {Object} ScenarioResultExtras
+ * @property {number} effectiveRate
+ * @property {number|null} paybackYear
+ * @property {YearlyCashFlowRow[]} yearlyCashFlow
+ * @property {LoanScheduleRow[]} loanSchedule  Monthly amortization schedule, empty without a loan
+ * @property {ScenarioSummary} summary
+ * @property {Object[]} [monthlyStats]  Monthly balance with the battery (only when storage is enabled)
+ * @property {{withoutStorage: ScenarioResult}} [storageComparison]  Same scenario without the battery
+ * @property {{netBilling: ScenarioResult}} [settlementComparison]  Net-metering only: same scenario settled in net-billing
+ * @property {Object<string, ScenarioResult>} [ratePathComparison]  Floating-rate loans only: same scenario on each rate path (`RATE_PATHS` id)
+ *
+ * @typedef {Scenario & ScenarioResultExtras} ScenarioResult
+ *
+ * @typedef {Object} ProjectResult
+ * @property {ProjectParams} params
+ * @property {Object[]} monthlyStats  Monthly production, consumption, sold energy and values
+ * @property {number} effectiveAutoConsumptionPercent
+ * @property {number} annualSavings
+ * @property {number} annualRevenue
+ * @property {ScenarioResult[]} results
+ * @property {ScenarioResult} bestOption
+ */
+
+export const DEFAULT_PARAMS = {
+  globalWibor: 4.00,
+  ...DEFAULT_RATE_PATH,
+  energyInflation: 3.0,
+  installationPower: 45,
+  ...DEFAULT_PV_SITE,
+  productionImport: null,
+  energyPriceBuy: 0.70,
+  energyPriceSell: 0.25,
+  tariff: null,
+  consMethod: 'percent',
+  autoConsPercent: 30,
+  fixedConsValue: 10,
+  fixedConsPeriod: 'daily',
+  monthlyConsProfile: new Array(12).fill(200),
+  hourlyLoadProfile: null,
+  hourlyLoadMeta: null,
+  nightConsumption: 10,
+  simulationYears: SIMULATION_YEARS,
+  degradationRate: 0.5,
+  replacements: [
+    { id: 1, name: 'Wymiana falownika', year: 12, cost: 8000 }
+  ],
+  discountRate: 5.0,
+  bestOptionMetric: 'totalProjectCost',
+  settlementMode: 'flat',
+  salePrices: null,
+  annualGridImport: 15000,
+  ...DEFAULT_NET_BILLING,
+  ...DEFAULT_NET_METERING,
+  ...DEFAULT_TAX,
+  ...DEFAULT_BENCHMARK
+};
+
+export const buildGlobalParams = (params, monthlyStats) => {
+  const effectiveAutoConsumptionPercent = calculateEffectiveAutoConsumption(monthlyStats);
+  return {
+    globalWibor: params.globalWibor,
+    referenceRate: params.referenceRate,
+    ratePath: params.ratePath,
+    rateShock: params.rateShock,
+    ratePathValues: params.ratePathValues,
+    // Tariff zones make the value of a self-consumed kWh depend on the balance
+    energyPriceBuy: calculateEffectiveBuyPrice(monthlyStats, params.energyPriceBuy),
+    energyPriceSell: params.energyPriceSell,
+    energyInflation: params.energyInflation,
+    productionPerKw: annualYieldPerKwp(productionPattern(params)),
+    installationPower: params.installationPower,
+    simulationYears: params.simulationYears,
+    degradationRate: params.degradationRate,
+    replacements: params.replacements,
+    discountRate: params.discountRate,
+    settlementMode: params.settlementMode,
+    depositCoefficient: params.depositCoefficient,
+    depositExpiryMonths: params.depositExpiryMonths,
+    refundCapPercent: params.refundCapPercent,
+    existingInstallationPower: params.existingInstallationPower,
+    energyBankMonths: params.energyBankMonths,
+    taxpayerType: params.taxpayerType,
+    incomeTaxRate: params.incomeTaxRate,
+    depreciationRate: params.depreciationRate,
+    thermoReliefLimit: params.thermoReliefLimit,
+    annualTaxableIncome: params.annualTaxableIncome,
+    benchmarkType: params.benchmarkType,
+    depositRate: params.depositRate,
+    bondFirstYearRate: params.bondFirstYearRate,
+    bondMargin: params.bondMargin,
+    expectedInflation: params.expectedInflation,
+    customReturnRate: params.customReturnRate,
+    capitalGainsTaxRate: params.capitalGainsTaxRate,
+    monthlyStats,
+    effectiveAutoConsumptionPercent,
+    effectiveSoldPercent: calculateEffectiveSoldShare(monthlyStats),
+    autoConsumption: effectiveAutoConsumptionPercent
+  };
+};
+
+// Floating-rate loans are also run on every rate path, to show how the payback moves with the index
+const withRatePathComparison = (scenario, globalParams) => {
+  const result = calculateOzeMetrics(scenario, globalParams);
+  if (scenario.rateType === 'fixed' || result.summary.loanAmount <= 0) return result;
+  return {
+    ...result,
+    ratePathComparison: Object.fromEntries(comparedRatePaths(globalParams).map(path => [
+      path.id,
+      path.id === globalParams.ratePath ? result : calculateOzeMetrics(scenario, { ...globalParams, ratePath: path.id })
+    ]))
+  };
+};
+
+/**
+ * Metrics of one scenario with its battery, without the comparison variants of `calculateScenarioResult`
+ * (what-if tools rerun it many times).
+ *
+ * @param {Scenario} scenario
+ * @param {ProjectParams} params
+ * @param {Object[]} monthlyStats  Balance without storage (`calculateMonthlyStats`)
+ * @returns {ScenarioResult}
+ */
+export const calculateScenarioMetrics = (scenario, params, monthlyStats) => {
+  const stats = scenario.storage?.enabled ? applyStorage(monthlyStats, params, scenario.storage) : monthlyStats;
+  return calculateOzeMetrics(scenario, buildGlobalParams(params, stats));
+};
+
+const scenarioResult = (scenario, params, monthlyStats) => {
+  if (!scenario.storage?.enabled) {
+    return withRatePathComparison(scenario, buildGlobalParams(params, monthlyStats));
+  }
+
+  const storageStats = applyStorage(monthlyStats, params, scenario.storage);
+  return {
+    ...withRatePathComparison(scenario, buildGlobalParams(params, storageStats)),
+    monthlyStats: storageStats,
+    storageComparison: {
+      withoutStorage: calculateOzeMetrics(withoutStorage(scenario), buildGlobalParams(params, monthlyStats))
+    }
+  };
+};
+
+/**
+ * Metrics of one scenario against the shared monthly balance. With a battery the balance is
+ * re-simulated for the scenario and the same scenario without the battery is attached for comparison.
+ * In net-metering the same scenario settled in net-billing is attached as well (switching on extension).
+ * Floating-rate loans get the scenario on each rate path (constant index, shocks, custom path).
+ *
+ * @param {Scenario} scenario
+ * @param {ProjectParams} params
+ * @param {Object[]} monthlyStats  Balance without storage (`calculateMonthlyStats`)
+ * @returns {ScenarioResult}
+ */
+export const calculateScenarioResult = (scenario, params, monthlyStats) => {
+  const result = scenarioResult(scenario, params, monthlyStats);
+  if (params.settlementMode !== 'netMetering') return result;
+
+  const netBillingParams = { ...params, settlementMode: 'netBilling' };
+  return {
+    ...result,
+    settlementComparison: {
+      netBilling: scenarioResult(scenario, netBillingParams, calculateMonthlyStats(netBillingParams))
+    }
+  };
+};
+
+/**
+ * Runs the whole model for a project, the same way the UI does.
+ *
+ * @param {Project} project
+ * @returns {ProjectResult}
+ */
+export const runProject = (project = {}) => {
+  const params = { ...DEFAULT_PARAMS, ...project.params };
+  if (typeof params.tariff === 'string') {
+    params.tariff = createTariff(params.tariff);
+  }
+  const scenarioInputs = project.scenarios?.length ? project.scenarios : DEFAULT_SCENARIOS;
+  const scenarios = scenarioInputs.map((s, index) => applyScenarioRules(createScenario(s.id ?? index + 1, s)));
+
+  const monthlyStats = calculateMonthlyStats(params);
+  const effectiveAutoConsumptionPercent = calculateEffectiveAutoConsumption(monthlyStats);
+  const results = scenarios.map(s => calculateScenarioResult(s, params, monthlyStats));
+
+  return {
+    params,
+    monthlyStats,
+    effectiveAutoConsumptionPercent,
+    annualSavings: sumMonthlyStats(monthlyStats, 'valueSaved'),
+    annualRevenue: sumMonthlyStats(monthlyStats, 'valueSold'),
+    results,
+    bestOption: pickBestOption(results, params.bestOptionMetric)
+  };
+};
@@ -0,0 +1,110 @@
+import { DEFAULT_PARAMS } from './project.js';
+import { DEFAULT_SCENARIOS, createScenario } from './scenarios.js';
+import { productTypeFromName } from './products.js';
+import { createTariff } from './tariffs.js';
+
+// --- Project File (versioned JSON) ---
+// Files without `version` are the original `{name, params, scenarios}` format (version 1).
+
+export const PROJECT_FILE_FORMAT = 'kalkulator-oze';
+export const PROJECT_FILE_VERSION = 4;
+
+// Client and offer details printed in the report; not used by the calculation
+export const DEFAULT_OFFER = {
+  clientName: '',
+  clientAddress: '',
+  clientContact: '',
+  preparedBy: ''
+};
+
+// Each migration upgrades a project from version `n` to `n + 1`
+const MIGRATIONS = {
+  // 1 → 2: production is estimated from the location and orientation, the flat yield per kWp is gone
+  1: (project) => {
+    const params = { ...project.params };
+    delete params.productionPerKw;
+    return { ...project, params };
+  },
+  // 2 → 3: financing rules come from an explicit product type, no longer from the scenario name
+  2: (project) => ({
+    ...project,
+    scenarios: project.scenarios?.map(s => ({ ...s, productType: s.productType ?? productTypeFromName(s) }))
+  }),
+  // 3 → 4: opportunity cost comes from an alternative investment; older files compounded the own capital
+  // at the energy inflation without tax, which is the custom return at that rate with no capital gains tax
+  3: (project) => ({
+    ...project,
+    params: {
+      ...project.params,
+      benchmarkType: 'custom',
+      customReturnRate: project.params?.energyInflation ?? DEFAULT_PARAMS.energyInflation,
+      capitalGainsTaxRate: 0
+    }
+  })
+};
+
+/**
+ * Upgrades a parsed project file to the current version and fills missing fields with defaults.
+ *
+ * @param {Object} data  Parsed JSON (versioned file or a bare `Project`)
+ * @returns {Project}    `{name, offer, params, scenarios}` with complete params and scenarios
+ */
+export const migrateProject = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Plik nie zawiera projektu.');
+  }
+  if (data.format !== undefined && data.format !== PROJECT_FILE_FORMAT) {
+    throw new Error(`Nieznany format pliku: ${data.format}`);
+  }
+  const version = data.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Niepoprawna wersja pliku: ${data.version}`);
+  }
+  if (version > PROJECT_FILE_VERSION) {
+    throw new Error(`Plik zapisano w nowszej wersji kalkulatora (${version}). Zaktualizuj aplikację.`);
+  }
+
+  let project = data;
+  for (let v = version; v < PROJECT_FILE_VERSION; v++) {
+    project = MIGRATIONS[v](project);
+  }
+
+  const params = { ...DEFAULT_PARAMS, ...project.params };
+  if (typeof params.tariff === 'string') {
+    params.tariff = createTariff(params.tariff);
+  }
+  const scenarioInputs = project.scenarios?.length ? project.scenarios : DEFAULT_SCENARIOS;
+  return {
+    name: project.name || '',
+    offer: { ...DEFAULT_OFFER, ...project.offer },
+    params,
+    scenarios: scenarioInputs.map((s, index) => createScenario(s.id ?? index + 1, s))
+  };
+};
+
+/**
+ * Project in the current file format, ready for `JSON.stringify`.
+ *
+ * @param {Project} project
+ * @returns {Object}
+ */
+export const serializeProject = ({ name, offer, params, scenarios }) => ({
+  format: PROJECT_FILE_FORMAT,
+  version: PROJECT_FILE_VERSION,
+  savedAt: new Date().toISOString(),
+  name: name || '',
+  offer: { ...DEFAULT_OFFER, ...offer },
+  params,
+  scenarios
+});
+
+// Project file text (export from the UI or a CLI input) to a current-version project
+export const parseProjectFile = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Plik nie jest poprawnym JSON-em (${error.message}).`);
+  }
+  return migrateProject(data);
+};
@@ -0,0 +1,137 @@
+import { referenceRateInfo } from './rates.js';
+
+// --- Reference Rate Provider ---
+// Current value of the reference index from sources tried in order. A source is
+// {id, label, url(rateId) -> string|null, parse(text, rateId) -> {value, asOf}}; `fetch` is passed in,
+// so the same code runs in the browser, in the CLI and against a local stub server.
+
+// Indices are published every business day; an older quote is shown as stale
+export const RATE_STALE_DAYS = 7;
+export const RATE_FETCH_TIMEOUT_MS = 8000;
+
+// stooq.pl symbols (WIRON has no stooq quote)
+export const STOOQ_SYMBOLS = { wibor3m: 'plopln3m', wibor6m: 'plopln6m' };
+
+const MAX_RATE = 50;
+
+const checkedRate = (value) => {
+  if (!Number.isFinite(value) || value < 0 || value > MAX_RATE) throw new Error('Nieprawidłowa wartość wskaźnika');
+  return value;
+};
+
+// 2025-12-23, 20251223 or 23.12.2025 as an ISO date, otherwise null
+const isoDate = (text) => {
+  const value = String(text).trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  if (/^\d{8}$/.test(value)) return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+  const dotted = value.match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  return dotted ? `${dotted[3]}-${dotted[2]}-${dotted[1]}` : null;
+};
+
+/**
+ * Quote from a CSV in the stooq / NBP style: rows with a date and the value in the last column
+ * (`Symbol,Date,Time,Open,High,Low,Close` or `data;wartość`, decimal comma with `;`). Rows without a number
+ * (header, `N/D`) are skipped, the newest date wins.
+ *
+ * @param {string} text
+ * @returns {{value: number, asOf: string|null}}
+ */
+export const parseRateCsv = (text) => {
+  const quotes = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean).map(line => {
+    const separator = line.includes(';') ? ';' : ',';
+    const cells = line.split(separator).map(cell => cell.trim().replace(/^"|"$/g, ''));
+    const last = cells[cells.length - 1];
+    const value = parseFloat(separator === ';' ? last.replace(',', '.') : last);
+    return { value, asOf: cells.map(isoDate).find(Boolean) ?? null };
+  }).filter(q => Number.isFinite(q.value));
+  if (quotes.length === 0) throw new Error('Brak notowania w pliku');
+  const newest = quotes.reduce((best, q) => ((q.asOf ?? '') >= (best.asOf ?? '') ? q : best));
+  return { value: checkedRate(newest.value), asOf: newest.asOf };
+};
+
+/**
+ * Quote from JSON: `{asOf, rates: {wibor3m: 4.0}}`, `{rates: {wibor3m: {value, asOf}}}` or `{value, asOf}`.
+ *
+ * @param {string} text
+ * @param {string} rateId
+ * @returns {{value: number, asOf: string|null}}
+ */
+export const parseRateJson = (text, rateId) => {
+  const data = JSON.parse(text);
+  const entry = data.rates ? data.rates[rateId] : data;
+  if (entry === undefined || entry === null) throw new Error(`Brak wskaźnika ${referenceRateInfo(rateId).label} w pliku`);
+  const value = typeof entry === 'object' ? entry.value : entry;
+  const asOf = (typeof entry === 'object' && entry.asOf) || data.asOf || null;
+  return { value: checkedRate(parseFloat(value)), asOf: asOf && (isoDate(asOf) ?? asOf) };
+};
+
+// JSON or CSV, recognized by the first character
+export const parseRateResponse = (text, rateId) => (/^\s*[{[]/.test(text) ? parseRateJson(text, rateId) : parseRateCsv(text));
+
+// Own endpoint; `{rate}` in the URL is replaced by the index id (e.g. wibor3m)
+export const endpointSource = (template, label = 'własne źródło') => ({
+  id: 'endpoint',
+  label,
+  url: (rateId) => template.replace('{rate}', encodeURIComponent(rateId)),
+  parse: parseRateResponse
+});
+
+// stooq.pl quote CSV, `proxy` prefixed to the URL (the browser needs a CORS proxy)
+export const stooqSource = (proxy = '') => ({
+  id: 'stooq',
+  label: 'stooq.pl',
+  url: (rateId) => (STOOQ_SYMBOLS[rateId] ? `${proxy}https://stooq.pl/q/l/?s=${STOOQ_SYMBOLS[rateId]}&f=sd2t2olc&h&e=csv` : null),
+  parse: parseRateCsv
+});
+
+// JSON file shipped with the build, the offline fallback
+export const staticFileSource = (url, label = 'plik z aplikacją') => ({
+  id: 'static',
+  label,
+  url: () => url,
+  parse: parseRateJson
+});
+
+/**
+ * Quote of the index from the first source that answers.
+ *
+ * @param {string} rateId  Index id, see `REFERENCE_RATES`
+ * @param {Object[]} sources
+ * @param {{fetch?: Function, timeoutMs?: number, now?: Date}} [options]
+ * @returns {Promise<RateQuote>}
+ * @throws {Error} Failures of all sources in the message
+ *
+ * @typedef {{rateId: string, value: number, asOf: string|null, source: string, sourceLabel: string, fetchedAt: string}} RateQuote
+ */
+export const fetchReferenceRate = async (rateId, sources, { fetch: fetchImpl = globalThis.fetch, timeoutMs = RATE_FETCH_TIMEOUT_MS, now = new Date() } = {}) => {
+  const failures = [];
+  for (const source of sources) {
+    const url = source.url(rateId);
+    if (!url) continue;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(url, { signal: controller.signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { value, asOf } = source.parse(await response.text(), rateId);
+      return { rateId, value, asOf, source: source.id, sourceLabel: source.label, fetchedAt: now.toISOString() };
+    } catch (error) {
+      failures.push(`${source.label}: ${error.name === 'AbortError' ? 'przekroczony czas odpowiedzi' : error.message}`);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  throw new Error(failures.length > 0 ? failures.join('; ') : `Brak źródła notowań dla ${referenceRateInfo(rateId).label}`);
+};
+
+// Whole days from the quote date to `now`, null without a date
+export const rateAgeDays = (quote, now = new Date()) => {
+  if (!quote?.asOf) return null;
+  return Math.max(0, Math.floor((now.getTime() - new Date(quote.asOf).getTime()) / 86400000));
+};
+
+// Quote older than `maxAgeDays` (or without a date)
+export const isRateStale = (quote, now = new Date(), maxAgeDays = RATE_STALE_DAYS) => {
+  if (!quote?.asOf) return true;
+  return (now.getTime() - new Date(quote.asOf).getTime()) / 86400000 > maxAgeDays;
+};
@@ -0,0 +1,82 @@
+// --- Floating Rates ---
+// A floating loan pays margin + reference index. The index follows a yearly path and is
+// fixed for the loan at each reset date, every `resetMonths` months.
+
+// WIBOR is a forward-looking term rate, fixed at the reset for the coming period.
+// WIRON 1M/3M are compounded in arrears: the reset uses the average of the past period.
+export const REFERENCE_RATES = [
+  { id: 'wibor3m', label: 'WIBOR 3M', resetMonths: 3, lookback: false },
+  { id: 'wibor6m', label: 'WIBOR 6M', resetMonths: 6, lookback: false },
+  { id: 'wiron1m', label: 'WIRON 1M', resetMonths: 1, lookback: true },
+  { id: 'wiron3m', label: 'WIRON 3M', resetMonths: 3, lookback: true }
+];
+
+export const RATE_PATHS = [
+  { id: 'constant', label: 'Bez zmian' },
+  { id: 'shockUp', label: 'Szok w górę' },
+  { id: 'shockDown', label: 'Szok w dół' },
+  { id: 'custom', label: 'Własna ścieżka' }
+];
+
+export const DEFAULT_RATE_PATH = {
+  referenceRate: 'wibor3m',
+  ratePath: 'constant',
+  rateShock: 2.0,       // p.p., shock presets move the index by this much from year 2
+  ratePathValues: []    // Index per loan year (%), path 'custom'; missing years repeat the previous value
+};
+
+// Paths compared for floating loans; the custom path only once it has values or is selected
+export const comparedRatePaths = (params) => RATE_PATHS.filter(path => path.id !== 'custom'
+  || params.ratePath === 'custom'
+  || (params.ratePathValues || []).some(value => Number.isFinite(parseFloat(value))));
+
+export const referenceRateInfo = (id) => REFERENCE_RATES.find(r => r.id === id) || REFERENCE_RATES[0];
+
+/**
+ * Index value (%) in a loan year (1-based) on the given path. `globalWibor` is today's value of
+ * the chosen index; years before the loan (0 and below) use it as well. The index is floored at 0.
+ *
+ * @param {Object} params  `globalWibor`, `ratePath`, `rateShock`, `ratePathValues`
+ * @param {number} year
+ * @param {string} [pathId]  Overrides `params.ratePath`
+ * @returns {number}
+ */
+export const referenceRateInYear = (params, year, pathId = params.ratePath) => {
+  const current = parseFloat(params.globalWibor) || 0;
+  if (year < 1) return Math.max(0, current);
+
+  const shock = parseFloat(params.rateShock) || 0;
+  let value = current;
+  if (pathId === 'shockUp' && year > 1) value = current + shock;
+  if (pathId === 'shockDown' && year > 1) value = current - shock;
+  if (pathId === 'custom') {
+    const values = params.ratePathValues || [];
+    for (let i = Math.min(year, values.length) - 1; i >= 0; i--) {
+      if (Number.isFinite(parseFloat(values[i]))) {
+        value = parseFloat(values[i]);
+        break;
+      }
+    }
+  }
+  return Math.max(0, value);
+};
+
+/**
+ * Index (%) applied to a loan month (1-based): the value fixed at the last reset date. A forward-looking
+ * index takes the path value at the reset, a compounded one the average over the preceding period.
+ *
+ * @param {Object} params  `referenceRate` and the path params of `referenceRateInYear`
+ * @param {number} month
+ * @param {string} [pathId]
+ * @returns {number}
+ */
+export const referenceRateForMonth = (params, month, pathId = params.ratePath) => {
+  const { resetMonths, lookback } = referenceRateInfo(params.referenceRate);
+  const resetMonth = Math.floor((month - 1) / resetMonths) * resetMonths + 1;
+  const valueInMonth = (m) => referenceRateInYear(params, Math.ceil(m / 12), pathId);
+  if (!lookback) return valueInMonth(resetMonth);
+
+  let sum = 0;
+  for (let m = resetMonth - resetMonths; m < resetMonth; m++) sum += valueInMonth(m);
+  return sum / resetMonths;
+};
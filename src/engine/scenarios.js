@@ -0,0 +1,127 @@
+import { DEFAULT_STORAGE } from './storage.js';
+import { DEFAULT_PRODUCT_TYPE, financingProduct } from './products.js';
+import { DEFAULT_LEASE } from './leasing.js';
+
+// --- Scenario Defaults & Rules ---
+
+export const createScenario = (id, overrides = {}) => ({
+  id,
+  name: `Opcja #${id}`,
+  productType: DEFAULT_PRODUCT_TYPE,
+  totalCost: 120000,
+  storageCost: 0,
+  ownContribution: 0,
+  periodMonths: 60,
+  graceMonths: 0,
+  rateType: 'wibor',
+  fixedRate: 8.0,
+  margin: 2.0,
+  commissionPercent: 1.0,
+  otherCosts: [],
+  installmentType: 'equal',
+  grantType: 'amount',
+  grantValue: 0,
+  manualProduction: 0,
+  vatRate: 8,
+  vatDeductible: false,
+  ...DEFAULT_LEASE,
+  ...overrides,
+  storage: { ...DEFAULT_STORAGE, ...overrides.storage }
+});
+
+const DEFAULT_BATTERY = { enabled: true, capacity: 10, power: 5 };
+
+export const DEFAULT_SCENARIOS = [
+  createScenario(1, {
+    name: 'Pożyczka OZE',
+    productType: 'pozyczkaOze',
+    storageCost: 20000,
+    periodMonths: 120,
+    rateType: 'fixed',
+    fixedRate: 1.0,
+    margin: 0,
+    commissionPercent: 0,
+    grantValue: 12000, // Pre-calculated: 10% of 120k loan (since storage > 12k)
+    storage: DEFAULT_BATTERY
+  }),
+  createScenario(2, {
+    name: 'Kredyt komercyjny',
+    productType: 'commercialLoan',
+    storageCost: 20000,
+    periodMonths: 120,
+    fixedRate: 0,
+    margin: 2.5,
+    commissionPercent: 2.0,
+    storage: DEFAULT_BATTERY
+  }),
+  createScenario(3, {
+    name: 'Środki własne',
+    productType: 'ownFunds',
+    storageCost: 20000,
+    ownContribution: 120000,
+    periodMonths: 1,
+    rateType: 'fixed',
+    fixedRate: 0,
+    margin: 0,
+    commissionPercent: 0,
+    storage: DEFAULT_BATTERY
+  })
+];
+
+export const isOwnFundsScenario = (scenario) => Boolean(financingProduct(scenario.productType).ownFunds);
+
+// Cost edits of this scenario are copied to the other scenarios
+export const isMasterScenario = (scenario) => Boolean(financingProduct(scenario.productType).sharedCost);
+
+// Derived fields that follow from the financing product (own funds, program grant)
+export const applyScenarioRules = (scenario) => {
+  const product = financingProduct(scenario.productType);
+  const updatedS = { ...scenario };
+
+  if (product.ownFunds) {
+      updatedS.ownContribution = updatedS.totalCost;
+  }
+  if (product.grant) {
+      updatedS.grantType = 'amount';
+      updatedS.grantValue = product.grant(updatedS);
+  }
+
+  return updatedS;
+};
+
+// Sets one field of a scenario; cost edits of a shared-cost scenario go to every scenario. Rules are reapplied.
+export const updateScenarioField = (scenarios, id, field, value) => {
+  const isMaster = isMasterScenario(scenarios.find(s => s.id === id));
+  return scenarios.map(s => {
+    if (s.id === id || (isMaster && (field === 'totalCost' || field === 'storageCost'))) {
+      return { ...s, [field]: value };
+    }
+    return s;
+  }).map(applyScenarioRules);
+};
+
+// Switches the scenario to another product: the product's defaults, then its rules.
+// A name still equal to the old product's label follows the new one.
+export const changeProductType = (scenario, productType) => {
+  const previous = financingProduct(scenario.productType);
+  const product = financingProduct(productType);
+  const defaults = typeof product.defaults === 'function' ? product.defaults(scenario) : product.defaults;
+  const name = scenario.name === previous.label ? product.label : scenario.name;
+  return applyScenarioRules({ ...scenario, ...defaults, name, productType: product.id });
+};
+
+// Same scenario without the battery: cost removed, the product's rules applied again (storage-dependent grant).
+// A fixed lease fee shrinks in proportion to the cost.
+export const withoutStorage = (scenario) => {
+  const storageVal = parseFloat(scenario.storageCost) || 0;
+  const fullCost = parseFloat(scenario.totalCost) || 0;
+  const totalCost = Math.max(0, fullCost - storageVal);
+  return applyScenarioRules({
+    ...scenario,
+    totalCost,
+    storageCost: 0,
+    ownContribution: Math.min(parseFloat(scenario.ownContribution) || 0, totalCost),
+    leaseMonthlyFee: fullCost > 0 ? (parseFloat(scenario.leaseMonthlyFee) || 0) * totalCost / fullCost : 0,
+    storage: { ...scenario.storage, enabled: false }
+  });
+};
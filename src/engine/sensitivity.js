@@ -0,0 +1,206 @@
+import { calculateMonthlyStats } from './energy.js';
+import { applyScenarioRules } from './scenarios.js';
+import { calculateScenarioMetrics } from './project.js';
+import { productionPattern, hourlyProduction } from './production.js';
+
+// --- Sensitivity Analysis ---
+// One scenario rerun with a single driver (tornado) or two drivers (table) moved away from the inputs.
+// A case is {params, scenario, autoConsumptionShift}; drivers return a changed case.
+
+const scaleTariffPrices = (tariff, factor) => tariff && {
+  ...tariff,
+  zones: tariff.zones.map(z => ({ ...z, energyPrice: z.energyPrice * factor, distributionPrice: z.distributionPrice * factor }))
+};
+
+// Production per kWp scaled by passing the current production as an imported series
+const scaledProduction = (params, factor) => {
+  const power = parseFloat(params.installationPower) || 1;
+  const monthly = productionPattern(params).map(m => m.value * power);
+  return {
+    ...params.productionImport,
+    source: params.productionImport?.source ?? 'pvgis',
+    type: params.productionImport?.type ?? 'monthly',
+    monthly: monthly.map(value => value * factor),
+    hourly: params.productionImport?.hourly ? hourlyProduction(params, monthly).map(value => value * factor) : null,
+    peakPower: power
+  };
+};
+
+// A fixed lease fee from the offer is priced on the cost, so it moves with it (0 = calculated fee stays 0)
+const scaleScenarioCost = (scenario, factor) => {
+  const totalCost = (parseFloat(scenario.totalCost) || 0) * factor;
+  const ownFundsOnly = (parseFloat(scenario.ownContribution) || 0) >= (parseFloat(scenario.totalCost) || 0);
+  return applyScenarioRules({
+    ...scenario,
+    totalCost,
+    storageCost: (parseFloat(scenario.storageCost) || 0) * factor,
+    ownContribution: ownFundsOnly ? totalCost : scenario.ownContribution,
+    leaseMonthlyFee: (parseFloat(scenario.leaseMonthlyFee) || 0) * factor
+  });
+};
+
+/**
+ * Drivers of the analysis. `relative` drivers move by % of the input, the others by percentage points.
+ *
+ * @type {{id: string, label: string, unit: '%'|'p.p.', defaultRange: number, apply: function(Object, number): Object}[]}
+ */
+export const SENSITIVITY_DRIVERS = [
+  {
+    id: 'energyPriceBuy',
+    label: 'Cena zakupu energii',
+    unit: '%',
+    defaultRange: 20,
+    apply: (c, delta) => {
+      const factor = 1 + delta / 100;
+      return { ...c, params: { ...c.params, energyPriceBuy: c.params.energyPriceBuy * factor, tariff: scaleTariffPrices(c.params.tariff, factor) } };
+    }
+  },
+  {
+    id: 'energyPriceSell',
+    label: 'Cena sprzedaży energii',
+    unit: '%',
+    defaultRange: 20,
+    apply: (c, delta) => {
+      const factor = 1 + delta / 100;
+      const { salePrices } = c.params;
+      return {
+        ...c,
+        params: {
+          ...c.params,
+          energyPriceSell: c.params.energyPriceSell * factor,
+          salePrices: salePrices && { ...salePrices, values: salePrices.values.map(v => v * factor) }
+        }
+      };
+    }
+  },
+  {
+    id: 'energyInflation',
+    label: 'Wzrost cen energii',
+    unit: 'p.p.',
+    defaultRange: 3,
+    apply: (c, delta) => ({ ...c, params: { ...c.params, energyInflation: (parseFloat(c.params.energyInflation) || 0) + delta } })
+  },
+  {
+    id: 'globalWibor',
+    label: 'Wskaźnik referencyjny (WIBOR/WIRON)',
+    unit: 'p.p.',
+    defaultRange: 2,
+    apply: (c, delta) => ({ ...c, params: { ...c.params, globalWibor: Math.max(0, (parseFloat(c.params.globalWibor) || 0) + delta) } })
+  },
+  {
+    id: 'autoConsumption',
+    label: 'Autokonsumpcja',
+    unit: 'p.p.',
+    defaultRange: 10,
+    apply: (c, delta) => ({ ...c, autoConsumptionShift: (c.autoConsumptionShift || 0) + delta })
+  },
+  {
+    id: 'totalCost',
+    label: 'Koszt instalacji',
+    unit: '%',
+    defaultRange: 15,
+    apply: (c, delta) => ({ ...c, scenario: scaleScenarioCost(c.scenario, 1 + delta / 100) })
+  },
+  {
+    id: 'productionPerKw',
+    label: 'Produkcja z 1 kWp',
+    unit: '%',
+    defaultRange: 10,
+    apply: (c, delta) => {
+      const factor = 1 + delta / 100;
+      const manualProduction = (parseFloat(c.scenario.manualProduction) || 0) * factor;
+      return { ...c, params: { ...c.params, productionImport: scaledProduction(c.params, factor) }, scenario: { ...c.scenario, manualProduction } };
+    }
+  }
+];
+
+export const sensitivityDriver = (id) => SENSITIVITY_DRIVERS.find(d => d.id === id);
+
+export const DEFAULT_SENSITIVITY_RANGES = Object.fromEntries(SENSITIVITY_DRIVERS.map(d => [d.id, d.defaultRange]));
+
+// Moves `shift` p.p. of the production between sold and self-consumed energy, month by month
+const shiftAutoConsumption = (monthlyStats, shift) => monthlyStats.map(m => {
+  const consumed = Math.min(m.production, Math.max(0, m.consumed + m.production * shift / 100));
+  const sold = Math.max(0, m.production - consumed);
+  const valueSaved = consumed * m.buyPrice;
+  const valueSold = sold * m.saleValuePerKWh;
+  return {
+    ...m,
+    consumed,
+    sold,
+    gridImport: Math.max(0, m.gridImport - (consumed - m.consumed)),
+    valueSaved,
+    valueSold,
+    totalValue: valueSaved + valueSold
+  };
+});
+
+// Metrics of one case: balance, battery, then the scenario metrics (no comparison variants)
+const evaluateCase = ({ params, scenario, autoConsumptionShift }) => {
+  let monthlyStats = calculateMonthlyStats(params);
+  if (autoConsumptionShift) monthlyStats = shiftAutoConsumption(monthlyStats, autoConsumptionShift);
+  const result = calculateScenarioMetrics(scenario, params, monthlyStats);
+  return {
+    paybackYear: result.paybackYear,
+    netProfit: result.summary.netProfit,
+    npv: result.summary.npv,
+    simulationYears: result.summary.simulationYears
+  };
+};
+
+/**
+ * Tornado data: each driver moved down and up by its range, everything else at the inputs.
+ * Drivers are sorted by the net profit swing, largest first.
+ *
+ * @param {ProjectParams} params
+ * @param {Scenario} scenario
+ * @param {Object<string, number>} [ranges]  Range per driver id (% or p.p.), defaults `DEFAULT_SENSITIVITY_RANGES`
+ * @returns {{base: SensitivityPoint, drivers: {id: string, label: string, unit: string, range: number, low: SensitivityPoint, high: SensitivityPoint}[]}}
+ *
+ * @typedef {{paybackYear: number|null, netProfit: number, npv: number, simulationYears: number}} SensitivityPoint
+ */
+export const sensitivityAnalysis = (params, scenario, ranges = DEFAULT_SENSITIVITY_RANGES) => {
+  const baseCase = { params, scenario, autoConsumptionShift: 0 };
+  const drivers = SENSITIVITY_DRIVERS.map(driver => {
+    const range = Math.abs(parseFloat(ranges[driver.id] ?? driver.defaultRange) || 0);
+    return {
+      id: driver.id,
+      label: driver.label,
+      unit: driver.unit,
+      range,
+      low: evaluateCase(driver.apply(baseCase, -range)),
+      high: evaluateCase(driver.apply(baseCase, range))
+    };
+  });
+  const swing = (d) => Math.abs(d.high.netProfit - d.low.netProfit);
+  return { base: evaluateCase(baseCase), drivers: drivers.sort((a, b) => swing(b) - swing(a)) };
+};
+
+// Evenly spaced changes from -range to +range, 0 included (odd `steps`)
+export const sensitivitySteps = (range, steps = 5) => {
+  const count = Math.max(3, steps % 2 === 0 ? steps + 1 : steps);
+  return Array.from({ length: count }, (_, i) => -range + (2 * range * i) / (count - 1));
+};
+
+/**
+ * Two-variable table: every combination of the row and column driver changes.
+ *
+ * @param {ProjectParams} params
+ * @param {Scenario} scenario
+ * @param {{rowDriver: string, rowDeltas: number[], columnDriver: string, columnDeltas: number[]}} grid
+ * @returns {{rows: {delta: number, cells: (SensitivityPoint & {delta: number})[]}[]}}
+ */
+export const sensitivityGrid = (params, scenario, { rowDriver, rowDeltas, columnDriver, columnDeltas }) => {
+  const row = sensitivityDriver(rowDriver);
+  const col = sensitivityDriver(columnDriver);
+  const baseCase = { params, scenario, autoConsumptionShift: 0 };
+  return {
+    rows: rowDeltas.map(rowDelta => ({
+      delta: rowDelta,
+      cells: columnDeltas.map(columnDelta => ({
+        delta: columnDelta,
+        ...evaluateCase(col.apply(row.apply(baseCase, rowDelta), columnDelta))
+      }))
+    }))
+  };
+};
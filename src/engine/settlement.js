@@ -0,0 +1,183 @@
+// --- Prosumer Settlement ---
+
+export const SETTLEMENT_MODES = [
+  { id: 'flat', label: 'Stała cena sprzedaży' },
+  { id: 'netBilling', label: 'Net-billing (RCEm/RCE, depozyt)' },
+  { id: 'netMetering', label: 'Net-metering (opusty 80/70%)' }
+];
+
+export const DEFAULT_NET_BILLING = {
+  depositCoefficient: 1.23,   // Deposit value multiplier for energy sold since July 2024
+  depositExpiryMonths: 12,
+  refundCapPercent: 20        // Refund of unused deposit, % of the value credited in that month
+};
+
+export const DEFAULT_NET_METERING = {
+  existingInstallationPower: 0,  // kWp already settled in net-metering, counts towards the 10 kWp threshold
+  energyBankMonths: 12           // Exported energy can be drawn back within 365 days
+};
+
+// Share of exported energy that can be drawn back: 80% up to 10 kWp, 70% above
+export const netMeteringRatio = (totalPower) => ((parseFloat(totalPower) || 0) <= 10 ? 0.8 : 0.7);
+
+/**
+ * Month by month net-metering (system opustów) energy bank over the whole horizon.
+ * Each month: energy older than the bank lifetime is lost, the recoverable share of exports is banked
+ * and energy bought from the grid is drawn back from the bank, oldest energy first.
+ * Drawn energy is valued at the purchase price of that year.
+ *
+ * @param {Object} input
+ * @param {number[]} input.monthlySold      Energy exported per month in year 1 (kWh, 12 values)
+ * @param {number[]} input.monthlyImport    Energy bought from the grid per month (kWh, 12 values)
+ * @param {number} input.ratio              Recoverable share of exports (0.8 / 0.7)
+ * @param {number} input.energyPriceBuy     Purchase price in year 1 (zł/kWh)
+ * @param {number[]} [input.importPrices]   Purchase price per month in year 1 (zł/kWh, tariff zones), overrides `energyPriceBuy`
+ * @param {number} input.energyInflation    Annual price growth (%)
+ * @param {number} input.degradationRate    Annual production loss (%), applied to exports
+ * @param {number} input.years
+ * @returns {{yearly: {banked: number, drawn: number, lost: number, value: number}[], totals: Object}}
+ */
+export const runNetMeteringLedger = (input) => {
+  const {
+    monthlySold,
+    monthlyImport,
+    ratio,
+    energyPriceBuy,
+    importPrices,
+    energyInflation,
+    degradationRate,
+    years,
+    energyBankMonths = DEFAULT_NET_METERING.energyBankMonths
+  } = input;
+
+  const yearly = Array.from({ length: years }, () => ({ banked: 0, drawn: 0, lost: 0, value: 0 }));
+  let entries = [];
+
+  for (let t = 0; t < years * 12; t++) {
+    const year = Math.floor(t / 12);
+    const month = t % 12;
+    const priceGrowth = Math.pow(1 + (energyInflation || 0) / 100, year);
+    const degradation = Math.pow(1 - (degradationRate || 0) / 100, year);
+    const row = yearly[year];
+
+    // Expiry
+    entries = entries.filter(entry => {
+      if (t - entry.month < energyBankMonths) return true;
+      row.lost += entry.remaining;
+      return false;
+    });
+
+    // Bank the recoverable share of exported energy
+    const banked = (monthlySold[month] || 0) * degradation * ratio;
+    if (banked > 0) {
+      entries.push({ month: t, remaining: banked });
+      row.banked += banked;
+    }
+
+    // Draw back energy bought from the grid
+    let demand = monthlyImport[month] || 0;
+    for (const entry of entries) {
+      if (demand <= 0) break;
+      const drawn = Math.min(entry.remaining, demand);
+      entry.remaining -= drawn;
+      demand -= drawn;
+      row.drawn += drawn;
+      row.value += drawn * (importPrices ? importPrices[month] : energyPriceBuy) * priceGrowth;
+    }
+    entries = entries.filter(entry => entry.remaining > 0);
+  }
+
+  const totals = yearly.reduce((sum, row) => ({
+    banked: sum.banked + row.banked,
+    drawn: sum.drawn + row.drawn,
+    lost: sum.lost + row.lost,
+    value: sum.value + row.value
+  }), { banked: 0, drawn: 0, lost: 0, value: 0 });
+
+  return {
+    yearly,
+    totals: { ...totals, balance: entries.reduce((sum, entry) => sum + entry.remaining, 0) }
+  };
+};
+
+/**
+ * Month by month prosumer deposit (depozyt prosumencki) ledger over the whole horizon.
+ * Each month: expired deposit is refunded up to the cap (the rest is lost), the value of exported energy
+ * is credited and the deposit pays for energy bought from the grid, oldest credits first.
+ *
+ * @param {Object} input
+ * @param {number[]} input.monthlySold      Energy exported per month in year 1 (kWh, 12 values)
+ * @param {number[]} input.monthlyImport    Energy bought from the grid per month (kWh, 12 values)
+ * @param {number[]} input.salePrices       Sale price per month in year 1 (zł/kWh, 12 values)
+ * @param {number} input.energyPriceBuy     Purchase price in year 1 (zł/kWh)
+ * @param {number[]} [input.importPrices]   Purchase price per month in year 1 (zł/kWh, tariff zones), overrides `energyPriceBuy`
+ * @param {number} input.energyInflation    Annual price growth (%), applied to sale and purchase prices
+ * @param {number} input.degradationRate    Annual production loss (%), applied to exports
+ * @param {number} input.years
+ * @returns {{yearly: {credited: number, used: number, refunded: number, lost: number}[], totals: Object}}
+ */
+export const runNetBillingLedger = (input) => {
+  const {
+    monthlySold,
+    monthlyImport,
+    salePrices,
+    energyPriceBuy,
+    importPrices,
+    energyInflation,
+    degradationRate,
+    years,
+    depositCoefficient = DEFAULT_NET_BILLING.depositCoefficient,
+    depositExpiryMonths = DEFAULT_NET_BILLING.depositExpiryMonths,
+    refundCapPercent = DEFAULT_NET_BILLING.refundCapPercent
+  } = input;
+
+  const yearly = Array.from({ length: years }, () => ({ credited: 0, used: 0, refunded: 0, lost: 0 }));
+  let entries = [];
+
+  for (let t = 0; t < years * 12; t++) {
+    const year = Math.floor(t / 12);
+    const month = t % 12;
+    const priceGrowth = Math.pow(1 + (energyInflation || 0) / 100, year);
+    const degradation = Math.pow(1 - (degradationRate || 0) / 100, year);
+    const row = yearly[year];
+
+    // Expiry and refund
+    entries = entries.filter(entry => {
+      if (t - entry.month < depositExpiryMonths) return true;
+      const refund = Math.min(entry.remaining, entry.credited * refundCapPercent / 100);
+      row.refunded += refund;
+      row.lost += entry.remaining - refund;
+      return false;
+    });
+
+    // Credit exported energy
+    const credited = (monthlySold[month] || 0) * degradation * (salePrices[month] || 0) * priceGrowth * depositCoefficient;
+    if (credited > 0) {
+      entries.push({ month: t, credited, remaining: credited });
+      row.credited += credited;
+    }
+
+    // Pay for energy bought from the grid
+    let bill = (monthlyImport[month] || 0) * (importPrices ? importPrices[month] : energyPriceBuy) * priceGrowth;
+    for (const entry of entries) {
+      if (bill <= 0) break;
+      const used = Math.min(entry.remaining, bill);
+      entry.remaining -= used;
+      bill -= used;
+      row.used += used;
+    }
+    entries = entries.filter(entry => entry.remaining > 0);
+  }
+
+  const totals = yearly.reduce((sum, row) => ({
+    credited: sum.credited + row.credited,
+    used: sum.used + row.used,
+    refunded: sum.refunded + row.refunded,
+    lost: sum.lost + row.lost
+  }), { credited: 0, used: 0, refunded: 0, lost: 0 });
+
+  return {
+    yearly,
+    totals: { ...totals, balance: entries.reduce((sum, entry) => sum + entry.remaining, 0) }
+  };
+};
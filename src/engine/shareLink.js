@@ -0,0 +1,83 @@
+import { PROJECT_FILE_VERSION, migrateProject } from './projectFile.js';
+
+// --- Share Links ---
+// The project is packed into the URL hash as `v<version>.<base64url(deflate-raw(JSON))>`.
+// All params are packed, so a link opened after the defaults change still gives the same numbers.
+// (Links created before that carry only the changed params; `migrateProject` fills in the rest.)
+
+const TOKEN_RE = /^v(\d+)\.([A-Za-z0-9_-]+)$/;
+export const SHARE_HASH_KEY = 'projekt';
+
+// Hourly series (8760 values) are rounded to this many decimals: 0.1 Wh of consumption or production,
+// 0.01 gr/kWh of a price – far below the meter and market resolution, but a third of the token size
+export const SHARE_SERIES_DIGITS = 4;
+
+// Longer links are cut by many mail and chat clients; the project file is the safer way to share them
+export const SHARE_LINK_MAX_LENGTH = 8000;
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+const transform = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+const roundSeries = (values) => {
+  const scale = Math.pow(10, SHARE_SERIES_DIGITS);
+  return values.map(v => Math.round(v * scale) / scale);
+};
+
+const compactParams = (params) => ({
+  ...params,
+  ...(params.hourlyLoadProfile && { hourlyLoadProfile: roundSeries(params.hourlyLoadProfile) }),
+  ...(params.productionImport?.hourly && { productionImport: { ...params.productionImport, hourly: roundSeries(params.productionImport.hourly) } }),
+  ...(params.salePrices?.type === 'hourly' && { salePrices: { ...params.salePrices, values: roundSeries(params.salePrices.values) } })
+});
+
+/**
+ * Compact, URL-safe token with the whole project (offer details, params, consumption profile, scenarios).
+ * With hourly series the token stays around tens of kB, see `SHARE_LINK_MAX_LENGTH`.
+ *
+ * @param {Project} project
+ * @returns {Promise<string>}
+ */
+export const encodeShareToken = async ({ name, offer, params, scenarios }) => {
+  const json = JSON.stringify({ name, offer, params: compactParams(params), scenarios });
+  const compressed = await transform(new TextEncoder().encode(json), new CompressionStream('deflate-raw'));
+  return `v${PROJECT_FILE_VERSION}.${toBase64Url(compressed)}`;
+};
+
+/**
+ * Project from a share token, migrated to the current version.
+ *
+ * @param {string} token
+ * @returns {Promise<Project>}
+ */
+export const decodeShareToken = async (token) => {
+  const match = String(token).trim().match(TOKEN_RE);
+  if (!match) throw new Error('Niepoprawny link do projektu.');
+  let data;
+  try {
+    const json = await transform(fromBase64Url(match[2]), new DecompressionStream('deflate-raw'));
+    data = JSON.parse(new TextDecoder().decode(json));
+  } catch (error) {
+    throw new Error(`Link do projektu jest uszkodzony lub niekompletny (${error.message}).`);
+  }
+  return migrateProject({ ...data, version: parseInt(match[1]) });
+};
+
+// Share token from a URL hash (`#projekt=...`), or null
+export const shareTokenFromHash = (hash) => {
+  return new URLSearchParams(String(hash).replace(/^#/, '')).get(SHARE_HASH_KEY);
+};
@@ -0,0 +1,101 @@
+import { DAYS_IN_MONTH } from './constants.js';
+import { HOURS_IN_YEAR, MONTH_OF_DAY, monthOfHour, dailyShape } from './hourly.js';
+import { hourlyProduction } from './production.js';
+
+// --- Battery Storage ---
+
+export const DEFAULT_STORAGE = {
+  enabled: false,
+  capacity: 10,         // kWh
+  power: 5,             // kW, charge and discharge
+  efficiency: 90,       // % round-trip
+  depthOfDischarge: 90  // %
+};
+
+export const usableCapacity = (storage) => {
+  return (parseFloat(storage.capacity) || 0) * (parseFloat(storage.depthOfDischarge) || 0) / 100;
+};
+
+// Hourly surplus (PV not consumed directly) and deficit (demand not covered by PV).
+// The hourly method uses the real load profile; the other methods spread the monthly surplus
+// over daylight and the night consumption (kWh/day) over the hours without production.
+export const hourlySurplusAndDeficit = (monthlyStats, params) => {
+  const surplus = new Array(HOURS_IN_YEAR).fill(0);
+  const deficit = new Array(HOURS_IN_YEAR).fill(0);
+
+  if (params.consMethod === 'hourly') {
+    const production = hourlyProduction(params, monthlyStats.map(m => m.production));
+    for (let h = 0; h < HOURS_IN_YEAR; h++) {
+      const load = (params.hourlyLoadProfile && params.hourlyLoadProfile[h]) || 0;
+      surplus[h] = Math.max(0, production[h] - load);
+      deficit[h] = Math.max(0, load - production[h]);
+    }
+    return { surplus, deficit };
+  }
+
+  const nightConsumption = parseFloat(params.nightConsumption) || 0;
+  for (let day = 1; day <= 365; day++) {
+    const month = MONTH_OF_DAY[day - 1];
+    const dailySurplus = monthlyStats[month].sold / DAYS_IN_MONTH[month];
+    const shape = dailyShape(day);
+    const nightHours = shape.filter(w => w === 0).length;
+    shape.forEach((share, hour) => {
+      const h = (day - 1) * 24 + hour;
+      surplus[h] = dailySurplus * share;
+      deficit[h] = share === 0 && nightHours > 0 ? nightConsumption / nightHours : 0;
+    });
+  }
+  return { surplus, deficit };
+};
+
+// Hour by hour battery dispatch: charge from surplus, discharge into deficit. Returns monthly sums (kWh).
+export const simulateStorage = (surplus, deficit, storage) => {
+  const capacity = usableCapacity(storage);
+  const power = parseFloat(storage.power) || 0;
+  const oneWayEfficiency = Math.sqrt(Math.min(100, Math.max(0, parseFloat(storage.efficiency) || 0)) / 100);
+  const months = Array.from({ length: 12 }, () => ({ charged: 0, discharged: 0 }));
+  if (capacity <= 0 || power <= 0 || oneWayEfficiency <= 0) return months;
+
+  let stateOfCharge = 0;
+  for (let h = 0; h < HOURS_IN_YEAR; h++) {
+    const month = months[monthOfHour(h)];
+    if (surplus[h] > 0) {
+      const charged = Math.min(surplus[h], power, (capacity - stateOfCharge) / oneWayEfficiency);
+      stateOfCharge += charged * oneWayEfficiency;
+      month.charged += charged;
+    }
+    if (deficit[h] > 0) {
+      const discharged = Math.min(deficit[h], power, stateOfCharge * oneWayEfficiency);
+      stateOfCharge -= discharged / oneWayEfficiency;
+      month.discharged += discharged;
+    }
+  }
+  return months;
+};
+
+// Monthly stats with the battery: charged energy is not sold, discharged energy counts as self-consumption
+export const applyStorage = (monthlyStats, params, storage) => {
+  const { surplus, deficit } = hourlySurplusAndDeficit(monthlyStats, params);
+  const storageMonths = simulateStorage(surplus, deficit, storage);
+
+  return monthlyStats.map((m, index) => {
+    const { charged, discharged } = storageMonths[index];
+    const consumed = m.consumed + discharged;
+    const sold = Math.max(0, m.sold - charged);
+    // Discharged energy displaces grid energy in the hours with a deficit
+    const valueSaved = m.valueSaved + discharged * (m.importPrice ?? params.energyPriceBuy);
+    const valueSold = sold * m.saleValuePerKWh;
+
+    return {
+      ...m,
+      consumed,
+      sold,
+      gridImport: Math.max(0, m.gridImport - discharged),
+      storageCharged: charged,
+      storageDischarged: discharged,
+      valueSaved,
+      valueSold,
+      totalValue: valueSaved + valueSold
+    };
+  });
+};
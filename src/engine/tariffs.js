@@ -0,0 +1,118 @@
+import { HOURS_IN_YEAR, MONTH_OF_DAY } from './hourly.js';
+
+// --- Electricity Tariffs ---
+// Net prices: zł/kWh for energy, distribution and excise, zł/month for fixed charges; VAT is added on top.
+// The profile year is assumed to start on a Monday, public holidays are not modelled.
+
+const isWeekend = (day) => day % 7 >= 5;
+const isWinter = (month) => month <= 2 || month >= 9; // October - March
+
+// Time zone of each hour, by schedule
+const ZONE_SCHEDULES = {
+  single: () => 'all',
+  // Off-peak 22-6 and 13-15 every day
+  g12: (day, hour) => (hour >= 22 || hour < 6 || (hour >= 13 && hour < 15) ? 'offPeak' : 'peak'),
+  // G12 plus the whole weekend off-peak
+  g12w: (day, hour) => (isWeekend(day) ? 'offPeak' : ZONE_SCHEDULES.g12(day, hour)),
+  // Morning and evening peak on working days, the evening peak later in summer
+  c12a: (day, hour) => {
+    if (isWeekend(day)) return 'offPeak';
+    const eveningPeak = isWinter(MONTH_OF_DAY[day]) ? hour >= 16 && hour < 21 : hour >= 19 && hour < 22;
+    return (hour >= 7 && hour < 13) || eveningPeak ? 'peak' : 'offPeak';
+  }
+};
+
+// Capacity fee per kWh (business tariffs) is charged on working days 7-22
+const isCapacityFeeHour = (day, hour) => !isWeekend(day) && hour >= 7 && hour < 22;
+
+const zone = (id, label, energyPrice, distributionPrice) => ({ id, label, energyPrice, distributionPrice });
+
+const HOUSEHOLD_FIXED = [
+  { id: 'trade', label: 'Opłata handlowa', value: 5.0 },
+  { id: 'network', label: 'Opłata sieciowa stała', value: 11.0 },
+  { id: 'transition', label: 'Opłata przejściowa', value: 0.33 }
+];
+
+const BUSINESS_FIXED = [
+  { id: 'trade', label: 'Opłata handlowa', value: 40.0 },
+  { id: 'network', label: 'Opłata sieciowa stała', value: 30.0 },
+  { id: 'transition', label: 'Opłata przejściowa', value: 1.5 }
+];
+
+export const TARIFFS = [
+  {
+    id: 'G11', label: 'G11 (gospodarstwo, jednostrefowa)', schedule: 'single',
+    zones: [zone('all', 'Całodobowa', 0.50, 0.33)],
+    excise: 0.005, capacityFee: { mode: 'monthly', value: 10.46 }, fixedCharges: HOUSEHOLD_FIXED, vatPercent: 23
+  },
+  {
+    id: 'G12', label: 'G12 (gospodarstwo, dzień/noc)', schedule: 'g12',
+    zones: [zone('peak', 'Dzienna', 0.58, 0.36), zone('offPeak', 'Nocna', 0.38, 0.10)],
+    excise: 0.005, capacityFee: { mode: 'monthly', value: 10.46 }, fixedCharges: HOUSEHOLD_FIXED, vatPercent: 23
+  },
+  {
+    id: 'G12w', label: 'G12w (gospodarstwo, noc + weekend)', schedule: 'g12w',
+    zones: [zone('peak', 'Szczytowa', 0.60, 0.38), zone('offPeak', 'Pozaszczytowa', 0.40, 0.09)],
+    excise: 0.005, capacityFee: { mode: 'monthly', value: 10.46 }, fixedCharges: HOUSEHOLD_FIXED, vatPercent: 23
+  },
+  {
+    id: 'C11', label: 'C11 (firma, jednostrefowa)', schedule: 'single',
+    zones: [zone('all', 'Całodobowa', 0.75, 0.35)],
+    excise: 0.005, capacityFee: { mode: 'kWh', value: 0.1219 }, fixedCharges: BUSINESS_FIXED, vatPercent: 23
+  },
+  {
+    id: 'C12a', label: 'C12a (firma, szczyt przedpołudniowy i wieczorny)', schedule: 'c12a',
+    zones: [zone('peak', 'Szczytowa', 0.85, 0.40), zone('offPeak', 'Pozaszczytowa', 0.60, 0.15)],
+    excise: 0.005, capacityFee: { mode: 'kWh', value: 0.1219 }, fixedCharges: BUSINESS_FIXED, vatPercent: 23
+  },
+  {
+    id: 'C12b', label: 'C12b (firma, dzień/noc)', schedule: 'g12',
+    zones: [zone('peak', 'Dzienna', 0.82, 0.38), zone('offPeak', 'Nocna', 0.58, 0.12)],
+    excise: 0.005, capacityFee: { mode: 'kWh', value: 0.1219 }, fixedCharges: BUSINESS_FIXED, vatPercent: 23
+  }
+];
+
+// Editable copy of a built-in tariff (stored in the project)
+export const createTariff = (id) => {
+  const tariff = TARIFFS.find(t => t.id === id);
+  return tariff ? JSON.parse(JSON.stringify(tariff)) : null;
+};
+
+const withVat = (tariff, value) => value * (1 + (parseFloat(tariff.vatPercent) || 0) / 100);
+
+// Gross variable price (zł/kWh) of each zone, without the hourly capacity fee
+export const tariffZonePrices = (tariff) => {
+  return Object.fromEntries(tariff.zones.map(z => [
+    z.id,
+    withVat(tariff, (parseFloat(z.energyPrice) || 0) + (parseFloat(z.distributionPrice) || 0) + (parseFloat(tariff.excise) || 0))
+  ]));
+};
+
+// Gross fixed charges per month (zł), not affected by the PV installation
+export const tariffFixedMonthly = (tariff) => {
+  const fixed = tariff.fixedCharges.reduce((sum, c) => sum + (parseFloat(c.value) || 0), 0);
+  const capacity = tariff.capacityFee.mode === 'monthly' ? parseFloat(tariff.capacityFee.value) || 0 : 0;
+  return withVat(tariff, fixed + capacity);
+};
+
+/**
+ * Gross variable price of grid energy (zł/kWh) for every hour of the year.
+ *
+ * @param {Object} tariff  Tariff definition (`TARIFFS` or an edited copy from `createTariff`)
+ * @returns {number[]} 8760 prices
+ */
+export const tariffHourlyPrices = (tariff) => {
+  const schedule = ZONE_SCHEDULES[tariff.schedule] || ZONE_SCHEDULES.single;
+  const zonePrices = tariffZonePrices(tariff);
+  const fallback = Object.values(zonePrices)[0] || 0;
+  const capacityPerKWh = tariff.capacityFee.mode === 'kWh' ? withVat(tariff, parseFloat(tariff.capacityFee.value) || 0) : 0;
+
+  const prices = new Array(HOURS_IN_YEAR);
+  for (let h = 0; h < HOURS_IN_YEAR; h++) {
+    const day = Math.floor(h / 24);
+    const hour = h % 24;
+    const price = zonePrices[schedule(day, hour)] ?? fallback;
+    prices[h] = price + (isCapacityFeeHour(day, hour) ? capacityPerKWh : 0);
+  }
+  return prices;
+};
@@ -0,0 +1,61 @@
+// --- Tax Effects ---
+// Income tax of the client. A business books the energy value as income (lower costs or sales) and deducts
+// depreciation, financing costs and replacements; a household deducts the cost under the ulga termomodernizacyjna.
+
+export const TAXPAYER_TYPES = [
+  { id: 'none', label: 'Bez podatków', description: 'Przepływy przed opodatkowaniem.' },
+  { id: 'household', label: 'Gospodarstwo domowe (PIT)', description: 'Ulga termomodernizacyjna: koszt instalacji pomniejszony o dotację odliczany od dochodu.', defaultRate: 12 },
+  { id: 'business', label: 'Firma (CIT/PIT)', description: 'Wartość energii zwiększa dochód; amortyzacja, odsetki, koszty leasingu i wymiany są kosztem podatkowym.', defaultRate: 19 }
+];
+
+export const DEFAULT_TAX = {
+  taxpayerType: 'none',
+  incomeTaxRate: 12,        // PIT 12/32%, podatek liniowy 19%, CIT 9/19%
+  depreciationRate: 10,     // Linear depreciation of the installation (% per year)
+  thermoReliefLimit: 53000, // Ulga termomodernizacyjna limit per taxpayer (zł)
+  annualTaxableIncome: 0    // Household income the relief is deducted from per year (zł), 0 = no limit
+};
+
+// The relief is deducted in the year of the expense and, if the income is too low, in the next 6 years
+export const THERMO_RELIEF_YEARS = 7;
+
+export const taxpayerTypeInfo = (id) => TAXPAYER_TYPES.find(t => t.id === id) || TAXPAYER_TYPES[0];
+
+/**
+ * Yearly linear depreciation (zł) of `base` over the analysis years, index 0 = year 1.
+ *
+ * @param {number} base         Initial value (zł)
+ * @param {number} ratePercent  Depreciation rate (% per year)
+ * @param {number} years
+ * @returns {number[]}
+ */
+export const depreciationSchedule = (base, ratePercent, years) => {
+  const yearly = Math.max(0, base) * (parseFloat(ratePercent) || 0) / 100;
+  let remaining = Math.max(0, base);
+  return Array.from({ length: years }, () => {
+    const amount = Math.min(yearly, remaining);
+    remaining -= amount;
+    return amount;
+  });
+};
+
+/**
+ * Ulga termomodernizacyjna deducted from the income per year (zł), index 0 = year of the expense.
+ * The deductible cost is capped at `limit`; each year at most `annualIncome` is deducted (0 = no cap).
+ *
+ * @param {number} cost          Cost not covered by grants (zł)
+ * @param {number} limit         Relief limit (zł)
+ * @param {number} annualIncome  Taxable income per year (zł)
+ * @returns {number[]}  At most `THERMO_RELIEF_YEARS` values
+ */
+export const thermoReliefDeductions = (cost, limit, annualIncome) => {
+  let remaining = Math.max(0, Math.min(cost, parseFloat(limit) || 0));
+  const cap = parseFloat(annualIncome) || 0;
+  const deductions = [];
+  for (let year = 0; year < THERMO_RELIEF_YEARS && remaining > 0; year++) {
+    const amount = cap > 0 ? Math.min(cap, remaining) : remaining;
+    deductions.push(amount);
+    remaining -= amount;
+  }
+  return deductions;
+};
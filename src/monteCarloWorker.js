@@ -0,0 +1,15 @@
+import { runMonteCarlo } from './engine';
+
+// --- Monte Carlo Worker ---
+// Runs the simulation off the main thread: {params, scenarios, settings} in, progress and the result out.
+
+self.onmessage = ({ data }) => {
+  try {
+    const result = runMonteCarlo(data.params, data.scenarios, data.settings, (done, total) => {
+      self.postMessage({ type: 'progress', done, total });
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
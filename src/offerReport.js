@@ -0,0 +1,526 @@
+import {
+  MONTHS,
+  VOIVODESHIPS,
+  SETTLEMENT_MODES,
+  BEST_OPTION_METRICS,
+  runProject,
+  sumMonthlyStats,
+  calculateEffectiveBuyPrice,
+  annualYieldPerKwp,
+  productionPattern,
+  usableCapacity,
+  RATE_PATHS,
+  referenceRateInfo,
+  financingProduct,
+  taxpayerTypeInfo,
+  benchmarkSummary,
+  COMPARISON_COST_ITEMS,
+  comparisonSeriesKey,
+  yearlyComparison,
+  costComparison
+} from './engine';
+
+// --- Offer Report (PDF) ---
+// The report is described as a pdfmake document; pdfmake and its fonts are loaded only when a report is generated.
+
+export const DISCLAIMER = 'Przedstawione wartości produkcji energii i korzyści finansowych mają charakter wyłącznie szacunkowy. Rzeczywiste wyniki mogą się różnić w zależności od wielu czynników, w tym: parametrów technicznych urządzeń, kąta nachylenia i azymutu paneli, lokalnych warunków pogodowych, zacienienia, zmian taryf energetycznych oraz indywidualnego profilu zużycia energii. Analiza nie stanowi oferty handlowej ani doradztwa inwestycyjnego.';
+
+const BRAND_COLOR = '#064e3b';
+const ACCENT_COLOR = '#059669';
+const SCENARIO_COLORS = ['#059669', '#2563eb', '#f59e0b', '#db2777', '#7c3aed', '#0891b2', '#65a30d', '#dc2626'];
+const COST_ITEM_COLORS = { totalInterest: '#f43f5e', totalStartCosts: '#f97316', grantAmount: '#10b981', opportunityCost: '#94a3b8' };
+
+const CONS_METHOD_LABELS = {
+  percent: 'Procentowo',
+  fixed: 'Stała wartość',
+  monthly: 'Profil miesięczny',
+  hourly: 'Profil godzinowy'
+};
+
+// --- Formatting ---
+
+const formatNumber = (value, digits = 0) => {
+  return new Intl.NumberFormat('pl-PL', { minimumFractionDigits: digits, maximumFractionDigits: digits }).format(value || 0);
+};
+
+const formatCurrency = (value) => {
+  return new Intl.NumberFormat('pl-PL', { style: 'currency', currency: 'PLN', maximumFractionDigits: 0 }).format(value || 0);
+};
+
+const formatOptional = (value, format) => (value === null || value === undefined ? 'n/d' : format(value));
+
+const formatPayback = (year, horizon) => (year ? `${year} lat` : `> ${horizon} lat`);
+
+const escapeXml = (text) => String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+
+// --- Charts (SVG) ---
+
+const CHART_WIDTH = 515;
+const CHART_HEIGHT = 220;
+const PLOT = { left: 60, right: 10, top: 10, bottom: 40 };
+
+// Rounded axis ticks covering [min, max]
+const axisTicks = (min, max, count = 5) => {
+  const range = max - min || 1;
+  const rawStep = range / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+  const step = [1, 2, 2.5, 5, 10].map(f => f * magnitude).find(s => s >= rawStep);
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v <= max + step / 2; v += step) ticks.push(v);
+  return ticks;
+};
+
+const chartFrame = (ticks, scaleY, formatTick) => ticks.map(t => `
+  <line x1="${PLOT.left}" x2="${CHART_WIDTH - PLOT.right}" y1="${scaleY(t)}" y2="${scaleY(t)}" stroke="#e2e8f0" stroke-width="0.5" />
+  <text x="${PLOT.left - 4}" y="${scaleY(t) + 3}" font-size="7" text-anchor="end" fill="#64748b">${escapeXml(formatTick(t))}</text>`).join('');
+
+const legend = (items, y) => items.map((item, i) => `
+  <rect x="${PLOT.left + i * 125}" y="${y}" width="8" height="8" fill="${item.color}" />
+  <text x="${PLOT.left + i * 125 + 12}" y="${y + 7}" font-size="7" fill="#334155">${escapeXml(item.label)}</text>`).join('');
+
+// Charted scenarios are `{result, color}`, colored by their position among all scenarios
+
+const cashFlowChartSvg = (charted) => {
+  const horizon = charted[0].result.yearlyCashFlow.length - 1;
+  const values = charted.flatMap(c => c.result.yearlyCashFlow.map(row => row.cumulative));
+  const ticks = axisTicks(Math.min(0, ...values), Math.max(0, ...values));
+  const [min, max] = [ticks[0], ticks[ticks.length - 1]];
+  const plotWidth = CHART_WIDTH - PLOT.left - PLOT.right;
+  const plotHeight = CHART_HEIGHT - PLOT.top - PLOT.bottom;
+  const scaleX = (year) => PLOT.left + (year / horizon) * plotWidth;
+  const scaleY = (v) => PLOT.top + (1 - (v - min) / (max - min)) * plotHeight;
+
+  const lines = charted.map(({ result, color }) => {
+    const points = result.yearlyCashFlow.map(row => `${scaleX(row.year).toFixed(1)},${scaleY(row.cumulative).toFixed(1)}`).join(' ');
+    return `<polyline points="${points}" fill="none" stroke="${color}" stroke-width="1.5" />`;
+  }).join('');
+  const years = Array.from({ length: horizon + 1 }, (_, year) => year).filter(year => year % (horizon > 15 ? 5 : 1) === 0);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" font-family="Roboto">
+    ${chartFrame(ticks, scaleY, t => formatNumber(t / 1000) + ' tys.')}
+    <line x1="${PLOT.left}" x2="${CHART_WIDTH - PLOT.right}" y1="${scaleY(0)}" y2="${scaleY(0)}" stroke="#94a3b8" stroke-width="0.8" />
+    ${years.map(year => `<text x="${scaleX(year)}" y="${CHART_HEIGHT - PLOT.bottom + 10}" font-size="7" text-anchor="middle" fill="#64748b">${year}</text>`).join('')}
+    ${lines}
+    ${legend(charted.map(({ result, color }) => ({ label: result.name, color })), CHART_HEIGHT - 18)}
+  </svg>`;
+};
+
+// Loan (lease) payments per year, scenarios stacked in one bar
+const loanPaymentChartSvg = (charted) => {
+  const rows = yearlyComparison(charted.map(c => c.result), 'loanPayment').filter(row => row.year > 0);
+  const totals = rows.map(row => charted.reduce((sum, c) => sum + row[comparisonSeriesKey(c.result)], 0));
+  const ticks = axisTicks(0, Math.max(...totals));
+  const max = ticks[ticks.length - 1];
+  const plotWidth = CHART_WIDTH - PLOT.left - PLOT.right;
+  const plotHeight = CHART_HEIGHT - PLOT.top - PLOT.bottom;
+  const slot = plotWidth / rows.length;
+  const scaleY = (v) => PLOT.top + (1 - v / max) * plotHeight;
+
+  const bars = rows.map((row, i) => {
+    const x = PLOT.left + i * slot + slot * 0.15;
+    let stacked = 0;
+    const segments = charted.map(({ result, color }) => {
+      const value = row[comparisonSeriesKey(result)];
+      const segment = `<rect x="${x}" y="${scaleY(stacked + value)}" width="${slot * 0.7}" height="${scaleY(stacked) - scaleY(stacked + value)}" fill="${color}" />`;
+      stacked += value;
+      return segment;
+    }).join('');
+    const label = row.year % (rows.length > 15 ? 5 : 1) === 0
+      ? `<text x="${PLOT.left + (i + 0.5) * slot}" y="${CHART_HEIGHT - PLOT.bottom + 10}" font-size="7" text-anchor="middle" fill="#64748b">${row.year}</text>`
+      : '';
+    return segments + label;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" font-family="Roboto">
+    ${chartFrame(ticks, scaleY, t => formatNumber(t / 1000, 1) + ' tys.')}
+    ${bars}
+    ${legend(charted.map(({ result, color }) => ({ label: result.name, color })), CHART_HEIGHT - 18)}
+  </svg>`;
+};
+
+// Interest, start costs, grant and opportunity cost, one group of bars per scenario
+const costChartSvg = (charted) => {
+  const costs = costComparison(charted.map(c => c.result));
+  const ticks = axisTicks(0, Math.max(...costs.flatMap(c => COMPARISON_COST_ITEMS.map(item => c[item.key]))));
+  const max = ticks[ticks.length - 1];
+  const plotWidth = CHART_WIDTH - PLOT.left - PLOT.right;
+  const plotHeight = CHART_HEIGHT - PLOT.top - PLOT.bottom;
+  const slot = plotWidth / costs.length;
+  const barWidth = (slot * 0.7) / COMPARISON_COST_ITEMS.length;
+  const scaleY = (v) => PLOT.top + (1 - v / max) * plotHeight;
+
+  const groups = costs.map((cost, i) => {
+    const bars = COMPARISON_COST_ITEMS.map((item, j) => {
+      const x = PLOT.left + i * slot + slot * 0.15 + j * barWidth;
+      return `<rect x="${x}" y="${scaleY(cost[item.key])}" width="${barWidth}" height="${scaleY(0) - scaleY(cost[item.key])}" fill="${COST_ITEM_COLORS[item.key]}" />`;
+    }).join('');
+    return `${bars}
+      <text x="${PLOT.left + (i + 0.5) * slot}" y="${CHART_HEIGHT - PLOT.bottom + 10}" font-size="7" text-anchor="middle" fill="#64748b">${escapeXml(cost.name)}</text>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" font-family="Roboto">
+    ${chartFrame(ticks, scaleY, t => formatNumber(t / 1000) + ' tys.')}
+    ${groups}
+    ${legend(COMPARISON_COST_ITEMS.map(item => ({ label: item.label, color: COST_ITEM_COLORS[item.key] })), CHART_HEIGHT - 18)}
+  </svg>`;
+};
+
+const productionChartSvg = (monthlyStats) => {
+  const ticks = axisTicks(0, Math.max(...monthlyStats.map(m => m.production)));
+  const max = ticks[ticks.length - 1];
+  const plotWidth = CHART_WIDTH - PLOT.left - PLOT.right;
+  const plotHeight = CHART_HEIGHT - PLOT.top - PLOT.bottom;
+  const slot = plotWidth / 12;
+  const barWidth = slot * 0.35;
+  const scaleY = (v) => PLOT.top + (1 - v / max) * plotHeight;
+
+  const bars = monthlyStats.map((m, i) => {
+    const x = PLOT.left + i * slot + slot * 0.13;
+    return `
+      <rect x="${x}" y="${scaleY(m.production)}" width="${barWidth}" height="${scaleY(0) - scaleY(m.production)}" fill="#f59e0b" />
+      <rect x="${x + barWidth}" y="${scaleY(m.consumed)}" width="${barWidth}" height="${scaleY(0) - scaleY(m.consumed)}" fill="#10b981" />
+      <text x="${PLOT.left + (i + 0.5) * slot}" y="${CHART_HEIGHT - PLOT.bottom + 10}" font-size="7" text-anchor="middle" fill="#64748b">${MONTHS[i].name}</text>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" font-family="Roboto">
+    ${chartFrame(ticks, scaleY, t => formatNumber(t))}
+    ${bars}
+    ${legend([{ label: 'Produkcja (kWh)', color: '#f59e0b' }, { label: 'Autokonsumpcja (kWh)', color: '#10b981' }], CHART_HEIGHT - 18)}
+  </svg>`;
+};
+
+// --- Document Sections ---
+
+const table = (headers, rows, widths) => ({
+  table: {
+    headerRows: 1,
+    widths: widths || headers.map((_, i) => (i === 0 ? '*' : 'auto')),
+    body: [
+      headers.map((h, i) => ({ text: h, style: 'tableHeader', alignment: i === 0 ? 'left' : 'right' })),
+      ...rows
+    ]
+  },
+  layout: {
+    hLineWidth: (i) => (i <= 1 ? 0.8 : 0.3),
+    vLineWidth: () => 0,
+    hLineColor: () => '#cbd5e1',
+    fillColor: (i) => (i === 0 ? '#ecfdf5' : null),
+    paddingTop: () => 2,
+    paddingBottom: () => 2
+  },
+  style: 'table'
+});
+
+const right = (text) => ({ text, alignment: 'right' });
+
+const keyValueTable = (pairs) => ({
+  table: {
+    widths: ['*', 'auto'],
+    body: pairs.map(([key, value]) => [{ text: key, color: '#64748b' }, { text: value, bold: true, alignment: 'right' }])
+  },
+  layout: 'noBorders',
+  style: 'table'
+});
+
+const locationLabel = (params) => {
+  if (params.location === 'custom') {
+    return `${formatNumber(params.latitude, 2)}°N, ${formatNumber(params.longitude, 2)}°E`;
+  }
+  return VOIVODESHIPS.find(v => v.id === params.location)?.label || params.location;
+};
+
+const coverSection = (project, output, createdAt) => {
+  const { offer = {} } = project;
+  const best = output.bestOption;
+  const horizon = best.summary.simulationYears;
+  return [
+    {
+      table: {
+        widths: ['*'],
+        body: [[{
+          stack: [
+            { text: 'Kalkulator Inwestycji OZE', fontSize: 9, color: '#a7f3d0' },
+            { text: 'Analiza opłacalności instalacji fotowoltaicznej', fontSize: 18, bold: true, color: 'white', margin: [0, 4, 0, 0] },
+            { text: project.name || '', fontSize: 11, color: '#d1fae5', margin: [0, 2, 0, 0] }
+          ],
+          fillColor: BRAND_COLOR,
+          margin: [12, 12, 12, 12]
+        }]]
+      },
+      layout: 'noBorders'
+    },
+    {
+      columns: [
+        {
+          stack: [
+            { text: 'Klient', style: 'label' },
+            { text: offer.clientName || '—', bold: true },
+            { text: offer.clientAddress || '' },
+            { text: offer.clientContact || '' }
+          ]
+        },
+        {
+          stack: [
+            { text: 'Data', style: 'label' },
+            { text: createdAt.toLocaleDateString('pl-PL'), bold: true },
+            ...(offer.preparedBy ? [{ text: 'Przygotował(a)', style: 'label', margin: [0, 4, 0, 0] }, { text: offer.preparedBy, bold: true }] : [])
+          ],
+          width: 'auto'
+        }
+      ],
+      margin: [0, 14, 0, 14]
+    },
+    {
+      table: {
+        widths: ['*', '*', '*', '*'],
+        body: [[
+          ['Najkorzystniejsza opcja', best.name],
+          ['Okres zwrotu', formatPayback(best.paybackYear, horizon)],
+          [`Zysk (${horizon} lat)`, formatCurrency(best.summary.netProfit)],
+          ['Produkcja roczna', `${formatNumber(sumMonthlyStats(output.monthlyStats, 'production'))} kWh`]
+        ].map(([label, value]) => ({
+          stack: [{ text: label, style: 'label' }, { text: value, fontSize: 12, bold: true, color: ACCENT_COLOR }],
+          fillColor: '#ecfdf5',
+          margin: [6, 6, 6, 6]
+        }))]
+      },
+      layout: { hLineWidth: () => 0, vLineWidth: () => 2, vLineColor: () => 'white' }
+    }
+  ];
+};
+
+const installationSection = (output) => {
+  const { params, monthlyStats } = output;
+  const production = sumMonthlyStats(monthlyStats, 'production');
+  const settlement = SETTLEMENT_MODES.find(m => m.id === params.settlementMode)?.label || params.settlementMode;
+  const buyPrice = params.tariff
+    ? `${params.tariff.label}, śr. ${formatNumber(calculateEffectiveBuyPrice(monthlyStats, params.energyPriceBuy), 3)} zł/kWh`
+    : `${formatNumber(params.energyPriceBuy, 2)} zł/kWh`;
+
+  return [
+    { text: 'Parametry instalacji i założenia', style: 'h2' },
+    {
+      columns: [
+        keyValueTable([
+          ['Moc instalacji', `${formatNumber(params.installationPower, 2)} kWp`],
+          ['Lokalizacja', locationLabel(params)],
+          ['Nachylenie / azymut', `${formatNumber(params.panelTilt)}° / ${formatNumber(params.panelAzimuth)}°`],
+          ['Straty systemu / zacienienie', `${formatNumber(params.systemLosses)}% / ${formatNumber(params.shadingLosses)}%`],
+          ['Źródło produkcji', params.productionImport ? `plik: ${params.productionImport.fileName || params.productionImport.sourceLabel}` : 'szacunek z lokalizacji'],
+          ['Produkcja roczna', `${formatNumber(production)} kWh (${formatNumber(annualYieldPerKwp(productionPattern(params)))} kWh/kWp)`],
+          ['Degradacja paneli', `${formatNumber(params.degradationRate, 1)}% / rok`],
+          ...params.replacements.map(r => [r.name, `rok ${r.year}: ${formatCurrency(r.cost)}`])
+        ]),
+        keyValueTable([
+          ['Metoda autokonsumpcji', CONS_METHOD_LABELS[params.consMethod] || params.consMethod],
+          ['Efektywna autokonsumpcja', `${formatNumber(output.effectiveAutoConsumptionPercent, 1)}%`],
+          ['Cena zakupu energii', buyPrice],
+          ['Rozliczenie energii oddanej', settlement],
+          ...(params.settlementMode === 'flat' ? [['Cena sprzedaży', `${formatNumber(params.energyPriceSell, 2)} zł/kWh`]] : []),
+          ['Wzrost cen energii', `${formatNumber(params.energyInflation, 1)}% r/r`],
+          [referenceRateInfo(params.referenceRate).label, `${formatNumber(params.globalWibor, 2)}%${params.ratePath === 'constant' ? '' : `, ścieżka: ${RATE_PATHS.find(p => p.id === params.ratePath)?.label.toLowerCase()}`}`],
+          ...(params.taxpayerType && params.taxpayerType !== 'none' ? [['Podatki', `${taxpayerTypeInfo(params.taxpayerType).label}, ${formatNumber(params.incomeTaxRate, 0)}%`]] : []),
+          ['Alternatywa dla wkładu własnego', benchmarkSummary(params)],
+          ['Horyzont / stopa dyskonta', `${output.bestOption.summary.simulationYears} lat / ${formatNumber(params.discountRate, 1)}%`],
+          ['Kryterium wyboru', BEST_OPTION_METRICS.find(m => m.id === params.bestOptionMetric)?.label || params.bestOptionMetric]
+        ])
+      ],
+      columnGap: 20
+    }
+  ];
+};
+
+const rateLabel = (result, params) => (result.rateType === 'wibor'
+  ? `${referenceRateInfo(params.referenceRate).label} + ${formatNumber(result.margin, 2)}%`
+  : `stałe ${formatNumber(result.fixedRate, 2)}%`);
+
+const scenarioInputsSection = (results, params) => {
+  const rows = [
+    ['Produkt finansowania', r => financingProduct(r.productType).label],
+    ['Koszt instalacji', r => formatCurrency(r.totalCost)],
+    ['Magazyn energii', r => (r.storage?.enabled ? `${formatCurrency(r.storageCost)} (${formatNumber(usableCapacity(r.storage), 1)} kWh użyt.)` : '—')],
+    ['Wkład własny', r => (r.summary.lease ? `opłata wstępna ${formatCurrency(r.summary.lease.downPayment)} netto` : formatCurrency(r.ownContribution))],
+    ['Okres kredytowania', r => `${r.periodMonths} mies.${r.graceMonths && !r.summary.lease ? ` (karencja ${r.graceMonths})` : ''}`],
+    ['Leasing', r => (r.summary.lease ? `rata ${formatCurrency(r.summary.lease.monthlyFee)} netto\nwykup ${formatCurrency(r.summary.lease.buyout)} netto` : '—')],
+    ['VAT', r => `${formatNumber(r.vatRate, 0)}%${r.vatDeductible ? ', odliczany' : ''}`],
+    ['Oprocentowanie', r => rateLabel(r, params)],
+    ['Prowizja', r => `${formatNumber(r.commissionPercent, 2)}%`],
+    ['Dotacja / umorzenie', r => (r.grantType === 'percent' ? `${formatNumber(r.grantValue, 1)}%` : formatCurrency(r.grantValue))],
+    ['Koszty dodatkowe', r => (r.otherCosts.length ? r.otherCosts.map(c => `${c.name}: ${formatCurrency(c.value)}`).join('\n') : '—')],
+    ['Produkcja ręczna', r => (r.manualProduction ? `${formatNumber(r.manualProduction)} kWh` : '—')]
+  ];
+  return [
+    { text: 'Warianty finansowania – dane wejściowe', style: 'h2', pageBreak: 'before' },
+    table(
+      ['', ...results.map(r => r.name)],
+      rows.map(([label, value]) => [{ text: label, color: '#64748b' }, ...results.map(r => right(value(r)))])
+    )
+  ];
+};
+
+// Floating-rate scenarios on each path of the reference index
+const ratePathSection = (output) => {
+  const results = output.results.filter(r => r.ratePathComparison);
+  if (results.length === 0) return [];
+  const horizon = output.bestOption.summary.simulationYears;
+  const { referenceRate, globalWibor, rateShock } = output.params;
+  return [
+    { text: `Zmiana stóp procentowych (${referenceRateInfo(referenceRate).label} ${formatNumber(globalWibor, 2)}%, szok ±${formatNumber(rateShock, 2)} p.p. od 2. roku)`, style: 'h3' },
+    table(
+      ['Wariant / ścieżka', 'Okres zwrotu', 'Suma odsetek', 'Najwyższa rata', 'NPV'],
+      results.flatMap(r => Object.entries(r.ratePathComparison).map(([pathId, alt]) => [
+        `${r.name} – ${RATE_PATHS.find(p => p.id === pathId).label.toLowerCase()}`,
+        right(formatPayback(alt.paybackYear, horizon)),
+        right(formatCurrency(alt.summary.totalInterest)),
+        right(formatCurrency(alt.summary.maxInstallment)),
+        right(formatCurrency(alt.summary.npv))
+      ]))
+    )
+  ];
+};
+
+// Heading kept on one page with its chart
+const chartBlock = (title, svg) => ({ stack: [{ text: title, style: 'h3' }, { svg, width: CHART_WIDTH }], unbreakable: true });
+
+const comparisonSection = (output, hiddenScenarioIds) => {
+  const { results, bestOption } = output;
+  const colored = results.map((result, i) => ({ result, color: SCENARIO_COLORS[i % SCENARIO_COLORS.length] }));
+  const shown = colored.filter(c => !hiddenScenarioIds.includes(c.result.id));
+  const charted = shown.length > 0 ? shown : colored;
+  const horizon = bestOption.summary.simulationYears;
+  const rows = [
+    ['Oprocentowanie efektywne', r => `${formatNumber(r.effectiveRate, 2)}%`],
+    ['Kwota kredytu', r => formatCurrency(r.summary.loanAmount)],
+    ['Suma odsetek', r => formatCurrency(r.summary.totalInterest)],
+    ['Koszty startowe', r => formatCurrency(r.summary.totalStartCosts)],
+    ['Dotacja', r => formatCurrency(r.summary.grantAmount)],
+    ['Utracone korzyści', r => formatCurrency(r.summary.opportunityCost)],
+    ...(results.some(r => r.summary.tax) ? [['Efekt podatkowy', r => formatCurrency(r.summary.tax?.total ?? 0)]] : []),
+    ['Koszt całkowity', r => formatCurrency(r.summary.totalProjectCost)],
+    ['Autokonsumpcja', r => `${formatNumber(r.summary.autoConsumptionPercent, 1)}%`],
+    ['Okres zwrotu', r => formatPayback(r.paybackYear, horizon)],
+    ['Zdyskontowany okres zwrotu', r => formatPayback(r.summary.discountedPaybackYear, horizon)],
+    [`Zysk na czysto (${horizon} lat)`, r => formatCurrency(r.summary.netProfit)],
+    ['NPV', r => formatCurrency(r.summary.npv)],
+    ['IRR', r => formatOptional(r.summary.irr, v => `${formatNumber(v, 1)}%`)],
+    ['LCOE', r => formatOptional(r.summary.lcoe, v => `${formatNumber(v, 3)} zł/kWh`)]
+  ];
+  return [
+    { text: 'Porównanie wariantów', style: 'h2' },
+    table(
+      ['', ...results.map(r => (r.id === bestOption.id ? [r.name, { text: '\nnajkorzystniejsza', fontSize: 6, color: ACCENT_COLOR }] : r.name))],
+      rows.map(([label, value]) => [{ text: label, color: '#64748b' }, ...results.map(r => ({ ...right(value(r)), bold: r.id === bestOption.id }))])
+    ),
+    { text: 'Skumulowany przepływ pieniężny', style: 'h3' },
+    { svg: cashFlowChartSvg(charted), width: CHART_WIDTH },
+    ...(charted.some(c => c.result.yearlyCashFlow.some(row => row.loanPayment > 0))
+      ? [chartBlock('Raty w kolejnych latach', loanPaymentChartSvg(charted))]
+      : []),
+    chartBlock('Koszty finansowania', costChartSvg(charted)),
+    ...ratePathSection(output)
+  ];
+};
+
+const productionSection = (monthlyStats) => {
+  const columns = [
+    ['Produkcja (kWh)', 'production', 0],
+    ['Autokonsumpcja (kWh)', 'consumed', 0],
+    ['Oddane do sieci (kWh)', 'sold', 0],
+    ['Oszczędność (zł)', 'valueSaved', 0],
+    ['Sprzedaż (zł)', 'valueSold', 0]
+  ];
+  return [
+    { text: 'Produkcja miesięczna', style: 'h2', pageBreak: 'before' },
+    { svg: productionChartSvg(monthlyStats), width: CHART_WIDTH },
+    table(
+      ['Miesiąc', ...columns.map(([label]) => label)],
+      [
+        ...monthlyStats.map((m, i) => [MONTHS[i].full, ...columns.map(([, key, digits]) => right(formatNumber(m[key], digits)))]),
+        [{ text: 'Razem', bold: true }, ...columns.map(([, key]) => ({ ...right(formatNumber(sumMonthlyStats(monthlyStats, key))), bold: true }))]
+      ]
+    )
+  ];
+};
+
+// Tax lines of a yearly row in one column (tax on the energy value, shields, thermo relief)
+const rowTaxEffect = (row) => (row.incomeTax || 0) + (row.depreciationTaxShield || 0) + (row.costTaxShield || 0) + (row.thermoRelief || 0);
+
+const cashFlowSection = (result, index) => {
+  const withTax = Boolean(result.summary.tax);
+  return [
+    { text: `Przepływy roczne – ${result.name}`, style: 'h2', pageBreak: index === 0 ? 'before' : undefined, margin: [0, index === 0 ? 0 : 12, 0, 6] },
+    table(
+      ['Rok', 'Produkcja (kWh)', 'Wartość energii', 'Rata kredytu', 'Wymiany', ...(withTax ? ['Podatki'] : []), 'Przepływ netto', 'Skumulowany'],
+      result.yearlyCashFlow.map(row => [
+        String(row.year),
+        right(row.production ? formatNumber(row.production) : '—'),
+        right(formatCurrency(row.energySavings)),
+        right(formatCurrency(row.loanPayment)),
+        right(formatCurrency(row.replacementCost)),
+        ...(withTax ? [right(formatCurrency(rowTaxEffect(row)))] : []),
+        right(formatCurrency(row.netCashFlow)),
+        { ...right(formatCurrency(row.cumulative)), color: row.cumulative < 0 ? '#dc2626' : ACCENT_COLOR }
+      ]),
+      ['auto', ...new Array(withTax ? 7 : 6).fill('*')]
+    )
+  ];
+};
+
+/**
+ * pdfmake document of the offer report for a project.
+ *
+ * @param {Project & {offer?: OfferDetails}} project
+ * @param {Date} [createdAt]
+ * @param {{hiddenScenarioIds?: number[]}} [options]  Scenarios left out of the comparison charts (the tables keep them)
+ * @returns {Object}  pdfmake document definition
+ */
+export const buildOfferReport = (project, createdAt = new Date(), { hiddenScenarioIds = [] } = {}) => {
+  const output = runProject(project);
+  return {
+    pageSize: 'A4',
+    pageMargins: [40, 40, 40, 50],
+    info: { title: `Analiza opłacalności – ${project.name || 'instalacja PV'}`, creator: 'Kalkulator Inwestycji OZE' },
+    defaultStyle: { font: 'Roboto', fontSize: 9, color: '#0f172a' },
+    styles: {
+      h2: { fontSize: 13, bold: true, color: BRAND_COLOR, margin: [0, 12, 0, 6] },
+      h3: { fontSize: 10, bold: true, color: BRAND_COLOR, margin: [0, 10, 0, 4] },
+      label: { fontSize: 7, color: '#64748b' },
+      table: { fontSize: 8 },
+      tableHeader: { bold: true, color: BRAND_COLOR }
+    },
+    footer: (currentPage, pageCount) => ({
+      columns: [
+        { text: project.name || 'Kalkulator Inwestycji OZE', fontSize: 7, color: '#94a3b8' },
+        { text: `Strona ${currentPage} z ${pageCount}`, fontSize: 7, color: '#94a3b8', alignment: 'right' }
+      ],
+      margin: [40, 20, 40, 0]
+    }),
+    content: [
+      ...coverSection(project, output, createdAt),
+      ...installationSection(output),
+      ...scenarioInputsSection(output.results, output.params),
+      ...comparisonSection(output, hiddenScenarioIds),
+      ...productionSection(output.monthlyStats),
+      ...output.results.flatMap(cashFlowSection),
+      { text: 'Zastrzeżenie', style: 'h3', margin: [0, 16, 0, 4] },
+      { text: DISCLAIMER, fontSize: 7, color: '#64748b' }
+    ]
+  };
+};
+
+/**
+ * Generates the offer report in the browser and downloads it.
+ *
+ * @param {Project & {offer?: OfferDetails}} project
+ * @param {{hiddenScenarioIds?: number[]}} [options]
+ */
+export const downloadOfferReport = async (project, options) => {
+  const [{ default: pdfMake }, { default: vfs }] = await Promise.all([
+    import('pdfmake/build/pdfmake'),
+    import('pdfmake/build/vfs_fonts')
+  ]);
+  pdfMake.addVirtualFileSystem(vfs);
+  const createdAt = new Date();
+  const fileName = `${(project.name || 'oferta-pv').replace(/[\\/:*?"<>|]+/g, '_')}_${createdAt.toISOString().slice(0, 10)}.pdf`;
+  pdfMake.createPdf(buildOfferReport(project, createdAt, options)).download(fileName);
+};
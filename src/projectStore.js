@@ -0,0 +1,80 @@
+import { migrateProject, serializeProject } from './engine';
+
+// --- Local Project Storage (localStorage) ---
+// Index of saved projects under one key, each project under its own key in the versioned file format.
+
+const INDEX_KEY = 'kalkulator-oze:projects';
+const LAST_KEY = 'kalkulator-oze:last';
+const projectKey = (id) => `kalkulator-oze:project:${id}`;
+
+const readJson = (key, fallback) => {
+  try {
+    const text = localStorage.getItem(key);
+    return text ? JSON.parse(text) : fallback;
+  } catch (error) {
+    console.warn(`Failed to read ${key}:`, error);
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    throw new Error(error.name === 'QuotaExceededError'
+      ? 'Brak miejsca w pamięci przeglądarki – usuń nieużywane projekty lub profile godzinowe.'
+      : `Nie udało się zapisać projektu (${error.message}).`);
+  }
+};
+
+export const newProjectId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Saved projects, most recently modified first: [{id, name, updatedAt}]
+export const listProjects = () => {
+  return readJson(INDEX_KEY, []).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+export const loadProject = (id) => {
+  const data = readJson(projectKey(id), null);
+  return data ? migrateProject(data) : null;
+};
+
+const writeProject = (id, project) => {
+  const file = serializeProject(project);
+  writeJson(projectKey(id), file);
+  const entry = { id, name: file.name, updatedAt: file.savedAt };
+  writeJson(INDEX_KEY, [entry, ...readJson(INDEX_KEY, []).filter(p => p.id !== id)]);
+  return entry;
+};
+
+// Saves the open project; it is restored on the next visit
+export const saveProject = (id, project) => {
+  const entry = writeProject(id, project);
+  localStorage.setItem(LAST_KEY, id);
+  return entry;
+};
+
+export const duplicateProject = (id) => {
+  const project = loadProject(id);
+  if (!project) return null;
+  const copyId = newProjectId();
+  return writeProject(copyId, { ...project, name: `${project.name || 'Projekt'} (kopia)` });
+};
+
+export const deleteProject = (id) => {
+  localStorage.removeItem(projectKey(id));
+  writeJson(INDEX_KEY, readJson(INDEX_KEY, []).filter(p => p.id !== id));
+  if (localStorage.getItem(LAST_KEY) === id) localStorage.removeItem(LAST_KEY);
+};
+
+// Project open before the page was closed, or null
+export const loadLastProject = () => {
+  const id = localStorage.getItem(LAST_KEY);
+  try {
+    const project = id ? loadProject(id) : null;
+    return project ? { id, project } : null;
+  } catch (error) {
+    console.warn('Failed to restore the last project:', error);
+    return null;
+  }
+};
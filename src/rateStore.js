@@ -0,0 +1,76 @@
+import { fetchReferenceRate, endpointSource, stooqSource, staticFileSource } from './engine/index.js';
+
+// --- Reference Rate Cache (localStorage) ---
+// Last quote of each index with the time it was fetched, and the value typed in by hand (remembered until
+// the user switches back to the quote). Sources: own endpoint (VITE_RATES_URL), stooq.pl through a CORS proxy
+// when one is configured (VITE_RATES_PROXY), then public/rates.json shipped with the build.
+
+const quoteKey = (rateId) => `kalkulator-oze:rate:${rateId}`;
+const overrideKey = (rateId) => `kalkulator-oze:rate-override:${rateId}`;
+
+// A quote younger than this is not fetched again
+export const RATE_CACHE_HOURS = 12;
+
+const readJson = (key) => {
+  try {
+    const text = localStorage.getItem(key);
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    console.warn(`Failed to read ${key}:`, error);
+    return null;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Failed to write ${key}:`, error);
+  }
+};
+
+// `env` defaults to the Vite build variables; tests pass their own. No third-party proxy is used unless configured.
+export const rateSources = (env = import.meta.env) => {
+  return [
+    ...(env.VITE_RATES_URL ? [endpointSource(env.VITE_RATES_URL)] : []),
+    ...(env.VITE_RATES_PROXY ? [stooqSource(env.VITE_RATES_PROXY)] : []),
+    staticFileSource(`${env.BASE_URL}rates.json`)
+  ];
+};
+
+export const loadCachedQuote = (rateId) => readJson(quoteKey(rateId));
+
+export const loadRateOverride = (rateId) => readJson(overrideKey(rateId));
+
+export const saveRateOverride = (rateId, value) => {
+  writeJson(overrideKey(rateId), { value, setAt: new Date().toISOString() });
+};
+
+export const clearRateOverride = (rateId) => {
+  try {
+    localStorage.removeItem(overrideKey(rateId));
+  } catch (error) {
+    console.warn(`Failed to remove ${overrideKey(rateId)}:`, error);
+  }
+};
+
+/**
+ * Quote of the index: from the cache while it is fresh (unless `force`), otherwise from the sources.
+ * When every source fails the cached quote (or null) is returned with the error.
+ *
+ * @param {string} rateId
+ * @param {{force?: boolean, sources?: Object[], fetchOptions?: Object}} [options]  `sources` default to `rateSources()`
+ * @returns {Promise<{quote: RateQuote|null, fromCache: boolean, error: string|null}>}
+ */
+export const loadReferenceRate = async (rateId, { force = false, sources = rateSources(), fetchOptions } = {}) => {
+  const cached = loadCachedQuote(rateId);
+  const age = cached ? (Date.now() - new Date(cached.fetchedAt).getTime()) / 3600000 : Infinity;
+  if (!force && age < RATE_CACHE_HOURS) return { quote: cached, fromCache: true, error: null };
+  try {
+    const quote = await fetchReferenceRate(rateId, sources, fetchOptions);
+    writeJson(quoteKey(rateId), quote);
+    return { quote, fromCache: false, error: null };
+  } catch (error) {
+    return { quote: cached, fromCache: Boolean(cached), error: error.message };
+  }
+};
@@ -0,0 +1,105 @@
+import {
+  runProject,
+  allCashFlowsTable,
+  cashFlowTable,
+  loanScheduleTable,
+  monthlyBalanceTable,
+  assumptionsTable,
+  tableToCsv
+} from './engine';
+
+// --- Spreadsheet Export (CSV / XLSX) ---
+
+const SHEET_NAME_MAX = 31;
+
+export const safeFileName = (name, fallback) => (name || fallback).replace(/[\\/:*?"<>|]+/g, '_');
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// The BOM makes Excel read the file as UTF-8 (Polish characters)
+export const downloadCsv = (table, fileName) => {
+  downloadBlob(new Blob(['\uFEFF', tableToCsv(table)], { type: 'text/csv;charset=utf-8' }), fileName);
+};
+
+export const CSV_EXPORTS = [
+  { id: 'cashFlow', label: 'Przepływy roczne', fileName: 'przeplywy-roczne', table: (results) => allCashFlowsTable(results) },
+  { id: 'loanSchedule', label: 'Harmonogram spłat', fileName: 'harmonogram-splat', table: (results) => loanScheduleTable(results) },
+  { id: 'monthly', label: 'Bilans miesięczny', fileName: 'bilans-miesieczny', table: (results, monthlyStats) => monthlyBalanceTable(monthlyStats) }
+];
+
+// --- XLSX ---
+
+const numberFormat = (digits) => (digits ? `#,##0.${'0'.repeat(digits)}` : '#,##0');
+
+const headerRow = (columns) => columns.map(c => ({ value: c.label, fontWeight: 'bold', backgroundColor: '#ecfdf5', wrap: true }));
+
+const tableRows = ({ columns, rows }) => rows.map(row => columns.map(c => {
+  const value = row[c.key];
+  if (value === null || value === undefined) return null;
+  return typeof value === 'number'
+    ? { value, type: Number, ...(c.digits !== undefined && { format: numberFormat(c.digits) }) }
+    : { value: String(value), type: String };
+}));
+
+const titleRow = (text) => [{ value: text, fontWeight: 'bold', fontSize: 12 }];
+
+// Excel sheet names: max 31 characters, no []:*?/\ and unique within the workbook
+const uniqueSheetName = (name, used) => {
+  const base = String(name).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, SHEET_NAME_MAX) || 'Arkusz';
+  let sheetName = base;
+  for (let i = 2; used.has(sheetName); i++) {
+    const suffix = ` (${i})`;
+    sheetName = base.slice(0, SHEET_NAME_MAX - suffix.length) + suffix;
+  }
+  used.add(sheetName);
+  return sheetName;
+};
+
+const tableSheet = (table, sheet) => ({
+  sheet,
+  data: [headerRow(table.columns), ...tableRows(table)],
+  columns: table.columns.map((c, i) => ({ width: i === 0 ? 28 : 16 })),
+  stickyRowsCount: 1
+});
+
+// Scenario sheet: yearly cash flow, then the loan amortization schedule below it
+const scenarioSheet = (result, sheet) => {
+  const cashFlow = cashFlowTable(result);
+  const schedule = loanScheduleTable([result]);
+  schedule.columns = schedule.columns.filter(c => c.key !== 'scenario');
+  const data = [
+    titleRow(`Przepływy roczne – ${result.name}`),
+    headerRow(cashFlow.columns),
+    ...tableRows(cashFlow),
+    [],
+    titleRow('Harmonogram spłat'),
+    ...(schedule.rows.length ? [headerRow(schedule.columns), ...tableRows(schedule)] : [[{ value: 'Brak kredytu', type: String }]])
+  ];
+  const width = Math.max(cashFlow.columns.length, schedule.columns.length);
+  return { sheet, data, columns: Array.from({ length: width }, () => ({ width: 16 })) };
+};
+
+/**
+ * Workbook with the assumptions, the monthly balance and one sheet per scenario.
+ *
+ * @param {Project} project
+ */
+export const downloadWorkbook = async (project) => {
+  const { default: writeExcelFile } = await import('write-excel-file/browser');
+  const output = runProject(project);
+  const used = new Set();
+  const sheets = [
+    tableSheet(assumptionsTable(output.params, output.results), uniqueSheetName('Założenia', used)),
+    tableSheet(monthlyBalanceTable(output.monthlyStats), uniqueSheetName('Bilans miesięczny', used)),
+    ...output.results.map(r => scenarioSheet(r, uniqueSheetName(r.name, used)))
+  ];
+  const blob = await writeExcelFile(sheets).toBlob();
+  downloadBlob(blob, `${safeFileName(project.name, 'kalkulator-oze')}.xlsx`);
+};
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { benchmarkValues, benchmarkSummary, migrateProject, runProject, DEFAULT_BENCHMARK } from '../src/engine/index.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} != ${expected}`);
+
+test('deposit: interest taxed at every yearly capitalisation', () => {
+  const values = benchmarkValues(10000, { ...DEFAULT_BENCHMARK, benchmarkType: 'deposit', depositRate: 4 }, 3);
+  values.forEach((value, i) => close(value, 10000 * Math.pow(1 + 0.04 * 0.81, i + 1), `rok ${i + 1}`));
+});
+
+test('custom return: gain taxed once, when cashed out', () => {
+  const [, second] = benchmarkValues(10000, { ...DEFAULT_BENCHMARK, benchmarkType: 'custom', customReturnRate: 10 }, 2);
+  close(second, 10000 + 2100 * 0.81, 'rok 2');
+  const [loss] = benchmarkValues(10000, { ...DEFAULT_BENCHMARK, benchmarkType: 'custom', customReturnRate: -10 }, 1);
+  close(loss, 9000, 'loss is not taxed');
+});
+
+test('EDO bonds: first-year rate, then inflation + margin, tax at redemption and the rest reinvested', () => {
+  const settings = { ...DEFAULT_BENCHMARK, benchmarkType: 'bonds', bondFirstYearRate: 6, bondMargin: 2, expectedInflation: 3 };
+  const values = benchmarkValues(10000, settings, 11);
+  const gross = 10000 * 1.06 * Math.pow(1.05, 9);
+  const redeemed = 10000 + (gross - 10000) * 0.81;
+  close(values[0], 10000 + 600 * 0.81, 'rok 1');
+  close(values[9], redeemed, 'wykup po 10 latach');
+  close(values[10], redeemed + redeemed * 0.06 * 0.81, 'kolejna seria');
+  assert.equal(benchmarkSummary(settings), 'Obligacje skarbowe 10-letnie (EDO) 6% w 1. roku, potem inflacja 3% + 2 p.p., podatek 19%');
+});
+
+test('version 3 file keeps its opportunity cost: own capital compounded at the energy inflation, untaxed', () => {
+  const project = migrateProject({
+    format: 'kalkulator-oze',
+    version: 3,
+    params: { energyInflation: 5, simulationYears: 10 },
+    scenarios: [{ name: 'Środki własne', productType: 'ownFunds', totalCost: 50000 }]
+  });
+  assert.deepEqual([project.params.benchmarkType, project.params.customReturnRate, project.params.capitalGainsTaxRate], ['custom', 5, 0]);
+  const [result] = runProject(project).results;
+  close(result.summary.opportunityCost, 50000 * (Math.pow(1.05, 10) - 1), 'opportunity cost');
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+
+const run = promisify(execFile);
+const cli = fileURLToPath(new URL('../cli/kalkulator-oze.js', import.meta.url));
+const example = fileURLToPath(new URL('../examples/projekt.json', import.meta.url));
+
+test('JSON output of the example project', async () => {
+  const { stdout } = await run(process.execPath, [cli, example, '--format', 'json']);
+  const output = JSON.parse(stdout);
+  assert.equal(output.name, 'Przykładowa oferta 45 kWp');
+  assert.equal(output.bestOption, 'Pożyczka OZE');
+  assert.deepEqual(output.scenarios.map(s => [s.name, s.paybackYear, Math.round(s.summary.netProfit)]), [
+    ['Pożyczka OZE', 1, 219283],
+    ['Kredyt komercyjny', 1, 167523],
+    ['Środki własne', 6, 139834]
+  ]);
+  assert.equal(output.scenarios[0].yearlyCashFlow.length, 16);
+});
+
+test('summary table', async () => {
+  const { stdout } = await run(process.execPath, [cli, example, '--summary']);
+  assert.match(stdout, /Najbardziej opłacalna opcja: Pożyczka OZE/);
+  assert.match(stdout, /Środki własne .* 6 lat .* 139\s834/);
+  assert.doesNotMatch(stdout, /Przepływy roczne/);
+});
+
+test('missing file: error and exit code 1', async () => {
+  await assert.rejects(run(process.execPath, [cli, 'brak.json']), (error) => {
+    assert.equal(error.code, 1);
+    assert.match(error.stderr, /brak\.json/);
+    return true;
+  });
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { goalSeek, applyGoalSeek, parseProjectFile, runProject } from '../src/engine/index.js';
+
+const { params, scenarios } = parseProjectFile(await readFile(new URL('../examples/projekt.json', import.meta.url), 'utf8'));
+const OWN_FUNDS = 3;
+
+const resultWith = (goal, value) => {
+  const next = applyGoalSeek(params, scenarios, goal, value);
+  return runProject(next).results.find(r => r.id === goal.scenarioId);
+};
+
+test('highest installation cost with a non-negative NPV', () => {
+  const goal = { scenarioId: OWN_FUNDS, input: 'totalCost', target: 'npv', targetValue: 0 };
+  const solution = goalSeek(params, scenarios, goal);
+  assert.deepEqual([solution.status, solution.bound, solution.current], ['solved', 'max', 120000]);
+  assert.ok(Number.isInteger(solution.value));
+  assert.ok(solution.outcome.npv >= 0);
+  assert.ok(resultWith(goal, solution.value).summary.npv >= 0);
+  assert.ok(resultWith(goal, solution.value + 1).summary.npv < 0);
+});
+
+test('lowest energy price with payback within the target year', () => {
+  const goal = { scenarioId: OWN_FUNDS, input: 'energyPriceBuy', target: 'payback', targetValue: 4 };
+  const solution = goalSeek(params, scenarios, goal);
+  assert.deepEqual([solution.status, solution.bound], ['solved', 'min']);
+  assert.ok(solution.outcome.paybackYear <= 4);
+  assert.ok(resultWith(goal, solution.value - 0.001).paybackYear > 4);
+});
+
+test('target met in the whole range or nowhere', () => {
+  const always = goalSeek(params, scenarios, { scenarioId: OWN_FUNDS, input: 'autoConsumption', target: 'netProfit', targetValue: -1e9 });
+  assert.equal(always.status, 'always');
+  const never = goalSeek(params, scenarios, { scenarioId: OWN_FUNDS, input: 'autoConsumption', target: 'netProfit', targetValue: 1e9 });
+  assert.equal(never.status, 'never');
+  assert.deepEqual(never.range, [0, 100]);
+});
+
+test('inputs that cannot move for the scenario', () => {
+  const unavailable = (goal, project = params) => goalSeek(project, scenarios, goal).status;
+  assert.equal(unavailable({ scenarioId: OWN_FUNDS, input: 'autoConsumption', target: 'npv' }, { ...params, consMethod: 'hourly' }), 'unavailable');
+  assert.equal(unavailable({ scenarioId: OWN_FUNDS, input: 'margin', target: 'npv' }), 'unavailable');
+  assert.equal(unavailable({ scenarioId: OWN_FUNDS, input: 'ownContribution', target: 'npv' }), 'unavailable');
+  assert.equal(unavailable({ scenarioId: OWN_FUNDS, input: 'totalCost', target: 'beat', rivalId: OWN_FUNDS }), 'unavailable');
+  assert.equal(unavailable({ scenarioId: 99, input: 'totalCost', target: 'npv' }), 'unavailable');
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { leaseSchedule } from '../src/engine/index.js';
+
+const close = (actual, expected, message, tolerance = 1e-6) => assert.ok(Math.abs(actual - expected) < tolerance, `${message}: ${actual} != ${expected}`);
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+const LEASE = { netValue: 100000, downPaymentPercent: 10, buyoutPercent: 1, months: 60, monthlyFee: 0 };
+
+test('calculated fee pays the financed amount down to the buyout', () => {
+  const lease = leaseSchedule({ ...LEASE, rateForMonth: () => 6 });
+  assert.deepEqual([lease.downPayment, lease.buyout, lease.financed, lease.shortfall], [10000, 1000, 90000, 0]);
+  assert.equal(lease.schedule.length, 60);
+  close(sum(lease.schedule, 'principal'), 89000, 'principal');
+  assert.equal(lease.schedule[59].buyout, 1000);
+  const fees = new Set(lease.schedule.map(row => row.installment.toFixed(6)));
+  assert.equal(fees.size, 1);
+});
+
+test('floating lease: fee recalculated when the rate changes, still ending at the buyout', () => {
+  const lease = leaseSchedule({ ...LEASE, rateForMonth: (month) => (month <= 12 ? 6 : 8) });
+  assert.ok(lease.schedule[12].installment > lease.schedule[11].installment);
+  assert.equal(lease.shortfall, 0);
+  close(sum(lease.schedule, 'principal'), 89000, 'principal');
+});
+
+test('fixed fee from an offer: schedule at the rate it implies', () => {
+  const offered = leaseSchedule({ ...LEASE, rateForMonth: () => 6 }).schedule[0].installment;
+  const lease = leaseSchedule({ ...LEASE, monthlyFee: offered, rateForMonth: () => 99 });
+  close(lease.schedule[0].rate, 6, 'implied rate', 1e-6);
+  assert.equal(lease.shortfall, 0);
+});
+
+test('fixed fee too low even at 0%: shortfall due with the last fee', () => {
+  const lease = leaseSchedule({ ...LEASE, monthlyFee: 1000, rateForMonth: () => 6 });
+  assert.equal(lease.schedule[0].rate, 0);
+  close(lease.shortfall, 29000, 'shortfall');
+  close(lease.schedule[59].installment, 30000, 'last fee');
+  close(sum(lease.schedule, 'principal'), 89000, 'principal');
+  assert.equal(lease.schedule[59].balance, 0);
+});
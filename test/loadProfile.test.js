@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLoadProfileCsv, hourlyMonthlyBalance, HOURS_IN_YEAR } from '../src/engine/index.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+test('hourly export stamped with the interval end, export rows skipped', () => {
+  const profile = parseLoadProfileCsv([
+    'Data;Wartość kWh;Rodzaj',
+    '2024-01-01 01:00;0,5;pobór',
+    '2024-01-01 01:00;2,0;oddanie',
+    '2024-01-01 02:00;0,25;pobór'
+  ].join('\n'));
+  assert.equal(profile.hourly.length, HOURS_IN_YEAR);
+  assert.equal(profile.records, 2);
+  assert.equal(profile.intervalMinutes, 60);
+  assert.equal(profile.unit, 'kWh');
+  assert.deepEqual([profile.hourly[0], profile.hourly[1]], [0.5, 0.25]);
+  // Gaps take the mean of the same month and hour
+  assert.deepEqual([profile.hourly[24], profile.hourly[25], profile.hourly[31 * 24]], [0.5, 0.25, 0]);
+  close(profile.totalConsumption, 31 * 0.75, 'total');
+});
+
+test('15-minute readings in Wh are summed into clock hours', () => {
+  const profile = parseLoadProfileCsv([
+    'Data;Godzina;Energia Wh',
+    '01.01.2024;00:00;100',
+    '01.01.2024;00:15;150',
+    '01.01.2024;00:30;200',
+    '01.01.2024;00:45;250',
+    '01.01.2024;01:00;400'
+  ].join('\n'));
+  assert.equal(profile.intervalMinutes, 15);
+  assert.equal(profile.unit, 'Wh');
+  assert.deepEqual(profile.columns, { date: 'Data', time: 'Godzina', value: 'Energia Wh' });
+  close(profile.hourly[0], 0.7, 'hour 0');
+  close(profile.hourly[1], 0.4, 'hour 1');
+});
+
+test('midnight reading stamped with the interval end belongs to the previous day', () => {
+  const rows = Array.from({ length: 23 }, (_, i) => `2024-03-01 ${String(i + 1).padStart(2, '0')}:00;0,3`);
+  const profile = parseLoadProfileCsv(['Data;Wartość kWh', ...rows, '2024-03-02 00:00;0,6'].join('\n'));
+  const march = (31 + 28) * 24;
+  assert.equal(profile.intervalMinutes, 60);
+  assert.deepEqual([profile.hourly[march], profile.hourly[march + 22], profile.hourly[march + 23]], [0.3, 0.3, 0.6]);
+});
+
+test('file without readings', () => {
+  assert.throws(() => parseLoadProfileCsv(''), { message: 'Plik jest pusty.' });
+  assert.throws(() => parseLoadProfileCsv('Nazwa;Wartość\nlicznik;12\n'), { message: 'Nie znaleziono danych pomiarowych.' });
+});
+
+test('hour by hour balance: consumed up to the load, the rest sold', () => {
+  const production = new Array(HOURS_IN_YEAR).fill(0);
+  const load = new Array(HOURS_IN_YEAR).fill(0.4);
+  production[12] = 1;
+  production[13] = 0.2;
+  const [january, february] = hourlyMonthlyBalance(production, load);
+  close(january.production, 1.2, 'production');
+  close(january.consumed, 0.6, 'consumed');
+  close(january.sold, 0.6, 'sold');
+  close(january.consumptionDemand, 31 * 24 * 0.4, 'demand');
+  assert.equal(february.production, 0);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runMonteCarlo, DEFAULT_PARAMS, createScenario, MONTE_CARLO_LIMITS } from '../src/engine/index.js';
+
+const scenarios = (count) => Array.from({ length: count }, (_, i) => createScenario(i + 1, { name: `Wariant ${i + 1}`, totalCost: 40000 + i * 5000 }));
+
+test('same seed, same result', () => {
+  const settings = { iterations: 200, seed: 7 };
+  assert.deepEqual(runMonteCarlo(DEFAULT_PARAMS, scenarios(2), settings), runMonteCarlo(DEFAULT_PARAMS, scenarios(2), settings));
+});
+
+test('percentiles are ordered and the best-option shares add up to one', () => {
+  const result = runMonteCarlo(DEFAULT_PARAMS, scenarios(3), { iterations: 300, seed: 1 });
+  result.scenarios.forEach(s => {
+    assert.ok(s.netProfit.p10 <= s.netProfit.p50 && s.netProfit.p50 <= s.netProfit.p90, s.name);
+    assert.ok(s.paybackWithinHorizon >= 0 && s.paybackWithinHorizon <= 1, s.name);
+  });
+  const best = result.scenarios.reduce((sum, s) => sum + s.probabilityBest, 0);
+  assert.ok(Math.abs(best - 1) < 1e-9);
+});
+
+test('maximum iterations with many scenarios', { timeout: 120000 }, () => {
+  const result = runMonteCarlo(DEFAULT_PARAMS, scenarios(7), { iterations: MONTE_CARLO_LIMITS.maxIterations, seed: 1 });
+  assert.equal(result.iterations, MONTE_CARLO_LIMITS.maxIterations);
+  result.scenarios.forEach((s, index) => {
+    const counted = result.histogram.reduce((sum, bin) => sum + bin.counts[index], 0);
+    assert.equal(counted, MONTE_CARLO_LIMITS.maxIterations, s.name);
+  });
+});
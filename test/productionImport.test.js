@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseProductionFile, productionPattern, hourlyProduction, HOURS_IN_YEAR } from '../src/engine/index.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+
+const PVGIS_MONTHLY = [60, 90, 200, 300, 380, 390, 400, 360, 250, 150, 70, 50];
+
+test('PVGIS PVcalc CSV: monthly E_m and the installed power', () => {
+  const csv = [
+    'Latitude (decimal degrees):\t52.230',
+    'PV installed [kWp]:\t4',
+    '',
+    'Month\tE_d\tE_m\tH(i)_d\tH(i)_m\tSD_m',
+    ...PVGIS_MONTHLY.map((e, m) => `${m + 1}\t${(e / 30).toFixed(2)}\t${e}\t1.0\t30.0\t10.0`),
+    '',
+    'E_d: Average daily energy production from the given system (kWh/d)'
+  ].join('\n');
+  const preview = parseProductionFile(csv);
+  assert.deepEqual([preview.source, preview.type, preview.peakPower], ['pvgis', 'monthly', 4]);
+  assert.deepEqual(preview.monthly, PVGIS_MONTHLY);
+  assert.equal(preview.total, PVGIS_MONTHLY.reduce((sum, e) => sum + e, 0));
+});
+
+test('PVGIS seriescalc JSON: UTC power averaged over the years into local hours', () => {
+  const json = JSON.stringify({
+    inputs: { pv_module: { peak_power: 5 } },
+    outputs: {
+      hourly: [
+        { time: '20190615:1010', P: 4000 },
+        { time: '20200615:1010', P: 6000 },
+        { time: '20200115:1010', P: 1000 }
+      ]
+    }
+  });
+  const preview = parseProductionFile(json);
+  assert.deepEqual([preview.type, preview.peakPower, preview.sourceLabel], ['hourly', 5, 'PVGIS – godzinowy (P, średnia z 2 lat)']);
+  // 10:10 UTC is 12:00 CEST in June and 11:00 CET in January
+  assert.equal(preview.hourly[(31 + 28 + 31 + 30 + 31 + 14) * 24 + 12], 5);
+  assert.equal(preview.hourly[14 * 24 + 11], 1);
+  close(preview.monthly[5], 5, 'June');
+  close(preview.total, 6, 'total');
+});
+
+test('monitoring export: monthly kWh with months missing left empty', () => {
+  const preview = parseProductionFile('Miesiąc;Uzysk PV (kWh)\n2024-01;120,5\n2024-02;200\n');
+  assert.deepEqual([preview.source, preview.type, preview.peakPower], ['monitoring', 'monthly', null]);
+  assert.deepEqual(preview.monthly.slice(0, 3), [120.5, 200, null]);
+  assert.equal(preview.total, 320.5);
+});
+
+test('monitoring export: hourly Wh readings', () => {
+  const preview = parseProductionFile('Data;Uzysk PV (Wh)\n2024-06-01 12:00;1500\n2024-06-01 13:00;2000\n2024-06-01 14:00;1000\n');
+  assert.deepEqual([preview.type, preview.unit], ['hourly', 'Wh']);
+  assert.equal(preview.hourly.length, HOURS_IN_YEAR);
+  close(preview.hourly[(31 + 28 + 31 + 30 + 31) * 24 + 11], 1.5, '11:00-12:00');
+});
+
+test('unreadable files', () => {
+  assert.throws(() => parseProductionFile('  '), { message: 'Plik jest pusty.' });
+  assert.throws(() => parseProductionFile('{"outputs":{}}'), /Nierozpoznany format JSON/);
+});
+
+test('imported production scaled to the installation power, missing months estimated', () => {
+  const productionImport = { monthly: [40, 60, null, ...new Array(9).fill(100)], hourly: null, peakPower: 4 };
+  const pattern = productionPattern({ productionImport });
+  const estimate = productionPattern({});
+  assert.deepEqual([pattern[0].value, pattern[1].value, pattern[3].value], [10, 15, 25]);
+  assert.equal(pattern[2].value, estimate[2].value);
+
+  const hourly = new Array(HOURS_IN_YEAR).fill(0);
+  hourly[12] = 2;
+  const scaled = hourlyProduction({ installationPower: 10, productionImport: { ...productionImport, hourly } });
+  assert.equal(scaled[12], 5);
+});
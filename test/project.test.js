@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { runProject, parseProjectFile, assumptionsTable, MAX_SIMULATION_YEARS } from '../src/engine/index.js';
+
+const example = parseProjectFile(await readFile(new URL('../examples/projekt.json', import.meta.url), 'utf8'));
+
+test('example project: key results', () => {
+  const output = runProject(example);
+  assert.equal(output.bestOption.name, 'Pożyczka OZE');
+  assert.equal(Math.round(output.effectiveAutoConsumptionPercent), 30);
+  assert.deepEqual(output.results.map(r => [r.name, r.paybackYear, Math.round(r.summary.netProfit), Math.round(r.summary.npv)]), [
+    ['Pożyczka OZE', 1, 219283, 141199],
+    ['Kredyt komercyjny', 1, 167523, 97951],
+    ['Środki własne', 6, 139834, 106609]
+  ]);
+});
+
+test('yearly cash flow adds up to the summary', () => {
+  runProject(example).results.forEach(r => {
+    const { yearlyCashFlow: rows, summary } = r;
+    assert.equal(rows.length, summary.simulationYears + 1, r.name);
+    let cumulative = 0;
+    rows.forEach(row => {
+      cumulative += row.netCashFlow;
+      assert.ok(Math.abs(row.cumulative - cumulative) < 1e-6, `${r.name}, rok ${row.year}`);
+    });
+    assert.ok(Math.abs(summary.netProfit - (cumulative - summary.opportunityCost)) < 1e-6, r.name);
+    const payback = rows.find(row => row.year > 0 && row.cumulative >= 0)?.year ?? null;
+    assert.equal(r.paybackYear, payback, r.name);
+  });
+});
+
+test('best option follows the metric', () => {
+  const byCost = runProject(example);
+  assert.equal(byCost.bestOption.summary.totalProjectCost, Math.min(...byCost.results.map(r => r.summary.totalProjectCost)));
+  const byNpv = runProject({ ...example, params: { ...example.params, bestOptionMetric: 'npv' } });
+  assert.equal(byNpv.bestOption.summary.npv, Math.max(...byNpv.results.map(r => r.summary.npv)));
+});
+
+test('horizon is clamped to the allowed range', () => {
+  const params = { ...example.params, simulationYears: 99 };
+  const output = runProject({ ...example, params });
+  output.results.forEach(r => {
+    assert.equal(r.summary.simulationYears, MAX_SIMULATION_YEARS);
+    assert.equal(r.yearlyCashFlow.length, MAX_SIMULATION_YEARS + 1);
+  });
+  const horizon = assumptionsTable(params, example.scenarios).rows.find(row => row.parameter === 'Horyzont analizy');
+  assert.equal(horizon.value, MAX_SIMULATION_YEARS);
+});
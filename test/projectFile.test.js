@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { migrateProject, parseProjectFile, serializeProject, DEFAULT_PARAMS, DEFAULT_OFFER, DEFAULT_SCENARIOS, PROJECT_FILE_VERSION } from '../src/engine/index.js';
+
+// File of the first version: no `format`, `version` or product types, flat yield per kWp
+const VERSION_1 = {
+  name: 'Stary projekt',
+  params: { installationPower: 8, productionPerKw: 1000, tariff: 'G12' },
+  scenarios: [
+    { id: 3, name: 'Pożyczka OZE Bank', totalCost: 40000 },
+    { id: 4, name: 'Gotówka', totalCost: 40000 },
+    { id: 5, name: 'Kredyt stały', rateType: 'fixed', totalCost: 40000 }
+  ]
+};
+
+test('version 1: flat yield dropped, product types from the names, defaults filled', () => {
+  const project = migrateProject(VERSION_1);
+  assert.equal(project.name, 'Stary projekt');
+  assert.equal('productionPerKw' in project.params, false);
+  assert.equal(project.params.installationPower, 8);
+  assert.equal(project.params.simulationYears, DEFAULT_PARAMS.simulationYears);
+  assert.equal(project.params.tariff.id, 'G12');
+  assert.deepEqual(project.offer, DEFAULT_OFFER);
+  assert.deepEqual(project.scenarios.map(s => [s.id, s.productType]), [[3, 'pozyczkaOze'], [4, 'ownFunds'], [5, 'custom']]);
+});
+
+test('project without scenarios gets the default ones', () => {
+  const project = migrateProject({ format: 'kalkulator-oze', version: PROJECT_FILE_VERSION, params: {} });
+  assert.deepEqual(project.scenarios.map(s => s.name), DEFAULT_SCENARIOS.map(s => s.name));
+});
+
+test('saved file reads back unchanged', () => {
+  const project = migrateProject(VERSION_1);
+  const file = serializeProject({ ...project, offer: { clientName: 'Jan Kowalski' } });
+  assert.equal(file.version, PROJECT_FILE_VERSION);
+  const reread = parseProjectFile(JSON.stringify(file));
+  assert.deepEqual(reread.params, project.params);
+  assert.deepEqual(reread.scenarios, project.scenarios);
+  assert.equal(reread.offer.clientName, 'Jan Kowalski');
+});
+
+test('files that are not a project of this or an older version', () => {
+  assert.throws(() => parseProjectFile('{'), /Plik nie jest poprawnym JSON-em/);
+  assert.throws(() => migrateProject([]), { message: 'Plik nie zawiera projektu.' });
+  assert.throws(() => migrateProject({ format: 'inny' }), { message: 'Nieznany format pliku: inny' });
+  assert.throws(() => migrateProject({ version: 0 }), { message: 'Niepoprawna wersja pliku: 0' });
+  assert.throws(() => migrateProject({ version: PROJECT_FILE_VERSION + 1 }), /nowszej wersji/);
+});
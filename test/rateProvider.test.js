@@ -0,0 +1,93 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { startRateStub, STUB_RATES, STUB_AS_OF } from './rateStub.js';
+import { fetchReferenceRate, endpointSource, stooqSource, staticFileSource, parseRateJson, isRateStale, rateAgeDays, REFERENCE_RATES } from '../src/engine/index.js';
+
+// rateStore keeps its cache in localStorage; a Map stands in for it outside the browser
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key)
+};
+const { loadReferenceRate, rateSources } = await import('../src/rateStore.js');
+
+let stub;
+before(async () => {
+  stub = await startRateStub();
+});
+after(() => stub.close());
+beforeEach(() => storage.clear());
+
+const TODAY = new Date(`${STUB_AS_OF}T12:00:00Z`);
+
+test('own endpoint: JSON with {rate} replaced by the index id', async () => {
+  const quote = await fetchReferenceRate('wiron3m', [endpointSource(`${stub.url}/json/{rate}`)], { now: TODAY });
+  assert.equal(quote.value, STUB_RATES.wiron3m);
+  assert.equal(quote.asOf, STUB_AS_OF);
+  assert.equal(quote.source, 'endpoint');
+  assert.equal(isRateStale(quote, TODAY), false);
+});
+
+test('stooq CSV through the proxy and NBP CSV with a decimal comma', async () => {
+  const stooq = await fetchReferenceRate('wibor3m', [stooqSource(`${stub.url}/proxy/?`)]);
+  assert.deepEqual([stooq.value, stooq.asOf, stooq.source], [4.29, STUB_AS_OF, 'stooq']);
+
+  const nbp = await fetchReferenceRate('wibor6m', [endpointSource(`${stub.url}/nbp/{rate}`)]);
+  assert.deepEqual([nbp.value, nbp.asOf], [STUB_RATES.wibor6m, STUB_AS_OF]);
+});
+
+test('failed sources fall through to the static file, with every failure reported when all fail', async () => {
+  const failing = [endpointSource(`${stub.url}/error/{rate}`), endpointSource(`${stub.url}/slow/{rate}`, 'wolne źródło')];
+  const quote = await fetchReferenceRate('wibor3m', [...failing, staticFileSource(`${stub.url}/json/rates.json`)], { timeoutMs: 300 });
+  assert.equal(quote.source, 'static');
+  assert.equal(quote.value, STUB_RATES.wibor3m);
+
+  await assert.rejects(
+    fetchReferenceRate('wibor3m', failing, { timeoutMs: 300 }),
+    { message: 'własne źródło: HTTP 500; wolne źródło: przekroczony czas odpowiedzi' }
+  );
+});
+
+test('stale quote', async () => {
+  const quote = await fetchReferenceRate('wibor3m', [endpointSource(`${stub.url}/stale/{rate}`)]);
+  assert.equal(isRateStale(quote, TODAY), true);
+  assert.equal(isRateStale({ ...quote, asOf: null }, TODAY), true);
+  assert.equal(rateAgeDays(quote, TODAY), 45);
+  assert.equal(rateAgeDays({ ...quote, asOf: null }, TODAY), null);
+});
+
+test('rateStore: cached quote while fresh, kept with the error when the sources fail', async () => {
+  const sources = [endpointSource(`${stub.url}/json/{rate}`)];
+  const fetched = await loadReferenceRate('wibor3m', { sources });
+  assert.deepEqual([fetched.quote.value, fetched.fromCache, fetched.error], [STUB_RATES.wibor3m, false, null]);
+
+  const cached = await loadReferenceRate('wibor3m', { sources: [] });
+  assert.deepEqual([cached.quote.value, cached.fromCache, cached.error], [STUB_RATES.wibor3m, true, null]);
+
+  const failed = await loadReferenceRate('wibor3m', { force: true, sources: [endpointSource(`${stub.url}/error/{rate}`)] });
+  assert.deepEqual([failed.quote.value, failed.fromCache, failed.error], [STUB_RATES.wibor3m, true, 'własne źródło: HTTP 500']);
+
+  const none = await loadReferenceRate('wiron1m', { sources: [endpointSource(`${stub.url}/error/{rate}`)] });
+  assert.deepEqual([none.quote, none.fromCache, none.error], [null, false, 'własne źródło: HTTP 500']);
+});
+
+test('rateStore: sources from the build variables, stooq only through a configured proxy', () => {
+  assert.deepEqual(rateSources({ BASE_URL: '/' }).map(s => s.id), ['static']);
+  const sources = rateSources({ BASE_URL: '/app/', VITE_RATES_URL: `${stub.url}/json/{rate}` });
+  assert.deepEqual(sources.map(s => s.id), ['endpoint', 'static']);
+  assert.equal(sources[1].url('wibor3m'), '/app/rates.json');
+  const proxied = rateSources({ BASE_URL: '/', VITE_RATES_PROXY: `${stub.url}/proxy/?` });
+  assert.deepEqual(proxied.map(s => s.id), ['stooq', 'static']);
+  assert.equal(proxied[0].url('wibor3m'), `${stub.url}/proxy/?https://stooq.pl/q/l/?s=plopln3m&f=sd2t2olc&h&e=csv`);
+});
+
+test('public/rates.json has every reference index', async () => {
+  const text = await readFile(new URL('../public/rates.json', import.meta.url), 'utf8');
+  REFERENCE_RATES.forEach(({ id }) => {
+    const { value, asOf } = parseRateJson(text, id);
+    assert.ok(value > 0, id);
+    assert.ok(asOf, id);
+  });
+});
@@ -0,0 +1,63 @@
+// Local stand-in for the rate sources: answers like an own endpoint, stooq.pl (through a "proxy" path) and NBP.
+// Used by the tests and, run directly, for the app in development:
+//
+//   node test/rateStub.js [port]
+//   VITE_RATES_URL='http://127.0.0.1:8765/json/{rate}' npm run dev
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+export const STUB_RATES = { wibor3m: 4.31, wibor6m: 4.22, wiron1m: 3.9, wiron3m: 3.95 };
+export const STUB_AS_OF = '2026-10-16';
+
+// path prefix -> (rateId) => {status, body, delayMs}
+const ROUTES = {
+  // Own endpoint or the static file, JSON with every index
+  '/json/': () => ({ body: JSON.stringify({ asOf: STUB_AS_OF, rates: STUB_RATES }) }),
+  // stooq.pl quote CSV behind a CORS proxy (`VITE_RATES_PROXY=http://localhost:8765/proxy/?`)
+  '/proxy/': () => ({ body: `Symbol,Data,Czas,Otwarcie,Najwyzszy,Najnizszy,Zamkniecie\nPLOPLN3M,${STUB_AS_OF},17:00,4.29,4.29,4.29,4.29\n` }),
+  // NBP style: `;` and a decimal comma, oldest row first
+  '/nbp/': (rateId) => ({ body: `data;wartość\n14.10.2026;4,30\n16.10.2026;${String(STUB_RATES[rateId]).replace('.', ',')}\n` }),
+  // Quote of a week ago and more
+  '/stale/': (rateId) => ({ body: JSON.stringify({ value: STUB_RATES[rateId], asOf: '2026-09-01' }) }),
+  '/error/': () => ({ status: 500, body: 'Internal Server Error' }),
+  '/slow/': (rateId) => ({ body: JSON.stringify({ value: STUB_RATES[rateId], asOf: STUB_AS_OF }), delayMs: 2000 })
+};
+
+/**
+ * Starts the stub on `port` (0 = any free port).
+ *
+ * @param {number} [port]
+ * @returns {Promise<{url: string, close: function(): Promise<void>}>}  `url` without a trailing slash
+ */
+export const startRateStub = (port = 0) => new Promise((resolve) => {
+  const timers = new Set();
+  const server = createServer((request, response) => {
+    const path = decodeURIComponent(request.url);
+    const prefix = Object.keys(ROUTES).find(p => path.startsWith(p));
+    if (!prefix) {
+      response.writeHead(404).end();
+      return;
+    }
+    const rateId = path.slice(prefix.length).split(/[/?]/)[0];
+    const { status = 200, body, delayMs = 0 } = ROUTES[prefix](rateId);
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      response.writeHead(status, { 'Access-Control-Allow-Origin': '*' }).end(body);
+    }, delayMs);
+    timers.add(timer);
+  });
+  server.listen(port, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((done) => {
+      timers.forEach(clearTimeout);
+      server.closeAllConnections();
+      server.close(() => done());
+    })
+  }));
+});
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const { url } = await startRateStub(parseInt(process.argv[2]) || 8765);
+  console.log(`Stub notowań: ${url}/json/{rate}, ${url}/nbp/{rate}, ${url}/stale/{rate}, ${url}/error/{rate}, proxy stooq: ${url}/proxy/?`);
+}
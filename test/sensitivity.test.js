@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { sensitivityAnalysis, sensitivityGrid, sensitivitySteps, sensitivityDriver, changeProductType, parseProjectFile, SENSITIVITY_DRIVERS } from '../src/engine/index.js';
+
+const { params, scenarios } = parseProjectFile(await readFile(new URL('../examples/projekt.json', import.meta.url), 'utf8'));
+const scenario = scenarios[0];
+const noRanges = Object.fromEntries(SENSITIVITY_DRIVERS.map(d => [d.id, 0]));
+
+test('tornado: no change without a range, drivers sorted by the net profit swing', () => {
+  const flat = sensitivityAnalysis(params, scenario, noRanges);
+  flat.drivers.forEach(d => {
+    assert.deepEqual(d.low, flat.base, d.id);
+    assert.deepEqual(d.high, flat.base, d.id);
+  });
+
+  const { base, drivers } = sensitivityAnalysis(params, scenario);
+  const swings = drivers.map(d => Math.abs(d.high.netProfit - d.low.netProfit));
+  assert.deepEqual(swings, [...swings].sort((a, b) => b - a));
+  const driver = (id) => drivers.find(d => d.id === id);
+  assert.ok(driver('energyPriceBuy').high.netProfit > base.netProfit);
+  assert.ok(driver('productionPerKw').high.netProfit > base.netProfit);
+  assert.ok(driver('totalCost').high.netProfit < base.netProfit);
+});
+
+test('two-variable table: the middle cell is the base case', () => {
+  assert.deepEqual(sensitivitySteps(10), [-10, -5, 0, 5, 10]);
+  assert.equal(sensitivitySteps(10, 4).length, 5);
+  const grid = sensitivityGrid(params, scenario, {
+    rowDriver: 'energyPriceBuy',
+    rowDeltas: sensitivitySteps(20, 3),
+    columnDriver: 'totalCost',
+    columnDeltas: sensitivitySteps(15, 3)
+  });
+  const { base } = sensitivityAnalysis(params, scenario, noRanges);
+  const { delta, ...middle } = grid.rows[1].cells[1];
+  assert.equal(delta, 0);
+  assert.deepEqual(middle, base);
+  assert.ok(grid.rows[2].cells[0].netProfit > grid.rows[0].cells[2].netProfit);
+});
+
+test('installation cost scales a fixed lease fee from the offer', () => {
+  const lease = { ...changeProductType(scenario, 'operatingLease'), leaseMonthlyFee: 1500 };
+  const { scenario: dearer } = sensitivityDriver('totalCost').apply({ params, scenario: lease }, 10);
+  assert.ok(Math.abs(dearer.leaseMonthlyFee - 1650) < 1e-9);
+  assert.ok(Math.abs(dearer.totalCost - lease.totalCost * 1.1) < 1e-6);
+
+  const calculated = sensitivityDriver('totalCost').apply({ params, scenario: { ...lease, leaseMonthlyFee: 0 } }, 10);
+  assert.equal(calculated.scenario.leaseMonthlyFee, 0);
+
+  const { low, high } = sensitivityAnalysis(params, lease).drivers.find(d => d.id === 'totalCost');
+  assert.ok(low.netProfit > high.netProfit);
+});
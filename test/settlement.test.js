@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runNetBillingLedger, runNetMeteringLedger, netMeteringRatio } from '../src/engine/index.js';
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} != ${expected}`);
+const months = (values) => Array.from({ length: 12 }, (_, m) => values[m] || 0);
+
+// 1000 kWh exported in June, energy bought in July
+const netBilling = (overrides) => runNetBillingLedger({
+  monthlySold: months({ 5: 1000 }),
+  monthlyImport: months({ 6: 200 }),
+  salePrices: new Array(12).fill(0.5),
+  energyPriceBuy: 1,
+  energyInflation: 10,
+  degradationRate: 0,
+  years: 2,
+  ...overrides
+});
+
+test('net-billing: deposit credited with the coefficient, pays the bills, refunded up to the cap on expiry', () => {
+  const { yearly, totals } = netBilling();
+  close(yearly[0].credited, 615, 'credited');
+  close(yearly[0].used, 200, 'used');
+  assert.deepEqual([yearly[0].refunded, yearly[0].lost], [0, 0]);
+
+  // The June credit expires after 12 months: 20% of 615 refunded, the rest of the 415 left lost
+  close(yearly[1].refunded, 123, 'refunded');
+  close(yearly[1].lost, 292, 'lost');
+  close(yearly[1].credited, 615 * 1.1, 'credited with price growth');
+  close(yearly[1].used, 220, 'used with price growth');
+  close(totals.balance, 615 * 1.1 - 220, 'balance');
+});
+
+test('net-billing: the deposit never pays more than it holds', () => {
+  const { yearly } = netBilling({ monthlyImport: months({ 6: 1000 }), years: 1 });
+  close(yearly[0].used, 615, 'used');
+});
+
+test('net-billing: older credits are used first', () => {
+  const { yearly } = netBilling({
+    monthlySold: months({ 0: 100, 1: 100 }),
+    monthlyImport: months({ 2: 61.5 }),
+    energyInflation: 0
+  });
+  // January is spent in March; February's credit expires untouched and is refunded up to the cap
+  close(yearly[1].refunded, 61.5 * 0.2, 'refunded');
+  close(yearly[1].lost, 61.5 * 0.8, 'lost');
+});
+
+test('net-metering: 80% drawn back up to 10 kWp, 70% above, counting the existing installation', () => {
+  assert.equal(netMeteringRatio(10), 0.8);
+  assert.equal(netMeteringRatio(10.5), 0.7);
+  assert.equal(netMeteringRatio(4 + 7), 0.7);
+});
+
+test('net-metering: banked energy drawn back at the purchase price, lost after the bank lifetime', () => {
+  const { yearly, totals } = runNetMeteringLedger({
+    monthlySold: months({ 5: 1000 }),
+    monthlyImport: months({ 6: 300 }),
+    ratio: 0.8,
+    energyPriceBuy: 1,
+    energyInflation: 10,
+    degradationRate: 0,
+    years: 2
+  });
+  close(yearly[0].banked, 800, 'banked');
+  close(yearly[0].drawn, 300, 'drawn');
+  close(yearly[0].value, 300, 'value');
+
+  // Last June's 500 kWh expire before this June is banked; July draws from the new energy at the higher price
+  close(yearly[1].lost, 500, 'lost');
+  close(yearly[1].drawn, 300, 'drawn in year 2');
+  close(yearly[1].value, 330, 'value in year 2');
+  close(totals.balance, 500, 'balance');
+});
+
+test('net-metering: degradation lowers the banked exports, tariff zone prices value the drawn energy', () => {
+  const { yearly } = runNetMeteringLedger({
+    monthlySold: months({ 0: 100 }),
+    monthlyImport: months({ 1: 1000 }),
+    ratio: 0.7,
+    energyPriceBuy: 1,
+    importPrices: months({ 1: 0.6 }),
+    energyInflation: 0,
+    degradationRate: 10,
+    years: 2
+  });
+  close(yearly[0].drawn, 70, 'drawn');
+  close(yearly[0].value, 42, 'value');
+  close(yearly[1].banked, 63, 'banked after degradation');
+});
@@ -0,0 +1,59 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { copyFile, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { startRateStub, STUB_RATES, STUB_AS_OF } from './rateStub.js';
+import { parseRateJson, REFERENCE_RATES } from '../src/engine/index.js';
+
+const run = promisify(execFile);
+const script = fileURLToPath(new URL('../cli/update-rates.js', import.meta.url));
+const shipped = fileURLToPath(new URL('../public/rates.json', import.meta.url));
+
+let stub;
+let dir;
+before(async () => {
+  stub = await startRateStub();
+  dir = await mkdtemp(join(tmpdir(), 'rates-'));
+});
+after(async () => {
+  await stub.close();
+  await rm(dir, { recursive: true, force: true });
+});
+
+const updateRates = (out, args) => run(process.execPath, [script, '--out', out, '--timeout', '1000', ...args]);
+
+test('every index from the own source', async () => {
+  const out = join(dir, 'all.json');
+  await updateRates(out, ['--url', `${stub.url}/nbp/{rate}`, '--stooq', 'off']);
+  const text = await readFile(out, 'utf8');
+  assert.equal(JSON.parse(text).asOf, STUB_AS_OF);
+  REFERENCE_RATES.forEach(({ id }) => assert.deepEqual(parseRateJson(text, id), { value: STUB_RATES[id], asOf: STUB_AS_OF }, id));
+});
+
+test('stooq refreshes WIBOR, WIRON keeps the previous value', async () => {
+  const out = join(dir, 'stooq.json');
+  await copyFile(shipped, out);
+  const before = await readFile(out, 'utf8');
+  const { stderr } = await updateRates(out, ['--stooq', `${stub.url}/proxy/?`]);
+  const text = await readFile(out, 'utf8');
+  assert.deepEqual(parseRateJson(text, 'wibor3m'), { value: 4.29, asOf: STUB_AS_OF });
+  assert.deepEqual(parseRateJson(text, 'wiron1m'), parseRateJson(before, 'wiron1m'));
+  assert.match(stderr, /WIRON 1M: bez zmian/);
+  // The file is dated by its oldest quote
+  assert.equal(JSON.parse(text).asOf, parseRateJson(before, 'wiron1m').asOf);
+});
+
+test('file left untouched when nothing is refreshed or an index has no value', async () => {
+  const out = join(dir, 'failed.json');
+  await copyFile(shipped, out);
+  await assert.rejects(updateRates(out, ['--url', `${stub.url}/error/{rate}`, '--stooq', 'off']), { code: 1 });
+  assert.equal(await readFile(out, 'utf8'), await readFile(shipped, 'utf8'));
+
+  const fresh = join(dir, 'fresh.json');
+  await assert.rejects(updateRates(fresh, ['--stooq', `${stub.url}/proxy/?`]), (error) => error.code === 1 && /WIRON 1M/.test(error.stderr));
+  await assert.rejects(readFile(fresh, 'utf8'), { code: 'ENOENT' });
+});